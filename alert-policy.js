@@ -0,0 +1,137 @@
+// Alert Re-arm Policies for THB to USD Exchange Rate Monitor
+// Decides when a triggered alert may fire again: one-shot vs recurring, cooldowns, hysteresis and daily caps.
+// Loaded by the SMS service via require() and by the dashboard as a plain script (window.AlertPolicy).
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.AlertPolicy = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    const MINUTE_MS = 60 * 1000;
+
+    const MODES = ['one-shot', 'recurring'];
+
+    // One-shot matches the original behavior: fire once, then stay quiet until the alert is reset or edited
+    const DEFAULT_POLICY = {
+        mode: 'one-shot',
+        cooldownMinutes: 60,
+        hysteresisPercent: null,
+        maxPerDay: null
+    };
+
+    function normalizePolicy(policy) {
+        return { ...DEFAULT_POLICY, ...(policy || {}) };
+    }
+
+    function validatePolicy(policy) {
+        if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+            return ['Policy must be an object'];
+        }
+
+        const errors = [];
+        const unknownFields = Object.keys(policy).filter(field => !(field in DEFAULT_POLICY));
+        if (unknownFields.length > 0) {
+            errors.push(`Unknown policy field(s): ${unknownFields.join(', ')}`);
+        }
+        if (policy.mode !== undefined && !MODES.includes(policy.mode)) {
+            errors.push(`Policy mode must be one of ${MODES.join(', ')}`);
+        }
+        if (policy.cooldownMinutes !== undefined &&
+            (typeof policy.cooldownMinutes !== 'number' || !Number.isFinite(policy.cooldownMinutes) || policy.cooldownMinutes < 0)) {
+            errors.push('Cooldown must be zero or a positive number of minutes');
+        }
+        if (policy.hysteresisPercent !== undefined && policy.hysteresisPercent !== null &&
+            (typeof policy.hysteresisPercent !== 'number' || !Number.isFinite(policy.hysteresisPercent) || policy.hysteresisPercent < 0)) {
+            errors.push('Hysteresis must be null, zero or a positive percent');
+        }
+        if (policy.maxPerDay !== undefined && policy.maxPerDay !== null &&
+            (!Number.isInteger(policy.maxPerDay) || policy.maxPerDay < 1)) {
+            errors.push('Max fires per day must be null or a whole number of at least 1');
+        }
+
+        return errors;
+    }
+
+    function toDayKey(timestamp) {
+        return new Date(timestamp).toISOString().split('T')[0];
+    }
+
+    // Whether the market has moved back far enough to re-arm. Threshold rules must retreat past the threshold by
+    // the hysteresis band; other rules only need their condition to stop holding.
+    function hasCleared(rule, rate, result, hysteresisPercent) {
+        const band = (hysteresisPercent || 0) / 100;
+
+        if (rule.type === 'rate-above') return rate < rule.threshold * (1 - band);
+        if (rule.type === 'rate-below') return rate > rule.threshold * (1 + band);
+        return !result.triggered;
+    }
+
+    // Update the fire state ({ triggered, triggeredAt, triggerRate, cleared, firesDay, firesToday }) for one
+    // evaluation and report whether the alert should fire now. Returns a new state object.
+    function applyPolicy(policy, fireState, { rule, rate, result, now = Date.now() }) {
+        const { mode, cooldownMinutes, hysteresisPercent, maxPerDay } = normalizePolicy(policy);
+        const state = { ...(fireState || {}) };
+        const today = toDayKey(now);
+
+        if (state.firesDay !== today) {
+            state.firesDay = today;
+            state.firesToday = 0;
+        }
+
+        // Re-arm a recurring alert once the cooldown has passed and, with hysteresis, the rate has backed off
+        if (state.triggered && mode === 'recurring') {
+            if (hysteresisPercent !== null && !state.cleared && hasCleared(rule, rate, result, hysteresisPercent)) {
+                state.cleared = true;
+            }
+
+            const cooledDown = now - new Date(state.triggeredAt).getTime() >= cooldownMinutes * MINUTE_MS;
+            const backedOff = hysteresisPercent === null || state.cleared;
+
+            if (cooledDown && backedOff) {
+                state.triggered = false;
+                state.cleared = false;
+            }
+        }
+
+        const underDailyCap = maxPerDay === null || state.firesToday < maxPerDay;
+        const shouldFire = !!result.triggered && !state.triggered && underDailyCap;
+
+        return { state, shouldFire };
+    }
+
+    // Record a successful fire in the state
+    function recordFire(fireState, { rate, now = Date.now() }) {
+        return {
+            ...fireState,
+            triggered: true,
+            triggeredAt: new Date(now).toISOString(),
+            triggerRate: rate,
+            cleared: false,
+            firesDay: toDayKey(now),
+            firesToday: (fireState.firesDay === toDayKey(now) ? fireState.firesToday || 0 : 0) + 1
+        };
+    }
+
+    function describePolicy(policy) {
+        const { mode, cooldownMinutes, hysteresisPercent, maxPerDay } = normalizePolicy(policy);
+
+        if (mode === 'one-shot') return 'Fires once until reset';
+
+        const parts = [`Repeats after ${cooldownMinutes} min cooldown`];
+        if (hysteresisPercent !== null) parts.push(`once the rate backs off ${hysteresisPercent}%`);
+        if (maxPerDay !== null) parts.push(`at most ${maxPerDay}× per day`);
+        return parts.join(', ');
+    }
+
+    return {
+        DEFAULT_POLICY,
+        MODES,
+        normalizePolicy,
+        validatePolicy,
+        applyPolicy,
+        recordFire,
+        describePolicy
+    };
+}));
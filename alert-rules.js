@@ -0,0 +1,505 @@
+// Alert Rules for THB to USD Exchange Rate Monitor
+// Rule types, their parameters, descriptions and evaluation against a currency pair's rate history.
+// Digest rules are schedules rather than conditions; the SMS service's digest scheduler evaluates them.
+// Loaded by the SMS service via require() and by the dashboard as a plain script (window.AlertRules).
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./currency-pairs'), require('./indicators'), require('./dca-planner'), require('./rate-sheets'), require('./digest'));
+    } else {
+        root.AlertRules = factory(root.CurrencyPairs, root.Indicators, root.DcaPlanner, root.RateSheets, root.Digest);
+    }
+}(typeof self !== 'undefined' ? self : this, function (CurrencyPairs, Indicators, DcaPlanner, RateSheets, Digest) {
+    const HOUR_MS = 60 * 60 * 1000;
+    const DAY_MS = 24 * HOUR_MS;
+
+    const RECOMMENDATIONS = ['STRONG BUY', 'MODERATE BUY', 'HOLD/WAIT', 'NEUTRAL'];
+
+    const calculateTrend = Indicators.trend;
+    const calculateVolatility = Indicators.volatility;
+
+    // Percentages the 7-day trend and the 30-day volatility are compared with. Override any of them through
+    // MonitorConfig.recommendationThresholds (dashboard) or RECOMMENDATION_THRESHOLDS (SMS service).
+    const DEFAULT_RECOMMENDATION_THRESHOLDS = {
+        strongBuyTrend: 2,          // STRONG BUY: trend above this...
+        strongBuyVolatility: 2,     // ...and volatility below this
+        moderateBuyTrend: 0.5,      // MODERATE BUY: trend above this...
+        moderateBuyVolatility: 3,   // ...and volatility below this
+        holdTrend: -2               // HOLD/WAIT: trend below this
+    };
+
+    // Same signal the dashboard shows in updateInvestmentRecommendation()
+    function classifyRecommendation(trend7d, volatility, thresholds = {}) {
+        const t = { ...DEFAULT_RECOMMENDATION_THRESHOLDS, ...thresholds };
+        if (trend7d > t.strongBuyTrend && volatility < t.strongBuyVolatility) return 'STRONG BUY';
+        if (trend7d > t.moderateBuyTrend && volatility < t.moderateBuyVolatility) return 'MODERATE BUY';
+        if (trend7d < t.holdTrend) return 'HOLD/WAIT';
+        return 'NEUTRAL';
+    }
+
+    // What each signal means for the subscriber, as the dashboard's recommendation card and the digests word it:
+    // { summary, action, risk }
+    function recommendationAdvice(signal, { trend7d, pair = CurrencyPairs.DEFAULT_PAIR }) {
+        const { quote } = CurrencyPairs.getPair(pair);
+        const change = `${trend7d >= 0 ? '+' : ''}${trend7d.toFixed(2)}%`;
+
+        switch (signal) {
+            case 'STRONG BUY':
+                return {
+                    summary: `THB is strengthening significantly (${change}) with low volatility. This is an excellent opportunity to convert THB to ${quote} for investment.`,
+                    action: `Consider converting a significant portion of your THB holdings to ${quote}.`,
+                    risk: 'Low'
+                };
+            case 'MODERATE BUY':
+                return {
+                    summary: `THB is showing positive momentum (${change}) with manageable volatility. Good opportunity for gradual ${quote} investment.`,
+                    action: `Consider cost averaging into ${quote} positions.`,
+                    risk: 'Medium'
+                };
+            case 'HOLD/WAIT':
+                return {
+                    summary: `THB is weakening (${change}). Not an optimal time for ${quote} investment. Wait for THB to strengthen before converting.`,
+                    action: 'Hold THB and wait for better exchange rates.',
+                    risk: 'High if converting now'
+                };
+            default:
+                return {
+                    summary: `THB is showing mixed signals with ${change} recent change. Market conditions are uncertain.`,
+                    action: 'Monitor closely and consider small test conversions.',
+                    risk: 'Medium'
+                };
+        }
+    }
+
+    // 7-day trend and 30-day volatility of a daily close series, the inputs to classifyRecommendation()
+    function recommendationInputs(closes) {
+        return {
+            trend7d: calculateTrend(closes.slice(-7)),
+            volatility: calculateVolatility(closes.slice(-30))
+        };
+    }
+
+    // Parse "strongBuyTrend=2.5,holdTrend=-1.5" into a thresholds object. Throws on unknown names or non-numbers.
+    function parseRecommendationThresholds(text) {
+        const thresholds = {};
+        if (!text) return thresholds;
+
+        for (const entry of text.split(',').map(part => part.trim()).filter(Boolean)) {
+            const [name, value] = entry.split('=').map(part => part.trim());
+            if (!(name in DEFAULT_RECOMMENDATION_THRESHOLDS)) {
+                throw new Error(`Unknown recommendation threshold "${name}". Use ${Object.keys(DEFAULT_RECOMMENDATION_THRESHOLDS).join(', ')}`);
+            }
+            if (value === undefined || value === '' || !Number.isFinite(Number(value))) {
+                throw new Error(`Recommendation threshold ${name} must be a number`);
+            }
+            thresholds[name] = Number(value);
+        }
+
+        return thresholds;
+    }
+
+    // Wrap a { date, rate, timestamp } series (e.g. the dashboard's historicalData) in the history interface
+    function createSeriesHistory(points) {
+        const sorted = points.slice().sort((a, b) => a.timestamp - b.timestamp);
+
+        return {
+            rateAt(timestamp) {
+                for (let i = sorted.length - 1; i >= 0; i--) {
+                    if (sorted[i].timestamp <= timestamp) return sorted[i].rate;
+                }
+                return null;
+            },
+            dailyCloses(days) {
+                return days ? sorted.slice(-days) : sorted.slice();
+            }
+        };
+    }
+
+    function formatRate(rate, pair) {
+        return CurrencyPairs.formatRate(rate, pair);
+    }
+
+    function formatValue(rate, pair) {
+        return CurrencyPairs.formatValue(rate, pair);
+    }
+
+    function formatWindow(params) {
+        if (params.hours) return `${params.hours} hour${params.hours === 1 ? '' : 's'}`;
+        return `${params.days} day${params.days === 1 ? '' : 's'}`;
+    }
+
+    function isPositiveNumber(value) {
+        return typeof value === 'number' && Number.isFinite(value) && value > 0;
+    }
+
+    function isPositiveInteger(value) {
+        return Number.isInteger(value) && value > 0;
+    }
+
+    // Alert on the rate a bank or money changer actually gives (its selling rate after fees, as a direct rate)
+    // rather than the mid rate. `amountThb` includes fixed fees for a conversion of that size. Providers come
+    // from the rate sheets in the evaluation context; a provider missing from them never triggers.
+    function providerRateRule(direction) {
+        const rises = direction === 'above';
+
+        return {
+            label: rises ? 'Provider rate rises to' : 'Provider rate falls to',
+            validate(rule) {
+                const errors = [];
+                if (typeof rule.provider !== 'string' || !rule.provider) errors.push('Provider is required');
+                if (!isPositiveNumber(rule.threshold)) errors.push('Threshold must be a positive number');
+                if (rule.amountThb !== undefined && !isPositiveNumber(rule.amountThb)) {
+                    errors.push('Amount must be a positive number of THB');
+                }
+                return errors;
+            },
+            describe(rule, pair) {
+                const fees = rule.amountThb
+                    ? `converting ${rule.amountThb.toLocaleString('en-US')} THB, fees included`
+                    : 'percentage fees included';
+                return `${rule.provider} gives ${formatRate(rule.threshold, pair)} or ${rises ? 'more' : 'less'} (${fees})`;
+            },
+            evaluate(rule, { pair, rateSheets }) {
+                const provider = RateSheets.findProvider(rateSheets, rule.provider);
+                const providerRate = provider && RateSheets.effectiveRate(provider, pair, rule.amountThb);
+                if (!providerRate) return { triggered: false };
+
+                const { selling } = RateSheets.quoteFor(provider, pair);
+                const { quote } = CurrencyPairs.getPair(pair);
+                return {
+                    triggered: rises ? providerRate >= rule.threshold : providerRate <= rule.threshold,
+                    detail: `${provider.name} now gives ${formatRate(providerRate, pair)} after fees (selling ${quote} at ${selling.toFixed(4)} THB), ` +
+                        `${rises ? 'reaching' : 'falling through'} your threshold of ${formatValue(rule.threshold, pair)}.`
+                };
+            }
+        };
+    }
+
+    // Scheduled summaries of the pair (see digest.js), sent at the subscriber's local send time by the SMS service's
+    // digest scheduler and never on rate polls. `state.lastSlot` is the local date of the last digest sent.
+    function digestRule(frequency) {
+        return {
+            label: Digest.FREQUENCIES[frequency].label,
+            messageTitle: Digest.FREQUENCIES[frequency].title,
+            scheduled: true,
+            // Every send needs to go out, so these alerts repeat by default
+            defaultPolicy: { mode: 'recurring', cooldownMinutes: 0 },
+            validate(rule) {
+                return Digest.validateSchedule(rule, frequency);
+            },
+            describe(rule, pair) {
+                return `${CurrencyPairs.pairLabel(pair)} ${Digest.describeSchedule(rule, frequency)}`;
+            },
+            evaluate(rule, { pair, rate, now, history, state = {}, recommendationThresholds }) {
+                const send = Digest.dueSend(rule, frequency, now, state.lastSlot);
+                if (!send) return { triggered: false, state };
+
+                const closes = history.dailyCloses(30);
+                let recommendation = null;
+                if (closes.length >= 7) {
+                    const { trend7d, volatility } = recommendationInputs(closes);
+                    const signal = classifyRecommendation(trend7d, volatility, recommendationThresholds);
+                    recommendation = { signal, ...recommendationAdvice(signal, { trend7d, pair }) };
+                }
+
+                const report = Digest.buildReport({
+                    history,
+                    pair,
+                    rate,
+                    now,
+                    frequency,
+                    timezone: rule.timezone,
+                    inverted: !!rule.inverted,
+                    recommendation
+                });
+                return {
+                    triggered: true,
+                    state: { lastSlot: send.slot },
+                    detail: Digest.renderText(report),
+                    report
+                };
+            }
+        };
+    }
+
+    // Each rule type declares how to validate its parameters, describe itself for a pair and evaluate against a
+    // context of { pair, rate, now, history, state, rateSheets }. evaluate() returns { triggered, detail, state }
+    // where `state` is kept on the alert between evaluations for rules that react to changes. Optional
+    // `messageTitle` replaces the notification's heading, `defaultPolicy` is used for new alerts that do not
+    // send a policy and `scheduled` rules are left out of rate-driven evaluation.
+    const RULE_TYPES = {
+        'rate-above': {
+            label: 'Rises to',
+            validate(rule) {
+                return isPositiveNumber(rule.threshold) ? [] : ['Threshold must be a positive number'];
+            },
+            describe(rule, pair) {
+                return `THB strengthens to ${formatRate(rule.threshold, pair)} or above`;
+            },
+            evaluate(rule, { pair, rate }) {
+                return {
+                    triggered: rate >= rule.threshold,
+                    detail: `THB has strengthened to ${formatRate(rate, pair)}, reaching your target threshold of ${formatValue(rule.threshold, pair)}. Consider investing in ${CurrencyPairs.getPair(pair).quote} now!`
+                };
+            }
+        },
+
+        'rate-below': {
+            label: 'Falls to',
+            validate(rule) {
+                return isPositiveNumber(rule.threshold) ? [] : ['Threshold must be a positive number'];
+            },
+            describe(rule, pair) {
+                return `THB weakens to ${formatRate(rule.threshold, pair)} or below`;
+            },
+            evaluate(rule, { pair, rate }) {
+                return {
+                    triggered: rate <= rule.threshold,
+                    detail: `THB has weakened to ${formatRate(rate, pair)}, falling through your threshold of ${formatValue(rule.threshold, pair)}. Consider holding THB until it recovers.`
+                };
+            }
+        },
+
+        'percent-change': {
+            label: 'Moves by percent',
+            validate(rule) {
+                const errors = [];
+                if (!isPositiveNumber(rule.percent)) errors.push('Percent must be a positive number');
+                if (!!rule.hours === !!rule.days) {
+                    errors.push('Specify exactly one of hours or days for the percent change window');
+                } else if (!isPositiveInteger(rule.hours || rule.days)) {
+                    errors.push('The percent change window must be a positive whole number');
+                }
+                if (rule.direction !== undefined && !['up', 'down', 'either'].includes(rule.direction)) {
+                    errors.push('Direction must be up, down or either');
+                }
+                return errors;
+            },
+            describe(rule, pair) {
+                const direction = rule.direction === 'up' ? 'rises' : rule.direction === 'down' ? 'falls' : 'moves';
+                return `${CurrencyPairs.pairLabel(pair)} ${direction} by ${rule.percent}% or more within ${formatWindow(rule)}`;
+            },
+            evaluate(rule, { pair, rate, now, history }) {
+                const windowMs = rule.hours ? rule.hours * HOUR_MS : rule.days * DAY_MS;
+                const referenceRate = history.rateAt(now - windowMs);
+                if (!referenceRate) return { triggered: false };
+
+                const change = ((rate - referenceRate) / referenceRate) * 100;
+                const direction = rule.direction || 'either';
+                const triggered = (direction !== 'down' && change >= rule.percent) ||
+                    (direction !== 'up' && change <= -rule.percent);
+
+                return {
+                    triggered,
+                    detail: `${CurrencyPairs.pairLabel(pair)} moved ${change >= 0 ? '+' : ''}${change.toFixed(2)}% in ${formatWindow(rule)} (from ${formatValue(referenceRate, pair)} to ${formatRate(rate, pair)}).`
+                };
+            }
+        },
+
+        'moving-average-cross': {
+            label: 'Crosses moving average',
+            validate(rule) {
+                const errors = [];
+                if (!isPositiveInteger(rule.period) || rule.period < 2) {
+                    errors.push('Moving average period must be a whole number of days, at least 2');
+                }
+                if (!['above', 'below'].includes(rule.direction)) {
+                    errors.push('Direction must be above or below');
+                }
+                return errors;
+            },
+            describe(rule, pair) {
+                return `${CurrencyPairs.pairLabel(pair)} crosses ${rule.direction} its ${rule.period}-day moving average`;
+            },
+            evaluate(rule, { pair, rate, history, state = {} }) {
+                const closes = history.dailyCloses(rule.period);
+                if (closes.length < rule.period) return { triggered: false, state };
+
+                const average = Indicators.latest(Indicators.sma(closes, rule.period));
+                const side = rate >= average ? 'above' : 'below';
+
+                // Only a change of side counts as a cross; the first evaluation just records the side
+                return {
+                    triggered: !!state.side && state.side !== side && side === rule.direction,
+                    state: { side },
+                    detail: `${CurrencyPairs.pairLabel(pair)} at ${formatRate(rate, pair)} crossed ${side} its ${rule.period}-day moving average of ${formatValue(average, pair)}.`
+                };
+            }
+        },
+
+        'volatility-spike': {
+            label: 'Volatility spike',
+            validate(rule) {
+                const errors = [];
+                if (!isPositiveNumber(rule.percent)) errors.push('Volatility percent must be a positive number');
+                if (rule.days !== undefined && (!isPositiveInteger(rule.days) || rule.days < 2)) {
+                    errors.push('Volatility window must be a whole number of days, at least 2');
+                }
+                return errors;
+            },
+            describe(rule, pair) {
+                return `${CurrencyPairs.pairLabel(pair)} volatility rises above ${rule.percent}% over ${rule.days || 7} days`;
+            },
+            evaluate(rule, { history }) {
+                const days = rule.days || 7;
+                const closes = history.dailyCloses(days);
+                if (closes.length < days) return { triggered: false };
+
+                const volatility = calculateVolatility(closes);
+                return {
+                    triggered: volatility > rule.percent,
+                    detail: `${days}-day volatility is ${volatility.toFixed(2)}%, above your ${rule.percent}% limit. Expect larger swings.`
+                };
+            }
+        },
+
+        'recommendation-change': {
+            label: 'Recommendation changes',
+            validate(rule) {
+                const errors = [];
+                for (const field of ['from', 'to']) {
+                    if (rule[field] !== undefined && !RECOMMENDATIONS.includes(rule[field])) {
+                        errors.push(`${field} must be one of ${RECOMMENDATIONS.join(', ')}`);
+                    }
+                }
+                return errors;
+            },
+            describe(rule, pair) {
+                const from = rule.from ? ` from ${rule.from}` : '';
+                const to = rule.to ? ` to ${rule.to}` : '';
+                return `${CurrencyPairs.pairLabel(pair)} investment recommendation changes${from}${to}`;
+            },
+            evaluate(rule, { history, state = {}, recommendationThresholds }) {
+                const closes = history.dailyCloses(30);
+                if (closes.length < 7) return { triggered: false, state };
+
+                const { trend7d, volatility } = recommendationInputs(closes);
+                const recommendation = classifyRecommendation(trend7d, volatility, recommendationThresholds);
+                const previous = state.recommendation;
+
+                const triggered = !!previous && previous !== recommendation &&
+                    (!rule.from || rule.from === previous) &&
+                    (!rule.to || rule.to === recommendation);
+
+                return {
+                    triggered,
+                    state: { recommendation },
+                    detail: `Recommendation changed from ${previous} to ${recommendation} (7-day trend ${trend7d.toFixed(2)}%, volatility ${volatility.toFixed(2)}%).`
+                };
+            }
+        },
+
+        'provider-rate-above': providerRateRule('above'),
+
+        'provider-rate-below': providerRateRule('below'),
+
+        // Fires once on each planned conversion date of a DCA plan (from 00:00 UTC). `state.reminders` keeps the
+        // rate at every reminder sent, which stands in for the plan's running average.
+        'dca-reminder': {
+            label: 'DCA plan reminders',
+            messageTitle: 'THB DCA Reminder',
+            // Every planned date needs its own reminder, so these alerts repeat by default
+            defaultPolicy: { mode: 'recurring', cooldownMinutes: 0 },
+            validate(rule) {
+                return DcaPlanner.validatePlan(rule);
+            },
+            describe(rule, pair) {
+                return `${CurrencyPairs.pairLabel(pair)} DCA plan: ${DcaPlanner.describePlan(rule)}`;
+            },
+            evaluate(rule, { pair, rate, now, state = {} }) {
+                const today = new Date(now).toISOString().split('T')[0];
+                const due = DcaPlanner.dueConversion(rule, today);
+                if (!due || due.date === state.lastReminderDate) return { triggered: false, state };
+
+                const reminders = state.reminders || [];
+                const total = DcaPlanner.scheduleDates(rule).length;
+                const { quote } = CurrencyPairs.getPair(pair);
+
+                let comparison = 'This is the first conversion of your plan.';
+                if (reminders.length > 0) {
+                    const runningAverage = reminders.reduce((sum, reminder) => sum + reminder.rate, 0) / reminders.length;
+                    const difference = (rate - runningAverage) / runningAverage * 100;
+                    comparison = `That is ${Math.abs(difference).toFixed(2)}% ${difference >= 0 ? 'above' : 'below'} your plan's running average of ` +
+                        `${formatValue(runningAverage, pair)} (${difference >= 0 ? 'more' : 'less'} ${quote} per THB than so far).`;
+                }
+
+                return {
+                    triggered: true,
+                    state: {
+                        lastReminderDate: due.date,
+                        reminders: [...reminders, { date: due.date, rate }]
+                    },
+                    detail: `Planned conversion ${due.number} of ${total}: convert ${Math.round(due.amountThb).toLocaleString('en-US')} THB to ${quote} today. ` +
+                        `${CurrencyPairs.pairLabel(pair)} is ${formatRate(rate, pair)}. ${comparison}`
+                };
+            }
+        },
+
+        'daily-digest': digestRule('daily'),
+
+        'weekly-digest': digestRule('weekly')
+    };
+
+    function validateRule(rule) {
+        if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+            return ['Rule must be an object with a type'];
+        }
+
+        const ruleType = RULE_TYPES[rule.type];
+        if (!ruleType) {
+            return [`Rule type must be one of ${Object.keys(RULE_TYPES).join(', ')}`];
+        }
+
+        return ruleType.validate(rule);
+    }
+
+    function describeRule(rule, pair = CurrencyPairs.DEFAULT_PAIR) {
+        return RULE_TYPES[rule.type].describe(rule, pair);
+    }
+
+    function evaluateRule(rule, context) {
+        return RULE_TYPES[rule.type].evaluate(rule, {
+            now: Date.now(),
+            pair: CurrencyPairs.DEFAULT_PAIR,
+            ...context
+        });
+    }
+
+    // Heading of the rule's notifications (the email subject and the start of the SMS)
+    function messageTitleFor(rule) {
+        return RULE_TYPES[rule.type].messageTitle || 'THB Investment Alert';
+    }
+
+    function buildAlertMessage(rule, result, pair = CurrencyPairs.DEFAULT_PAIR) {
+        return `🚨 ${messageTitleFor(rule)}: ${result.detail} (Your alert: ${describeRule(rule, pair)})`;
+    }
+
+    function isScheduledRule(rule) {
+        return !!RULE_TYPES[rule.type].scheduled;
+    }
+
+    // The re-arm policy a new alert with this rule gets when none is given, or undefined for the usual default
+    function defaultPolicyFor(rule) {
+        return RULE_TYPES[rule.type].defaultPolicy;
+    }
+
+    return {
+        RULE_TYPES,
+        RECOMMENDATIONS,
+        DEFAULT_RECOMMENDATION_THRESHOLDS,
+        validateRule,
+        describeRule,
+        evaluateRule,
+        buildAlertMessage,
+        defaultPolicyFor,
+        messageTitleFor,
+        isScheduledRule,
+        classifyRecommendation,
+        recommendationAdvice,
+        recommendationInputs,
+        parseRecommendationThresholds,
+        calculateTrend,
+        calculateVolatility,
+        createSeriesHistory
+    };
+}));
@@ -0,0 +1,236 @@
+// Alert Storage for THB to USD Exchange Rate Monitor
+// Keeps registered alerts in memory and optionally persists them to a JSON file
+
+const crypto = require('crypto');
+const path = require('path');
+const { readJsonFile, writeJsonFileAtomic } = require('./json-file');
+const { DEFAULT_POLICY } = require('./alert-policy');
+
+const SCHEMA_VERSION = 8;
+
+function generateAlertId() {
+    return crypto.randomUUID();
+}
+
+// Each migration upgrades the stored document from version N to N + 1
+const MIGRATIONS = {
+    // Version 0: a bare { alertId: alert } object with no envelope
+    0: (data) => ({
+        schemaVersion: 1,
+        alerts: data
+    }),
+
+    // Version 1: alerts keyed by `${phoneNumber}_${threshold}`; version 2 keys them by generated ID
+    1: (data) => {
+        const alerts = {};
+
+        for (const alert of Object.values(data.alerts || {})) {
+            const id = generateAlertId();
+            alerts[id] = {
+                id,
+                ...alert,
+                enabled: true,
+                updatedAt: alert.createdAt
+            };
+        }
+
+        return { schemaVersion: 2, alerts };
+    },
+
+    // Version 2: a bare threshold meant "rate >= threshold"; version 3 stores a typed rule
+    2: (data) => {
+        const alerts = {};
+
+        for (const [id, alert] of Object.entries(data.alerts || {})) {
+            const { threshold, ...rest } = alert;
+            alerts[id] = {
+                ...rest,
+                rule: { type: 'rate-above', threshold }
+            };
+        }
+
+        return { schemaVersion: 3, alerts };
+    },
+
+    // Version 3: a one-shot `triggered` flag; version 4 adds a re-arm policy and moves firing into `fireState`
+    3: (data) => {
+        const alerts = {};
+
+        for (const [id, alert] of Object.entries(data.alerts || {})) {
+            const { triggered, triggeredAt, ...rest } = alert;
+            alerts[id] = {
+                ...rest,
+                policy: { ...DEFAULT_POLICY },
+                fireState: triggered ? { triggered, triggeredAt } : {}
+            };
+        }
+
+        return { schemaVersion: 4, alerts };
+    },
+
+    // Version 4: SMS to the alert's phone number was implied; version 5 lists channels and recipients
+    4: (data) => {
+        const alerts = {};
+
+        for (const [id, alert] of Object.entries(data.alerts || {})) {
+            alerts[id] = {
+                ...alert,
+                channels: [{ type: 'sms', to: alert.phoneNumber }]
+            };
+        }
+
+        return { schemaVersion: 5, alerts };
+    },
+
+    // Version 5: alerts were active immediately; version 6 requires phone verification.
+    // Existing alerts were already texting their numbers, so they are kept active as verified.
+    5: (data) => {
+        const alerts = {};
+
+        for (const [id, alert] of Object.entries(data.alerts || {})) {
+            alerts[id] = {
+                ...alert,
+                verification: { status: 'verified', verifiedAt: null }
+            };
+        }
+
+        return { schemaVersion: 6, alerts };
+    },
+
+    // Version 6 alerts all watched THB/USD; version 7 records the currency pair on each alert
+    6: (data) => {
+        const alerts = {};
+
+        for (const [id, alert] of Object.entries(data.alerts || {})) {
+            alerts[id] = { ...alert, pair: 'THB-USD' };
+        }
+
+        return { schemaVersion: 7, alerts };
+    },
+
+    // Version 7 only verified the phone number; version 8 also records the verified email recipients.
+    // As when phone verification arrived (version 6), addresses that verified alerts already email are kept.
+    7: (data) => {
+        const alerts = {};
+
+        for (const [id, alert] of Object.entries(data.alerts || {})) {
+            const emails = [...new Set((alert.channels || [])
+                .filter(channel => channel.type === 'email')
+                .map(channel => channel.to))];
+            alerts[id] = alert.verification && alert.verification.status === 'verified'
+                ? { ...alert, verification: { ...alert.verification, emails } }
+                : alert;
+        }
+
+        return { schemaVersion: 8, alerts };
+    }
+};
+
+function migrate(document) {
+    let data = document;
+    let version = typeof data.schemaVersion === 'number' ? data.schemaVersion : 0;
+
+    if (version > SCHEMA_VERSION) {
+        throw new Error(`Alert store schema version ${version} is newer than supported version ${SCHEMA_VERSION}`);
+    }
+
+    while (version < SCHEMA_VERSION) {
+        data = MIGRATIONS[version](data);
+        version = data.schemaVersion;
+    }
+
+    return data;
+}
+
+// In-memory backend (the original Map behavior, used for tests and demo mode)
+class MemoryAlertStore {
+    constructor() {
+        this.alerts = new Map();
+    }
+
+    get(id) {
+        return this.alerts.get(id);
+    }
+
+    set(id, alert) {
+        this.alerts.set(id, alert);
+        this.persist();
+        return alert;
+    }
+
+    delete(id) {
+        const deleted = this.alerts.delete(id);
+        if (deleted) this.persist();
+        return deleted;
+    }
+
+    entries() {
+        return Array.from(this.alerts.entries());
+    }
+
+    values() {
+        return Array.from(this.alerts.values());
+    }
+
+    get size() {
+        return this.alerts.size;
+    }
+
+    // Persist alerts that were modified in place
+    save() {
+        this.persist();
+    }
+
+    persist() {
+        // Nothing to do for the in-memory backend
+    }
+}
+
+// File-backed backend: the whole store is rewritten atomically on every change
+class JsonFileAlertStore extends MemoryAlertStore {
+    constructor(filePath) {
+        super();
+        this.filePath = path.resolve(filePath);
+        this.load();
+    }
+
+    load() {
+        const document = readJsonFile(this.filePath);
+        if (!document) return;
+
+        const data = migrate(document);
+        this.alerts = new Map(Object.entries(data.alerts || {}));
+
+        if (document.schemaVersion !== SCHEMA_VERSION) {
+            console.log(`Alert store migrated to schema version ${SCHEMA_VERSION}`);
+            this.persist();
+        }
+    }
+
+    persist() {
+        const document = {
+            schemaVersion: SCHEMA_VERSION,
+            updatedAt: new Date().toISOString(),
+            alerts: Object.fromEntries(this.alerts)
+        };
+
+        writeJsonFileAtomic(this.filePath, document);
+    }
+}
+
+function createAlertStore({ type = 'file', filePath = './data/alerts.json' } = {}) {
+    switch (type) {
+        case 'memory': return new MemoryAlertStore();
+        case 'file': return new JsonFileAlertStore(filePath);
+        default: throw new Error(`Unknown alert store type: ${type}`);
+    }
+}
+
+module.exports = {
+    createAlertStore,
+    MemoryAlertStore,
+    JsonFileAlertStore,
+    generateAlertId,
+    migrate,
+    SCHEMA_VERSION
+};
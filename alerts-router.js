@@ -0,0 +1,407 @@
+// Alert Resources for THB to USD Exchange Rate Monitor
+// REST endpoints for creating, reading, updating and deleting alerts by stable ID
+
+const express = require('express');
+const { generateAlertId } = require('./alert-store');
+const { validateRule, describeRule, defaultPolicyFor } = require('./alert-rules');
+const { validatePolicy, normalizePolicy, describePolicy } = require('./alert-policy');
+const { validateChannels } = require('./notification-channels');
+const { describeVerification, VerificationError } = require('./phone-verification');
+const { DEFAULT_PAIR, PAIR_IDS, isValidPair } = require('./currency-pairs');
+
+const E164_PATTERN = /^\+[1-9]\d{1,14}$/;
+const ACCEPTED_FIELDS = ['phoneNumber', 'pair', 'rule', 'threshold', 'policy', 'channels', 'enabled'];
+
+// SMS only goes to the number the subscriber verifies; other numbers would be texted without their consent
+function smsRecipientErrors(channels, phoneNumber) {
+    const others = channels.filter(channel => channel.type === 'sms' && channel.to !== phoneNumber);
+    return others.length > 0 ? ['SMS channels can only send to the alert\'s phone number'] : [];
+}
+
+function maskPhoneNumber(phoneNumber) {
+    return phoneNumber.replace(/(\d{3})\d{4}(\d{4})/, '$1****$2');
+}
+
+// Validate alert fields; with `partial` only the fields present in the body are checked
+function validateAlertInput(body, { partial = false, webhookHosts } = {}) {
+    const errors = [];
+
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return ['Request body must be a JSON object'];
+    }
+
+    const unknownFields = Object.keys(body).filter(field => !ACCEPTED_FIELDS.includes(field));
+    if (unknownFields.length > 0) {
+        errors.push(`Unknown field(s): ${unknownFields.join(', ')}`);
+    }
+
+    if (!partial || body.phoneNumber !== undefined) {
+        if (typeof body.phoneNumber !== 'string' || !E164_PATTERN.test(body.phoneNumber)) {
+            errors.push('Phone number must be in E.164 format (e.g. +66812345678)');
+        }
+    }
+
+    if (body.pair !== undefined && !isValidPair(body.pair)) {
+        errors.push(`Pair must be one of ${PAIR_IDS.join(', ')}`);
+    }
+
+    // `threshold` is shorthand for a "rises to" rule
+    if (body.rule !== undefined && body.threshold !== undefined) {
+        errors.push('Send either rule or threshold, not both');
+    } else if (body.rule !== undefined) {
+        errors.push(...validateRule(body.rule));
+    } else if (body.threshold !== undefined) {
+        if (typeof body.threshold !== 'number' || !Number.isFinite(body.threshold) || body.threshold <= 0) {
+            errors.push('Threshold must be a positive number');
+        }
+    } else if (!partial) {
+        errors.push('A rule (or a threshold) is required');
+    }
+
+    if (body.policy !== undefined) {
+        errors.push(...validatePolicy(body.policy));
+    }
+
+    if (body.channels !== undefined) {
+        const channelErrors = validateChannels(body.channels, { webhookHosts });
+        errors.push(...channelErrors);
+        if (channelErrors.length === 0 && body.phoneNumber !== undefined) {
+            errors.push(...smsRecipientErrors(body.channels, body.phoneNumber));
+        }
+    }
+
+    if (body.enabled !== undefined && typeof body.enabled !== 'boolean') {
+        errors.push('Enabled must be true or false');
+    }
+
+    return errors;
+}
+
+function ruleFromInput(body) {
+    if (body.rule !== undefined) return body.rule;
+    if (body.threshold !== undefined) return { type: 'rate-above', threshold: body.threshold };
+    return undefined;
+}
+
+function sendError(res, status, error, details) {
+    const body = { success: false, error };
+    if (details) body.details = details;
+    return res.status(status).json(body);
+}
+
+// Answer 429 for a limit reported by consumeAll, with the Retry-After header
+function sendLimited(res, limited, error) {
+    res.set('Retry-After', Math.ceil((limited.resetAt - Date.now()) / 1000).toString());
+    return sendError(res, 429, error,
+        `The ${limited.name} of ${limited.limit} has been reached; retry after ${new Date(limited.resetAt).toISOString()}`);
+}
+
+function serializeAlert(alert, { mask = false } = {}) {
+    return {
+        id: alert.id,
+        phoneNumber: mask ? maskPhoneNumber(alert.phoneNumber) : alert.phoneNumber,
+        pair: alert.pair,
+        rule: alert.rule,
+        description: describeRule(alert.rule, alert.pair),
+        threshold: alert.rule.threshold,
+        policy: normalizePolicy(alert.policy),
+        policyDescription: describePolicy(alert.policy),
+        // Masked listings only reveal which kinds of channel an alert uses
+        channels: mask ? alert.channels.map(channel => ({ type: channel.type })) : alert.channels,
+        enabled: alert.enabled,
+        verified: alert.verification.status === 'verified',
+        verification: describeVerification(alert.verification),
+        triggered: !!alert.fireState.triggered,
+        createdAt: alert.createdAt,
+        updatedAt: alert.updatedAt,
+        triggeredAt: alert.fireState.triggeredAt,
+        firesToday: alert.fireState.firesToday || 0
+    };
+}
+
+// Public view of a notification log record (drops the structured payload sent to webhooks)
+function serializeNotification(record) {
+    return {
+        id: record.id,
+        channel: record.channel,
+        to: record.to,
+        pair: record.pair || DEFAULT_PAIR,
+        rate: record.rate,
+        rule: record.rule,
+        description: describeRule(record.rule, record.pair),
+        text: record.message.text,
+        status: record.status,
+        messageSid: record.messageSid || null,
+        attempts: record.attempts,
+        error: record.error || null,
+        nextRetryAt: record.nextRetryAt || null,
+        demo: !!record.demo,
+        createdAt: record.createdAt,
+        updatedAt: record.updatedAt
+    };
+}
+
+// Pass rejected promises from async handlers on to the error middleware
+function asyncRoute(handler) {
+    return (req, res, next) => handler(req, res, next).catch(next);
+}
+
+function sendVerificationError(res, error) {
+    if (error instanceof VerificationError) {
+        return sendError(res, error.status, error.message, error.details);
+    }
+
+    console.error('Error sending verification code:', error);
+    return sendError(res, 502, 'Failed to send verification code', error.message);
+}
+
+// Send a verification code, keeping the alert (unverified) if delivery fails so the code can be resent
+async function startVerification(verifier, alert) {
+    try {
+        await verifier.start(alert);
+        return null;
+    } catch (error) {
+        console.error('Error starting phone verification:', error.message);
+        if (!alert.verification || !alert.verification.status) {
+            alert.verification = { status: 'unverified' };
+        }
+        return error.message;
+    }
+}
+
+// An alert's ID is what lets a subscriber read, change or delete it, so only its creator and operators
+// (`requireAuth`) ever see it. Anyone can create an alert, so `limitVerification(req, phoneNumber)` is asked before
+// every verification code goes out and returns the limit that was hit, or null.
+function createAlertsRouter({ store, verifier, notificationLog, requireAuth, webhookHosts, limitVerification = () => null }) {
+    const router = express.Router();
+
+    // Look up the alert named in the URL or respond with 404
+    router.param('id', (req, res, next, id) => {
+        const alert = store.get(id);
+        if (!alert) {
+            return sendError(res, 404, 'Alert not found', `No alert with id ${id}`);
+        }
+        req.alert = alert;
+        next();
+    });
+
+    // List alerts (operators only); phone numbers are masked unless filtered by number
+    router.get('/', requireAuth, (req, res) => {
+        const { phoneNumber, pair } = req.query;
+        let alerts = store.values();
+
+        if (phoneNumber) {
+            alerts = alerts.filter(alert => alert.phoneNumber === phoneNumber);
+        }
+        if (pair) {
+            alerts = alerts.filter(alert => alert.pair === pair);
+        }
+
+        res.json({
+            success: true,
+            total: alerts.length,
+            alerts: alerts.map(alert => serializeAlert(alert, { mask: !phoneNumber }))
+        });
+    });
+
+    // New alerts stay pending until the phone number is verified with POST /:id/verify
+    router.post('/', asyncRoute(async (req, res) => {
+        const errors = validateAlertInput(req.body, { webhookHosts });
+        if (errors.length > 0) {
+            return sendError(res, 400, 'Invalid alert', errors.join('; '));
+        }
+
+        const { phoneNumber, enabled = true } = req.body;
+        const limited = limitVerification(req, phoneNumber);
+        if (limited) {
+            return sendLimited(res, limited, 'Too many verification codes');
+        }
+
+        const rule = ruleFromInput(req.body);
+        const now = new Date();
+        const alert = {
+            id: generateAlertId(),
+            phoneNumber,
+            pair: req.body.pair || DEFAULT_PAIR,
+            rule,
+            policy: normalizePolicy(req.body.policy || defaultPolicyFor(rule)),
+            // Without explicit channels, alerts go by SMS to the alert's phone number
+            channels: req.body.channels || [{ type: 'sms', to: phoneNumber }],
+            enabled,
+            verification: {},
+            fireState: {},
+            createdAt: now,
+            updatedAt: now
+        };
+
+        const verificationError = await startVerification(verifier, alert);
+        store.set(alert.id, alert);
+        console.log('Alert created:', { id: alert.id, pair: alert.pair, rule: rule.type });
+
+        const body = { success: true, alert: serializeAlert(alert) };
+        if (verificationError) body.verificationError = verificationError;
+        res.status(201).json(body);
+    }));
+
+    router.get('/:id', (req, res) => {
+        res.json({ success: true, alert: serializeAlert(req.alert) });
+    });
+
+    router.patch('/:id', asyncRoute(async (req, res) => {
+        const alert = req.alert;
+        const errors = validateAlertInput(req.body, { partial: true, webhookHosts });
+        if (errors.length === 0 && req.body.channels !== undefined && req.body.phoneNumber === undefined) {
+            errors.push(...smsRecipientErrors(req.body.channels, alert.phoneNumber));
+        }
+        if (errors.length > 0) {
+            return sendError(res, 400, 'Invalid alert', errors.join('; '));
+        }
+
+        const rule = ruleFromInput(req.body);
+        // Watching a different pair is a new condition, just like a new rule
+        const ruleChanged = (rule !== undefined && JSON.stringify(rule) !== JSON.stringify(alert.rule)) ||
+            (req.body.pair !== undefined && req.body.pair !== alert.pair);
+        const reenabled = req.body.enabled === true && !alert.enabled;
+        const phoneChanged = req.body.phoneNumber !== undefined && req.body.phoneNumber !== alert.phoneNumber;
+        const channelsChanged = req.body.channels !== undefined &&
+            JSON.stringify(req.body.channels) !== JSON.stringify(alert.channels);
+
+        if (phoneChanged || channelsChanged) {
+            const limited = limitVerification(req, req.body.phoneNumber || alert.phoneNumber);
+            if (limited) {
+                return sendLimited(res, limited, 'Too many verification codes');
+            }
+        }
+
+        if (req.body.channels !== undefined) {
+            alert.channels = req.body.channels;
+        } else if (req.body.phoneNumber !== undefined) {
+            // Keep SMS to the old number pointed at the new one
+            for (const channel of alert.channels) {
+                if (channel.type === 'sms' && channel.to === alert.phoneNumber) channel.to = req.body.phoneNumber;
+            }
+        }
+
+        if (req.body.phoneNumber !== undefined) alert.phoneNumber = req.body.phoneNumber;
+        if (req.body.enabled !== undefined) alert.enabled = req.body.enabled;
+        if (req.body.policy !== undefined) alert.policy = normalizePolicy(req.body.policy);
+
+        if (ruleChanged) {
+            if (rule !== undefined) alert.rule = rule;
+            if (req.body.pair !== undefined) alert.pair = req.body.pair;
+            delete alert.ruleState;
+        }
+
+        // A new rule or a re-enabled alert should be able to fire again
+        if (ruleChanged || reenabled) {
+            alert.fireState = {};
+        }
+
+        // A new phone number or new recipients have to be verified again before the alert fires
+        let verificationError = null;
+        if (phoneChanged || channelsChanged) {
+            alert.verification = {};
+            alert.fireState = {};
+            verificationError = await startVerification(verifier, alert);
+        }
+
+        alert.updatedAt = new Date();
+        store.set(alert.id, alert);
+        console.log('Alert updated:', { id: alert.id });
+
+        const body = { success: true, alert: serializeAlert(alert) };
+        if (verificationError) body.verificationError = verificationError;
+        res.json(body);
+    }));
+
+    // Confirm the phone number with the 6-digit SMS code (`code`) and each email address with its own
+    // (`emailCodes: { address: code }`); they can arrive in one request or several
+    router.post('/:id/verify', asyncRoute(async (req, res) => {
+        const alert = req.alert;
+
+        try {
+            const { code, emailCodes } = req.body || {};
+            await verifier.verify(alert, { code, emailCodes });
+        } catch (error) {
+            // Count failed attempts even though the request failed
+            store.set(alert.id, alert);
+            return sendVerificationError(res, error);
+        }
+
+        alert.updatedAt = new Date();
+        store.set(alert.id, alert);
+        if (alert.verification.status === 'verified') console.log('Alert verified:', { id: alert.id });
+
+        res.json({ success: true, alert: serializeAlert(alert) });
+    }));
+
+    // Send a new verification code
+    router.post('/:id/verification', asyncRoute(async (req, res) => {
+        const alert = req.alert;
+
+        if (alert.verification.status === 'verified') {
+            return sendError(res, 409, 'Alert is already verified');
+        }
+
+        const limited = limitVerification(req, alert.phoneNumber);
+        if (limited) {
+            return sendLimited(res, limited, 'Too many verification codes');
+        }
+
+        try {
+            await verifier.start(alert);
+        } catch (error) {
+            return sendVerificationError(res, error);
+        }
+
+        store.set(alert.id, alert);
+        res.json({ success: true, alert: serializeAlert(alert) });
+    }));
+
+    // Re-arm a single alert by hand (e.g. a one-shot alert the subscriber wants back)
+    router.post('/:id/reset', (req, res) => {
+        const alert = req.alert;
+        alert.fireState = {};
+        alert.updatedAt = new Date();
+        store.set(alert.id, alert);
+        console.log('Alert reset:', { id: alert.id });
+
+        res.json({ success: true, alert: serializeAlert(alert) });
+    });
+
+    // Notifications sent for this alert, newest first
+    router.get('/:id/history', (req, res) => {
+        const limit = req.query.limit === undefined ? 50 : parseInt(req.query.limit, 10);
+
+        if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+            return sendError(res, 400, 'Limit must be a whole number from 1 to 500');
+        }
+
+        const records = notificationLog ? notificationLog.forAlert(req.alert.id) : [];
+
+        res.json({
+            success: true,
+            total: records.length,
+            history: records.slice(0, limit).map(serializeNotification)
+        });
+    });
+
+    router.delete('/:id', (req, res) => {
+        store.delete(req.alert.id);
+        console.log('Alert deleted:', { id: req.alert.id });
+
+        res.json({ success: true, message: 'Alert deleted successfully' });
+    });
+
+    return router;
+}
+
+module.exports = {
+    createAlertsRouter,
+    validateAlertInput,
+    serializeAlert,
+    serializeNotification,
+    maskPhoneNumber,
+    sendError,
+    sendLimited
+};
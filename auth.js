@@ -0,0 +1,97 @@
+// API Authentication for THB to USD Exchange Rate Monitor
+// Operator endpoints accept either a static API key or a short-lived HMAC-signed token
+
+const crypto = require('crypto');
+
+// Parse "clientId:key,otherClient:otherKey" into a Map of key -> clientId
+function parseApiKeys(value) {
+    const keys = new Map();
+
+    for (const entry of (value || '').split(',')) {
+        const trimmed = entry.trim();
+        if (!trimmed) continue;
+
+        const separator = trimmed.indexOf(':');
+        if (separator <= 0) {
+            throw new Error('API_KEYS entries must look like clientId:key');
+        }
+        keys.set(trimmed.slice(separator + 1), trimmed.slice(0, separator));
+    }
+
+    return keys;
+}
+
+function safeEqual(a, b) {
+    const bufferA = Buffer.from(a);
+    const bufferB = Buffer.from(b);
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+function signPayload(payload, secret) {
+    return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+// Token format: <clientId>.<expiresAtEpochSeconds>.<signature>
+function signToken(clientId, secret, { ttlSeconds = 3600, now = Date.now() } = {}) {
+    const expiresAt = Math.floor(now / 1000) + ttlSeconds;
+    const payload = `${clientId}.${expiresAt}`;
+    return `${payload}.${signPayload(payload, secret)}`;
+}
+
+function verifyToken(token, secret, { now = Date.now() } = {}) {
+    const parts = token.split('.');
+    if (parts.length !== 3) return null;
+
+    const [clientId, expiresAt, signature] = parts;
+    if (!safeEqual(signature, signPayload(`${clientId}.${expiresAt}`, secret))) return null;
+    if (Number(expiresAt) * 1000 < now) return null;
+
+    return clientId;
+}
+
+function readCredential(req) {
+    const header = req.get('Authorization') || '';
+    if (header.startsWith('Bearer ')) return header.slice('Bearer '.length).trim();
+    return req.get('X-API-Key') || null;
+}
+
+// Express middleware that sets req.clientId or answers 401
+function createApiAuth({ apiKeys = new Map(), tokenSecret = null } = {}) {
+    return (req, res, next) => {
+        const credential = readCredential(req);
+
+        if (!credential) {
+            return res.status(401).json({
+                success: false,
+                error: 'Authentication required',
+                details: 'Send an API key in X-API-Key or a token in Authorization: Bearer <token>'
+            });
+        }
+
+        for (const [key, clientId] of apiKeys) {
+            if (safeEqual(credential, key)) {
+                req.clientId = clientId;
+                return next();
+            }
+        }
+
+        const tokenClientId = tokenSecret ? verifyToken(credential, tokenSecret) : null;
+        if (tokenClientId) {
+            req.clientId = tokenClientId;
+            return next();
+        }
+
+        res.status(401).json({
+            success: false,
+            error: 'Invalid credentials',
+            details: 'The API key or token is unknown or has expired'
+        });
+    };
+}
+
+module.exports = {
+    createApiAuth,
+    parseApiKeys,
+    signToken,
+    verifyToken
+};
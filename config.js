@@ -0,0 +1,46 @@
+// Dashboard Configuration for THB to USD Exchange Rate Monitor
+// Edit these values to choose where historical rates come from
+
+const MonitorConfig = {
+    // SMS service API base URL (alerts and the shared rate history)
+    serviceUrl: 'http://localhost:3001/api',
+
+    // Take live rates, alert triggers and status from the SMS service's stream (GET /api/rates/stream) while it
+    // is reachable; the dashboard polls the rate sources itself whenever the stream is down
+    rateStream: true,
+
+    // Current rate sources, all queried on every refresh and combined by median: 'exchangerate-api', 'open-er-api', 'frankfurter'
+    rateSources: ['exchangerate-api', 'open-er-api', 'frankfurter'],
+
+    // With three or more quotes, a quote further than this from the median is ignored
+    outlierTolerancePercent: 1,
+
+    // Warn (and hold alerts) when the freshest quote is older than this. The free sources publish once a day.
+    staleAfterMinutes: 1500,
+
+    // History providers tried in order until one returns data: 'server', 'frankfurter', 'exchangerate-api', 'csv'
+    historyProviders: ['server', 'frankfurter', 'exchangerate-api', 'csv'],
+
+    // Frankfurter (ECB reference rates) API base URL
+    frankfurterUrl: 'https://api.frankfurter.app',
+
+    // ExchangeRate-API key; its history endpoint is skipped without one
+    exchangeRateApiKey: '',
+
+    // CSV of daily rates served next to index.html, with columns date,rate (quote currency per THB).
+    // {pair} becomes the lower-case pair, e.g. thb-usd-history.csv
+    historyCsvUrl: '{pair}-history.csv',
+
+    // Bank and money changer rate sheets (JSON URLs, see rate-sheets.js for the format), merged in order.
+    // rate-sheets.json is sample data; replace it with real sheets. Set RATE_SHEET_SOURCES for provider alerts.
+    rateSheetSources: ['rate-sheets.json'],
+
+    // Overrides for the investment recommendation's signal thresholds (percent), e.g. { strongBuyTrend: 2.5 }.
+    // Keys: strongBuyTrend, strongBuyVolatility, moderateBuyTrend, moderateBuyVolatility, holdTrend.
+    // Set RECOMMENDATION_THRESHOLDS to match for the SMS service's recommendation-change alerts.
+    recommendationThresholds: {},
+
+    // Fall back to randomly generated rates when every source or provider fails. The dashboard shows a
+    // SIMULATED DATA banner whenever they are used. Keep this off outside of demos.
+    allowSimulatedData: false
+};
@@ -0,0 +1,92 @@
+// Currency Pairs for THB to USD Exchange Rate Monitor
+// The THB pairs the monitor tracks and how their rates are formatted. Rates are always stored as
+// quote currency per THB (direct, e.g. USD per THB); the inverted view shows THB per quote currency.
+// Loaded by the SMS service via require() and by the dashboard as a plain script (window.CurrencyPairs).
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.CurrencyPairs = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    // `decimals` and `invertedDecimals` suit each direction's magnitude; `typicalRate` seeds simulated data
+    const PAIRS = {
+        'THB-USD': { base: 'THB', quote: 'USD', decimals: 6, invertedDecimals: 2, typicalRate: 0.0275 },
+        'THB-EUR': { base: 'THB', quote: 'EUR', decimals: 6, invertedDecimals: 2, typicalRate: 0.026 },
+        'THB-JPY': { base: 'THB', quote: 'JPY', decimals: 4, invertedDecimals: 4, typicalRate: 4.2 },
+        'THB-SGD': { base: 'THB', quote: 'SGD', decimals: 6, invertedDecimals: 2, typicalRate: 0.037 }
+    };
+
+    const PAIR_IDS = Object.keys(PAIRS);
+    const DEFAULT_PAIR = 'THB-USD';
+
+    function isValidPair(pair) {
+        return PAIR_IDS.includes(pair);
+    }
+
+    function getPair(pair) {
+        return PAIRS[pair] || PAIRS[DEFAULT_PAIR];
+    }
+
+    function pairLabel(pair) {
+        const { base, quote } = getPair(pair);
+        return `${base}/${quote}`;
+    }
+
+    function rateUnit(pair, inverted = false) {
+        const { base, quote } = getPair(pair);
+        return inverted ? `${base} per ${quote}` : `${quote} per ${base}`;
+    }
+
+    // A stored (direct) rate in the requested direction
+    function displayRate(rate, inverted = false) {
+        return inverted ? 1 / rate : rate;
+    }
+
+    function decimalsFor(pair, inverted = false) {
+        const { decimals, invertedDecimals } = getPair(pair);
+        return inverted ? invertedDecimals : decimals;
+    }
+
+    // Rounded number only, e.g. "0.027512" or, inverted, "36.35"
+    function formatValue(rate, pair, inverted = false) {
+        return displayRate(rate, inverted).toFixed(decimalsFor(pair, inverted));
+    }
+
+    // Number with its unit, e.g. "0.027512 USD per THB"
+    function formatRate(rate, pair, inverted = false) {
+        return `${formatValue(rate, pair, inverted)} ${rateUnit(pair, inverted)}`;
+    }
+
+    // Every tracked pair's direct rate from an exchangerate-api style table quoted per USD ({ THB: 36.3, EUR: 0.92, ... })
+    function ratesFromUsdQuotes(usdRates) {
+        const rates = {};
+        if (!usdRates || !(usdRates.THB > 0)) return rates;
+
+        for (const pair of PAIR_IDS) {
+            const { quote } = PAIRS[pair];
+            const usdToQuote = quote === 'USD' ? 1 : usdRates[quote];
+            if (usdToQuote > 0) {
+                rates[pair] = usdToQuote / usdRates.THB;
+            }
+        }
+
+        return rates;
+    }
+
+    return {
+        PAIRS,
+        PAIR_IDS,
+        DEFAULT_PAIR,
+        isValidPair,
+        getPair,
+        pairLabel,
+        rateUnit,
+        displayRate,
+        decimalsFor,
+        formatValue,
+        formatRate,
+        ratesFromUsdQuotes
+    };
+}));
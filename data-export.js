@@ -0,0 +1,386 @@
+// Data Export for THB to USD Exchange Rate Monitor
+// Builds tables of rate history, indicators and notification history and writes them as CSV, JSON or XLSX.
+// A table is { name, columns: [{ key, label, type }], rows: [{ [key]: value }] } with type 'date' (YYYY-MM-DD),
+// 'datetime' (ISO 8601, UTC), 'number' or 'text'. XLSX files are written here without a library: a stored
+// (uncompressed) ZIP of the few SpreadsheetML parts a workbook needs.
+// Loaded by the SMS service via require() and by the dashboard as a plain script (window.DataExport).
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./currency-pairs'), require('./indicators'));
+    } else {
+        root.DataExport = factory(root.CurrencyPairs, root.Indicators);
+    }
+}(typeof self !== 'undefined' ? self : this, function (CurrencyPairs, Indicators) {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    // Days between Excel's epoch (1899-12-30) and the Unix epoch
+    const EXCEL_EPOCH_OFFSET_DAYS = 25569;
+
+    const FORMATS = {
+        csv: { label: 'CSV', mimeType: 'text/csv; charset=utf-8', extension: 'csv' },
+        json: { label: 'JSON', mimeType: 'application/json; charset=utf-8', extension: 'json' },
+        xlsx: { label: 'Excel (XLSX)', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+    };
+
+    function round(value) {
+        return value === null || value === undefined || !Number.isFinite(value) ? null : parseFloat(value.toPrecision(10));
+    }
+
+    // Daily rates in both directions. Labels name the unit, e.g. "USD per THB", so an exported CSV imports back
+    // into the right direction.
+    function historyTable(data, pair) {
+        return {
+            name: `${CurrencyPairs.pairLabel(pair).replace('/', '-')} history`,
+            columns: [
+                { key: 'date', label: 'Date', type: 'date' },
+                { key: 'rate', label: CurrencyPairs.rateUnit(pair), type: 'number' },
+                { key: 'inverse', label: CurrencyPairs.rateUnit(pair, true), type: 'number' }
+            ],
+            rows: data.map(point => ({ date: point.date, rate: point.rate, inverse: round(1 / point.rate) }))
+        };
+    }
+
+    // A point in the other quoting direction; inverting swaps its high and low
+    function invertPoint(point) {
+        const inverted = { ...point, rate: 1 / point.rate };
+        if (point.high !== undefined) inverted.low = 1 / point.high;
+        if (point.low !== undefined) inverted.high = 1 / point.low;
+        return inverted;
+    }
+
+    // The chart's indicators over `data`, computed in the requested quoting direction
+    function indicatorTable(data, pair, { inverted = false } = {}) {
+        const series = inverted ? data.map(invertPoint) : data;
+        const sma = Indicators.sma(series, 20);
+        const ema = Indicators.ema(series, 20);
+        const bands = Indicators.bollinger(series, { period: 20, multiplier: 2 });
+        const rsi = Indicators.rsi(series, 14);
+        const macd = Indicators.macd(series, { fast: 12, slow: 26, signal: 9 });
+        const atr = Indicators.atr(series, 14);
+        const volatility = Indicators.rollingVolatility(series, { period: 20 });
+
+        return {
+            name: `${CurrencyPairs.pairLabel(pair).replace('/', '-')} indicators`,
+            columns: [
+                { key: 'date', label: 'Date', type: 'date' },
+                { key: 'rate', label: CurrencyPairs.rateUnit(pair, inverted), type: 'number' },
+                { key: 'sma20', label: 'SMA 20', type: 'number' },
+                { key: 'ema20', label: 'EMA 20', type: 'number' },
+                { key: 'bollingerUpper', label: 'Bollinger upper (20, 2)', type: 'number' },
+                { key: 'bollingerLower', label: 'Bollinger lower (20, 2)', type: 'number' },
+                { key: 'rsi14', label: 'RSI 14', type: 'number' },
+                { key: 'macd', label: 'MACD (12, 26)', type: 'number' },
+                { key: 'macdSignal', label: 'MACD signal (9)', type: 'number' },
+                { key: 'macdHistogram', label: 'MACD histogram', type: 'number' },
+                { key: 'atr14', label: 'ATR 14', type: 'number' },
+                { key: 'volatility20', label: 'Volatility 20d (annualized %)', type: 'number' }
+            ],
+            rows: series.map((point, index) => ({
+                date: point.date,
+                rate: round(point.rate),
+                sma20: round(sma[index].value),
+                ema20: round(ema[index].value),
+                bollingerUpper: round(bands[index].upper),
+                bollingerLower: round(bands[index].lower),
+                rsi14: round(rsi[index].value),
+                macd: round(macd[index].macd),
+                macdSignal: round(macd[index].signal),
+                macdHistogram: round(macd[index].histogram),
+                atr14: round(atr[index].value),
+                volatility20: round(volatility[index].value)
+            }))
+        };
+    }
+
+    // Notification log entries as served by GET /api/alerts/:id/history (plus `alertId` when present)
+    function notificationTable(entries) {
+        return {
+            name: 'Notifications',
+            columns: [
+                { key: 'createdAt', label: 'Sent (UTC)', type: 'datetime' },
+                { key: 'alertId', label: 'Alert ID', type: 'text' },
+                { key: 'pair', label: 'Pair', type: 'text' },
+                { key: 'description', label: 'Alert', type: 'text' },
+                { key: 'rate', label: 'Rate', type: 'number' },
+                { key: 'channel', label: 'Channel', type: 'text' },
+                { key: 'to', label: 'To', type: 'text' },
+                { key: 'text', label: 'Message', type: 'text' },
+                { key: 'status', label: 'Status', type: 'text' },
+                { key: 'attempts', label: 'Attempts', type: 'number' },
+                { key: 'error', label: 'Error', type: 'text' },
+                { key: 'updatedAt', label: 'Updated (UTC)', type: 'datetime' }
+            ],
+            rows: entries.map(entry => ({
+                createdAt: entry.createdAt,
+                alertId: entry.alertId || null,
+                pair: entry.pair ? CurrencyPairs.pairLabel(entry.pair) : null,
+                description: entry.description,
+                rate: entry.rate,
+                channel: entry.channel,
+                to: entry.to,
+                text: entry.text,
+                status: entry.status,
+                attempts: entry.attempts,
+                error: entry.error,
+                updatedAt: entry.updatedAt
+            }))
+        };
+    }
+
+    function csvCell(value) {
+        if (value === null || value === undefined) return '';
+        if (typeof value === 'number') return String(value);
+
+        let text = String(value);
+        // Spreadsheets run text starting with these as a formula
+        if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // RFC 4180 CSV with a header row of labels. The byte order mark makes Excel read it as UTF-8.
+    function toCsv(table) {
+        const lines = [
+            table.columns.map(column => csvCell(column.label)).join(','),
+            ...table.rows.map(row => table.columns.map(column => csvCell(row[column.key])).join(','))
+        ];
+        return `\uFEFF${lines.join('\r\n')}\r\n`;
+    }
+
+    function toJson(table, meta = {}) {
+        return JSON.stringify({
+            ...meta,
+            exportedAt: new Date().toISOString(),
+            columns: table.columns.map(({ key, label, type }) => ({ key, label, type })),
+            rows: table.rows
+        }, null, 2);
+    }
+
+    const CRC_TABLE = (() => {
+        const table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            table[n] = c >>> 0;
+        }
+        return table;
+    })();
+
+    function crc32(bytes) {
+        let crc = 0xFFFFFFFF;
+        for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    function concat(chunks) {
+        const result = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+        let offset = 0;
+        for (const chunk of chunks) {
+            result.set(chunk, offset);
+            offset += chunk.length;
+        }
+        return result;
+    }
+
+    // A ZIP archive of { path: text } with every file stored uncompressed and dated 1980-01-01
+    function zip(files) {
+        const encoder = new TextEncoder();
+        // MS-DOS date: years since 1980 << 9 | month << 5 | day
+        const DOS_DATE = (1 << 5) | 1;
+        const entries = [];
+        const directory = [];
+        let offset = 0;
+
+        for (const [path, text] of Object.entries(files)) {
+            const name = encoder.encode(path);
+            const data = encoder.encode(text);
+            const crc = crc32(data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(12, DOS_DATE, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            entries.push(new Uint8Array(local.buffer), name, data);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true);
+            central.setUint16(4, 20, true);
+            central.setUint16(6, 20, true);
+            central.setUint16(14, DOS_DATE, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true);
+            directory.push(new Uint8Array(central.buffer), name);
+
+            offset += 30 + name.length + data.length;
+        }
+
+        const directoryBytes = concat(directory);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, Object.keys(files).length, true);
+        end.setUint16(10, Object.keys(files).length, true);
+        end.setUint32(12, directoryBytes.length, true);
+        end.setUint32(16, offset, true);
+
+        return concat([...entries, directoryBytes, new Uint8Array(end.buffer)]);
+    }
+
+    function escapeXml(text) {
+        return String(text)
+            // Control characters are not allowed in XML 1.0
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // Zero-based column index to its spreadsheet letters (0 -> A, 26 -> AA)
+    function columnName(index) {
+        let name = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            name = String.fromCharCode(65 + (n - 1) % 26) + name;
+        }
+        return name;
+    }
+
+    // Style indexes defined in STYLES_XML
+    const STYLE = { header: 1, date: 2, datetime: 3 };
+    const COLUMN_WIDTHS = { date: 12, datetime: 20, number: 16, text: 30 };
+
+    const STYLES_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        '<numFmts count="2"><numFmt numFmtId="164" formatCode="yyyy-mm-dd"/><numFmt numFmtId="165" formatCode="yyyy-mm-dd hh:mm:ss"/></numFmts>' +
+        '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+        '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+        '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+        '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+        '<cellXfs count="4">' +
+        '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+        '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+        '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+        '<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+        '</cellXfs>' +
+        '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+        '</styleSheet>';
+
+    // Dates become Excel serial numbers (days since 1899-12-30, UTC) so spreadsheets can sort and chart them
+    function excelSerial(value, type) {
+        const time = type === 'date' ? new Date(`${value}T00:00:00Z`).getTime() : new Date(value).getTime();
+        return Number.isFinite(time) ? time / DAY_MS + EXCEL_EPOCH_OFFSET_DAYS : null;
+    }
+
+    function cellXml(value, column, reference) {
+        if (value === null || value === undefined || value === '') return '';
+
+        if (column.type === 'date' || column.type === 'datetime') {
+            const serial = excelSerial(value, column.type);
+            if (serial !== null) return `<c r="${reference}" s="${STYLE[column.type]}"><v>${serial}</v></c>`;
+        } else if (column.type === 'number' && typeof value === 'number' && Number.isFinite(value)) {
+            return `<c r="${reference}"><v>${value}</v></c>`;
+        }
+        return `<c r="${reference}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+    }
+
+    function worksheetXml(table) {
+        const header = table.columns
+            .map((column, index) => `<c r="${columnName(index)}1" t="inlineStr" s="${STYLE.header}"><is><t>${escapeXml(column.label)}</t></is></c>`)
+            .join('');
+        const rows = table.rows.map((row, rowIndex) => {
+            const cells = table.columns
+                .map((column, index) => cellXml(row[column.key], column, `${columnName(index)}${rowIndex + 2}`))
+                .join('');
+            return `<row r="${rowIndex + 2}">${cells}</row>`;
+        });
+        const widths = table.columns
+            .map((column, index) => `<col min="${index + 1}" max="${index + 1}" width="${COLUMN_WIDTHS[column.type] || 16}" customWidth="1"/>`)
+            .join('');
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+            `<cols>${widths}</cols>` +
+            `<sheetData><row r="1">${header}</row>${rows.join('')}</sheetData>` +
+            '</worksheet>';
+    }
+
+    // Sheet names are at most 31 characters and may not contain []:*?/\
+    function sheetName(name, index) {
+        return escapeXml((name || `Sheet${index + 1}`).replace(/[[\]:*?/\\]/g, '-').slice(0, 31));
+    }
+
+    // An XLSX workbook (Uint8Array) with one worksheet per table
+    function toXlsx(tables) {
+        const worksheets = {};
+        tables.forEach((table, index) => {
+            worksheets[`xl/worksheets/sheet${index + 1}.xml`] = worksheetXml(table);
+        });
+
+        const overrides = tables
+            .map((table, index) => `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`)
+            .join('');
+        const sheets = tables
+            .map((table, index) => `<sheet name="${sheetName(table.name, index)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`)
+            .join('');
+        const relationships = tables
+            .map((table, index) => `<Relationship Id="rId${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`)
+            .join('');
+
+        return zip({
+            '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+                `${overrides}</Types>`,
+            '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                '</Relationships>',
+            'xl/workbook.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+                `<sheets>${sheets}</sheets></workbook>`,
+            'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                `${relationships}<Relationship Id="rId${tables.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+                '</Relationships>',
+            'xl/styles.xml': STYLES_XML,
+            ...worksheets
+        });
+    }
+
+    // The file contents for `format`: a string for CSV and JSON, a Uint8Array for XLSX. `meta` (e.g. the pair
+    // and date range) is added to JSON exports.
+    function serialize(table, format, meta = {}) {
+        switch (format) {
+            case 'csv': return toCsv(table);
+            case 'json': return toJson(table, meta);
+            case 'xlsx': return toXlsx([table]);
+            default: throw new Error(`Unknown export format "${format}". Use one of ${Object.keys(FORMATS).join(', ')}`);
+        }
+    }
+
+    // e.g. thb-usd-history-2024-01-01-to-2024-03-31.csv
+    function fileName(parts, format) {
+        return `${parts.filter(Boolean).join('-').toLowerCase().replace(/[^a-z0-9-]+/g, '-')}.${FORMATS[format].extension}`;
+    }
+
+    return {
+        FORMATS,
+        historyTable,
+        indicatorTable,
+        notificationTable,
+        toCsv,
+        toJson,
+        toXlsx,
+        serialize,
+        fileName
+    };
+}));
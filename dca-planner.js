@@ -0,0 +1,205 @@
+// DCA Planner for THB to USD Exchange Rate Monitor
+// Dollar-cost averaging plans: a THB budget split into equal conversions on a weekly, fortnightly or monthly
+// schedule over a horizon of months. Simulates a plan against past rates (every start date that fits in the
+// history) and against a few rate scenarios built from recent volatility.
+// Rates are direct (quote currency per THB), so a higher average is better.
+// Loaded by the SMS service via require() and by the dashboard as a plain script (window.DcaPlanner).
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.DcaPlanner = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+    const MAX_HORIZON_MONTHS = 60;
+
+    const FREQUENCIES = {
+        weekly: { label: 'Weekly', days: 7 },
+        biweekly: { label: 'Every two weeks', days: 14 },
+        monthly: { label: 'Monthly', months: 1 }
+    };
+
+    function toDate(date) {
+        return new Date(`${date}T00:00:00Z`);
+    }
+
+    function toDateString(date) {
+        return date.toISOString().split('T')[0];
+    }
+
+    // Same day of the month `months` later, clamped to the end of shorter months
+    function addMonths(date, months) {
+        const result = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+        const lastDay = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+        result.setUTCDate(Math.min(date.getUTCDate(), lastDay));
+        return result;
+    }
+
+    function validatePlan(plan) {
+        const errors = [];
+
+        if (typeof plan.budgetThb !== 'number' || !Number.isFinite(plan.budgetThb) || plan.budgetThb <= 0) {
+            errors.push('Budget must be a positive number of THB');
+        }
+        if (!FREQUENCIES[plan.frequency]) {
+            errors.push(`Frequency must be one of ${Object.keys(FREQUENCIES).join(', ')}`);
+        }
+        if (!Number.isInteger(plan.horizonMonths) || plan.horizonMonths < 1 || plan.horizonMonths > MAX_HORIZON_MONTHS) {
+            errors.push(`Horizon must be a whole number of months from 1 to ${MAX_HORIZON_MONTHS}`);
+        }
+        if (typeof plan.startDate !== 'string' || !DATE_PATTERN.test(plan.startDate) || Number.isNaN(toDate(plan.startDate).getTime())) {
+            errors.push('Start date must be YYYY-MM-DD');
+        }
+
+        return errors;
+    }
+
+    // Conversion dates from `startDate` up to (not including) `horizonMonths` later: ['YYYY-MM-DD', ...]
+    function scheduleDates({ startDate, frequency, horizonMonths }) {
+        const start = toDate(startDate);
+        const end = addMonths(start, horizonMonths);
+        const { days, months } = FREQUENCIES[frequency];
+        const dates = [];
+
+        for (let step = 0; ; step++) {
+            const date = months ? addMonths(start, step * months) : new Date(start.getTime() + step * days * DAY_MS);
+            if (date >= end) break;
+            dates.push(toDateString(date));
+        }
+
+        return dates;
+    }
+
+    // [{ date, number, amountThb }] for every planned conversion
+    function schedule(plan) {
+        const dates = scheduleDates(plan);
+        return dates.map((date, index) => ({ date, number: index + 1, amountThb: plan.budgetThb / dates.length }));
+    }
+
+    // The latest planned conversion on or before `today` ('YYYY-MM-DD'), or null
+    function dueConversion(plan, today) {
+        const due = schedule(plan).filter(conversion => conversion.date <= today);
+        return due.length > 0 ? due[due.length - 1] : null;
+    }
+
+    function mean(values) {
+        return values.reduce((sum, value) => sum + value, 0) / values.length;
+    }
+
+    function percentile(sorted, fraction) {
+        return sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))];
+    }
+
+    // Last rate at or before each date of a date-sorted [{ date, rate }] series
+    function ratesOnDates(data, dates) {
+        let index = 0;
+        return dates.map((date) => {
+            while (index + 1 < data.length && data[index + 1].date <= date) index++;
+            return data[index].date <= date ? data[index].rate : null;
+        });
+    }
+
+    // Replay the plan's shape from every start date whose whole horizon lies inside the history and compare each
+    // run's average rate with converting the whole budget on its first day. Returns null when the history is
+    // shorter than the horizon.
+    //   { runs, dca: { worst, median, best }, lumpSum: { worst, median, best }, dcaBeatLumpSumPercent,
+    //     medianAdvantagePercent, latest: { startDate, averageRate, lumpSumRate } }
+    function simulateHistory(data, plan) {
+        if (data.length < 2) return null;
+
+        const lastDate = data[data.length - 1].date;
+        const runs = [];
+
+        for (const point of data) {
+            const dates = scheduleDates({ ...plan, startDate: point.date });
+            const end = toDateString(addMonths(toDate(point.date), plan.horizonMonths));
+            if (end > lastDate) break;
+
+            const rates = ratesOnDates(data, dates);
+            runs.push({ startDate: point.date, averageRate: mean(rates), lumpSumRate: point.rate });
+        }
+
+        if (runs.length === 0) return null;
+
+        const spread = (values) => {
+            const sorted = values.slice().sort((a, b) => a - b);
+            return { worst: sorted[0], median: percentile(sorted, 0.5), best: sorted[sorted.length - 1] };
+        };
+        const advantages = runs.map(run => (run.averageRate - run.lumpSumRate) / run.lumpSumRate * 100).sort((a, b) => a - b);
+
+        return {
+            runs: runs.length,
+            dca: spread(runs.map(run => run.averageRate)),
+            lumpSum: spread(runs.map(run => run.lumpSumRate)),
+            dcaBeatLumpSumPercent: advantages.filter(advantage => advantage > 0).length / runs.length * 100,
+            medianAdvantagePercent: percentile(advantages, 0.5),
+            latest: runs[runs.length - 1]
+        };
+    }
+
+    // Mean and standard deviation of daily log returns
+    function dailyReturnStats(data) {
+        const returns = data.slice(1).map((point, index) => Math.log(point.rate / data[index].rate));
+        if (returns.length < 2) return null;
+
+        const average = mean(returns);
+        const sd = Math.sqrt(returns.reduce((sum, value) => sum + Math.pow(value - average, 2), 0) / (returns.length - 1));
+        return { mean: average, sd };
+    }
+
+    // Deterministic rate paths from `currentRate` over the plan, sized by the history's daily volatility:
+    // THB strengthening or weakening by one standard deviation of the move over the horizon, no change, and the
+    // history's average drift carried on. Dates before `today` count as today.
+    //   [{ id, label, endRate, averageRate, lumpSumRate, advantagePercent }]
+    function simulateScenarios(data, plan, { currentRate, today }) {
+        const stats = dailyReturnStats(data);
+        if (!stats || !currentRate) return [];
+
+        const dates = scheduleDates(plan);
+        const offsets = dates.map(date => Math.max(0, (toDate(date) - toDate(today)) / DAY_MS));
+        const horizonDays = Math.max(1, offsets[offsets.length - 1]);
+        const oneSd = stats.sd * Math.sqrt(horizonDays);
+
+        const scenarios = [
+            { id: 'strengthens', label: 'THB strengthens (+1 SD)', logMove: oneSd },
+            { id: 'flat', label: 'No change', logMove: 0 },
+            { id: 'weakens', label: 'THB weakens (-1 SD)', logMove: -oneSd },
+            { id: 'trend', label: 'Recent drift continues', logMove: stats.mean * horizonDays }
+        ];
+
+        return scenarios.map(({ id, label, logMove }) => {
+            const rates = offsets.map(offset => currentRate * Math.exp(logMove * offset / horizonDays));
+            const averageRate = mean(rates);
+            return {
+                id,
+                label,
+                endRate: currentRate * Math.exp(logMove),
+                averageRate,
+                lumpSumRate: currentRate,
+                advantagePercent: (averageRate - currentRate) / currentRate * 100
+            };
+        });
+    }
+
+    function describePlan(plan) {
+        const conversions = scheduleDates(plan).length;
+        const amount = Math.round(plan.budgetThb / conversions).toLocaleString('en-US');
+        return `${FREQUENCIES[plan.frequency].label.toLowerCase()} conversions of ${amount} THB ` +
+            `(${conversions} over ${plan.horizonMonths} month${plan.horizonMonths === 1 ? '' : 's'} from ${plan.startDate})`;
+    }
+
+    return {
+        FREQUENCIES,
+        MAX_HORIZON_MONTHS,
+        validatePlan,
+        scheduleDates,
+        schedule,
+        dueConversion,
+        simulateHistory,
+        simulateScenarios,
+        describePlan
+    };
+}));
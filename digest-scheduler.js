@@ -0,0 +1,122 @@
+// Digest Scheduler for THB to USD Exchange Rate Monitor
+// Sends the daily digests and weekly reports (daily-digest and weekly-digest alerts) at each subscriber's send time
+
+const RateSources = require('./rate-sources');
+const { evaluateRule, describeRule, messageTitleFor, isScheduledRule } = require('./alert-rules');
+const { recordFire } = require('./alert-policy');
+const Digest = require('./digest');
+
+// Timers and the current time come from the clock, so a test can pass its own and drive tick() by hand
+const systemClock = {
+    now: () => Date.now(),
+    setInterval: (callback, ms) => setInterval(callback, ms),
+    clearInterval: timer => clearInterval(timer)
+};
+
+// Checks every `intervalMs` which digests are due. `getQuotes` returns the latest quotes by pair; a digest whose
+// pair has no usable quote waits for the next tick (within Digest.SEND_WINDOW_MINUTES of its send time).
+class DigestScheduler {
+    constructor({ store, histories, getQuotes, dispatcher, staleAfterMinutes, recommendationThresholds = {}, intervalMs = 60 * 1000, clock = systemClock }) {
+        this.store = store;
+        this.histories = histories;
+        this.getQuotes = getQuotes;
+        this.dispatcher = dispatcher;
+        this.staleAfterMinutes = staleAfterMinutes;
+        this.recommendationThresholds = recommendationThresholds;
+        this.intervalMs = intervalMs;
+        this.clock = clock;
+        this.timer = null;
+        this.ticking = false;
+        this.lastTickAt = null;
+    }
+
+    start() {
+        if (this.timer) return;
+
+        this.timer = this.clock.setInterval(() => {
+            this.tick().catch(error => {
+                console.error('Error sending digests:', error);
+            });
+        }, this.intervalMs);
+    }
+
+    stop() {
+        if (this.timer) {
+            this.clock.clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    // Send every digest due now. Returns the digests dispatched, delivered or not: [{ alertId, pair, slot, records }]
+    async tick() {
+        // Skip a tick if the previous one is still sending
+        if (this.ticking) return [];
+        this.ticking = true;
+
+        const now = this.clock.now();
+        this.lastTickAt = new Date(now);
+        const sent = [];
+
+        try {
+            for (const alert of this.store.values()) {
+                if (!isScheduledRule(alert.rule) || !alert.enabled || alert.verification.status !== 'verified') continue;
+
+                const quote = this.getQuotes()[alert.pair];
+                if (!quote || RateSources.unusableReason(quote, this.staleAfterMinutes, now)) continue;
+
+                const result = evaluateRule(alert.rule, {
+                    pair: alert.pair,
+                    rate: quote.rate,
+                    now,
+                    history: this.histories[alert.pair],
+                    state: alert.ruleState,
+                    recommendationThresholds: this.recommendationThresholds
+                });
+                if (!result.triggered) continue;
+
+                const description = describeRule(alert.rule, alert.pair);
+                const records = await this.dispatcher.dispatch({
+                    alert,
+                    rate: quote.rate,
+                    message: {
+                        subject: messageTitleFor(alert.rule),
+                        text: result.detail,
+                        html: Digest.renderHtml(result.report, { description }),
+                        data: { alertId: alert.id, pair: alert.pair, rule: alert.rule, description, rate: quote.rate, digest: result.report }
+                    }
+                });
+
+                // Once a channel accepted the digest the slot is done (the dispatcher retries its failed sends).
+                // If none did, the slot stays open and the next tick tries again within the send window.
+                if (records.some(record => record.status !== 'failed')) {
+                    alert.ruleState = result.state;
+                    alert.fireState = recordFire(alert.fireState, { rate: quote.rate, now });
+                    this.store.set(alert.id, alert);
+                    console.log('Digest sent:', { id: alert.id, rule: alert.rule.type, slot: result.state.lastSlot });
+                } else {
+                    console.error('Digest could not be delivered on any channel:', alert.id);
+                }
+
+                sent.push({ alertId: alert.id, pair: alert.pair, slot: result.state.lastSlot, records });
+            }
+        } finally {
+            this.ticking = false;
+        }
+
+        return sent;
+    }
+
+    getStatus() {
+        return {
+            running: !!this.timer,
+            intervalMs: this.intervalMs,
+            lastTickAt: this.lastTickAt,
+            subscriptions: this.store.values().filter(alert => isScheduledRule(alert.rule)).length
+        };
+    }
+}
+
+module.exports = {
+    DigestScheduler,
+    systemClock
+};
@@ -0,0 +1,308 @@
+// Digests for THB to USD Exchange Rate Monitor
+// Scheduled summaries of a currency pair: the daily digest has the current rate, its change since the previous
+// close, the 7- and 30-day trends, volatility, the 7-day projection and the recommendation; the weekly report adds
+// the week's high, low and average. Send times are wall-clock times in each subscriber's own time zone.
+// Loaded by the SMS service via require() and by the dashboard as a plain script (window.Digest).
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./currency-pairs'), require('./indicators'), require('./forecasting'), require('./rate-change'));
+    } else {
+        root.Digest = factory(root.CurrencyPairs, root.Indicators, root.Forecasting, root.RateChange);
+    }
+}(typeof self !== 'undefined' ? self : this, function (CurrencyPairs, Indicators, Forecasting, RateChange) {
+    const MINUTE_MS = 60 * 1000;
+    const DAY_MS = 24 * 60 * MINUTE_MS;
+    const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+    const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+    // A digest that could not go out within this long of its send time (e.g. the service was down) is skipped
+    const SEND_WINDOW_MINUTES = 120;
+    // Daily closes the figures are computed from, as in the dashboard's 30-day view
+    const HISTORY_DAYS = 30;
+    const PROJECTION_DAYS = 7;
+
+    const FREQUENCIES = {
+        daily: { label: 'Daily digest', title: 'THB Daily Digest' },
+        weekly: { label: 'Weekly report', title: 'THB Weekly Report' }
+    };
+
+    function isValidTimeZone(timeZone) {
+        if (typeof timeZone !== 'string' || !timeZone) return false;
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Schedule fields of a digest rule: { timezone, sendTime: 'HH:MM', weekday (weekly only), inverted }
+    function validateSchedule(schedule, frequency) {
+        const errors = [];
+        if (!isValidTimeZone(schedule.timezone)) {
+            errors.push('Time zone must be an IANA time zone name such as Asia/Bangkok');
+        }
+        if (typeof schedule.sendTime !== 'string' || !TIME_PATTERN.test(schedule.sendTime)) {
+            errors.push('Send time must be a 24-hour time such as 08:00');
+        }
+        if (frequency === 'weekly' && !WEEKDAYS.includes(schedule.weekday)) {
+            errors.push(`Weekday must be one of ${WEEKDAYS.join(', ')}`);
+        }
+        if (schedule.inverted !== undefined && typeof schedule.inverted !== 'boolean') {
+            errors.push('Inverted must be true or false');
+        }
+        return errors;
+    }
+
+    function capitalize(text) {
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+
+    function describeSchedule(schedule, frequency) {
+        const days = frequency === 'weekly' ? `every ${capitalize(schedule.weekday)}` : 'every day';
+        return `${FREQUENCIES[frequency].label.toLowerCase()}, ${days} at ${schedule.sendTime} (${schedule.timezone})`;
+    }
+
+    // Wall-clock date ('YYYY-MM-DD') and minutes since midnight of a moment in `timeZone`
+    function localTime(time, timeZone) {
+        const parts = {};
+        const format = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+        for (const { type, value } of format.formatToParts(time)) {
+            parts[type] = value;
+        }
+        return {
+            date: `${parts.year}-${parts.month}-${parts.day}`,
+            minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10)
+        };
+    }
+
+    function addDays(date, days) {
+        return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().split('T')[0];
+    }
+
+    function weekdayOf(date) {
+        return WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+    }
+
+    // The moment a wall-clock time on `date` happens in `timeZone`. The offset is looked up twice so times next
+    // to a daylight saving change come out right; a time inside the skipped hour lands an hour early.
+    function zonedTime(date, sendTime, timeZone) {
+        const [hours, minutes] = sendTime.split(':').map(Number);
+        const wall = Date.parse(`${date}T00:00:00Z`) + (hours * 60 + minutes) * MINUTE_MS;
+        const offsetAt = (time) => {
+            const local = localTime(time, timeZone);
+            return Date.parse(`${local.date}T00:00:00Z`) + local.minutes * MINUTE_MS - Math.floor(time / MINUTE_MS) * MINUTE_MS;
+        };
+
+        const first = wall - offsetAt(wall);
+        return wall - offsetAt(first);
+    }
+
+    function sendOn(schedule, frequency, date) {
+        if (frequency === 'weekly' && weekdayOf(date) !== schedule.weekday) return null;
+        return { slot: date, at: zonedTime(date, schedule.sendTime, schedule.timezone) };
+    }
+
+    // The latest scheduled send at or before `now`: { slot, at } where `slot` is the subscriber's local date
+    function latestSend(schedule, frequency, now) {
+        const today = localTime(now, schedule.timezone).date;
+        for (let back = 0; back <= 7; back++) {
+            const send = sendOn(schedule, frequency, addDays(today, -back));
+            if (send && send.at <= now) return send;
+        }
+        return null;
+    }
+
+    // The first scheduled send after `now`, e.g. for showing when the next digest arrives
+    function nextSend(schedule, frequency, now) {
+        const today = localTime(now, schedule.timezone).date;
+        for (let ahead = 0; ahead <= 8; ahead++) {
+            const send = sendOn(schedule, frequency, addDays(today, ahead));
+            if (send && send.at > now) return send;
+        }
+        return null;
+    }
+
+    // The send due at `now`, or null when it already went out (`lastSlot`) or its window has passed
+    function dueSend(schedule, frequency, now, lastSlot) {
+        const send = latestSend(schedule, frequency, now);
+        if (!send || send.slot === lastSlot || now - send.at > SEND_WINDOW_MINUTES * MINUTE_MS) return null;
+        return send;
+    }
+
+    function mean(values) {
+        return values.reduce((sum, value) => sum + value, 0) / values.length;
+    }
+
+    // The most accurate model's rate in PROJECTION_DAYS, as the dashboard's default projection
+    function projection(closes) {
+        const ranking = Forecasting.rankModels(closes, { horizon: PROJECTION_DAYS });
+        if (ranking.length === 0) return null;
+
+        const points = Forecasting.forecast(closes, ranking[0].model, { horizon: PROJECTION_DAYS });
+        const target = points[points.length - 1];
+        if (!target) return null;
+
+        const lastRate = closes[closes.length - 1].rate;
+        return {
+            percent: (target.mean - lastRate) / lastRate * 100,
+            lower80: target.lower80,
+            upper80: target.upper80,
+            model: ranking[0].label
+        };
+    }
+
+    // High, low and average of the last 7 days' closes and where the current rate stands against the average
+    function weekFigures(closes, rate, now) {
+        const since = new Date(now - 7 * DAY_MS).toISOString().split('T')[0];
+        const rates = closes.filter(point => point.date > since).map(point => point.rate);
+        if (rates.length === 0) return null;
+
+        const average = mean(rates);
+        return {
+            high: Math.max(...rates),
+            low: Math.min(...rates),
+            average,
+            vsAverage: (rate - average) / average * 100,
+            days: rates.length
+        };
+    }
+
+    // The figures of a digest. `history` has rateAt() and dailyCloses() like RateHistory, `rate` is the current
+    // direct rate and `recommendation` the signal with its advice ({ signal, summary, action, risk }) or null.
+    // With `inverted`, rates and the figures computed from them are in the inverse direction (e.g. THB per USD).
+    // `timezone` is the subscriber's, for showing when the digest was made.
+    function buildReport({ history, pair, rate, now, frequency, timezone = 'UTC', inverted = false, recommendation = null }) {
+        const show = value => CurrencyPairs.displayRate(value, inverted);
+        const closes = history.dailyCloses(HISTORY_DAYS).map(point => ({ ...point, rate: show(point.rate) }));
+        const current = show(rate);
+        const previousClose = history.rateAt(RateChange.REFERENCE_POINTS['previous-close'].time(now));
+        const enough = closes.length >= 2;
+
+        return {
+            frequency,
+            pair,
+            inverted,
+            at: new Date(now).toISOString(),
+            timezone,
+            rate: current,
+            unit: CurrencyPairs.rateUnit(pair, inverted),
+            decimals: CurrencyPairs.decimalsFor(pair, inverted),
+            change: previousClose ? RateChange.computeChange(current, show(previousClose)).changePercent : null,
+            trend7d: enough ? Indicators.trend(closes.slice(-7)) : null,
+            trend30d: enough ? Indicators.trend(closes) : null,
+            volatility: enough ? Indicators.volatility(closes) : null,
+            projection: enough ? projection(closes) : null,
+            recommendation,
+            week: frequency === 'weekly' ? weekFigures(closes, current, now) : null
+        };
+    }
+
+    function formatPercent(value) {
+        if (value === null) return 'n/a';
+        return `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
+    }
+
+    function formatNumber(value, report) {
+        return value.toFixed(report.decimals);
+    }
+
+    // The rows both renderings show: [label, value]
+    function reportRows(report) {
+        const rows = [
+            ['Since previous close', formatPercent(report.change)],
+            ['7-day trend', formatPercent(report.trend7d)],
+            ['30-day trend', formatPercent(report.trend30d)],
+            ['Volatility', report.volatility === null ? 'n/a' : `${report.volatility.toFixed(2)}%`]
+        ];
+
+        const { projection: projected } = report;
+        rows.push(['7-day projection', projected
+            ? `${formatPercent(projected.percent)} (80% range ${formatNumber(projected.lower80, report)}–${formatNumber(projected.upper80, report)})`
+            : 'not enough history']);
+
+        if (report.week) {
+            rows.push(
+                ['Week high', formatNumber(report.week.high, report)],
+                ['Week low', formatNumber(report.week.low, report)],
+                ['Week average', `${formatNumber(report.week.average, report)} (now ${formatPercent(report.week.vsAverage)})`]
+            );
+        }
+
+        return rows;
+    }
+
+    // Plain text for SMS and chat channels, kept to a few short lines
+    function renderText(report) {
+        const lines = [
+            `📊 ${FREQUENCIES[report.frequency].title}`,
+            `${CurrencyPairs.pairLabel(report.pair)} ${formatNumber(report.rate, report)} ${report.unit}`,
+            ...reportRows(report).map(([label, value]) => `${label}: ${value}`)
+        ];
+
+        if (report.recommendation) {
+            lines.push(`${report.recommendation.signal}: ${report.recommendation.action}`);
+        }
+        return lines.join('\n');
+    }
+
+    function escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+    }
+
+    // A self-contained HTML email (inline styles only, as mail clients drop style sheets)
+    function renderHtml(report, { description = '' } = {}) {
+        const title = FREQUENCIES[report.frequency].title;
+        const cell = 'padding:6px 12px;border-bottom:1px solid #e9ecef;';
+        const rows = reportRows(report)
+            .map(([label, value]) => `<tr><td style="${cell}color:#7f8c8d;">${escapeHtml(label)}</td><td style="${cell}text-align:right;">${escapeHtml(value)}</td></tr>`)
+            .join('');
+        const { recommendation } = report;
+        const advice = recommendation
+            ? `<h2 style="font-size:16px;color:#2c3e50;margin:24px 0 8px;">Recommendation: ${escapeHtml(recommendation.signal)}</h2>` +
+                `<p style="margin:0 0 8px;">${escapeHtml(recommendation.summary)}</p>` +
+                `<p style="margin:0 0 8px;"><strong>Recommended action:</strong> ${escapeHtml(recommendation.action)}</p>` +
+                `<p style="margin:0;"><strong>Risk level:</strong> ${escapeHtml(recommendation.risk)}</p>`
+            : '';
+
+        return `<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:24px;background:#f5f7fa;font-family:Arial,Helvetica,sans-serif;color:#2c3e50;">
+<div style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:12px;padding:24px;">
+<h1 style="font-size:20px;margin:0 0 4px;">${escapeHtml(title)}</h1>
+<p style="margin:0 0 16px;color:#7f8c8d;">${escapeHtml(new Date(report.at).toLocaleString('en-GB', { timeZone: report.timezone, dateStyle: 'full', timeStyle: 'short' }))} (${escapeHtml(report.timezone)})</p>
+<p style="font-size:28px;font-weight:bold;margin:0;">${escapeHtml(formatNumber(report.rate, report))}</p>
+<p style="margin:0 0 16px;color:#7f8c8d;">${escapeHtml(report.unit)} (${escapeHtml(CurrencyPairs.pairLabel(report.pair))})</p>
+<table style="width:100%;border-collapse:collapse;font-size:14px;">${rows}</table>
+${advice}
+<p style="margin:24px 0 0;font-size:12px;color:#95a5a6;">${escapeHtml(description)}. Projections are statistical extrapolations, not financial advice. To unsubscribe, reply STOP by SMS or cancel the digest on the dashboard.</p>
+</div>
+</body>
+</html>`;
+    }
+
+    return {
+        FREQUENCIES,
+        WEEKDAYS,
+        SEND_WINDOW_MINUTES,
+        isValidTimeZone,
+        validateSchedule,
+        describeSchedule,
+        localTime,
+        zonedTime,
+        latestSend,
+        nextSend,
+        dueSend,
+        buildReport,
+        renderText,
+        renderHtml
+    };
+}));
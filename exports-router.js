@@ -0,0 +1,136 @@
+// Export API for THB to USD Exchange Rate Monitor
+// Downloads of the recorded daily rates, their indicators and the notification history as CSV, JSON or XLSX,
+// built by the same tables as the dashboard's exports (see data-export.js)
+
+const express = require('express');
+const DataExport = require('./data-export');
+const { sendError, serializeNotification } = require('./alerts-router');
+const { PAIR_IDS, DEFAULT_PAIR } = require('./currency-pairs');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// The dashboard's chart periods
+const PERIODS = { '7d': 7, '30d': 30, '90d': 90, '1y': 365 };
+const DEFAULT_PERIOD = '30d';
+const MAX_SPAN_DAYS = 3660;
+
+function parseTime(value) {
+    if (value === undefined) return null;
+    return /^\d+$/.test(value) ? Number(value) : new Date(value).getTime();
+}
+
+function toDateKey(time) {
+    return new Date(time).toISOString().split('T')[0];
+}
+
+// The requested window: `from`/`to` (ISO 8601 dates or timestamps), or `period` back from now.
+// Returns { from, to } or { error, details }.
+function parseWindow(query) {
+    if (query.period !== undefined && !PERIODS[query.period]) {
+        return { error: 'Invalid period', details: `Period must be one of ${Object.keys(PERIODS).join(', ')}` };
+    }
+
+    const to = parseTime(query.to) ?? Date.now();
+    const from = parseTime(query.from) ?? to - PERIODS[query.period || DEFAULT_PERIOD] * DAY_MS;
+
+    if (Number.isNaN(to) || Number.isNaN(from)) {
+        return { error: 'Invalid date', details: 'from and to must be ISO 8601 dates or timestamps' };
+    }
+    if (from > to) {
+        return { error: 'from must be before to' };
+    }
+    if (to - from > MAX_SPAN_DAYS * DAY_MS) {
+        return { error: 'Range is too long', details: `Export at most ${MAX_SPAN_DAYS} days at once` };
+    }
+    return { from, to };
+}
+
+function sendTable(res, table, format, { nameParts, meta }) {
+    const content = DataExport.serialize(table, format, meta);
+
+    res.attachment(DataExport.fileName(nameParts, format));
+    res.type(DataExport.FORMATS[format].mimeType);
+    res.send(typeof content === 'string' ? content : Buffer.from(content));
+}
+
+// `histories` maps each pair to its RateHistory. `requireAuth` guards exports that span every subscriber.
+function createExportsRouter({ histories, store, notificationLog, requireAuth }) {
+    const router = express.Router();
+
+    router.use((req, res, next) => {
+        const format = req.query.format || 'csv';
+        if (!DataExport.FORMATS[format]) {
+            return sendError(res, 400, 'Invalid format', `Format must be one of ${Object.keys(DataExport.FORMATS).join(', ')}`);
+        }
+        req.format = format;
+        next();
+    });
+
+    // Daily closes of a pair (gap-filled like the dashboard's server history) and the window they cover
+    function dailyHistory(req, res) {
+        const pair = req.query.pair || DEFAULT_PAIR;
+        if (!PAIR_IDS.includes(pair)) {
+            sendError(res, 400, 'Unsupported pair', `Supported pairs: ${PAIR_IDS.join(', ')}`);
+            return null;
+        }
+
+        const window = parseWindow(req.query);
+        if (window.error) {
+            sendError(res, 400, window.error, window.details);
+            return null;
+        }
+
+        const data = histories[pair]
+            .bars({ from: window.from, to: window.to, interval: '1d', fill: 'previous' })
+            .map(bar => ({ date: toDateKey(bar.start), rate: bar.close }));
+
+        return { pair, data, from: toDateKey(window.from), to: toDateKey(window.to) };
+    }
+
+    router.get('/history', (req, res) => {
+        const history = dailyHistory(req, res);
+        if (!history) return;
+
+        const { pair, data, from, to } = history;
+        sendTable(res, DataExport.historyTable(data, pair), req.format, {
+            nameParts: [pair, 'history', from, 'to', to],
+            meta: { dataset: 'history', pair, from, to }
+        });
+    });
+
+    // `invert=true` computes the indicators on the inverse rate (e.g. THB per USD), as the dashboard shows it
+    router.get('/indicators', (req, res) => {
+        const history = dailyHistory(req, res);
+        if (!history) return;
+
+        const { pair, data, from, to } = history;
+        const inverted = req.query.invert === 'true';
+        sendTable(res, DataExport.indicatorTable(data, pair, { inverted }), req.format, {
+            nameParts: [pair, 'indicators', from, 'to', to],
+            meta: { dataset: 'indicators', pair, from, to, inverted }
+        });
+    });
+
+    // One alert's notifications (knowing its ID grants access, as for GET /api/alerts/:id/history), or every
+    // notification for authenticated operators
+    router.get('/notifications', (req, res, next) => (req.query.alertId ? next() : requireAuth(req, res, next)), (req, res) => {
+        const { alertId } = req.query;
+        if (alertId && !store.get(alertId)) {
+            return sendError(res, 404, 'Alert not found', `No alert with id ${alertId}`);
+        }
+
+        const records = !notificationLog ? [] : alertId ? notificationLog.forAlert(alertId) : notificationLog.all();
+        const entries = records.map(record => ({ ...serializeNotification(record), alertId: record.alertId }));
+
+        sendTable(res, DataExport.notificationTable(entries), req.format, {
+            nameParts: ['notifications', alertId ? alertId.slice(0, 8) : 'all', toDateKey(Date.now())],
+            meta: { dataset: 'notifications', alertId: alertId || null }
+        });
+    });
+
+    return router;
+}
+
+module.exports = {
+    createExportsRouter,
+    parseWindow
+};
@@ -0,0 +1,216 @@
+// Forecasting for THB to USD Exchange Rate Monitor
+// Forecast models over daily [{ date, rate }] series, each giving point forecasts with 80% and 95% prediction
+// intervals, plus rolling-origin backtests that measure how well each model has actually done (MAE, MAPE and
+// how often the real rate landed inside the 95% band).
+// Loaded by the dashboard as a plain script (window.Forecasting) and by Node via require().
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Forecasting = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const Z80 = 1.2816;
+    const Z95 = 1.96;
+
+    function mean(values) {
+        return values.reduce((sum, value) => sum + value, 0) / values.length;
+    }
+
+    // Each model's fit(rates) returns a predictor: step(h) -> { mean, sd } for h = 1, 2, ... points ahead
+    const MODELS = {
+        // Least-squares line through the last 14 points, with the textbook prediction interval
+        linear: {
+            label: 'Linear trend (14 days)',
+            minPoints: 5,
+            fit(rates, { window = 14 } = {}) {
+                const ys = rates.slice(-window);
+                const n = ys.length;
+                const xMean = (n - 1) / 2;
+                const yMean = mean(ys);
+
+                let sxx = 0, sxy = 0;
+                ys.forEach((y, x) => {
+                    sxx += (x - xMean) * (x - xMean);
+                    sxy += (x - xMean) * (y - yMean);
+                });
+
+                const slope = sxy / sxx;
+                const intercept = yMean - slope * xMean;
+                const residualSs = ys.reduce((sum, y, x) => sum + Math.pow(y - (intercept + slope * x), 2), 0);
+                const sigma = Math.sqrt(residualSs / Math.max(n - 2, 1));
+
+                return (h) => {
+                    const x = n - 1 + h;
+                    return {
+                        mean: intercept + slope * x,
+                        sd: sigma * Math.sqrt(1 + 1 / n + Math.pow(x - xMean, 2) / sxx)
+                    };
+                };
+            }
+        },
+
+        // Holt's linear exponential smoothing; alpha and beta are picked by one-step-ahead squared error
+        holt: {
+            label: 'Exponential smoothing (Holt)',
+            minPoints: 10,
+            fit(rates) {
+                const grid = [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9];
+                let best = null;
+
+                for (const alpha of grid) {
+                    for (const beta of grid) {
+                        let level = rates[0];
+                        let trend = rates[1] - rates[0];
+                        let sse = 0;
+
+                        for (let i = 1; i < rates.length; i++) {
+                            const error = rates[i] - (level + trend);
+                            sse += error * error;
+                            const previousLevel = level;
+                            level = alpha * rates[i] + (1 - alpha) * (level + trend);
+                            trend = beta * (level - previousLevel) + (1 - beta) * trend;
+                        }
+
+                        if (!best || sse < best.sse) {
+                            best = { alpha, beta, level, trend, sse };
+                        }
+                    }
+                }
+
+                const { alpha, beta, level, trend, sse } = best;
+                const sigma = Math.sqrt(sse / (rates.length - 1));
+
+                return (h) => {
+                    let variance = 1;
+                    for (let j = 1; j < h; j++) {
+                        variance += Math.pow(alpha * (1 + j * beta), 2);
+                    }
+                    return { mean: level + h * trend, sd: sigma * Math.sqrt(variance) };
+                };
+            }
+        },
+
+        // AR(1) around the 30-day mean: the rate drifts back toward its average by a fitted fraction each day.
+        // With no measurable pull it behaves like a plain random walk.
+        'mean-reverting': {
+            label: 'Mean-reverting random walk',
+            minPoints: 10,
+            fit(rates, { window = 30 } = {}) {
+                const recent = rates.slice(-window);
+                const center = mean(recent);
+                const deviations = recent.map(rate => rate - center);
+
+                let numerator = 0, denominator = 0;
+                for (let i = 1; i < deviations.length; i++) {
+                    numerator += deviations[i] * deviations[i - 1];
+                    denominator += deviations[i - 1] * deviations[i - 1];
+                }
+                const phi = denominator === 0 ? 0 : Math.min(Math.max(numerator / denominator, 0), 0.999);
+
+                let residualSs = 0;
+                for (let i = 1; i < deviations.length; i++) {
+                    residualSs += Math.pow(deviations[i] - phi * deviations[i - 1], 2);
+                }
+                const sigma = Math.sqrt(residualSs / Math.max(deviations.length - 1, 1));
+                const last = deviations[deviations.length - 1];
+
+                return (h) => ({
+                    mean: center + Math.pow(phi, h) * last,
+                    sd: sigma * Math.sqrt(phi === 0 ? 1 : (1 - Math.pow(phi, 2 * h)) / (1 - phi * phi))
+                });
+            }
+        }
+    };
+
+    function getModel(modelId) {
+        if (!MODELS[modelId]) {
+            throw new Error(`Unknown forecast model "${modelId}". Use one of ${Object.keys(MODELS).join(', ')}`);
+        }
+        return MODELS[modelId];
+    }
+
+    function addDays(date, days) {
+        return new Date(new Date(`${date}T00:00:00Z`).getTime() + days * DAY_MS).toISOString().split('T')[0];
+    }
+
+    // Forecast the `horizon` days after the series ends:
+    // [{ date, mean, lower80, upper80, lower95, upper95 }], or [] when the series is too short for the model
+    function forecast(data, modelId, { horizon = 7 } = {}) {
+        const model = getModel(modelId);
+        if (data.length < model.minPoints) return [];
+
+        const predict = model.fit(data.map(point => point.rate));
+        const lastDate = data[data.length - 1].date;
+        const points = [];
+
+        for (let h = 1; h <= horizon; h++) {
+            const { mean: value, sd } = predict(h);
+            points.push({
+                date: addDays(lastDate, h),
+                mean: value,
+                lower80: value - Z80 * sd,
+                upper80: value + Z80 * sd,
+                lower95: value - Z95 * sd,
+                upper95: value + Z95 * sd
+            });
+        }
+
+        return points;
+    }
+
+    // Rolling-origin backtest: fit on the first k points, forecast the next `horizon`, compare with what happened,
+    // then move the origin forward. Uses at most `maxOrigins` of the latest origins.
+    // Returns { model, label, mae, mape, coverage95, forecasts }, or null when there is not enough data.
+    function backtest(data, modelId, { horizon = 7, maxOrigins = 60 } = {}) {
+        const model = getModel(modelId);
+        const rates = data.map(point => point.rate);
+        const firstOrigin = Math.max(model.minPoints, rates.length - horizon - maxOrigins + 1);
+
+        let absoluteError = 0, percentError = 0, inside95 = 0, count = 0;
+
+        for (let origin = firstOrigin; origin + 1 <= rates.length; origin++) {
+            const predict = model.fit(rates.slice(0, origin));
+
+            for (let h = 1; h <= horizon && origin + h - 1 < rates.length; h++) {
+                const actual = rates[origin + h - 1];
+                const { mean: predicted, sd } = predict(h);
+                const error = Math.abs(actual - predicted);
+
+                absoluteError += error;
+                percentError += error / actual * 100;
+                if (error <= Z95 * sd) inside95 += 1;
+                count += 1;
+            }
+        }
+
+        // Fewer forecasts than one full horizon say nothing about a model
+        if (count < horizon) return null;
+
+        return {
+            model: modelId,
+            label: model.label,
+            mae: absoluteError / count,
+            mape: percentError / count,
+            coverage95: inside95 / count * 100,
+            forecasts: count
+        };
+    }
+
+    // Backtest every model, most accurate (lowest MAPE) first
+    function rankModels(data, options = {}) {
+        return Object.keys(MODELS)
+            .map(modelId => backtest(data, modelId, options))
+            .filter(Boolean)
+            .sort((a, b) => a.mape - b.mape);
+    }
+
+    return {
+        MODELS,
+        forecast,
+        backtest,
+        rankModels
+    };
+}));
@@ -0,0 +1,421 @@
+// History Import for THB to USD Exchange Rate Monitor
+// Reads a CSV of daily rates the user already has. Detects the delimiter, the date and rate columns, the date
+// format (Thai Buddhist Era years included) and whether rates are quoted direct (USD per THB) or inverse (THB
+// per USD). Every row is validated, and the result comes with a report of what was imported, skipped or looks
+// questionable. Imported points are { date: 'YYYY-MM-DD', rate (direct), timestamp } like every history provider's.
+// Loaded by the SMS service via require() and by the dashboard as a plain script (window.HistoryImport).
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./currency-pairs'));
+    } else {
+        root.HistoryImport = factory(root.CurrencyPairs);
+    }
+}(typeof self !== 'undefined' ? self : this, function (CurrencyPairs) {
+    const MAX_ROWS = 20000;
+    const BUDDHIST_ERA_OFFSET = 543;
+    // Rates this far from the file's median are flagged as possible typos
+    const OUTLIER_PERCENT = 50;
+    const MAX_LISTED_ISSUES = 20;
+    const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+    // Numeric formats accept -, / or . between the parts and ignore a trailing time
+    const DATE_FORMATS = {
+        ymd: { label: 'Year-month-day (2024-03-31)' },
+        dmy: { label: 'Day/month/year (31/03/2024)' },
+        mdy: { label: 'Month/day/year (03/31/2024)' },
+        named: { label: 'Month name (31 Mar 2024, Mar 31, 2024)' }
+    };
+    const DIRECTIONS = ['auto', 'direct', 'inverse'];
+    const DUPLICATE_MODES = ['replace', 'keep'];
+
+    const DATE_HEADER = /date|day|time|period|as of|วันที่/i;
+    const RATE_HEADER = /close|rate|mid|average|value|price|อัตรา/i;
+
+    function toPoint(date, rate) {
+        return {
+            date,
+            rate: parseFloat(rate.toFixed(6)),
+            timestamp: new Date(`${date}T00:00:00Z`).getTime()
+        };
+    }
+
+    function median(values) {
+        const sorted = values.slice().sort((a, b) => a - b);
+        return sorted[Math.floor(sorted.length / 2)];
+    }
+
+    // The candidate delimiter found most often outside quotes in the header line
+    function detectDelimiter(line) {
+        const counts = { ',': 0, ';': 0, '\t': 0, '|': 0 };
+        let quoted = false;
+        for (const char of line) {
+            if (char === '"') quoted = !quoted;
+            else if (!quoted && counts[char] !== undefined) counts[char]++;
+        }
+        return Object.keys(counts).reduce((best, delimiter) => (counts[delimiter] > counts[best] ? delimiter : best), ',');
+    }
+
+    // RFC 4180 parsing (quoted cells may hold delimiters, quotes and line breaks):
+    //   { delimiter, header: [names], rows: [{ line, cells }] }, skipping blank lines
+    function parseCsv(text) {
+        const source = String(text).replace(/^\uFEFF/, '');
+        const delimiter = detectDelimiter(source.split(/\r?\n/, 1)[0]);
+        const records = [];
+        let cells = [];
+        let cell = '';
+        let quoted = false;
+        let line = 1;
+        let recordLine = 1;
+
+        const endRecord = () => {
+            cells.push(cell);
+            if (cells.some(value => value.trim() !== '')) records.push({ line: recordLine, cells });
+            cells = [];
+            cell = '';
+            recordLine = line;
+        };
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+            if (quoted) {
+                if (char === '"' && source[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    if (char === '\n') line++;
+                    cell += char;
+                }
+            } else if (char === '"' && cell.trim() === '') {
+                quoted = true;
+                cell = '';
+            } else if (char === delimiter) {
+                cells.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && source[i + 1] === '\n') i++;
+                line++;
+                endRecord();
+            } else {
+                cell += char;
+            }
+        }
+        if (cell !== '' || cells.length > 0) endRecord();
+
+        const [header, ...rows] = records;
+        return {
+            delimiter,
+            header: header ? header.cells.map(name => name.trim()) : [],
+            rows
+        };
+    }
+
+    // "32.45", "1,234.5", or with a ; or tab delimiter the decimal comma "32,45"
+    function parseNumber(value, delimiter) {
+        let text = String(value).trim().replace(/\s/g, '');
+        if (delimiter !== ',' && text.includes(',') && !text.includes('.')) {
+            text = text.replace(',', '.');
+        } else {
+            text = text.replace(/,/g, '');
+        }
+        return /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(text) ? Number(text) : NaN;
+    }
+
+    function toYear(text) {
+        const year = Number(text);
+        if (text.length === 2) return year < 70 ? 2000 + year : 1900 + year;
+        return year;
+    }
+
+    // { date: 'YYYY-MM-DD', buddhistEra } or null when `value` is not a real date in `format`.
+    // Years above 2400 are Buddhist Era (2567 BE = 2024).
+    function parseDate(value, format) {
+        const text = String(value).trim();
+        let year;
+        let month;
+        let day;
+
+        if (format === 'named') {
+            const dayFirst = text.match(/^(\d{1,2})[\s\-/.]+([a-z]{3,9})\.?[\s\-/.,]+(\d{4}|\d{2})\b/i);
+            const monthFirst = text.match(/^([a-z]{3,9})\.?[\s\-/.]+(\d{1,2}),?[\s\-/.]+(\d{4}|\d{2})\b/i);
+            if (!dayFirst && !monthFirst) return null;
+
+            const [name, dayText, yearText] = dayFirst ? [dayFirst[2], dayFirst[1], dayFirst[3]] : monthFirst.slice(1);
+            month = MONTHS.indexOf(name.slice(0, 3).toLowerCase()) + 1;
+            day = Number(dayText);
+            year = toYear(yearText);
+        } else {
+            const match = text.match(/^(\d{1,4})[-/.](\d{1,2})[-/.](\d{1,4})(?:[T\s].*)?$/);
+            if (!match) return null;
+
+            const [first, second, third] = match.slice(1);
+            if (format === 'ymd') {
+                if (first.length !== 4) return null;
+                [year, month, day] = [Number(first), Number(second), Number(third)];
+            } else {
+                if (first.length > 2 || (third.length !== 2 && third.length !== 4)) return null;
+                year = toYear(third);
+                [day, month] = format === 'dmy' ? [Number(first), Number(second)] : [Number(second), Number(first)];
+            }
+        }
+
+        const buddhistEra = year > 2400;
+        if (buddhistEra) year -= BUDDHIST_ERA_OFFSET;
+
+        const date = new Date(Date.UTC(year, month - 1, day));
+        if (!month || date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+            return null;
+        }
+        return { date: date.toISOString().split('T')[0], buddhistEra };
+    }
+
+    // The format that reads the most values, preferring year-first. Files where day/month and month/day both read
+    // every value (no day above 12) are ambiguous and read as day/month, the usual order in Thailand.
+    //   { format, ambiguous }
+    function detectDateFormat(values) {
+        const present = values.filter(value => String(value).trim() !== '');
+        const scores = Object.keys(DATE_FORMATS).map(format => ({
+            format,
+            parsed: present.filter(value => parseDate(value, format)).length
+        }));
+        const best = scores.reduce((top, score) => (score.parsed > top.parsed ? score : top), scores[0]);
+        const score = format => scores.find(entry => entry.format === format).parsed;
+
+        return {
+            format: best.format,
+            ambiguous: best.format === 'dmy' && best.parsed > 0 && score('mdy') === best.parsed
+        };
+    }
+
+    // Which way round a column is quoted, from its header: "USD per THB" or "THB/USD" is direct and
+    // "THB per USD", "USD/THB" or "USDTHB" inverse. Null when the header does not say.
+    function directionFromHeader(name, pair) {
+        const { base, quote } = CurrencyPairs.getPair(pair);
+        const text = name.toUpperCase().replace(/\s+/g, ' ');
+
+        if (text.includes(`${quote} PER ${base}`) || text.includes(`${base}/${quote}`) || text.includes(`${base}${quote}`)) return 'direct';
+        if (text.includes(`${base} PER ${quote}`) || text.includes(`${quote}/${base}`) || text.includes(`${quote}${base}`)) return 'inverse';
+        return null;
+    }
+
+    function isMostlyNumeric(rows, index, delimiter) {
+        const values = rows.slice(0, 50).map(row => row.cells[index]).filter(value => value !== undefined && value.trim() !== '');
+        return values.length > 0 && values.filter(value => Number.isFinite(parseNumber(value, delimiter))).length >= values.length * 0.8;
+    }
+
+    // Best guesses for the date and rate columns (indexes, or null):
+    //   { date, rate, direction } where direction comes from the rate column's header, if it says
+    function detectColumns({ header, rows, delimiter }, pair) {
+        const columns = header.map((name, index) => index);
+        let date = columns.find(index => DATE_HEADER.test(header[index]));
+        if (date === undefined) {
+            date = columns.find(index => rows.slice(0, 20).some(row => row.cells[index] &&
+                Object.keys(DATE_FORMATS).some(format => parseDate(row.cells[index], format))));
+        }
+
+        const candidates = columns.filter(index => index !== date);
+        const rate = [
+            index => directionFromHeader(header[index], pair) === 'direct',
+            index => directionFromHeader(header[index], pair) !== null,
+            index => RATE_HEADER.test(header[index]) && isMostlyNumeric(rows, index, delimiter),
+            index => isMostlyNumeric(rows, index, delimiter)
+        ].reduce((found, test) => (found !== undefined ? found : candidates.find(test)), undefined);
+
+        return {
+            date: date === undefined ? null : date,
+            rate: rate === undefined ? null : rate,
+            direction: rate === undefined ? null : directionFromHeader(header[rate], pair)
+        };
+    }
+
+    // Inverse when the values sit closer to 1 / the pair's typical direct rate than to the rate itself
+    function directionFromValues(values, pair) {
+        const typical = CurrencyPairs.getPair(pair).typicalRate;
+        const middle = median(values);
+        return Math.abs(Math.log(middle / typical)) <= Math.abs(Math.log(middle * typical)) ? 'direct' : 'inverse';
+    }
+
+    function columnIndex(header, column) {
+        if (column === null || column === undefined || column === '') return null;
+        const index = typeof column === 'number' ? column : header.indexOf(column);
+        return index >= 0 && index < header.length ? index : null;
+    }
+
+    // Read a CSV into direct daily points for `pair`. `dateColumn` and `rateColumn` (header names or indexes),
+    // `dateFormat` and `direction` override detection. On repeated dates, `onDuplicate` 'replace' keeps the last
+    // row and 'keep' the first; `existing` (the history already loaded) is only used to report the dates the import
+    // overlaps. Returns { points, report } and throws only when the text holds no data at all.
+    //   report: { header, delimiter, dateColumn, rateColumn, dateFormat, dateFormatAmbiguous, buddhistEra,
+    //     direction, directionDetected, rows, imported, skipped: [{ line, reason }], duplicatesInFile,
+    //     overlapping, changed, from, to, warnings, errors }
+    function importHistory(text, {
+        pair = CurrencyPairs.DEFAULT_PAIR,
+        dateColumn = null,
+        rateColumn = null,
+        dateFormat = 'auto',
+        direction = 'auto',
+        onDuplicate = 'replace',
+        existing = [],
+        today = new Date().toISOString().split('T')[0]
+    } = {}) {
+        const csv = parseCsv(text);
+        const { header, rows, delimiter } = csv;
+        if (header.length === 0 || rows.length === 0) {
+            throw new Error('The file needs a header row and at least one row of rates');
+        }
+
+        const report = {
+            header,
+            delimiter,
+            dateColumn: null,
+            rateColumn: null,
+            dateFormat: null,
+            dateFormatAmbiguous: false,
+            buddhistEra: false,
+            direction: null,
+            directionDetected: false,
+            rows: rows.length,
+            imported: 0,
+            skipped: [],
+            duplicatesInFile: 0,
+            overlapping: 0,
+            changed: 0,
+            from: null,
+            to: null,
+            warnings: [],
+            errors: []
+        };
+        const fail = (error) => {
+            report.errors.push(error);
+            return { points: [], report };
+        };
+
+        if (rows.length > MAX_ROWS) return fail(`The file has ${rows.length} rows; at most ${MAX_ROWS} can be imported at once`);
+        if (dateFormat !== 'auto' && !DATE_FORMATS[dateFormat]) return fail(`Date format must be auto or one of ${Object.keys(DATE_FORMATS).join(', ')}`);
+        if (!DIRECTIONS.includes(direction)) return fail(`Direction must be one of ${DIRECTIONS.join(', ')}`);
+        if (!DUPLICATE_MODES.includes(onDuplicate)) return fail(`Duplicates must be one of ${DUPLICATE_MODES.join(', ')}`);
+
+        const detected = detectColumns(csv, pair);
+        const dateIndex = columnIndex(header, dateColumn) ?? detected.date;
+        const rateIndex = columnIndex(header, rateColumn) ?? detected.rate;
+        if (dateIndex === null) return fail('No date column found; choose one');
+        if (rateIndex === null) return fail('No column of rates found; choose one');
+        if (dateIndex === rateIndex) return fail('The date and rate columns must differ');
+        report.dateColumn = header[dateIndex];
+        report.rateColumn = header[rateIndex];
+
+        const detectedFormat = detectDateFormat(rows.map(row => row.cells[dateIndex] || ''));
+        report.dateFormat = dateFormat === 'auto' ? detectedFormat.format : dateFormat;
+        report.dateFormatAmbiguous = dateFormat === 'auto' && detectedFormat.ambiguous;
+        if (report.dateFormatAmbiguous) {
+            report.warnings.push('Every date could be day/month or month/day; they were read as day/month. Choose the format if that is wrong.');
+        }
+
+        const skip = (line, reason) => report.skipped.push({ line, reason });
+        const parsed = [];
+        for (const { line, cells } of rows) {
+            const dateText = (cells[dateIndex] || '').trim();
+            const rateText = (cells[rateIndex] || '').trim();
+            if (!dateText || !rateText) {
+                skip(line, `Missing ${!dateText ? 'date' : 'rate'}`);
+                continue;
+            }
+
+            const date = parseDate(dateText, report.dateFormat);
+            if (!date) {
+                skip(line, `"${dateText}" is not a ${DATE_FORMATS[report.dateFormat].label.toLowerCase()} date`);
+                continue;
+            }
+            if (date.date > today) {
+                skip(line, `${date.date} is in the future`);
+                continue;
+            }
+
+            const value = parseNumber(rateText, delimiter);
+            if (!(value > 0) || !Number.isFinite(value)) {
+                skip(line, `"${rateText}" is not a positive number`);
+                continue;
+            }
+
+            report.buddhistEra = report.buddhistEra || date.buddhistEra;
+            parsed.push({ line, date: date.date, value });
+        }
+
+        if (parsed.length === 0) return fail('No row had a valid date and rate');
+        if (report.buddhistEra) {
+            report.warnings.push(`Years above 2400 were read as Buddhist Era (${2024 + BUDDHIST_ERA_OFFSET} = 2024).`);
+        }
+
+        report.directionDetected = direction === 'auto';
+        report.direction = direction !== 'auto'
+            ? direction
+            : detected.direction && rateIndex === detected.rate ? detected.direction : directionFromValues(parsed.map(row => row.value), pair);
+
+        const byDate = new Map();
+        const conflicts = [];
+        for (const row of parsed) {
+            const point = toPoint(row.date, report.direction === 'inverse' ? 1 / row.value : row.value);
+            const previous = byDate.get(row.date);
+            if (previous) {
+                report.duplicatesInFile++;
+                if (previous.rate !== point.rate) conflicts.push(`${row.date} (line ${row.line})`);
+                if (onDuplicate === 'keep') continue;
+            }
+            byDate.set(row.date, point);
+        }
+        if (conflicts.length > 0) {
+            report.warnings.push(`${conflicts.length} repeated date(s) have different rates; the ${onDuplicate === 'keep' ? 'first' : 'last'} row was used: ${conflicts.slice(0, MAX_LISTED_ISSUES).join(', ')}`);
+        }
+
+        const points = Array.from(byDate.values()).sort((a, b) => a.date.localeCompare(b.date));
+        const middle = median(points.map(point => point.rate));
+        const outliers = points.filter(point => Math.abs(point.rate - middle) / middle * 100 > OUTLIER_PERCENT);
+        if (outliers.length > 0) {
+            report.warnings.push(`${outliers.length} rate(s) are more than ${OUTLIER_PERCENT}% from the file's median; check for typos: ${outliers.slice(0, MAX_LISTED_ISSUES).map(point => point.date).join(', ')}`);
+        }
+
+        const typical = CurrencyPairs.getPair(pair).typicalRate;
+        if (middle > typical * 3 || middle < typical / 3) {
+            report.warnings.push(`The rates (median ${CurrencyPairs.formatRate(middle, pair)}) are far from the usual ${CurrencyPairs.pairLabel(pair)} rate; check the rate column and direction.`);
+        }
+
+        const existingRates = new Map(existing.map(point => [point.date, point.rate]));
+        for (const point of points) {
+            if (!existingRates.has(point.date)) continue;
+            report.overlapping++;
+            const current = existingRates.get(point.date);
+            // Providers differ slightly; only a real difference counts as a change
+            if (Math.abs(point.rate - current) / current > 0.005) report.changed++;
+        }
+
+        report.imported = points.length;
+        report.from = points[0].date;
+        report.to = points[points.length - 1].date;
+        return { points, report };
+    }
+
+    // One series from two, sorted by date. On a date both have, `onDuplicate` 'replace' takes the imported rate
+    // and 'keep' the existing one.
+    function mergeHistory(existing, imported, { onDuplicate = 'replace' } = {}) {
+        const byDate = new Map(existing.map(point => [point.date, point]));
+        for (const point of imported) {
+            if (onDuplicate === 'keep' && byDate.has(point.date)) continue;
+            byDate.set(point.date, point);
+        }
+        return Array.from(byDate.values()).sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    return {
+        DATE_FORMATS,
+        DIRECTIONS,
+        DUPLICATE_MODES,
+        parseCsv,
+        parseDate,
+        detectDateFormat,
+        detectColumns,
+        importHistory,
+        mergeHistory
+    };
+}));
@@ -0,0 +1,254 @@
+// Historical Data Providers for THB to USD Exchange Rate Monitor
+// Each provider returns a pair's daily direct rates (e.g. USD per THB) as [{ date, rate, timestamp }] for a date range:
+//   { name, label, simulated, fetchHistory({ from, to, pair }) -> Promise<points> }
+// Loaded by the dashboard as a plain script (window.HistoryProviders) and by Node via require(). Requests go through
+// `config.http` ({ getJson(url), getText(url) }) when given, e.g. http-client.js on Node versions without fetch.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./currency-pairs'));
+    } else {
+        root.HistoryProviders = factory(root.CurrencyPairs);
+    }
+}(typeof self !== 'undefined' ? self : this, function (CurrencyPairs) {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const REQUEST_TIMEOUT_MS = 15000;
+
+    function toDateKey(date) {
+        return new Date(date).toISOString().split('T')[0];
+    }
+
+    function toPoint(date, rate) {
+        return {
+            date,
+            rate: parseFloat(rate.toFixed(6)),
+            timestamp: new Date(`${date}T00:00:00Z`).getTime()
+        };
+    }
+
+    function inRange(point, from, to) {
+        return point.date >= toDateKey(from) && point.date <= toDateKey(to);
+    }
+
+    async function fetchOk(url) {
+        const response = await fetch(url, { signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+        if (!response.ok) {
+            throw new Error(`${url} responded with HTTP ${response.status}`);
+        }
+        return response;
+    }
+
+    // The browser's fetch
+    const fetchHttp = {
+        getJson: async url => (await fetchOk(url)).json(),
+        getText: async url => (await fetchOk(url)).text()
+    };
+
+    // The SMS service's own recorded history (GET /api/rates/history), so every dashboard sees the same series.
+    // Daily bars are gap-filled with the previous close and fetched page by page.
+    function createServerProvider({ baseUrl = 'http://localhost:3001/api', http = fetchHttp } = {}) {
+        return {
+            name: 'server',
+            label: 'SMS service rate history',
+            simulated: false,
+            async fetchHistory({ from, to, pair = CurrencyPairs.DEFAULT_PAIR }) {
+                const points = [];
+                let cursor = null;
+
+                do {
+                    const query = `pair=${pair}&interval=1d&fill=previous&from=${new Date(from).toISOString()}&to=${new Date(to).toISOString()}`;
+                    const data = await http.getJson(`${baseUrl}/rates/history?${query}${cursor ? `&cursor=${encodeURIComponent(cursor)}` : ''}`);
+                    if (!data.success) {
+                        throw new Error(data.error);
+                    }
+
+                    points.push(...data.bars.map(bar => toPoint(toDateKey(bar.start), bar.close)));
+                    cursor = data.nextCursor;
+                } while (cursor);
+
+                return points;
+            }
+        };
+    }
+
+    // Frankfurter serves ECB reference rates (weekdays only) and quotes THB pairs directly
+    function createFrankfurterProvider({ baseUrl = 'https://api.frankfurter.app', http = fetchHttp } = {}) {
+        return {
+            name: 'frankfurter',
+            label: 'Frankfurter (ECB reference rates)',
+            simulated: false,
+            async fetchHistory({ from, to, pair = CurrencyPairs.DEFAULT_PAIR }) {
+                const { base, quote } = CurrencyPairs.getPair(pair);
+                const data = await http.getJson(`${baseUrl}/${toDateKey(from)}..${toDateKey(to)}?from=${base}&to=${quote}`);
+                if (!data || !data.rates) {
+                    throw new Error('Frankfurter response is missing rates');
+                }
+
+                return Object.keys(data.rates)
+                    .sort()
+                    .filter(date => data.rates[date] && data.rates[date][quote] > 0)
+                    .map(date => toPoint(date, data.rates[date][quote]));
+            }
+        };
+    }
+
+    // exchangerate-api's history endpoint needs a paid API key and returns one day per request,
+    // so days are fetched a few at a time
+    function createExchangeRateApiProvider({ apiKey, baseUrl = 'https://v6.exchangerate-api.com/v6', concurrency = 7, http = fetchHttp } = {}) {
+        return {
+            name: 'exchangerate-api',
+            label: 'ExchangeRate-API',
+            simulated: false,
+            async fetchHistory({ from, to, pair = CurrencyPairs.DEFAULT_PAIR }) {
+                const { base, quote } = CurrencyPairs.getPair(pair);
+                if (!apiKey) {
+                    throw new Error('ExchangeRate-API history requires an API key');
+                }
+
+                const dates = [];
+                for (let day = new Date(toDateKey(from)).getTime(); day <= new Date(toDateKey(to)).getTime(); day += DAY_MS) {
+                    dates.push(toDateKey(day));
+                }
+
+                const points = [];
+                for (let i = 0; i < dates.length; i += concurrency) {
+                    const batch = await Promise.all(dates.slice(i, i + concurrency).map(async (date) => {
+                        const [year, month, day] = date.split('-').map(Number);
+                        const data = await http.getJson(`${baseUrl}/${apiKey}/history/${base}/${year}/${month}/${day}`);
+                        if (data.result !== 'success') {
+                            throw new Error(`ExchangeRate-API error: ${data['error-type'] || 'unknown'}`);
+                        }
+                        return toPoint(date, data.conversion_rates[quote]);
+                    }));
+                    points.push(...batch);
+                }
+
+                return points;
+            }
+        };
+    }
+
+    // Parse a CSV of daily rates. Needs a `date` column (YYYY-MM-DD) and a `rate`, `close` or `usd` column
+    // holding the direct rate (e.g. USD per THB); other columns are ignored.
+    function parseCsvHistory(text) {
+        const lines = String(text).trim().split(/\r?\n/).filter(line => line.trim() !== '');
+        if (lines.length < 2) return [];
+
+        const header = lines[0].split(',').map(column => column.trim().toLowerCase());
+        const dateIndex = header.indexOf('date');
+        const rateIndex = header.findIndex(column => ['rate', 'close', 'usd'].includes(column));
+
+        if (dateIndex === -1 || rateIndex === -1) {
+            throw new Error('CSV must have a date column and a rate, close or usd column');
+        }
+
+        return lines.slice(1)
+            .map(line => line.split(','))
+            .map(cells => ({ date: (cells[dateIndex] || '').trim(), rate: parseFloat(cells[rateIndex]) }))
+            .filter(row => /^\d{4}-\d{2}-\d{2}$/.test(row.date) && row.rate > 0)
+            .sort((a, b) => a.date.localeCompare(b.date))
+            .map(row => toPoint(row.date, row.rate));
+    }
+
+    // `url` may contain {pair}, replaced by the lower-case pair (e.g. thb-eur-history.csv); a URL without it
+    // only serves the default pair
+    function createCsvProvider({ url, http = fetchHttp }) {
+        return {
+            name: 'csv',
+            label: `Local CSV (${url})`,
+            simulated: false,
+            async fetchHistory({ from, to, pair = CurrencyPairs.DEFAULT_PAIR }) {
+                if (!url.includes('{pair}') && pair !== CurrencyPairs.DEFAULT_PAIR) {
+                    throw new Error(`CSV URL has no {pair} placeholder for ${pair}`);
+                }
+
+                const text = await http.getText(url.replace('{pair}', pair.toLowerCase()));
+                return parseCsvHistory(text).filter(point => inRange(point, from, to));
+            }
+        };
+    }
+
+    // Random walk around the pair's typical rate for demos without network access. Only used when explicitly enabled.
+    function createSimulatedProvider() {
+        return {
+            name: 'simulated',
+            label: 'Simulated data',
+            simulated: true,
+            async fetchHistory({ from, to, pair = CurrencyPairs.DEFAULT_PAIR }) {
+                const points = [];
+                const start = new Date(toDateKey(from)).getTime();
+                const end = new Date(toDateKey(to)).getTime();
+                const typicalRate = CurrencyPairs.getPair(pair).typicalRate;
+                let currentRate = typicalRate;
+
+                for (let day = start; day <= end; day += DAY_MS) {
+                    const daysLeft = Math.round((end - day) / DAY_MS);
+                    const volatility = typicalRate * 0.036;
+                    const trend = Math.sin(daysLeft / 10) * typicalRate * 0.018;
+                    const randomChange = (Math.random() - 0.5) * volatility;
+
+                    currentRate = Math.max(typicalRate * 0.91, Math.min(typicalRate * 1.09, currentRate + trend + randomChange));
+                    points.push(toPoint(toDateKey(day), currentRate));
+                }
+
+                return points;
+            }
+        };
+    }
+
+    const PROVIDER_FACTORIES = {
+        server: config => createServerProvider({ baseUrl: config.serviceUrl, http: config.http }),
+        frankfurter: config => createFrankfurterProvider({ baseUrl: config.frankfurterUrl, http: config.http }),
+        'exchangerate-api': config => createExchangeRateApiProvider({ apiKey: config.exchangeRateApiKey, http: config.http }),
+        csv: config => createCsvProvider({ url: config.historyCsvUrl, http: config.http })
+    };
+
+    // Build providers in `config.historyProviders` order. The simulated provider is appended last, and
+    // only when `config.allowSimulatedData` is true.
+    function createProviders(config = {}) {
+        const providers = (config.historyProviders || ['frankfurter']).map((name) => {
+            if (!PROVIDER_FACTORIES[name]) {
+                throw new Error(`Unknown history provider "${name}". Use one of ${Object.keys(PROVIDER_FACTORIES).join(', ')}`);
+            }
+            return PROVIDER_FACTORIES[name](config);
+        });
+
+        if (config.allowSimulatedData) {
+            providers.push(createSimulatedProvider());
+        }
+
+        return providers;
+    }
+
+    // Try each provider in order and return the first usable series with the provider that supplied it
+    async function fetchHistory(providers, { from, to, pair = CurrencyPairs.DEFAULT_PAIR }) {
+        const errors = [];
+
+        for (const provider of providers) {
+            try {
+                const data = await provider.fetchHistory({ from, to, pair });
+                if (data.length >= 2) {
+                    return { data, provider, errors };
+                }
+                errors.push(`${provider.name}: no rates in range`);
+            } catch (error) {
+                errors.push(`${provider.name}: ${error.message}`);
+            }
+        }
+
+        const failure = new Error(`No history provider returned data (${errors.join('; ')})`);
+        failure.errors = errors;
+        throw failure;
+    }
+
+    return {
+        createServerProvider,
+        createFrankfurterProvider,
+        createExchangeRateApiProvider,
+        createCsvProvider,
+        createSimulatedProvider,
+        createProviders,
+        fetchHistory,
+        parseCsvHistory
+    };
+}));
@@ -0,0 +1,81 @@
+// HTTP Helpers for THB to USD Exchange Rate Monitor
+// Minimal JSON (and text) over http/https without extra dependencies or a global fetch
+
+const http = require('http');
+const https = require('https');
+
+// Send a request and resolve with the response body as text; non-2xx responses reject with the status code
+function requestText(url, { method = 'GET', headers = {}, body, timeoutMs = 10000 } = {}) {
+    return new Promise((resolve, reject) => {
+        const transport = url.startsWith('https:') ? https : http;
+        const payload = body === undefined ? null : JSON.stringify(body);
+        const requestHeaders = { ...headers };
+
+        if (payload !== null) {
+            requestHeaders['Content-Type'] = 'application/json';
+            requestHeaders['Content-Length'] = Buffer.byteLength(payload);
+        }
+
+        const request = transport.request(url, { method, headers: requestHeaders }, (response) => {
+            let text = '';
+            response.setEncoding('utf8');
+            response.on('data', chunk => { text += chunk; });
+            response.on('end', () => {
+                clearTimeout(timer);
+                if (response.statusCode < 200 || response.statusCode >= 300) {
+                    const error = new Error(`${url} responded with HTTP ${response.statusCode}`);
+                    error.statusCode = response.statusCode;
+                    error.body = text;
+                    return reject(error);
+                }
+
+                resolve(text);
+            });
+        });
+
+        // The timeout covers the whole exchange, so a host that trickles its response out cannot hold the caller up
+        const timer = setTimeout(() => {
+            request.destroy(new Error(`${url} timed out after ${timeoutMs}ms`));
+        }, timeoutMs);
+        request.on('error', (error) => {
+            clearTimeout(timer);
+            reject(error);
+        });
+
+        if (payload !== null) request.write(payload);
+        request.end();
+    });
+}
+
+// Send a request and parse the JSON response
+async function requestJson(url, { headers = {}, ...options } = {}) {
+    const text = await requestText(url, { ...options, headers: { Accept: 'application/json', ...headers } });
+    if (text === '') return null;
+
+    try {
+        return JSON.parse(text);
+    } catch (parseError) {
+        // Webhook receivers such as Slack answer with plain text like "ok"
+        return text;
+    }
+}
+
+function fetchJson(url, timeoutMs) {
+    return requestJson(url, { timeoutMs });
+}
+
+function fetchText(url, timeoutMs) {
+    return requestText(url, { timeoutMs });
+}
+
+function postJson(url, body, { headers, timeoutMs } = {}) {
+    return requestJson(url, { method: 'POST', body, headers, timeoutMs });
+}
+
+module.exports = {
+    requestText,
+    requestJson,
+    fetchJson,
+    fetchText,
+    postJson
+};
@@ -0,0 +1,181 @@
+// Inbound SMS Commands for THB to USD Exchange Rate Monitor
+// Handles replies from subscribers (STOP, START, RATE, SET, STATUS) sent to the Twilio number,
+// and Twilio's delivery status callbacks for the alerts we send
+
+const express = require('express');
+const twilio = require('twilio');
+const { describeRule, calculateTrend } = require('./alert-rules');
+const { PAIR_IDS, getPair, formatValue, formatRate } = require('./currency-pairs');
+
+const HELP_TEXT = 'THB Monitor commands: RATE (current rates), RATE EUR (one currency), STATUS (your alerts), SET 0.0285 (new threshold), STOP (pause alerts), START (resume alerts).';
+
+// Alerts that text this number, as their subscriber or through an SMS channel, in a stable order so STATUS
+// numbering matches SET <n>. STOP has to reach every alert the number receives.
+function alertsForPhone(store, phoneNumber) {
+    return store.values()
+        .filter(alert => alert.phoneNumber === phoneNumber ||
+            alert.channels.some(channel => channel.type === 'sms' && channel.to === phoneNumber))
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+}
+
+function isThresholdRule(rule) {
+    return rule.type === 'rate-above' || rule.type === 'rate-below';
+}
+
+// Returns the reply text for one inbound message. `histories` maps each pair to its RateHistory and
+// `getRates` returns the latest polled rates by pair.
+function createCommandHandler({ store, histories, getRates }) {
+    const commands = {
+        STOP(phoneNumber) {
+            const alerts = alertsForPhone(store, phoneNumber).filter(alert => alert.enabled);
+            for (const alert of alerts) {
+                alert.enabled = false;
+                alert.stoppedBySms = true;
+                alert.updatedAt = new Date();
+                store.set(alert.id, alert);
+            }
+            return `You have been unsubscribed from ${alerts.length} THB alert${alerts.length === 1 ? '' : 's'}. Reply START to resubscribe.`;
+        },
+
+        START(phoneNumber) {
+            const alerts = alertsForPhone(store, phoneNumber).filter(alert => alert.stoppedBySms);
+            for (const alert of alerts) {
+                alert.enabled = true;
+                delete alert.stoppedBySms;
+                alert.updatedAt = new Date();
+                store.set(alert.id, alert);
+            }
+            if (alerts.length === 0) return 'You have no paused THB alerts. Reply STATUS to see your alerts.';
+            return `Resubscribed: ${alerts.length} THB alert${alerts.length === 1 ? '' : 's'} active again. Reply STOP to unsubscribe.`;
+        },
+
+        // RATE lists every pair; RATE <currency> gives one pair with its 7-day trend
+        RATE(phoneNumber, args) {
+            const rates = getRates();
+
+            if (args.length === 0) {
+                const lines = PAIR_IDS.filter(pair => rates[pair] !== undefined)
+                    .map(pair => `THB/${getPair(pair).quote}: ${formatValue(rates[pair], pair)} (${formatRate(rates[pair], pair, true)})`);
+                if (lines.length === 0) return 'Current THB rates are not available yet. Please try again shortly.';
+                return lines.join('\n');
+            }
+
+            const pair = PAIR_IDS.find(id => getPair(id).quote === args[0].toUpperCase());
+            if (!pair) {
+                return `Unknown currency "${args[0]}". Try ${PAIR_IDS.map(id => getPair(id).quote).join(', ')}.`;
+            }
+
+            const rate = rates[pair];
+            if (rate === undefined) return `The current THB/${getPair(pair).quote} rate is not available yet. Please try again shortly.`;
+
+            const closes = histories[pair].dailyCloses(7);
+            const trend = closes.length >= 2
+                ? `7-day trend: ${calculateTrend(closes) >= 0 ? '+' : ''}${calculateTrend(closes).toFixed(2)}%`
+                : '7-day trend: not enough history yet';
+            return `THB/${getPair(pair).quote}: 1 THB = ${formatValue(rate, pair)} ${getPair(pair).quote} (${formatRate(rate, pair, true)}). ${trend}.`;
+        },
+
+        STATUS(phoneNumber) {
+            const alerts = alertsForPhone(store, phoneNumber);
+            if (alerts.length === 0) return 'You have no THB alerts.';
+
+            const lines = alerts.map((alert, index) => {
+                const state = !alert.enabled ? 'paused'
+                    : alert.verification.status !== 'verified' ? 'unverified'
+                    : alert.fireState.triggered ? 'triggered' : 'active';
+                return `${index + 1}. ${describeRule(alert.rule, alert.pair)} (${state})`;
+            });
+            return `Your THB alerts:\n${lines.join('\n')}`;
+        },
+
+        // SET <threshold> for a single threshold alert, or SET <n> <threshold> to pick one from STATUS
+        SET(phoneNumber, args) {
+            const alerts = alertsForPhone(store, phoneNumber);
+            const candidates = alerts.filter(alert => isThresholdRule(alert.rule));
+            let alert;
+            let value;
+
+            if (args.length === 2) {
+                alert = alerts[parseInt(args[0], 10) - 1];
+                value = args[1];
+                if (!alert || !isThresholdRule(alert.rule)) {
+                    return `Alert ${args[0]} is not a threshold alert. Reply STATUS to see your alerts.`;
+                }
+            } else if (args.length === 1) {
+                if (candidates.length === 0) return 'You have no threshold alerts to change.';
+                if (candidates.length > 1) {
+                    return 'You have several alerts. Reply STATUS, then SET <number> <threshold>, e.g. SET 2 0.0285.';
+                }
+                alert = candidates[0];
+                value = args[0];
+            } else {
+                return 'Usage: SET 0.0285 (or SET <number> <threshold>).';
+            }
+
+            const threshold = Number(value);
+            if (!Number.isFinite(threshold) || threshold <= 0) {
+                return `"${value}" is not a valid threshold. Use a rate in ${getPair(alert.pair).quote} per THB, e.g. SET ${formatValue(getPair(alert.pair).typicalRate, alert.pair)}.`;
+            }
+
+            alert.rule = { ...alert.rule, threshold };
+            alert.fireState = {};
+            alert.updatedAt = new Date();
+            store.set(alert.id, alert);
+            return `Updated: ${describeRule(alert.rule, alert.pair)}.`;
+        }
+    };
+
+    return function handleCommand(phoneNumber, body) {
+        const [command, ...args] = String(body || '').trim().split(/\s+/);
+        const handler = commands[command.toUpperCase()];
+
+        return handler ? handler(phoneNumber, args) : HELP_TEXT;
+    };
+}
+
+// Twilio webhook router. Requests must carry a valid X-Twilio-Signature for `authToken`; set `publicBaseUrl`
+// when the service runs behind a proxy so the signed URL matches what Twilio called.
+// `handleStatus` receives message status callbacks ({ MessageSid, MessageStatus, ErrorCode }).
+function createInboundSmsRouter({ authToken, publicBaseUrl, handleCommand, handleStatus }) {
+    const router = express.Router();
+
+    router.use(express.urlencoded({ extended: false }), (req, res, next) => {
+        const signature = req.get('X-Twilio-Signature');
+        const url = `${publicBaseUrl || `${req.protocol}://${req.get('host')}`}${req.originalUrl}`;
+
+        if (!authToken || !signature || !twilio.validateRequest(authToken, signature, url, req.body)) {
+            return res.status(403).json({
+                success: false,
+                error: 'Invalid Twilio signature'
+            });
+        }
+
+        next();
+    });
+
+    router.post('/inbound', (req, res) => {
+        const reply = handleCommand(req.body.From, req.body.Body);
+        console.log('Inbound SMS command:', { from: req.body.From, command: String(req.body.Body || '').trim().split(/\s+/)[0] });
+
+        const twiml = new twilio.twiml.MessagingResponse();
+        twiml.message(reply);
+        res.type('text/xml').send(twiml.toString());
+    });
+
+    router.post('/status', (req, res) => {
+        if (handleStatus) {
+            handleStatus(req.body);
+        }
+
+        // Twilio only needs a 2xx; unknown message SIDs are acknowledged too so Twilio does not retry them
+        res.status(204).end();
+    });
+
+    return router;
+}
+
+module.exports = {
+    createCommandHandler,
+    createInboundSmsRouter,
+    HELP_TEXT
+};
@@ -0,0 +1,186 @@
+// Technical Indicators for THB to USD Exchange Rate Monitor
+// Pure functions over time-ordered [{ date, rate }] series (extra fields such as timestamp, high and low are allowed).
+// Series results line up with the input: one { date, value } per point, with value null until enough points
+// have been seen. Used by the dashboard's chart overlays and by the alert rules on both sides.
+// Loaded by the SMS service via require() and by the dashboard as a plain script (window.Indicators).
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Indicators = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    function mean(values) {
+        return values.reduce((sum, value) => sum + value, 0) / values.length;
+    }
+
+    function standardDeviation(values) {
+        const average = mean(values);
+        return Math.sqrt(values.reduce((sum, value) => sum + Math.pow(value - average, 2), 0) / values.length);
+    }
+
+    function series(data, valueAt) {
+        return data.map((point, index) => ({ date: point.date, value: valueAt(index) }));
+    }
+
+    // Most recent non-null value of a series, or null
+    function latest(results, field = 'value') {
+        for (let i = results.length - 1; i >= 0; i--) {
+            if (results[i][field] !== null) return results[i][field];
+        }
+        return null;
+    }
+
+    // Percent change from the first to the last rate
+    function trend(data) {
+        if (data.length < 2) return 0;
+
+        const firstRate = data[0].rate;
+        const lastRate = data[data.length - 1].rate;
+        return ((lastRate - firstRate) / firstRate) * 100;
+    }
+
+    // Standard deviation of the rates as a percentage of their mean (not annualized)
+    function volatility(data) {
+        if (data.length < 2) return 0;
+        const rates = data.map(d => d.rate);
+        return standardDeviation(rates) / mean(rates) * 100;
+    }
+
+    // Simple moving average of the last `period` rates
+    function sma(data, period) {
+        return series(data, (index) => {
+            if (index < period - 1) return null;
+            return mean(data.slice(index - period + 1, index + 1).map(point => point.rate));
+        });
+    }
+
+    // Exponential moving average, seeded with the SMA of the first `period` rates
+    function ema(data, period) {
+        const k = 2 / (period + 1);
+        let previous = null;
+
+        return series(data, (index) => {
+            if (index < period - 1) return null;
+            previous = previous === null
+                ? mean(data.slice(0, period).map(point => point.rate))
+                : data[index].rate * k + previous * (1 - k);
+            return previous;
+        });
+    }
+
+    // Relative Strength Index (0-100) with Wilder's smoothing
+    function rsi(data, period = 14) {
+        let averageGain = 0;
+        let averageLoss = 0;
+
+        return series(data, (index) => {
+            if (index === 0) return null;
+
+            const change = data[index].rate - data[index - 1].rate;
+            const gain = Math.max(change, 0);
+            const loss = Math.max(-change, 0);
+
+            if (index <= period) {
+                averageGain += gain / period;
+                averageLoss += loss / period;
+                if (index < period) return null;
+            } else {
+                averageGain = (averageGain * (period - 1) + gain) / period;
+                averageLoss = (averageLoss * (period - 1) + loss) / period;
+            }
+
+            if (averageLoss === 0) return averageGain === 0 ? 50 : 100;
+            return 100 - 100 / (1 + averageGain / averageLoss);
+        });
+    }
+
+    // MACD line (fast EMA - slow EMA), its signal EMA and the histogram between them:
+    // [{ date, macd, signal, histogram }]
+    function macd(data, { fast = 12, slow = 26, signal = 9 } = {}) {
+        const fastEma = ema(data, fast);
+        const slowEma = ema(data, slow);
+        const macdLine = data.map((point, index) => ({
+            date: point.date,
+            rate: fastEma[index].value === null || slowEma[index].value === null ? null : fastEma[index].value - slowEma[index].value
+        }));
+
+        // The signal line is an EMA of the MACD values that exist
+        const firstIndex = macdLine.findIndex(point => point.rate !== null);
+        const signalLine = firstIndex === -1 ? [] : ema(macdLine.slice(firstIndex), signal);
+
+        return macdLine.map((point, index) => {
+            const signalValue = index >= firstIndex && firstIndex !== -1 ? signalLine[index - firstIndex].value : null;
+            return {
+                date: point.date,
+                macd: point.rate,
+                signal: signalValue,
+                histogram: point.rate === null || signalValue === null ? null : point.rate - signalValue
+            };
+        });
+    }
+
+    // Bollinger Bands: SMA with bands `multiplier` standard deviations either side: [{ date, middle, upper, lower }]
+    function bollinger(data, { period = 20, multiplier = 2 } = {}) {
+        return data.map((point, index) => {
+            if (index < period - 1) {
+                return { date: point.date, middle: null, upper: null, lower: null };
+            }
+
+            const rates = data.slice(index - period + 1, index + 1).map(p => p.rate);
+            const middle = mean(rates);
+            const deviation = standardDeviation(rates) * multiplier;
+            return { date: point.date, middle, upper: middle + deviation, lower: middle - deviation };
+        });
+    }
+
+    // Average True Range with Wilder's smoothing. Points with `high` and `low` use the full true range;
+    // close-only points fall back to the move from the previous close.
+    function atr(data, period = 14) {
+        let average = null;
+        const ranges = [];
+
+        return series(data, (index) => {
+            if (index === 0) return null;
+
+            const point = data[index];
+            const previousClose = data[index - 1].rate;
+            const high = point.high === undefined ? point.rate : point.high;
+            const low = point.low === undefined ? point.rate : point.low;
+            const trueRange = Math.max(high - low, Math.abs(high - previousClose), Math.abs(low - previousClose));
+
+            if (average === null) {
+                ranges.push(trueRange);
+                if (ranges.length < period) return null;
+                average = mean(ranges);
+            } else {
+                average = (average * (period - 1) + trueRange) / period;
+            }
+            return average;
+        });
+    }
+
+    // Rolling standard deviation of log returns over `period` points, annualized, as a percentage
+    function rollingVolatility(data, { period = 20, periodsPerYear = 252 } = {}) {
+        const returns = data.map((point, index) => index === 0 ? null : Math.log(point.rate / data[index - 1].rate));
+
+        return series(data, (index) => {
+            if (index < period) return null;
+            return standardDeviation(returns.slice(index - period + 1, index + 1)) * Math.sqrt(periodsPerYear) * 100;
+        });
+    }
+
+    return {
+        latest,
+        trend,
+        volatility,
+        sma,
+        ema,
+        rsi,
+        macd,
+        bollinger,
+        atr,
+        rollingVolatility
+    };
+}));
@@ -0,0 +1,39 @@
+// JSON File Helpers for THB to USD Exchange Rate Monitor
+// Shared by the file-backed stores so every write is atomic
+
+const fs = require('fs');
+const path = require('path');
+
+// Read a JSON document, returning null when the file does not exist yet
+function readJsonFile(filePath) {
+    if (!fs.existsSync(filePath)) return null;
+
+    const raw = fs.readFileSync(filePath, 'utf8');
+
+    try {
+        return JSON.parse(raw);
+    } catch (error) {
+        // Refuse to continue rather than overwrite a file we cannot read
+        throw new Error(`${filePath} is not valid JSON: ${error.message}`);
+    }
+}
+
+// Write to a temporary file and rename over the target so a crash never leaves a partial file
+function writeJsonFileAtomic(filePath, data) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    const fd = fs.openSync(tempPath, 'w');
+    try {
+        fs.writeSync(fd, JSON.stringify(data, null, 2));
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    fs.renameSync(tempPath, filePath);
+}
+
+module.exports = {
+    readJsonFile,
+    writeJsonFileAtomic
+};
@@ -0,0 +1,48 @@
+// Message Templates for THB to USD Exchange Rate Monitor
+// Server-side message bodies; clients pick a template by name and never supply free-form text
+
+const { getPair, formatRate, formatValue } = require('./currency-pairs');
+
+// Rate templates receive the pair's current direct rate as `rate`
+const MESSAGE_TEMPLATES = {
+    'rate-update': {
+        requiresRate: true,
+        render: ({ pair, rate }) =>
+            `📊 THB Rate Update: 1 THB = ${formatValue(rate, pair)} ${getPair(pair).quote} (${formatRate(rate, pair, true)}).`
+    },
+
+    'threshold-reached': {
+        requiresRate: true,
+        params: ['threshold'],
+        render: ({ pair, rate, threshold }) =>
+            `🚨 THB Investment Alert: THB has strengthened to ${formatRate(rate, pair)}, reaching your target threshold of ${formatValue(threshold, pair)}. Consider investing in ${getPair(pair).quote} now!`
+    },
+
+    'test': {
+        requiresRate: false,
+        render: () =>
+            '✅ Test alert from the THB to USD Exchange Rate Monitor. Your alerts are working.'
+    }
+};
+
+// Render a template by name. Throws with a client-facing message when the template or its parameters are invalid.
+function renderTemplate(name, params = {}) {
+    const template = MESSAGE_TEMPLATES[name];
+    if (!template) {
+        throw new Error(`Template must be one of ${Object.keys(MESSAGE_TEMPLATES).join(', ')}`);
+    }
+
+    for (const param of template.params || []) {
+        const value = params[param];
+        if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+            throw new Error(`Template ${name} requires a positive numeric ${param}`);
+        }
+    }
+
+    return template.render(params);
+}
+
+module.exports = {
+    MESSAGE_TEMPLATES,
+    renderTemplate
+};
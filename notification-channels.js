@@ -0,0 +1,241 @@
+// Notification Channels for THB to USD Exchange Rate Monitor
+// Every delivery path (SMS, email, webhook, Telegram, LINE, Web Push) implements the same small interface:
+//   { type, send({ to, subject, text, data }) -> Promise<{ id, status? }> }
+
+const { postJson } = require('./http-client');
+
+const E164_PATTERN = /^\+[1-9]\d{1,14}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Anyone can create an alert, so webhooks only go to hosts the operator allows (WEBHOOK_ALLOWED_HOSTS);
+// otherwise an alert could make the server post to internal addresses such as localhost or cloud metadata
+const DEFAULT_WEBHOOK_HOSTS = ['hooks.slack.com'];
+
+function webhookHostsFromEnv(env = process.env) {
+    if (env.WEBHOOK_ALLOWED_HOSTS === undefined) return DEFAULT_WEBHOOK_HOSTS;
+    return env.WEBHOOK_ALLOWED_HOSTS
+        .split(',')
+        .map(host => host.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+function webhookUrlError(to, allowedHosts) {
+    let url;
+    try {
+        url = new URL(to);
+    } catch (error) {
+        return 'Webhook recipient must be an http(s) URL';
+    }
+
+    if (!['http:', 'https:'].includes(url.protocol)) return 'Webhook recipient must be an http(s) URL';
+    if (allowedHosts.length === 0) return 'Webhooks are not enabled on this server';
+    if (!allowedHosts.includes(url.hostname.toLowerCase())) {
+        return `Webhook host must be one of ${allowedHosts.join(', ')}`;
+    }
+    return null;
+}
+
+// Recipient validation per channel type, independent of whether the channel is configured on this server
+const RECIPIENT_VALIDATORS = {
+    sms: to => (typeof to === 'string' && E164_PATTERN.test(to)) ? null : 'SMS recipient must be an E.164 phone number',
+    email: to => (typeof to === 'string' && EMAIL_PATTERN.test(to)) ? null : 'Email recipient must be an email address',
+    webhook: (to, { webhookHosts }) => webhookUrlError(to, webhookHosts),
+    telegram: to => /^-?\d+$|^@\w{5,}$/.test(String(to)) ? null : 'Telegram recipient must be a chat ID or @channel name',
+    line: to => (typeof to === 'string' && /^[UCR][0-9a-f]{32}$/.test(to)) ? null : 'LINE recipient must be a user, group or room ID',
+    webpush: to => (to && typeof to === 'object' && typeof to.endpoint === 'string' && to.keys) ? null : 'Web Push recipient must be a push subscription object'
+};
+
+const CHANNEL_TYPES = Object.keys(RECIPIENT_VALIDATORS);
+
+function validateChannels(channels, { webhookHosts = DEFAULT_WEBHOOK_HOSTS } = {}) {
+    if (!Array.isArray(channels) || channels.length === 0) {
+        return ['Channels must be a non-empty list of { type, to }'];
+    }
+
+    const errors = [];
+    channels.forEach((channel, index) => {
+        if (!channel || !CHANNEL_TYPES.includes(channel.type)) {
+            errors.push(`Channel ${index + 1}: type must be one of ${CHANNEL_TYPES.join(', ')}`);
+            return;
+        }
+
+        const error = RECIPIENT_VALIDATORS[channel.type](channel.to, { webhookHosts });
+        if (error) errors.push(`Channel ${index + 1}: ${error}`);
+    });
+
+    return errors;
+}
+
+// Records every message instead of delivering it. Used for demo mode and by the test suite,
+// which can assert against `sent` and call `reset()` between cases.
+function createMockChannel(type) {
+    let counter = 0;
+
+    return {
+        type,
+        mock: true,
+        sent: [],
+        async send(message) {
+            const id = `mock-${type}-${++counter}`;
+            this.sent.push({ id, ...message, sentAt: new Date() });
+            console.log(`${type.toUpperCase()} Alert (Demo Mode):`, {
+                to: message.to,
+                message: message.text
+            });
+            return { id };
+        },
+        reset() {
+            this.sent.length = 0;
+        }
+    };
+}
+
+// With `statusCallback` set, Twilio reports delivery progress for each message to that URL
+function createSmsChannel({ client, from, statusCallback }) {
+    return {
+        type: 'sms',
+        async send({ to, text }) {
+            const smsMessage = await client.messages.create({
+                body: text,
+                from,
+                to,
+                ...(statusCallback ? { statusCallback } : {})
+            });
+            return { id: smsMessage.sid, status: smsMessage.status };
+        }
+    };
+}
+
+// `transport` is a nodemailer transport; point SMTP_HOST/SMTP_PORT at a local SMTP stand-in for testing
+function createEmailChannel({ transport, from }) {
+    return {
+        type: 'email',
+        async send({ to, subject, text, html }) {
+            const info = await transport.sendMail({ from, to, subject, text, html });
+            return { id: info.messageId };
+        }
+    };
+}
+
+// Slack-compatible incoming webhook body: `text` is what Slack displays, `data` carries the structured alert.
+// The host is checked again on every send, so alerts saved before the allowlist changed cannot reach other hosts.
+function createWebhookChannel({ headers = {}, allowedHosts = DEFAULT_WEBHOOK_HOSTS } = {}) {
+    return {
+        type: 'webhook',
+        async send({ to, subject, text, data }) {
+            const error = webhookUrlError(to, allowedHosts);
+            if (error) throw new Error(error);
+
+            await postJson(to, { text, subject, data }, { headers });
+            return { id: null };
+        }
+    };
+}
+
+function createTelegramChannel({ botToken, apiUrl = 'https://api.telegram.org' }) {
+    return {
+        type: 'telegram',
+        async send({ to, text }) {
+            const response = await postJson(`${apiUrl}/bot${botToken}/sendMessage`, {
+                chat_id: to,
+                text
+            });
+            return { id: response && response.result ? String(response.result.message_id) : null };
+        }
+    };
+}
+
+function createLineChannel({ accessToken, apiUrl = 'https://api.line.me' }) {
+    return {
+        type: 'line',
+        async send({ to, text }) {
+            await postJson(`${apiUrl}/v2/bot/message/push`, {
+                to,
+                messages: [{ type: 'text', text }]
+            }, {
+                headers: { Authorization: `Bearer ${accessToken}` }
+            });
+            return { id: null };
+        }
+    };
+}
+
+// `webPush` is the web-push module configured with VAPID details
+function createWebPushChannel({ webPush }) {
+    return {
+        type: 'webpush',
+        async send({ to, subject, text, data }) {
+            await webPush.sendNotification(to, JSON.stringify({ title: subject, body: text, data }));
+            return { id: null };
+        }
+    };
+}
+
+// Build the channel set from environment variables. NOTIFICATION_MODE=mock replaces every channel
+// with a mock; otherwise unconfigured SMS falls back to the demo-mode mock and other channels are left out.
+function createChannelsFromEnv(env = process.env, { twilioClient } = {}) {
+    if (env.NOTIFICATION_MODE === 'mock') {
+        return Object.fromEntries(CHANNEL_TYPES.map(type => [type, createMockChannel(type)]));
+    }
+
+    const channels = {
+        sms: twilioClient
+            ? createSmsChannel({
+                client: twilioClient,
+                from: env.TWILIO_PHONE_NUMBER,
+                statusCallback: env.PUBLIC_BASE_URL ? `${env.PUBLIC_BASE_URL}/api/sms/status` : null
+            })
+            : createMockChannel('sms'),
+        webhook: createWebhookChannel({ allowedHosts: webhookHostsFromEnv(env) })
+    };
+
+    if (env.SMTP_HOST) {
+        const nodemailer = require('nodemailer');
+        channels.email = createEmailChannel({
+            transport: nodemailer.createTransport({
+                host: env.SMTP_HOST,
+                port: parseInt(env.SMTP_PORT, 10) || 587,
+                secure: env.SMTP_SECURE === 'true',
+                auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined
+            }),
+            from: env.ALERT_EMAIL_FROM || env.SMTP_USER
+        });
+    }
+
+    if (env.TELEGRAM_BOT_TOKEN) {
+        channels.telegram = createTelegramChannel({
+            botToken: env.TELEGRAM_BOT_TOKEN,
+            apiUrl: env.TELEGRAM_API_URL
+        });
+    }
+
+    if (env.LINE_CHANNEL_ACCESS_TOKEN) {
+        channels.line = createLineChannel({
+            accessToken: env.LINE_CHANNEL_ACCESS_TOKEN,
+            apiUrl: env.LINE_API_URL
+        });
+    }
+
+    if (env.VAPID_PUBLIC_KEY && env.VAPID_PRIVATE_KEY) {
+        const webPush = require('web-push');
+        webPush.setVapidDetails(env.VAPID_SUBJECT || 'mailto:alerts@example.com', env.VAPID_PUBLIC_KEY, env.VAPID_PRIVATE_KEY);
+        channels.webpush = createWebPushChannel({ webPush });
+    }
+
+    return channels;
+}
+
+module.exports = {
+    CHANNEL_TYPES,
+    DEFAULT_WEBHOOK_HOSTS,
+    validateChannels,
+    webhookHostsFromEnv,
+    createChannelsFromEnv,
+    createMockChannel,
+    createSmsChannel,
+    createEmailChannel,
+    createWebhookChannel,
+    createTelegramChannel,
+    createLineChannel,
+    createWebPushChannel
+};
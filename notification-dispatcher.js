@@ -0,0 +1,114 @@
+// Notification Dispatcher for THB to USD Exchange Rate Monitor
+// Sends an alert on each of its channels, records every attempt and retries failed sends with backoff
+
+const { isVerifiedRecipient } = require('./phone-verification');
+
+// Minutes to wait before each retry; a send is attempted at most RETRY_DELAYS_MINUTES.length + 1 times
+const RETRY_DELAYS_MINUTES = [1, 5, 15];
+
+// Twilio MessageStatus values that end a message's lifecycle
+const FINAL_STATUSES = ['delivered', 'undelivered', 'failed', 'read'];
+
+class NotificationDispatcher {
+    constructor({ channels, log }) {
+        this.channels = channels;
+        this.log = log;
+    }
+
+    // Deliver one alert notification to each recipient. Returns the log records; a record is 'retrying'
+    // when the send failed but will be tried again, and 'failed' once it cannot be delivered.
+    // Recipients the subscriber has not verified are never sent to.
+    async dispatch({ alert, rate, message }) {
+        const records = [];
+
+        for (const recipient of alert.channels) {
+            const record = this.log.create({
+                alertId: alert.id,
+                channel: recipient.type,
+                to: recipient.to,
+                pair: alert.pair,
+                rate,
+                rule: alert.rule,
+                message,
+                status: 'pending'
+            });
+
+            if (isVerifiedRecipient(alert, recipient)) {
+                await this.attempt(record);
+            } else {
+                this.log.update(record, { status: 'failed', error: 'Recipient is not verified for this alert' });
+            }
+            records.push(record);
+        }
+
+        return records;
+    }
+
+    async attempt(record) {
+        const channel = this.channels[record.channel];
+        const attempts = record.attempts + 1;
+
+        if (!channel) {
+            return this.log.update(record, {
+                attempts,
+                status: 'failed',
+                error: `${record.channel} channel is not configured`
+            });
+        }
+
+        try {
+            const { id, status } = await channel.send({ ...record.message, to: record.to });
+
+            return this.log.update(record, {
+                attempts,
+                status: status || 'sent',
+                messageSid: id,
+                demo: !!channel.mock,
+                error: null,
+                nextRetryAt: null
+            });
+
+        } catch (error) {
+            console.error(`Error sending ${record.channel} notification (attempt ${attempts}):`, error.message);
+
+            const delayMinutes = RETRY_DELAYS_MINUTES[attempts - 1];
+            return this.log.update(record, {
+                attempts,
+                status: delayMinutes === undefined ? 'failed' : 'retrying',
+                error: error.message,
+                nextRetryAt: delayMinutes === undefined ? null : new Date(Date.now() + delayMinutes * 60 * 1000).toISOString()
+            });
+        }
+    }
+
+    async processRetries(now = Date.now()) {
+        const due = this.log.dueForRetry(now);
+
+        for (const record of due) {
+            await this.attempt(record);
+        }
+
+        return due;
+    }
+
+    // Apply a Twilio status callback (MessageSid, MessageStatus, ErrorCode) to the matching record
+    applyStatusCallback({ MessageSid, MessageStatus, ErrorCode }) {
+        const record = this.log.findByMessageSid(MessageSid);
+        if (!record) return null;
+
+        // Callbacks can arrive out of order; never move a message back out of a final status
+        if (FINAL_STATUSES.includes(record.status) && !FINAL_STATUSES.includes(MessageStatus)) {
+            return record;
+        }
+
+        return this.log.update(record, {
+            status: MessageStatus,
+            error: ErrorCode ? `Twilio error ${ErrorCode}` : record.error
+        });
+    }
+}
+
+module.exports = {
+    NotificationDispatcher,
+    RETRY_DELAYS_MINUTES
+};
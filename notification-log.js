@@ -0,0 +1,120 @@
+// Notification Log for THB to USD Exchange Rate Monitor
+// One record per delivery attempt on one channel, updated as retries and Twilio status callbacks arrive
+
+const crypto = require('crypto');
+const path = require('path');
+const { readJsonFile, writeJsonFileAtomic } = require('./json-file');
+
+const SCHEMA_VERSION = 1;
+const MAX_RECORDS = 5000;
+const PERSIST_DELAY_MS = 1000;
+
+// Pass a filePath to persist the log; without one it lives in memory only. Attempts and status updates arrive in
+// bursts (every channel of an alert, retries, status callbacks), so changes are written together at most once
+// per `persistDelayMs`; call flush() before exiting to write what is still pending.
+class NotificationLog {
+    constructor({ filePath = null, persistDelayMs = PERSIST_DELAY_MS } = {}) {
+        this.filePath = filePath ? path.resolve(filePath) : null;
+        this.persistDelayMs = persistDelayMs;
+        this.records = [];
+        this.dirty = false;
+        this.persistTimer = null;
+        this.load();
+    }
+
+    load() {
+        if (!this.filePath) return;
+
+        const document = readJsonFile(this.filePath);
+        if (!document) return;
+
+        if (document.schemaVersion > SCHEMA_VERSION) {
+            throw new Error(`Notification log schema version ${document.schemaVersion} is newer than supported version ${SCHEMA_VERSION}`);
+        }
+
+        this.records = document.records || [];
+    }
+
+    persist() {
+        if (!this.filePath) return;
+
+        this.dirty = true;
+        if (this.persistTimer) return;
+
+        this.persistTimer = setTimeout(() => {
+            try {
+                this.flush();
+            } catch (error) {
+                // Still dirty, so the next change tries again
+                console.error('Error writing notification log:', error.message);
+            }
+        }, this.persistDelayMs);
+        this.persistTimer.unref();
+    }
+
+    flush() {
+        if (this.persistTimer) {
+            clearTimeout(this.persistTimer);
+            this.persistTimer = null;
+        }
+        if (!this.filePath || !this.dirty) return;
+
+        writeJsonFileAtomic(this.filePath, {
+            schemaVersion: SCHEMA_VERSION,
+            updatedAt: new Date().toISOString(),
+            records: this.records
+        });
+        this.dirty = false;
+    }
+
+    create(fields) {
+        const now = new Date().toISOString();
+        const record = {
+            id: crypto.randomUUID(),
+            ...fields,
+            attempts: 0,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        this.records.push(record);
+        // Drop the oldest records once the log is full
+        if (this.records.length > MAX_RECORDS) {
+            this.records = this.records.slice(-MAX_RECORDS);
+        }
+        this.persist();
+        return record;
+    }
+
+    update(record, changes) {
+        Object.assign(record, changes, { updatedAt: new Date().toISOString() });
+        this.persist();
+        return record;
+    }
+
+    findByMessageSid(messageSid) {
+        return this.records.find(record => record.messageSid === messageSid) || null;
+    }
+
+    forAlert(alertId) {
+        return this.records
+            .filter(record => record.alertId === alertId)
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    // Every record, newest first
+    all() {
+        return this.records
+            .slice()
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    dueForRetry(now = Date.now()) {
+        return this.records.filter(record =>
+            record.status === 'retrying' && new Date(record.nextRetryAt).getTime() <= now);
+    }
+}
+
+module.exports = {
+    NotificationLog
+};
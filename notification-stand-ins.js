@@ -0,0 +1,141 @@
+// Local Notification Stand-ins for THB to USD Exchange Rate Monitor
+// A minimal SMTP server and a webhook receiver that keep everything sent to them, so the email and webhook
+// channels can be exercised without a mail server or a Slack workspace. The test suite starts them on a free
+// port; to try them by hand, point SMTP_HOST/SMTP_PORT and WEBHOOK_ALLOWED_HOSTS at them.
+
+const net = require('net');
+const http = require('http');
+
+function listen(server, port, host) {
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => resolve(server.address().port));
+    });
+}
+
+// Close the server and drop connections that are still open, e.g. a pooled SMTP connection
+function closeServer(server, sockets) {
+    for (const socket of sockets) socket.destroy();
+    return new Promise(resolve => server.close(() => resolve()));
+}
+
+function mailAddress(line) {
+    const match = line.match(/<([^>]*)>/);
+    return match ? match[1] : line.slice(line.indexOf(':') + 1).trim();
+}
+
+// Accepts every message, without TLS or authentication. `messages` holds { from, to: [...], data } per message,
+// `data` being the raw message with headers.
+async function startSmtpStandIn({ port = 0, host = '127.0.0.1' } = {}) {
+    const messages = [];
+    const sockets = new Set();
+
+    const server = net.createServer((socket) => {
+        const reply = line => socket.write(`${line}\r\n`);
+        let buffer = '';
+        let message = null;
+        let receivingData = false;
+
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+        socket.setEncoding('utf8');
+        reply('220 thb-monitor SMTP stand-in');
+
+        socket.on('data', (chunk) => {
+            buffer += chunk;
+
+            let end;
+            while ((end = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, end);
+                buffer = buffer.slice(end + 2);
+
+                if (receivingData) {
+                    if (line === '.') {
+                        receivingData = false;
+                        messages.push(message);
+                        message = null;
+                        reply('250 OK: message queued');
+                    } else {
+                        // Clients double a leading dot so a lone "." can end the message
+                        message.data += `${line.startsWith('.') ? line.slice(1) : line}\r\n`;
+                    }
+                    continue;
+                }
+
+                const command = line.slice(0, 4).toUpperCase();
+                if (command === 'EHLO' || command === 'HELO') {
+                    reply('250 thb-monitor');
+                } else if (command === 'MAIL') {
+                    message = { from: mailAddress(line), to: [], data: '' };
+                    reply('250 OK');
+                } else if (command === 'RCPT' && message) {
+                    message.to.push(mailAddress(line));
+                    reply('250 OK');
+                } else if (command === 'DATA' && message && message.to.length > 0) {
+                    receivingData = true;
+                    reply('354 End data with <CR><LF>.<CR><LF>');
+                } else if (command === 'RSET') {
+                    message = null;
+                    reply('250 OK');
+                } else if (command === 'NOOP') {
+                    reply('250 OK');
+                } else if (command === 'QUIT') {
+                    reply('221 Bye');
+                    socket.end();
+                } else {
+                    reply('503 Bad sequence of commands');
+                }
+            }
+        });
+    });
+
+    const boundPort = await listen(server, port, host);
+    return {
+        host,
+        port: boundPort,
+        messages,
+        close: () => closeServer(server, sockets)
+    };
+}
+
+// Answers every request like a Slack incoming webhook ("ok") and keeps { method, path, headers, body } for each,
+// with JSON bodies parsed
+async function startWebhookStandIn({ port = 0, host = '127.0.0.1' } = {}) {
+    const requests = [];
+    const sockets = new Set();
+
+    const server = http.createServer((req, res) => {
+        let text = '';
+        req.setEncoding('utf8');
+        req.on('data', chunk => { text += chunk; });
+        req.on('end', () => {
+            let body = text;
+            try {
+                body = JSON.parse(text);
+            } catch (parseError) {
+                // Keep non-JSON bodies as text
+            }
+
+            requests.push({ method: req.method, path: req.url, headers: req.headers, body });
+            res.end('ok');
+        });
+    });
+    server.on('connection', (socket) => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+    });
+
+    const boundPort = await listen(server, port, host);
+    return {
+        host,
+        port: boundPort,
+        url: `http://${host}:${boundPort}`,
+        requests,
+        close: () => closeServer(server, sockets)
+    };
+}
+
+module.exports = {
+    startSmtpStandIn,
+    startWebhookStandIn
+};
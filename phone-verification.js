@@ -0,0 +1,225 @@
+// Phone Verification for THB to USD Exchange Rate Monitor
+// One-time codes that prove a subscriber owns the phone number, and every email address the alert sends to,
+// before their alert activates
+
+const crypto = require('crypto');
+
+const CODE_TTL_MS = 10 * 60 * 1000;
+const MAX_ATTEMPTS = 5;
+const MAX_SENDS = 5;
+const RESEND_INTERVAL_MS = 60 * 1000;
+
+class VerificationError extends Error {
+    constructor(message, status, details) {
+        super(message);
+        this.name = 'VerificationError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+function generateCode() {
+    return crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+}
+
+// Codes are stored hashed with the alert ID so a leaked store does not reveal pending codes
+function hashCode(alertId, code) {
+    return crypto.createHash('sha256').update(`${alertId}:${code}`).digest('hex');
+}
+
+// Email addresses among an alert's channels; each gets its own code
+function emailRecipients(alert) {
+    return [...new Set((alert.channels || []).filter(channel => channel.type === 'email').map(channel => channel.to))];
+}
+
+// Whether a channel's recipient is proven to belong to the subscriber: SMS only ever goes to the verified phone
+// number and email to the addresses confirmed with a code. Other channels are chosen by the subscriber's own
+// accounts (or the operator's webhook allowlist), so they are not checked.
+function isVerifiedRecipient(alert, channel) {
+    if (channel.type === 'sms') return channel.to === alert.phoneNumber;
+    if (channel.type === 'email') return (alert.verification.emails || []).includes(channel.to);
+    return true;
+}
+
+// Generates codes locally and delivers them on the SMS channel (the mock channel in demo mode)
+function createLocalCodeSender(smsChannel) {
+    return {
+        async send(alert, now) {
+            const code = generateCode();
+            await smsChannel.send({
+                to: alert.phoneNumber,
+                text: `Your THB Monitor verification code is ${code}. It expires in ${CODE_TTL_MS / 60000} minutes.`,
+                data: { alertId: alert.id, purpose: 'verification' }
+            });
+            return { codeHash: hashCode(alert.id, code), expiresAt: new Date(now + CODE_TTL_MS).toISOString() };
+        },
+        async check(alert, code) {
+            return alert.verification.codeHash === hashCode(alert.id, code);
+        }
+    };
+}
+
+// Delegates code generation and checking to a Twilio Verify service
+function createTwilioVerifySender(client, serviceSid) {
+    const service = client.verify.v2.services(serviceSid);
+
+    return {
+        async send(alert, now) {
+            await service.verifications.create({ to: alert.phoneNumber, channel: 'sms' });
+            return { codeHash: null, expiresAt: new Date(now + CODE_TTL_MS).toISOString() };
+        },
+        async check(alert, code) {
+            const result = await service.verificationChecks.create({ to: alert.phoneNumber, code });
+            return result.status === 'approved';
+        }
+    };
+}
+
+// `emailChannel` delivers the codes for email recipients; alerts with email channels cannot be verified without it
+function createPhoneVerifier({ sender, emailChannel = null }) {
+    async function sendEmailCode(alert, address) {
+        const code = generateCode();
+        await emailChannel.send({
+            to: address,
+            subject: 'Your THB Monitor verification code',
+            text: `Your THB Monitor verification code for this email address is ${code}. It expires in ${CODE_TTL_MS / 60000} minutes.`,
+            data: { alertId: alert.id, purpose: 'verification' }
+        });
+        return hashCode(`${alert.id}:${address}`, code);
+    }
+
+    return {
+        // Send fresh codes to the phone number and every email recipient and put the alert in the pending state
+        async start(alert, now = Date.now()) {
+            const previous = alert.verification || {};
+            const sends = previous.status === 'pending' ? previous.sends || 0 : 0;
+
+            if (sends >= MAX_SENDS) {
+                throw new VerificationError('Too many verification codes requested', 429,
+                    'Delete this alert and create it again to start over');
+            }
+            if (previous.status === 'pending' && previous.sentAt &&
+                now - new Date(previous.sentAt).getTime() < RESEND_INTERVAL_MS) {
+                throw new VerificationError('A verification code was sent recently', 429,
+                    `Wait ${RESEND_INTERVAL_MS / 1000} seconds before requesting another code`);
+            }
+
+            const addresses = emailRecipients(alert);
+            if (addresses.length > 0 && !emailChannel) {
+                throw new VerificationError('Email is not configured on this server', 400,
+                    'Remove the email channel to verify the alert by phone only');
+            }
+
+            const { codeHash, expiresAt } = await sender.send(alert, now);
+            const emails = {};
+            for (const address of addresses) {
+                emails[address] = { codeHash: await sendEmailCode(alert, address), verified: false };
+            }
+
+            alert.verification = {
+                status: 'pending',
+                codeHash,
+                phoneVerified: false,
+                emails,
+                expiresAt,
+                attempts: 0,
+                sends: sends + 1,
+                sentAt: new Date(now).toISOString()
+            };
+            return alert.verification;
+        },
+
+        // Check the submitted codes: `code` from the SMS and `emailCodes` ({ address: code }) from the emails.
+        // Each correct code is remembered; the alert is verified once the phone and every address are.
+        async verify(alert, { code, emailCodes } = {}, now = Date.now()) {
+            const verification = alert.verification || {};
+
+            if (verification.status === 'verified') return verification;
+            if (verification.status !== 'pending') {
+                throw new VerificationError('No verification is pending for this alert', 409);
+            }
+
+            const emails = verification.emails || {};
+            const pendingEmails = Object.keys(emails).filter(address => !emails[address].verified);
+            const submitted = pendingEmails
+                .filter(address => emailCodes && typeof emailCodes === 'object' && emailCodes[address] !== undefined)
+                .map(address => ({ address, code: emailCodes[address] }));
+            if (!verification.phoneVerified && (code !== undefined || submitted.length === 0)) {
+                submitted.unshift({ address: null, code });
+            }
+
+            if (submitted.length === 0) {
+                throw new VerificationError('Verification code must be 6 digits', 400,
+                    `Send the codes emailed to ${pendingEmails.join(', ')} in emailCodes`);
+            }
+            if (submitted.some(entry => typeof entry.code !== 'string' || !/^\d{6}$/.test(entry.code))) {
+                throw new VerificationError('Verification code must be 6 digits', 400);
+            }
+            if (verification.attempts >= MAX_ATTEMPTS) {
+                throw new VerificationError('Too many incorrect attempts', 429, 'Request a new verification code');
+            }
+            if (now > new Date(verification.expiresAt).getTime()) {
+                throw new VerificationError('Verification code has expired', 400, 'Request a new verification code');
+            }
+
+            verification.attempts++;
+
+            const incorrect = [];
+            for (const entry of submitted) {
+                if (entry.address === null) {
+                    if (await sender.check(alert, entry.code)) verification.phoneVerified = true;
+                    else incorrect.push('the phone number');
+                } else if (emails[entry.address].codeHash === hashCode(`${alert.id}:${entry.address}`, entry.code)) {
+                    emails[entry.address].verified = true;
+                } else {
+                    incorrect.push(entry.address);
+                }
+            }
+
+            if (incorrect.length > 0) {
+                const remaining = MAX_ATTEMPTS - verification.attempts;
+                throw new VerificationError('Incorrect verification code', 400,
+                    `Wrong code for ${incorrect.join(', ')}; ${remaining} attempt${remaining === 1 ? '' : 's'} remaining`);
+            }
+
+            if (!verification.phoneVerified || Object.values(emails).some(email => !email.verified)) {
+                return verification;
+            }
+
+            alert.verification = {
+                status: 'verified',
+                verifiedAt: new Date(now).toISOString(),
+                emails: Object.keys(emails)
+            };
+            return alert.verification;
+        }
+    };
+}
+
+// Public view of an alert's verification state (never includes the code hashes)
+function describeVerification(verification = {}) {
+    if (verification.status === 'verified') {
+        return { status: 'verified', verifiedAt: verification.verifiedAt };
+    }
+
+    const emails = verification.emails || {};
+    return {
+        status: verification.status || 'unverified',
+        expiresAt: verification.expiresAt,
+        attemptsRemaining: Math.max(0, MAX_ATTEMPTS - (verification.attempts || 0)),
+        phoneVerified: !!verification.phoneVerified,
+        pendingEmails: Object.keys(emails).filter(address => !emails[address].verified)
+    };
+}
+
+module.exports = {
+    createPhoneVerifier,
+    createLocalCodeSender,
+    createTwilioVerifySender,
+    describeVerification,
+    emailRecipients,
+    isVerifiedRecipient,
+    VerificationError,
+    CODE_TTL_MS,
+    MAX_ATTEMPTS
+};
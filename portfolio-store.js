@@ -0,0 +1,74 @@
+// Portfolio Storage for THB to USD Exchange Rate Monitor
+// Conversion portfolios synced from dashboards, keyed by the portfolio ID each dashboard generates
+
+const path = require('path');
+const { readJsonFile, writeJsonFileAtomic } = require('./json-file');
+const { mergeConversions } = require('./portfolio');
+
+const SCHEMA_VERSION = 1;
+
+// Pass a filePath to persist portfolios; without one they live in memory only
+class PortfolioStore {
+    constructor({ filePath = null } = {}) {
+        this.filePath = filePath ? path.resolve(filePath) : null;
+        this.portfolios = new Map();
+        this.load();
+    }
+
+    load() {
+        if (!this.filePath) return;
+
+        const document = readJsonFile(this.filePath);
+        if (!document) return;
+
+        if (document.schemaVersion > SCHEMA_VERSION) {
+            throw new Error(`Portfolio store schema version ${document.schemaVersion} is newer than supported version ${SCHEMA_VERSION}`);
+        }
+
+        this.portfolios = new Map(Object.entries(document.portfolios || {}));
+    }
+
+    persist() {
+        if (!this.filePath) return;
+
+        writeJsonFileAtomic(this.filePath, {
+            schemaVersion: SCHEMA_VERSION,
+            updatedAt: new Date().toISOString(),
+            portfolios: Object.fromEntries(this.portfolios)
+        });
+    }
+
+    get(id) {
+        return this.portfolios.get(id);
+    }
+
+    get size() {
+        return this.portfolios.size;
+    }
+
+    // Merge a dashboard's conversions (tombstones included) into the stored copy and return the result
+    merge(id, conversions) {
+        const existing = this.portfolios.get(id);
+        const portfolio = {
+            id,
+            conversions: mergeConversions(existing ? existing.conversions : [], conversions),
+            createdAt: existing ? existing.createdAt : new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        };
+
+        this.portfolios.set(id, portfolio);
+        this.persist();
+        return portfolio;
+    }
+
+    delete(id) {
+        const deleted = this.portfolios.delete(id);
+        if (deleted) this.persist();
+        return deleted;
+    }
+}
+
+module.exports = {
+    PortfolioStore,
+    SCHEMA_VERSION
+};
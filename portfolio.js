@@ -0,0 +1,129 @@
+// Conversion Portfolio for THB to USD Exchange Rate Monitor
+// Conversions actually made: { id, pair, date, thbAmount, rate, feeThb, note, updatedAt, deleted? }.
+// `rate` is the direct rate obtained (quote currency per THB) and `feeThb` is paid on top of `thbAmount`.
+// Deleted conversions stay as tombstones so a deletion on one device wins over a stale copy on another.
+// Loaded by the SMS service via require() and by the dashboard as a plain script (window.Portfolio).
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./currency-pairs'));
+    } else {
+        root.Portfolio = factory(root.CurrencyPairs);
+    }
+}(typeof self !== 'undefined' ? self : this, function (CurrencyPairs) {
+    const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+    const ACCEPTED_FIELDS = ['id', 'pair', 'date', 'thbAmount', 'rate', 'feeThb', 'note', 'updatedAt', 'deleted'];
+    const MAX_NOTE_LENGTH = 200;
+
+    function isPositiveNumber(value) {
+        return typeof value === 'number' && Number.isFinite(value) && value > 0;
+    }
+
+    function validateConversion(conversion) {
+        if (!conversion || typeof conversion !== 'object' || Array.isArray(conversion)) {
+            return ['Conversion must be an object'];
+        }
+
+        const errors = [];
+        const unknownFields = Object.keys(conversion).filter(field => !ACCEPTED_FIELDS.includes(field));
+        if (unknownFields.length > 0) {
+            errors.push(`Unknown field(s): ${unknownFields.join(', ')}`);
+        }
+
+        if (typeof conversion.id !== 'string' || !conversion.id || conversion.id.length > 64) {
+            errors.push('Conversion id must be a string of up to 64 characters');
+        }
+        if (typeof conversion.updatedAt !== 'number' || !Number.isFinite(conversion.updatedAt)) {
+            errors.push('updatedAt must be a timestamp in milliseconds');
+        }
+        if (conversion.deleted !== undefined && typeof conversion.deleted !== 'boolean') {
+            errors.push('deleted must be true or false');
+        }
+        // A tombstone only needs to say which conversion went away
+        if (conversion.deleted) return errors;
+
+        if (!CurrencyPairs.isValidPair(conversion.pair)) {
+            errors.push(`Pair must be one of ${CurrencyPairs.PAIR_IDS.join(', ')}`);
+        }
+        if (typeof conversion.date !== 'string' || !DATE_PATTERN.test(conversion.date) || Number.isNaN(new Date(conversion.date).getTime())) {
+            errors.push('Date must be YYYY-MM-DD');
+        }
+        if (!isPositiveNumber(conversion.thbAmount)) {
+            errors.push('THB amount must be a positive number');
+        }
+        if (!isPositiveNumber(conversion.rate)) {
+            errors.push('Rate must be a positive number');
+        }
+        if (conversion.feeThb !== undefined && !(typeof conversion.feeThb === 'number' && Number.isFinite(conversion.feeThb) && conversion.feeThb >= 0)) {
+            errors.push('Fee must be zero or a positive number');
+        }
+        if (conversion.note !== undefined && (typeof conversion.note !== 'string' || conversion.note.length > MAX_NOTE_LENGTH)) {
+            errors.push(`Note must be text of up to ${MAX_NOTE_LENGTH} characters`);
+        }
+
+        return errors;
+    }
+
+    // Combine two copies of a conversion list: the most recently updated version of each conversion wins
+    function mergeConversions(ours, theirs) {
+        const merged = new Map();
+
+        for (const conversion of [...ours, ...theirs]) {
+            const existing = merged.get(conversion.id);
+            if (!existing || conversion.updatedAt > existing.updatedAt) {
+                merged.set(conversion.id, conversion);
+            }
+        }
+
+        return Array.from(merged.values()).sort((a, b) => (a.date || '').localeCompare(b.date || '') || a.updatedAt - b.updatedAt);
+    }
+
+    function activeConversions(conversions, pair) {
+        return conversions.filter(conversion => !conversion.deleted && (!pair || conversion.pair === pair));
+    }
+
+    // Cost basis and P&L of one pair's conversions. `currentRate` (direct) values what is held today;
+    // `averageRate` (direct, e.g. the displayed period's average) is what each conversion is compared with.
+    // Amounts are THB except `quoteHeld`; an unrealized gain means the currency held is worth more THB today.
+    function summarize(conversions, pair, { currentRate = null, averageRate = null } = {}) {
+        const rows = activeConversions(conversions, pair).map((conversion) => {
+            const feeThb = conversion.feeThb || 0;
+            const received = conversion.thbAmount * conversion.rate;
+            return {
+                ...conversion,
+                feeThb,
+                received,
+                effectiveRate: received / (conversion.thbAmount + feeThb),
+                vsAveragePercent: averageRate ? (conversion.rate - averageRate) / averageRate * 100 : null
+            };
+        });
+
+        const thbConverted = rows.reduce((sum, row) => sum + row.thbAmount, 0);
+        const feesThb = rows.reduce((sum, row) => sum + row.feeThb, 0);
+        const quoteHeld = rows.reduce((sum, row) => sum + row.received, 0);
+        const costThb = thbConverted + feesThb;
+        const currentValueThb = currentRate && quoteHeld ? quoteHeld / currentRate : null;
+
+        return {
+            pair,
+            conversions: rows,
+            thbConverted,
+            feesThb,
+            costThb,
+            quoteHeld,
+            // Weighted by THB amount: what the THB converted bought on average, with and without fees
+            averageRate: thbConverted ? quoteHeld / thbConverted : null,
+            effectiveRate: costThb ? quoteHeld / costThb : null,
+            currentValueThb,
+            unrealizedThb: currentValueThb === null ? null : currentValueThb - costThb,
+            unrealizedPercent: currentValueThb === null ? null : (currentValueThb - costThb) / costThb * 100
+        };
+    }
+
+    return {
+        validateConversion,
+        mergeConversions,
+        activeConversions,
+        summarize
+    };
+}));
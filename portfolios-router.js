@@ -0,0 +1,99 @@
+// Portfolio API for THB to USD Exchange Rate Monitor
+// Backs up each dashboard's conversion log so it survives a cleared browser and can be opened on another device.
+// The portfolio ID is a random UUID generated by the dashboard; knowing it is what grants access.
+
+const express = require('express');
+const { sendError, sendLimited } = require('./alerts-router');
+const { validateConversion, activeConversions } = require('./portfolio');
+
+const PORTFOLIO_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+// Keeps a full sync well under the service's 100 kB JSON body limit
+const MAX_CONVERSIONS = 400;
+const DEFAULT_MAX_PORTFOLIOS = 1000;
+
+function serializePortfolio(portfolio, { includeDeleted = false } = {}) {
+    return {
+        id: portfolio.id,
+        conversions: includeDeleted ? portfolio.conversions : activeConversions(portfolio.conversions),
+        createdAt: portfolio.createdAt,
+        updatedAt: portfolio.updatedAt
+    };
+}
+
+// Anyone can sync, so the store holds at most `maxPortfolios` and `limitSync(req, { creating })` is asked before
+// every write; it returns the limit that was hit, or null
+function createPortfoliosRouter({ store, maxPortfolios = DEFAULT_MAX_PORTFOLIOS, limitSync = () => null }) {
+    const router = express.Router();
+
+    router.param('id', (req, res, next, id) => {
+        if (!PORTFOLIO_ID_PATTERN.test(id)) {
+            return sendError(res, 400, 'Invalid portfolio ID', 'Portfolio IDs are UUIDs');
+        }
+        next();
+    });
+
+    router.get('/:id', (req, res) => {
+        const portfolio = store.get(req.params.id);
+        if (!portfolio) {
+            return sendError(res, 404, 'Portfolio not found', `No portfolio with id ${req.params.id}`);
+        }
+
+        res.json({ success: true, portfolio: serializePortfolio(portfolio) });
+    });
+
+    // Two-way sync: merge the dashboard's conversions (with tombstones for deletions) into the stored copy,
+    // newest version of each conversion winning, and answer with the merged list for the dashboard to keep
+    router.post('/:id/sync', (req, res) => {
+        const conversions = req.body && req.body.conversions;
+        if (!Array.isArray(conversions)) {
+            return sendError(res, 400, 'Invalid portfolio', 'conversions must be an array');
+        }
+
+        const errors = conversions
+            .map((conversion, index) => validateConversion(conversion).map(error => `conversions[${index}]: ${error}`))
+            .flat();
+        if (errors.length > 0) {
+            return sendError(res, 400, 'Invalid portfolio', errors.slice(0, 10).join('; '));
+        }
+
+        const existing = store.get(req.params.id);
+        // A dashboard without conversions has nothing to back up yet
+        if (!existing && conversions.length === 0) {
+            return res.json({ success: true, portfolio: { id: req.params.id, conversions: [], createdAt: null, updatedAt: null } });
+        }
+
+        const knownIds = new Set([...(existing ? existing.conversions : []), ...conversions].map(conversion => conversion.id));
+        if (knownIds.size > MAX_CONVERSIONS) {
+            return sendError(res, 413, 'Portfolio is too large', `A portfolio holds at most ${MAX_CONVERSIONS} conversions`);
+        }
+        if (!existing && store.size >= maxPortfolios) {
+            return sendError(res, 503, 'Portfolio storage is full', 'Conversions are kept on this device; try again later');
+        }
+
+        const limited = limitSync(req, { creating: !existing });
+        if (limited) {
+            return sendLimited(res, limited, 'Too many portfolio syncs');
+        }
+
+        const portfolio = store.merge(req.params.id, conversions);
+        console.log('Portfolio synced:', { id: portfolio.id, conversions: activeConversions(portfolio.conversions).length });
+
+        res.json({ success: true, portfolio: serializePortfolio(portfolio, { includeDeleted: true }) });
+    });
+
+    router.delete('/:id', (req, res) => {
+        if (!store.delete(req.params.id)) {
+            return sendError(res, 404, 'Portfolio not found', `No portfolio with id ${req.params.id}`);
+        }
+
+        console.log('Portfolio deleted:', { id: req.params.id });
+        res.json({ success: true, message: 'Portfolio deleted successfully' });
+    });
+
+    return router;
+}
+
+module.exports = {
+    createPortfoliosRouter,
+    serializePortfolio
+};
@@ -0,0 +1,74 @@
+// Rate Change for THB to USD Exchange Rate Monitor
+// Finds the reference rate a change is measured from (previous daily close, 24 hours ago or the start of the week)
+// in a series built from daily closes and recorded ticks. Days and weeks are UTC; weeks start on Monday.
+// Loaded by the dashboard as a plain script (window.RateChange) and by Node via require().
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.RateChange = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    function startOfDay(timestamp) {
+        return Math.floor(timestamp / DAY_MS) * DAY_MS;
+    }
+
+    function startOfWeek(timestamp) {
+        const day = startOfDay(timestamp);
+        const daysSinceMonday = (new Date(day).getUTCDay() + 6) % 7;
+        return day - daysSinceMonday * DAY_MS;
+    }
+
+    // Each reference point is the last known rate at or before `time(now)`
+    const REFERENCE_POINTS = {
+        'previous-close': { label: 'Previous close', time: now => startOfDay(now) - 1 },
+        '24h': { label: '24h ago', time: now => now - DAY_MS },
+        'week-start': { label: 'Start of week', time: now => startOfWeek(now) - 1 }
+    };
+
+    // Merge daily closes ([{ date, rate }]) and ticks ([{ timestamp, rate }]) into one series sorted by time.
+    // A close stands for the last moment of its day.
+    function buildSeries({ closes = [], ticks = [] }) {
+        return [
+            ...closes.map(close => ({ timestamp: new Date(`${close.date}T00:00:00Z`).getTime() + DAY_MS - 1, rate: close.rate })),
+            ...ticks.map(tick => ({ timestamp: tick.timestamp, rate: tick.rate }))
+        ].sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    function rateAt(series, timestamp) {
+        for (let i = series.length - 1; i >= 0; i--) {
+            if (series[i].timestamp <= timestamp) return series[i];
+        }
+        return null;
+    }
+
+    // { rate, timestamp } of the reference point, or null when the series does not reach back that far
+    function referencePoint(series, reference, now = Date.now()) {
+        if (!REFERENCE_POINTS[reference]) {
+            throw new Error(`Unknown reference point "${reference}". Use one of ${Object.keys(REFERENCE_POINTS).join(', ')}`);
+        }
+        return rateAt(series, REFERENCE_POINTS[reference].time(now));
+    }
+
+    function computeChange(rate, referenceRate) {
+        const change = rate - referenceRate;
+        return {
+            change,
+            changePercent: change / referenceRate * 100
+        };
+    }
+
+    return {
+        DAY_MS,
+        REFERENCE_POINTS,
+        startOfDay,
+        startOfWeek,
+        buildSeries,
+        rateAt,
+        referencePoint,
+        computeChange
+    };
+}));
@@ -0,0 +1,274 @@
+// Rate History for THB to USD Exchange Rate Monitor
+// Records polled rates so alert rules can look back over hours and days, and serves OHLC bars for the history API
+
+const path = require('path');
+const { readJsonFile, writeJsonFileAtomic } = require('./json-file');
+const { DEFAULT_PAIR } = require('./currency-pairs');
+
+const SCHEMA_VERSION = 2;
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const TICK_RETENTION_MS = 7 * DAY_MS;
+const DAILY_RETENTION_DAYS = 400;
+const HOURLY_RETENTION_MS = DAILY_RETENTION_DAYS * DAY_MS;
+
+const INTERVALS = ['1h', '1d', '1w'];
+
+function toDateKey(timestamp) {
+    return new Date(timestamp).toISOString().split('T')[0];
+}
+
+// Each pair has its own history file. The default pair keeps the configured path so existing
+// THB/USD history carries over; others add the pair, e.g. rate-history-thb-eur.json.
+function historyPathForPair(filePath, pair) {
+    if (!filePath || pair === DEFAULT_PAIR) return filePath;
+
+    const extension = path.extname(filePath);
+    return `${filePath.slice(0, filePath.length - extension.length)}-${pair.toLowerCase()}${extension}`;
+}
+
+// Start of the UTC bucket containing a timestamp; weeks start on Monday
+function bucketStart(timestamp, interval) {
+    if (interval === '1h') return Math.floor(timestamp / HOUR_MS) * HOUR_MS;
+
+    const day = Math.floor(timestamp / DAY_MS) * DAY_MS;
+    if (interval === '1d') return day;
+
+    const daysSinceMonday = (new Date(day).getUTCDay() + 6) % 7;
+    return day - daysSinceMonday * DAY_MS;
+}
+
+function bucketSize(interval) {
+    return { '1h': HOUR_MS, '1d': DAY_MS, '1w': 7 * DAY_MS }[interval];
+}
+
+function addToBar(bar, rate) {
+    bar.high = Math.max(bar.high, rate);
+    bar.low = Math.min(bar.low, rate);
+    bar.close = rate;
+    bar.sum += rate;
+    bar.count++;
+}
+
+// Version 1 files only had ticks and daily closes; rebuild hourly bars from both,
+// using a single-point bar for each day older than the oldest tick
+function migrateV1(document) {
+    const history = new RateHistory();
+    const firstTick = (document.ticks || [])[0];
+
+    for (const day of document.daily || []) {
+        if (!firstTick || day.timestamp < firstTick.timestamp) {
+            history.addHourlyPoint(day.timestamp, day.rate);
+        }
+    }
+    for (const tick of document.ticks || []) {
+        history.addHourlyPoint(tick.timestamp, tick.rate);
+    }
+
+    return { ...document, schemaVersion: 2, hourly: history.hourly };
+}
+
+// Keeps every tick for the last week, one closing rate per UTC day and hourly OHLC bars for 400 days.
+// Pass a filePath to persist the history; without one it lives in memory only.
+class RateHistory {
+    constructor({ filePath = null } = {}) {
+        this.filePath = filePath ? path.resolve(filePath) : null;
+        this.ticks = [];
+        this.daily = [];
+        this.hourly = [];
+        this.load();
+    }
+
+    load() {
+        if (!this.filePath) return;
+
+        const document = readJsonFile(this.filePath);
+        if (!document) return;
+
+        if (document.schemaVersion > SCHEMA_VERSION) {
+            throw new Error(`Rate history schema version ${document.schemaVersion} is newer than supported version ${SCHEMA_VERSION}`);
+        }
+
+        const current = document.schemaVersion === 1 ? migrateV1(document) : document;
+
+        this.ticks = current.ticks || [];
+        this.daily = current.daily || [];
+        this.hourly = current.hourly || [];
+    }
+
+    persist() {
+        if (!this.filePath) return;
+
+        writeJsonFileAtomic(this.filePath, {
+            schemaVersion: SCHEMA_VERSION,
+            updatedAt: new Date().toISOString(),
+            ticks: this.ticks,
+            daily: this.daily,
+            hourly: this.hourly
+        });
+    }
+
+    record(rate, at = new Date()) {
+        const timestamp = new Date(at).getTime();
+        const date = toDateKey(timestamp);
+
+        this.ticks.push({ timestamp, rate });
+        this.ticks = this.ticks.filter(tick => tick.timestamp >= timestamp - TICK_RETENTION_MS);
+
+        // The latest tick of a day is that day's close
+        const lastDay = this.daily[this.daily.length - 1];
+        if (lastDay && lastDay.date === date) {
+            lastDay.rate = rate;
+            lastDay.timestamp = timestamp;
+        } else {
+            this.daily.push({ date, rate, timestamp });
+            this.daily = this.daily.slice(-DAILY_RETENTION_DAYS);
+        }
+
+        this.addHourlyPoint(timestamp, rate);
+        this.hourly = this.hourly.filter(bar => bar.start >= timestamp - HOURLY_RETENTION_MS);
+
+        this.persist();
+    }
+
+    // Fold a rate into the hourly bar it falls in ({ start, open, high, low, close, sum, count })
+    addHourlyPoint(timestamp, rate) {
+        const start = bucketStart(timestamp, '1h');
+        const index = this.hourly.findIndex(bar => bar.start >= start);
+
+        if (index !== -1 && this.hourly[index].start === start) {
+            addToBar(this.hourly[index], rate);
+            return;
+        }
+
+        const bar = { start, open: rate, high: rate, low: rate, close: rate, sum: rate, count: 1 };
+        if (index === -1) {
+            this.hourly.push(bar);
+        } else {
+            this.hourly.splice(index, 0, bar);
+        }
+    }
+
+    // Seed days the service was not running for from an external daily series ({ date, rate }).
+    // Days that already have data are left alone. Returns the number of days added.
+    importDaily(points) {
+        const known = new Set([
+            ...this.daily.map(day => day.date),
+            ...this.hourly.map(bar => toDateKey(bar.start))
+        ]);
+        const added = points.filter(point => !known.has(point.date));
+
+        for (const point of added) {
+            const timestamp = new Date(`${point.date}T00:00:00Z`).getTime();
+            this.daily.push({ date: point.date, rate: point.rate, timestamp });
+            this.addHourlyPoint(timestamp, point.rate);
+        }
+
+        if (added.length > 0) {
+            this.daily.sort((a, b) => a.timestamp - b.timestamp);
+            this.daily = this.daily.slice(-DAILY_RETENTION_DAYS);
+            this.persist();
+        }
+
+        return added.length;
+    }
+
+    latest() {
+        return this.ticks[this.ticks.length - 1] || null;
+    }
+
+    // Most recent known rate at or before a point in time, or null when history does not reach back that far
+    rateAt(timestamp) {
+        const target = new Date(timestamp).getTime();
+
+        if (this.ticks.length > 0 && this.ticks[0].timestamp <= target) {
+            for (let i = this.ticks.length - 1; i >= 0; i--) {
+                if (this.ticks[i].timestamp <= target) return this.ticks[i].rate;
+            }
+        }
+
+        for (let i = this.daily.length - 1; i >= 0; i--) {
+            if (this.daily[i].timestamp <= target) return this.daily[i].rate;
+        }
+
+        return null;
+    }
+
+    // Daily closes as { date, rate, timestamp }, optionally limited to the last `days` entries
+    dailyCloses(days) {
+        return days ? this.daily.slice(-days) : this.daily.slice();
+    }
+
+    // OHLC bars ({ start, end, open, high, low, close, mean, count, filled }) for buckets overlapping
+    // [from, to]. With fill 'previous', buckets without data repeat the previous close (count 0, filled true);
+    // buckets are never filled past the present. Stops after `limit` bars.
+    bars({ from, to, interval, fill = 'none', limit = Infinity }) {
+        const size = bucketSize(interval);
+        const first = bucketStart(from, interval);
+        const last = bucketStart(Math.min(to, Date.now()), interval);
+        const buckets = new Map();
+        let previousClose = null;
+
+        for (const hour of this.hourly) {
+            if (hour.start < first) {
+                previousClose = hour.close;
+                continue;
+            }
+            if (hour.start > to) break;
+
+            const start = bucketStart(hour.start, interval);
+            const bar = buckets.get(start);
+            if (bar) {
+                bar.high = Math.max(bar.high, hour.high);
+                bar.low = Math.min(bar.low, hour.low);
+                bar.close = hour.close;
+                bar.sum += hour.sum;
+                bar.count += hour.count;
+            } else {
+                buckets.set(start, { ...hour, start });
+            }
+        }
+
+        const bars = [];
+        for (let start = first; start <= last && bars.length < limit; start += size) {
+            const bar = buckets.get(start);
+
+            if (bar) {
+                bars.push({
+                    start: new Date(start).toISOString(),
+                    end: new Date(start + size).toISOString(),
+                    open: bar.open,
+                    high: bar.high,
+                    low: bar.low,
+                    close: bar.close,
+                    mean: bar.sum / bar.count,
+                    count: bar.count,
+                    filled: false
+                });
+                previousClose = bar.close;
+            } else if (fill === 'previous' && previousClose !== null) {
+                bars.push({
+                    start: new Date(start).toISOString(),
+                    end: new Date(start + size).toISOString(),
+                    open: previousClose,
+                    high: previousClose,
+                    low: previousClose,
+                    close: previousClose,
+                    mean: previousClose,
+                    count: 0,
+                    filled: true
+                });
+            }
+        }
+
+        return bars;
+    }
+}
+
+module.exports = {
+    RateHistory,
+    INTERVALS,
+    bucketStart,
+    historyPathForPair,
+    toDateKey
+};
@@ -0,0 +1,69 @@
+// Rate Limiting for THB to USD Exchange Rate Monitor
+// Fixed-window counters kept in memory, keyed by client or recipient
+
+class FixedWindowLimiter {
+    constructor({ limit, windowMs, name }) {
+        this.limit = limit;
+        this.windowMs = windowMs;
+        this.name = name;
+        this.windows = new Map();
+    }
+
+    // Check whether `key` may act now without using up any allowance
+    check(key, now = Date.now()) {
+        const window = this.windows.get(key);
+
+        if (!window || now >= window.resetAt) {
+            return { allowed: this.limit > 0, remaining: this.limit, resetAt: now + this.windowMs };
+        }
+
+        return {
+            allowed: window.count < this.limit,
+            remaining: Math.max(0, this.limit - window.count),
+            resetAt: window.resetAt
+        };
+    }
+
+    consume(key, now = Date.now()) {
+        let window = this.windows.get(key);
+
+        if (!window || now >= window.resetAt) {
+            window = { count: 0, resetAt: now + this.windowMs };
+            this.windows.set(key, window);
+        }
+
+        window.count++;
+        this.pruneExpired(now);
+    }
+
+    pruneExpired(now) {
+        // Keep the map from growing without bound as keys go idle
+        if (this.windows.size < 1000) return;
+
+        for (const [key, window] of this.windows) {
+            if (now >= window.resetAt) this.windows.delete(key);
+        }
+    }
+}
+
+// Check a set of limiters for their keys and consume from all of them only if every one allows it.
+// Returns null when allowed, or the first limit that was hit.
+function consumeAll(checks, now = Date.now()) {
+    for (const { limiter, key } of checks) {
+        const result = limiter.check(key, now);
+        if (!result.allowed) {
+            return { name: limiter.name, limit: limiter.limit, resetAt: result.resetAt };
+        }
+    }
+
+    for (const { limiter, key } of checks) {
+        limiter.consume(key, now);
+    }
+
+    return null;
+}
+
+module.exports = {
+    FixedWindowLimiter,
+    consumeAll
+};
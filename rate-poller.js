@@ -0,0 +1,102 @@
+// Rate Poller for THB to USD Exchange Rate Monitor
+// Fetches the current rate of every tracked pair on a fixed schedule so alerts can be evaluated server-side
+
+const { fetchAggregatedRates, ratesOf } = require('./rate-sources');
+
+// Polls every rate source (see rate-sources.js) and keeps the aggregated quote of each pair.
+// onRates receives { 'THB-USD': rate, ... } and the full quotes with source attribution and timestamps;
+// onError receives the error of a poll in which no source answered.
+class RatePoller {
+    constructor({ sources, tolerancePercent, intervalMs, onRates, onError }) {
+        this.sources = sources;
+        this.tolerancePercent = tolerancePercent;
+        this.intervalMs = intervalMs;
+        this.onRates = onRates;
+        this.onError = onError;
+        this.timer = null;
+        this.polling = false;
+
+        this.lastRates = {};
+        this.lastQuotes = {};
+        this.lastSourceErrors = [];
+        this.lastFetchAt = null;
+        this.lastSuccessAt = null;
+        this.lastError = null;
+    }
+
+    start() {
+        if (this.timer) return;
+
+        this.timer = setInterval(() => {
+            this.poll();
+        }, this.intervalMs);
+
+        // Fetch right away instead of waiting a full interval after startup
+        this.poll();
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    async poll() {
+        // Skip a tick if the previous fetch is still in flight
+        if (this.polling) return null;
+        this.polling = true;
+        this.lastFetchAt = new Date();
+
+        try {
+            const { quotes, errors } = await fetchAggregatedRates(this.sources, { tolerancePercent: this.tolerancePercent });
+            const rates = ratesOf(quotes);
+
+            if (errors.length > 0) {
+                console.warn('Rate sources skipped:', errors.join('; '));
+            }
+
+            this.lastRates = rates;
+            this.lastQuotes = quotes;
+            this.lastSourceErrors = errors;
+            this.lastSuccessAt = new Date();
+            this.lastError = null;
+
+            if (this.onRates) {
+                await this.onRates(rates, quotes);
+            }
+
+            return rates;
+
+        } catch (error) {
+            console.error('Error polling exchange rate:', error.message);
+            this.lastError = {
+                message: error.message,
+                at: new Date()
+            };
+            if (this.onError) this.onError(error);
+            return null;
+
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    getStatus() {
+        return {
+            running: !!this.timer,
+            sources: this.sources.map(source => source.name),
+            intervalMs: this.intervalMs,
+            lastRates: this.lastRates,
+            lastQuotes: this.lastQuotes,
+            lastSourceErrors: this.lastSourceErrors,
+            lastFetchAt: this.lastFetchAt,
+            lastSuccessAt: this.lastSuccessAt,
+            lastError: this.lastError
+        };
+    }
+}
+
+module.exports = {
+    RatePoller
+};
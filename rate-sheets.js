@@ -0,0 +1,274 @@
+// Rate Sheets for THB to USD Exchange Rate Monitor
+// Buy/sell rates of banks and money changers, quoted the way Thai counters publish them: THB per unit (or per
+// `unit`, e.g. 100 JPY) of the foreign currency. `selling` is what the provider charges when you buy the currency
+// with THB and `buying` what it pays when you sell the currency back. A sheet is a JSON document:
+//   { updatedAt?, providers: [{ id, name, channel?, updatedAt?, fees?: { fixedThb, percent, fixedQuote },
+//     rates: { USD: { buying, selling, unit? }, ... } }] }
+// Spreads are measured against the mid (direct) rate and conversions deduct each provider's fees.
+// Loaded by the SMS service via require() and by the dashboard as a plain script (window.RateSheets).
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./currency-pairs'));
+    } else {
+        root.RateSheets = factory(root.CurrencyPairs);
+    }
+}(typeof self !== 'undefined' ? self : this, function (CurrencyPairs) {
+    const REQUEST_TIMEOUT_MS = 10000;
+    const ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,63}$/;
+    const CHANNELS = ['transfer', 'cash'];
+    const FEE_FIELDS = ['fixedThb', 'percent', 'fixedQuote'];
+
+    async function getJson(url) {
+        const response = await fetch(url, { signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+        if (!response.ok) {
+            throw new Error(`${url} responded with HTTP ${response.status}`);
+        }
+        return response.json();
+    }
+
+    function isPositiveNumber(value) {
+        return typeof value === 'number' && Number.isFinite(value) && value > 0;
+    }
+
+    function parseTime(value, fallback) {
+        if (value === undefined || value === null) return fallback;
+        const time = typeof value === 'number' ? value : new Date(value).getTime();
+        return Number.isFinite(time) ? time : NaN;
+    }
+
+    function validateProvider(provider) {
+        if (!provider || typeof provider !== 'object' || Array.isArray(provider)) {
+            return ['Provider must be an object'];
+        }
+
+        const errors = [];
+        if (typeof provider.id !== 'string' || !ID_PATTERN.test(provider.id)) {
+            errors.push('id must be lower-case letters, digits and dashes (up to 64)');
+        }
+        if (typeof provider.name !== 'string' || !provider.name.trim()) {
+            errors.push('name is required');
+        }
+        if (provider.channel !== undefined && !CHANNELS.includes(provider.channel)) {
+            errors.push(`channel must be one of ${CHANNELS.join(', ')}`);
+        }
+        if (Number.isNaN(parseTime(provider.updatedAt, 0))) {
+            errors.push('updatedAt must be an ISO 8601 date or a timestamp');
+        }
+
+        const fees = provider.fees || {};
+        for (const field of FEE_FIELDS) {
+            if (fees[field] !== undefined && !(typeof fees[field] === 'number' && Number.isFinite(fees[field]) && fees[field] >= 0)) {
+                errors.push(`fees.${field} must be zero or a positive number`);
+            }
+        }
+        if (fees.percent >= 100) {
+            errors.push('fees.percent must be below 100');
+        }
+
+        if (!provider.rates || typeof provider.rates !== 'object' || Object.keys(provider.rates).length === 0) {
+            errors.push('rates must list at least one currency');
+        } else {
+            for (const [currency, quote] of Object.entries(provider.rates)) {
+                if (!quote || !isPositiveNumber(quote.buying) || !isPositiveNumber(quote.selling)) {
+                    errors.push(`rates.${currency} needs positive buying and selling rates`);
+                } else if (quote.buying > quote.selling) {
+                    errors.push(`rates.${currency} buying rate is above its selling rate`);
+                }
+                if (quote && quote.unit !== undefined && !isPositiveNumber(quote.unit)) {
+                    errors.push(`rates.${currency}.unit must be a positive number`);
+                }
+            }
+        }
+
+        return errors;
+    }
+
+    // Validate a sheet document and normalize its providers:
+    //   { id, name, channel, source, updatedAt (ms or null), fees: { fixedThb, percent, fixedQuote }, rates }
+    // Invalid providers are dropped and reported in `errors`. Providers without an updatedAt take the sheet's;
+    // when the sheet has none either it is null, since a sheet that stopped updating looks the same on every fetch.
+    function normalizeSheet(document, { source = 'sheet' } = {}) {
+        if (!document || !Array.isArray(document.providers)) {
+            throw new Error(`${source} is not a rate sheet (expected a providers array)`);
+        }
+
+        const sheetUpdatedAt = parseTime(document.updatedAt, null);
+        if (Number.isNaN(sheetUpdatedAt)) {
+            throw new Error(`${source} updatedAt must be an ISO 8601 date or a timestamp`);
+        }
+
+        const providers = [];
+        const errors = [];
+
+        document.providers.forEach((provider, index) => {
+            const providerErrors = validateProvider(provider);
+            if (providerErrors.length > 0) {
+                errors.push(`${source} provider ${provider && provider.id ? provider.id : index}: ${providerErrors.join('; ')}`);
+                return;
+            }
+
+            providers.push({
+                id: provider.id,
+                name: provider.name.trim(),
+                channel: provider.channel || 'transfer',
+                source,
+                updatedAt: parseTime(provider.updatedAt, sheetUpdatedAt),
+                fees: {
+                    fixedThb: (provider.fees && provider.fees.fixedThb) || 0,
+                    percent: (provider.fees && provider.fees.percent) || 0,
+                    fixedQuote: (provider.fees && provider.fees.fixedQuote) || 0
+                },
+                rates: provider.rates
+            });
+        });
+
+        return { providers, errors };
+    }
+
+    // A sheet served as JSON at `url`. `load(url)` fetches and parses it; the SMS service passes one that also
+    // reads local files.
+    function createJsonSheetSource(url, { load = getJson } = {}) {
+        return {
+            name: url,
+            async fetchSheet() {
+                return normalizeSheet(await load(url), { source: url });
+            }
+        };
+    }
+
+    function createSources(urls = [], options = {}) {
+        return urls.map(url => createJsonSheetSource(url, options));
+    }
+
+    // Load every source at once: { providers, errors, fetchedAt }. A provider id listed by several sources is
+    // taken from the first source in the list. Rejects only when sources were given and none returned a provider.
+    async function fetchRateSheets(sources) {
+        const results = await Promise.all(sources.map(async (source) => {
+            try {
+                return await source.fetchSheet();
+            } catch (error) {
+                return { providers: [], errors: [`${source.name}: ${error.message}`] };
+            }
+        }));
+
+        const providers = [];
+        const errors = [];
+        for (const result of results) {
+            errors.push(...result.errors);
+            for (const provider of result.providers) {
+                if (!providers.some(existing => existing.id === provider.id)) providers.push(provider);
+            }
+        }
+
+        if (sources.length > 0 && providers.length === 0) {
+            const failure = new Error(`No rate sheet returned a provider (${errors.join('; ')})`);
+            failure.errors = errors;
+            throw failure;
+        }
+
+        return { providers, errors, fetchedAt: Date.now() };
+    }
+
+    // The sheets without providers whose rates are older than `maxAgeMinutes` or of unknown age
+    function withoutStale(sheets, maxAgeMinutes, now = Date.now()) {
+        return {
+            ...sheets,
+            providers: sheets.providers.filter(provider =>
+                provider.updatedAt !== null && now - provider.updatedAt <= maxAgeMinutes * 60 * 1000)
+        };
+    }
+
+    function findProvider(sheets, id) {
+        return (sheets && sheets.providers.find(provider => provider.id === id)) || null;
+    }
+
+    // The provider's THB per one unit of the pair's quote currency ({ buying, selling }), or null when it does
+    // not quote that currency
+    function quoteFor(provider, pair) {
+        const quote = provider.rates[CurrencyPairs.getPair(pair).quote];
+        if (!quote) return null;
+
+        const unit = quote.unit || 1;
+        return { buying: quote.buying / unit, selling: quote.selling / unit };
+    }
+
+    // How far the provider's rates sit from the mid (direct) rate, in percent of the mid:
+    //   sellSpreadPercent: extra THB paid per unit when buying the currency
+    //   buySpreadPercent: THB lost per unit when selling it back
+    //   spreadPercent: the whole buy/sell gap
+    function spreads(provider, pair, midRate) {
+        const quote = quoteFor(provider, pair);
+        if (!quote || !midRate) return null;
+
+        const midThb = 1 / midRate;
+        return {
+            ...quote,
+            sellSpreadPercent: (quote.selling - midThb) / midThb * 100,
+            buySpreadPercent: (midThb - quote.buying) / midThb * 100,
+            spreadPercent: (quote.selling - quote.buying) / midThb * 100
+        };
+    }
+
+    // Convert `thbAmount` THB into the pair's quote currency at the provider's selling rate after its fees:
+    //   { thbAmount, feesThb, received, effectiveRate } where effectiveRate is direct (received per THB paid),
+    // or null when the provider does not quote the currency. Fees larger than the amount leave nothing received.
+    function convert(provider, pair, thbAmount) {
+        const quote = quoteFor(provider, pair);
+        if (!quote) return null;
+
+        const { fixedThb, percent, fixedQuote } = provider.fees;
+        const feesThb = Math.min(thbAmount, fixedThb + thbAmount * percent / 100);
+        const received = Math.max(0, (thbAmount - feesThb) / quote.selling - fixedQuote);
+
+        return { thbAmount, feesThb, received, effectiveRate: received / thbAmount };
+    }
+
+    // The direct rate a provider actually gives. With `amountThb` every fee is included; without it only the
+    // percentage fee is, since fixed fees depend on the amount.
+    function effectiveRate(provider, pair, amountThb) {
+        if (amountThb) {
+            const conversion = convert(provider, pair, amountThb);
+            return conversion ? conversion.effectiveRate : null;
+        }
+
+        const quote = quoteFor(provider, pair);
+        return quote ? (1 - provider.fees.percent / 100) / quote.selling : null;
+    }
+
+    // Every provider quoting the pair, most received first:
+    //   [{ provider, quote: { buying, selling, sellSpreadPercent, buySpreadPercent, spreadPercent } | null,
+    //      conversion, vsMidPercent }]
+    // `quote` is null without a mid rate; vsMidPercent is how much less is received than at the mid rate.
+    function compareProviders(sheets, pair, { thbAmount, midRate = null }) {
+        return sheets.providers
+            .filter(provider => quoteFor(provider, pair))
+            .map((provider) => {
+                const conversion = convert(provider, pair, thbAmount);
+                const atMid = midRate ? thbAmount * midRate : null;
+                return {
+                    provider,
+                    quote: spreads(provider, pair, midRate),
+                    conversion,
+                    vsMidPercent: atMid ? (atMid - conversion.received) / atMid * 100 : null
+                };
+            })
+            .sort((a, b) => b.conversion.received - a.conversion.received);
+    }
+
+    return {
+        CHANNELS,
+        validateProvider,
+        normalizeSheet,
+        createJsonSheetSource,
+        createSources,
+        fetchRateSheets,
+        withoutStale,
+        findProvider,
+        quoteFor,
+        spreads,
+        convert,
+        effectiveRate,
+        compareProviders
+    };
+}));
@@ -0,0 +1,238 @@
+// Current Rate Sources for THB to USD Exchange Rate Monitor
+// Each source returns the latest direct rate of every pair it covers, stamped with when the source published it:
+//   { name, label, simulated, fetchQuotes() -> Promise<{ rates: { 'THB-USD': rate, ... }, timestamp }> }
+// aggregateQuotes() combines several sources into one median rate per pair with attribution.
+// Loaded by the dashboard as a plain script (window.RateSources) and by Node via require(). Requests go through
+// `config.http` ({ getJson(url) }) when given, e.g. http-client.js on Node versions without fetch.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./currency-pairs'));
+    } else {
+        root.RateSources = factory(root.CurrencyPairs);
+    }
+}(typeof self !== 'undefined' ? self : this, function (CurrencyPairs) {
+    const REQUEST_TIMEOUT_MS = 10000;
+    const DEFAULT_TOLERANCE_PERCENT = 1;
+
+    // The browser's fetch
+    const fetchHttp = {
+        async getJson(url) {
+            const response = await fetch(url, { signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+            if (!response.ok) {
+                throw new Error(`${url} responded with HTTP ${response.status}`);
+            }
+            return response.json();
+        }
+    };
+
+    function ratesOrThrow(usdRates, name) {
+        if (!usdRates || !(usdRates.THB > 0)) {
+            throw new Error(`${name} response is missing rates.THB`);
+        }
+        return CurrencyPairs.ratesFromUsdQuotes(usdRates);
+    }
+
+    // exchangerate-api's free `latest` endpoint, quoted per USD and refreshed once a day.
+    // Point `url` at any compatible endpoint (e.g. a local stub) for testing.
+    function createExchangeRateApiSource({ url = 'https://api.exchangerate-api.com/v4/latest/USD', http = fetchHttp } = {}) {
+        return {
+            name: 'exchangerate-api',
+            label: 'ExchangeRate-API',
+            simulated: false,
+            async fetchQuotes() {
+                const data = await http.getJson(url);
+                return {
+                    rates: ratesOrThrow(data && data.rates, 'ExchangeRate-API'),
+                    timestamp: data.time_last_updated ? data.time_last_updated * 1000 : Date.now()
+                };
+            }
+        };
+    }
+
+    // open.er-api.com, exchangerate-api's keyless open access feed
+    function createOpenErApiSource({ url = 'https://open.er-api.com/v6/latest/USD', http = fetchHttp } = {}) {
+        return {
+            name: 'open-er-api',
+            label: 'Open Exchange Rates API (open.er-api.com)',
+            simulated: false,
+            async fetchQuotes() {
+                const data = await http.getJson(url);
+                if (data && data.result && data.result !== 'success') {
+                    throw new Error(`open.er-api.com error: ${data['error-type'] || 'unknown'}`);
+                }
+                return {
+                    rates: ratesOrThrow(data && data.rates, 'open.er-api.com'),
+                    timestamp: data.time_last_update_unix ? data.time_last_update_unix * 1000 : Date.now()
+                };
+            }
+        };
+    }
+
+    // Frankfurter serves the latest ECB reference rates, fixed once per working day at about 16:00 CET
+    function createFrankfurterSource({ baseUrl = 'https://api.frankfurter.app', http = fetchHttp } = {}) {
+        return {
+            name: 'frankfurter',
+            label: 'Frankfurter (ECB reference rates)',
+            simulated: false,
+            async fetchQuotes() {
+                const quotes = ['THB', ...CurrencyPairs.PAIR_IDS.map(pair => CurrencyPairs.PAIRS[pair].quote).filter(quote => quote !== 'USD')];
+                const data = await http.getJson(`${baseUrl}/latest?from=USD&to=${quotes.join(',')}`);
+                return {
+                    rates: ratesOrThrow(data && data.rates, 'Frankfurter'),
+                    timestamp: data.date ? new Date(`${data.date}T15:00:00Z`).getTime() : Date.now()
+                };
+            }
+        };
+    }
+
+    // Random rates around each pair's typical rate for demos without network access. Only used when explicitly
+    // enabled, and only for pairs no real source could quote.
+    function createSimulatedSource() {
+        return {
+            name: 'simulated',
+            label: 'Simulated data',
+            simulated: true,
+            async fetchQuotes() {
+                const rates = {};
+                for (const pair of CurrencyPairs.PAIR_IDS) {
+                    rates[pair] = CurrencyPairs.getPair(pair).typicalRate * (1 + (Math.random() - 0.5) * 0.07);
+                }
+                return { rates, timestamp: Date.now() };
+            }
+        };
+    }
+
+    const SOURCE_FACTORIES = {
+        'exchangerate-api': config => createExchangeRateApiSource({ url: config.exchangeRateApiUrl, http: config.http }),
+        'open-er-api': config => createOpenErApiSource({ url: config.openErApiUrl, http: config.http }),
+        frankfurter: config => createFrankfurterSource({ baseUrl: config.frankfurterUrl, http: config.http })
+    };
+
+    // Build sources in `config.rateSources` order. The simulated source is appended when
+    // `config.allowSimulatedData` is true.
+    function createSources(config = {}) {
+        const sources = (config.rateSources || Object.keys(SOURCE_FACTORIES)).map((name) => {
+            if (!SOURCE_FACTORIES[name]) {
+                throw new Error(`Unknown rate source "${name}". Use one of ${Object.keys(SOURCE_FACTORIES).join(', ')}`);
+            }
+            return SOURCE_FACTORIES[name](config);
+        });
+
+        if (config.allowSimulatedData) {
+            sources.push(createSimulatedSource());
+        }
+
+        return sources;
+    }
+
+    function median(values) {
+        const sorted = values.slice().sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+
+    // Combine source results ([{ source, rates, timestamp }]) into one quote per pair:
+    //   { rate, timestamp, simulated, sources: [{ name, label, rate, timestamp }], rejected: [{ ..., deviationPercent }] }
+    // `rate` is the median of the accepted quotes and `timestamp` the freshest of them. Quotes further than
+    // `tolerancePercent` from the median of all quotes are rejected as outliers; that needs at least three
+    // quotes, since with two there is no telling which one is wrong, and when no quote is within tolerance
+    // they are all kept. Simulated quotes only stand in for pairs that no real source quoted.
+    function aggregateQuotes(results, { tolerancePercent = DEFAULT_TOLERANCE_PERCENT } = {}) {
+        const aggregated = {};
+
+        for (const pair of CurrencyPairs.PAIR_IDS) {
+            const quotes = results
+                .filter(result => result.rates[pair] > 0)
+                .map(result => ({
+                    name: result.source.name,
+                    label: result.source.label,
+                    simulated: !!result.source.simulated,
+                    rate: result.rates[pair],
+                    timestamp: result.timestamp
+                }));
+
+            const realQuotes = quotes.filter(quote => !quote.simulated);
+            const candidates = realQuotes.length > 0 ? realQuotes : quotes;
+            if (candidates.length === 0) continue;
+
+            const center = median(candidates.map(quote => quote.rate));
+            const withDeviation = candidates.map(quote => ({
+                ...quote,
+                deviationPercent: parseFloat(((quote.rate - center) / center * 100).toFixed(3))
+            }));
+            const withinTolerance = withDeviation.filter(quote => Math.abs(quote.deviationPercent) <= tolerancePercent);
+            const accepted = candidates.length < 3 || withinTolerance.length === 0 ? withDeviation : withinTolerance;
+
+            aggregated[pair] = {
+                rate: median(accepted.map(quote => quote.rate)),
+                timestamp: Math.max(...accepted.map(quote => quote.timestamp)),
+                simulated: accepted.every(quote => quote.simulated),
+                sources: accepted.map(({ name, label, rate, timestamp }) => ({ name, label, rate, timestamp })),
+                rejected: withDeviation.filter(quote => !accepted.includes(quote))
+                    .map(({ name, label, rate, timestamp, deviationPercent }) => ({ name, label, rate, timestamp, deviationPercent }))
+            };
+        }
+
+        return aggregated;
+    }
+
+    // Ask every source at once and aggregate whatever came back. Rejects only when no source returned a rate.
+    async function fetchAggregatedRates(sources, { tolerancePercent } = {}) {
+        const errors = [];
+        const results = [];
+
+        await Promise.all(sources.map(async (source) => {
+            try {
+                const { rates, timestamp } = await source.fetchQuotes();
+                results.push({ source, rates, timestamp });
+            } catch (error) {
+                errors.push(`${source.name}: ${error.message}`);
+            }
+        }));
+
+        const quotes = aggregateQuotes(results, { tolerancePercent });
+        if (Object.keys(quotes).length === 0) {
+            const failure = new Error(`No rate source returned data (${errors.join('; ')})`);
+            failure.errors = errors;
+            throw failure;
+        }
+
+        return { quotes, errors };
+    }
+
+    function isStale(quote, maxAgeMinutes, now = Date.now()) {
+        return now - quote.timestamp > maxAgeMinutes * 60 * 1000;
+    }
+
+    // Why a quote must not fire alerts, or null when it is usable
+    function unusableReason(quote, maxAgeMinutes, now = Date.now()) {
+        if (quote.simulated) return 'simulated';
+        if (isStale(quote, maxAgeMinutes, now)) return 'stale';
+        return null;
+    }
+
+    // Plain { pair: rate } map from aggregated quotes
+    function ratesOf(quotes) {
+        const rates = {};
+        for (const [pair, quote] of Object.entries(quotes)) {
+            rates[pair] = quote.rate;
+        }
+        return rates;
+    }
+
+    return {
+        DEFAULT_TOLERANCE_PERCENT,
+        createExchangeRateApiSource,
+        createOpenErApiSource,
+        createFrankfurterSource,
+        createSimulatedSource,
+        createSources,
+        median,
+        aggregateQuotes,
+        fetchAggregatedRates,
+        isStale,
+        unusableReason,
+        ratesOf
+    };
+}));
@@ -0,0 +1,133 @@
+// Rate Stream for THB to USD Exchange Rate Monitor
+// Pushes rate ticks, alert triggers and service status changes to dashboards over Server-Sent Events.
+// Alert events only reach connections that subscribed to that alert's ID, which only its owner's dashboard knows.
+
+const DEFAULT_HEARTBEAT_MS = 25 * 1000;
+const DEFAULT_RETRY_MS = 5000;
+const DEFAULT_MAX_CLIENTS = 200;
+// Recent events kept so a reconnecting dashboard (Last-Event-ID) still gets the alerts it missed
+const REPLAY_SIZE = 100;
+
+function formatEvent({ id, event, data }) {
+    return `${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+// Events: `rates` ({ quotes, at }), `alert` ({ alertId, pair, title, detail, description, rate, triggeredAt })
+// and `status` ({ state, polling, message, stalePairs, lastSuccessAt }), each with an increasing id.
+class RateStream {
+    constructor({ heartbeatMs = DEFAULT_HEARTBEAT_MS, retryMs = DEFAULT_RETRY_MS, maxClients = DEFAULT_MAX_CLIENTS } = {}) {
+        this.heartbeatMs = heartbeatMs;
+        this.retryMs = retryMs;
+        this.maxClients = maxClients;
+        this.clients = new Set();
+        this.recent = [];
+        this.nextId = 1;
+        this.status = null;
+        this.heartbeat = null;
+    }
+
+    get size() {
+        return this.clients.size;
+    }
+
+    isFull() {
+        return this.clients.size >= this.maxClients;
+    }
+
+    // Start an event stream on `res`. Alerts published after `lastEventId` that the connection would have
+    // received are replayed first; `snapshot` events (e.g. the latest rates and status) follow without an id,
+    // so they do not move the client's Last-Event-ID.
+    connect(req, res, { alertIds = [], lastEventId = null, snapshot = [] } = {}) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            Connection: 'keep-alive',
+            // Stops proxies such as nginx from buffering the stream
+            'X-Accel-Buffering': 'no'
+        });
+        res.write(`retry: ${this.retryMs}\n\n`);
+
+        const client = { res, alertIds: new Set(alertIds) };
+        this.clients.add(client);
+        req.on('close', () => {
+            this.clients.delete(client);
+            if (this.clients.size === 0) this.stopHeartbeat();
+        });
+
+        if (lastEventId !== null) {
+            for (const entry of this.recent) {
+                if (entry.id > lastEventId && entry.event === 'alert' && this.wants(client, entry)) {
+                    res.write(formatEvent(entry));
+                }
+            }
+        }
+        for (const entry of snapshot) {
+            res.write(formatEvent(entry));
+        }
+
+        this.startHeartbeat();
+        return client;
+    }
+
+    wants(client, entry) {
+        return !entry.alertId || client.alertIds.has(entry.alertId);
+    }
+
+    // Send an event to every connection (or, with `alertId`, to the connections subscribed to that alert)
+    publish(event, data, { alertId = null } = {}) {
+        const entry = { id: this.nextId++, event, data, alertId };
+
+        this.recent.push(entry);
+        if (this.recent.length > REPLAY_SIZE) this.recent.shift();
+
+        const text = formatEvent(entry);
+        for (const client of this.clients) {
+            if (this.wants(client, entry)) client.res.write(text);
+        }
+        return entry.id;
+    }
+
+    publishRates(quotes) {
+        return this.publish('rates', { quotes, at: new Date().toISOString() });
+    }
+
+    publishAlert(alertId, data) {
+        return this.publish('alert', { alertId, ...data }, { alertId });
+    }
+
+    // Only changes are sent; the status is compared without its timestamps
+    publishStatus(status) {
+        const comparable = ({ lastSuccessAt, ...rest }) => JSON.stringify(rest);
+        const changed = !this.status || comparable(this.status) !== comparable(status);
+        this.status = status;
+
+        return changed ? this.publish('status', status) : null;
+    }
+
+    startHeartbeat() {
+        if (this.heartbeat) return;
+
+        // A comment line keeps idle connections open through proxies and load balancers
+        this.heartbeat = setInterval(() => {
+            for (const client of this.clients) client.res.write(': heartbeat\n\n');
+        }, this.heartbeatMs);
+        this.heartbeat.unref();
+    }
+
+    stopHeartbeat() {
+        if (this.heartbeat) {
+            clearInterval(this.heartbeat);
+            this.heartbeat = null;
+        }
+    }
+
+    close() {
+        this.stopHeartbeat();
+        for (const client of this.clients) client.res.end();
+        this.clients.clear();
+    }
+}
+
+module.exports = {
+    RateStream
+};
@@ -0,0 +1,111 @@
+// Rates API for THB to USD Exchange Rate Monitor
+// Serves the service's recorded rate history as OHLC bars so every dashboard sees the same data, and streams
+// live rates to dashboards
+
+const express = require('express');
+const { INTERVALS } = require('./rate-history');
+const { sendError } = require('./alerts-router');
+const { PAIR_IDS, DEFAULT_PAIR } = require('./currency-pairs');
+const FILL_MODES = ['none', 'previous'];
+const DEFAULT_LIMIT = 500;
+const MAX_LIMIT = 1000;
+const ALERT_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_STREAM_ALERTS = 20;
+const MAX_SPAN_DAYS = 3660;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// The largest timestamp a Date can hold, either side of 1970
+const MAX_TIME_MS = 8.64e15;
+
+// How far back a request without `from` reaches, per interval
+const DEFAULT_SPANS_MS = {
+    '1h': 2 * DAY_MS,
+    '1d': 30 * DAY_MS,
+    '1w': 365 * DAY_MS
+};
+
+function parseTime(value) {
+    if (value === undefined) return null;
+    return /^\d+$/.test(value) ? Number(value) : new Date(value).getTime();
+}
+
+// `histories` maps each pair to its RateHistory. With a RateStream, GET /stream is served too; `snapshot()`
+// returns the events ([{ event, data }]) a new connection starts with.
+function createRatesRouter({ histories, stream = null, snapshot = () => [] }) {
+    const router = express.Router();
+
+    // Server-Sent Events: rates after every poll, service status changes and, for the alert IDs listed in
+    // `alerts`, their triggers. `lastEventId` (or the Last-Event-ID header) replays alerts missed while away.
+    if (stream) {
+        router.get('/stream', (req, res) => {
+            const alertIds = (req.query.alerts || '').split(',').map(id => id.trim()).filter(Boolean);
+            if (alertIds.length > MAX_STREAM_ALERTS || alertIds.some(id => !ALERT_ID_PATTERN.test(id))) {
+                return sendError(res, 400, 'Invalid alerts', `alerts must be a comma-separated list of up to ${MAX_STREAM_ALERTS} alert IDs`);
+            }
+            if (stream.isFull()) {
+                return sendError(res, 503, 'Too many live connections', 'Poll the rate sources instead and retry later');
+            }
+
+            const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId, 10);
+            stream.connect(req, res, {
+                alertIds,
+                lastEventId: Number.isNaN(lastEventId) ? null : lastEventId,
+                snapshot: snapshot()
+            });
+        });
+    }
+
+    // OHLC bars for a pair. Pass the returned nextCursor as `cursor` to fetch the following page.
+    router.get('/history', (req, res) => {
+        const pair = req.query.pair || DEFAULT_PAIR;
+        const interval = req.query.interval || '1d';
+        const fill = req.query.fill || 'none';
+        const limit = req.query.limit === undefined ? DEFAULT_LIMIT : parseInt(req.query.limit, 10);
+
+        if (!PAIR_IDS.includes(pair)) {
+            return sendError(res, 400, 'Unsupported pair', `Supported pairs: ${PAIR_IDS.join(', ')}`);
+        }
+        if (!INTERVALS.includes(interval)) {
+            return sendError(res, 400, 'Invalid interval', `Interval must be one of ${INTERVALS.join(', ')}`);
+        }
+        if (!FILL_MODES.includes(fill)) {
+            return sendError(res, 400, 'Invalid fill', `Fill must be one of ${FILL_MODES.join(', ')}`);
+        }
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+            return sendError(res, 400, `Limit must be a whole number from 1 to ${MAX_LIMIT}`);
+        }
+
+        const to = parseTime(req.query.to) ?? Date.now();
+        const from = parseTime(req.query.cursor) ?? parseTime(req.query.from) ?? to - DEFAULT_SPANS_MS[interval];
+
+        if (![from, to].every(time => Number.isFinite(time) && Math.abs(time) <= MAX_TIME_MS)) {
+            return sendError(res, 400, 'Invalid date', 'from, to and cursor must be ISO 8601 dates or timestamps');
+        }
+        if (from > to) {
+            return sendError(res, 400, 'from must be before to');
+        }
+        if (to - from > MAX_SPAN_DAYS * DAY_MS) {
+            return sendError(res, 400, 'Range is too long', `Request at most ${MAX_SPAN_DAYS} days at once and page through longer ranges`);
+        }
+
+        // One bar past the page tells whether there is a next one
+        const bars = histories[pair].bars({ from, to, interval, fill, limit: limit + 1 });
+        const page = bars.slice(0, limit);
+
+        res.json({
+            success: true,
+            pair,
+            interval,
+            from: new Date(from).toISOString(),
+            to: new Date(to).toISOString(),
+            bars: page,
+            nextCursor: bars.length > limit ? bars[limit].start : null
+        });
+    });
+
+    return router;
+}
+
+module.exports = {
+    createRatesRouter
+};
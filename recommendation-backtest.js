@@ -0,0 +1,199 @@
+// Recommendation Backtest for THB to USD Exchange Rate Monitor
+// Replays a daily [{ date, rate }] series through the investment recommendation signals and simulates converting
+// a THB budget into the quote currency on each buy signal, next to two naive strategies: everything on day one
+// and equal monthly tranches (DCA). Rates are direct (quote currency per THB), so a higher average is better.
+// Loaded by the dashboard as a plain script (window.RecommendationBacktest) and by Node via require().
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./alert-rules'));
+    } else {
+        root.RecommendationBacktest = factory(root.AlertRules);
+    }
+}(typeof self !== 'undefined' ? self : this, function (AlertRules) {
+    // Signals need 30 closes for volatility; the first day each strategy can act is the 30th point
+    const MIN_HISTORY = 30;
+    const MAX_SWEEP_COMBINATIONS = 5000;
+
+    const DEFAULT_OPTIONS = {
+        budget: 100000,             // THB to convert over the period
+        strongBuyFraction: 0.25,    // share of the budget converted on each STRONG BUY day
+        moderateBuyFraction: 0.1,   // share of the budget converted on each MODERATE BUY day
+        lookaheadDays: 7            // a conversion is a hit when the rate this many days later was no better
+    };
+
+    const STRATEGIES = {
+        signals: 'Recommendation signals',
+        dayOne: 'Everything on day one',
+        monthlyDca: 'Monthly DCA'
+    };
+
+    // Signal inputs for every day from MIN_HISTORY on; they do not depend on the thresholds, so sweeps reuse them
+    function prepare(data) {
+        if (data.length < MIN_HISTORY + 1) {
+            throw new Error(`Backtesting needs at least ${MIN_HISTORY + 1} daily rates, got ${data.length}`);
+        }
+
+        return data.slice(MIN_HISTORY - 1).map((point, offset) => ({
+            date: point.date,
+            rate: point.rate,
+            ...AlertRules.recommendationInputs(data.slice(offset, offset + MIN_HISTORY))
+        }));
+    }
+
+    // Walk the days, converting what `decide(day, index, remaining)` asks for; whatever is left is converted on
+    // the last day. Tracks the holdings' value in the quote currency for the drawdown.
+    function simulate(days, decide, { budget, lookaheadDays }) {
+        let remaining = budget;
+        let bought = 0;
+        let peak = 0;
+        let maxDrawdownPercent = 0;
+        let hits = 0;
+        let scored = 0;
+        const conversions = [];
+
+        days.forEach((day, index) => {
+            const amount = Math.min(decide(day, index, remaining), remaining);
+            if (amount > 0) {
+                remaining -= amount;
+                bought += amount * day.rate;
+                conversions.push({ date: day.date, rate: day.rate, amount, signal: day.signal });
+
+                const later = days[index + lookaheadDays];
+                if (later) {
+                    scored += 1;
+                    if (day.rate >= later.rate) hits += 1;
+                }
+            }
+
+            const value = bought + remaining * day.rate;
+            peak = Math.max(peak, value);
+            maxDrawdownPercent = Math.max(maxDrawdownPercent, (peak - value) / peak * 100);
+        });
+
+        const last = days[days.length - 1];
+        const leftover = remaining;
+        bought += leftover * last.rate;
+
+        return {
+            averageRate: bought / budget,
+            bought,
+            conversions,
+            leftover,
+            hitRate: scored > 0 ? hits / scored * 100 : null,
+            maxDrawdownPercent
+        };
+    }
+
+    function runStrategies(days, thresholds, options) {
+        const signalDays = days.map(day => ({
+            ...day,
+            signal: AlertRules.classifyRecommendation(day.trend7d, day.volatility, thresholds)
+        }));
+
+        const fractions = {
+            'STRONG BUY': options.strongBuyFraction,
+            'MODERATE BUY': options.moderateBuyFraction
+        };
+        const months = new Set(days.map(day => day.date.slice(0, 7)));
+        const tranche = options.budget / months.size;
+
+        const results = {
+            signals: simulate(signalDays, day => (fractions[day.signal] || 0) * options.budget, options),
+            dayOne: simulate(signalDays, (day, index) => index === 0 ? options.budget : 0, options),
+            monthlyDca: simulate(signalDays, (day, index) => {
+                const newMonth = index === 0 || day.date.slice(0, 7) !== signalDays[index - 1].date.slice(0, 7);
+                return newMonth ? tranche : 0;
+            }, options)
+        };
+
+        const baseline = results.dayOne.averageRate;
+        for (const [id, result] of Object.entries(results)) {
+            result.label = STRATEGIES[id];
+            result.vsDayOnePercent = (result.averageRate - baseline) / baseline * 100;
+        }
+
+        const signalCounts = {};
+        for (const recommendation of AlertRules.RECOMMENDATIONS) {
+            signalCounts[recommendation] = signalDays.filter(day => day.signal === recommendation).length;
+        }
+
+        return { strategies: results, signalCounts };
+    }
+
+    // Backtest one set of thresholds (merged over AlertRules.DEFAULT_RECOMMENDATION_THRESHOLDS):
+    //   { from, to, days, thresholds, options, signalCounts, strategies: { signals, dayOne, monthlyDca } }
+    // where each strategy is { label, averageRate, vsDayOnePercent, bought, conversions, leftover, hitRate,
+    // maxDrawdownPercent }. hitRate is null when no conversion has `lookaheadDays` of data after it.
+    function backtest(data, { thresholds = {}, ...options } = {}) {
+        const days = prepare(data);
+        const merged = { ...DEFAULT_OPTIONS, ...options };
+        const fullThresholds = { ...AlertRules.DEFAULT_RECOMMENDATION_THRESHOLDS, ...thresholds };
+
+        return {
+            from: days[0].date,
+            to: days[days.length - 1].date,
+            days: days.length,
+            thresholds: fullThresholds,
+            options: merged,
+            ...runStrategies(days, fullThresholds, merged)
+        };
+    }
+
+    function combinations(grid) {
+        return Object.entries(grid).reduce((combos, [name, values]) => {
+            const list = Array.isArray(values) ? values : [values];
+            return combos.flatMap(combo => list.map(value => ({ ...combo, [name]: value })));
+        }, [{}]);
+    }
+
+    // Backtest every combination of the grid's values, e.g. { strongBuyTrend: [1, 2, 3], holdTrend: [-1, -2] }.
+    // Grid keys are threshold names or the buy fractions; anything not in the grid keeps its default.
+    // Returns [{ thresholds, strongBuyFraction, moderateBuyFraction, averageRate, vsDayOnePercent, vsMonthlyDcaPercent,
+    // hitRate, maxDrawdownPercent, conversions }], best average rate first.
+    function sweep(data, grid, options = {}) {
+        const unknown = Object.keys(grid)
+            .filter(name => !(name in AlertRules.DEFAULT_RECOMMENDATION_THRESHOLDS) && !(name in DEFAULT_OPTIONS));
+        if (unknown.length > 0) {
+            throw new Error(`Unknown sweep parameter(s): ${unknown.join(', ')}`);
+        }
+
+        const combos = combinations(grid);
+        if (combos.length > MAX_SWEEP_COMBINATIONS) {
+            throw new Error(`Sweep has ${combos.length} combinations; the limit is ${MAX_SWEEP_COMBINATIONS}`);
+        }
+
+        const days = prepare(data);
+
+        return combos.map((combo) => {
+            const thresholds = { ...AlertRules.DEFAULT_RECOMMENDATION_THRESHOLDS, ...(options.thresholds || {}) };
+            const merged = { ...DEFAULT_OPTIONS, ...options };
+            for (const [name, value] of Object.entries(combo)) {
+                if (name in thresholds) thresholds[name] = value;
+                else merged[name] = value;
+            }
+
+            const { strategies } = runStrategies(days, thresholds, merged);
+            const { signals, monthlyDca } = strategies;
+            return {
+                thresholds,
+                strongBuyFraction: merged.strongBuyFraction,
+                moderateBuyFraction: merged.moderateBuyFraction,
+                averageRate: signals.averageRate,
+                vsDayOnePercent: signals.vsDayOnePercent,
+                vsMonthlyDcaPercent: (signals.averageRate - monthlyDca.averageRate) / monthlyDca.averageRate * 100,
+                hitRate: signals.hitRate,
+                maxDrawdownPercent: signals.maxDrawdownPercent,
+                conversions: signals.conversions.length
+            };
+        }).sort((a, b) => b.averageRate - a.averageRate);
+    }
+
+    return {
+        MIN_HISTORY,
+        DEFAULT_OPTIONS,
+        STRATEGIES,
+        backtest,
+        sweep
+    };
+}));
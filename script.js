@@ -1,35 +1,425 @@
 // Exchange Rate Monitor Application
+
+// Indicators the chart can show. Overlays share the rate chart's axis; sub-panels get a small chart of their
+// own below it. `lines(data)` turns the displayed series into chart lines; periods are in points (days).
+const CHART_INDICATORS = {
+    sma: {
+        label: 'SMA 20',
+        panel: 'overlay',
+        minPoints: 20,
+        lines: data => [{ label: 'SMA 20', values: Indicators.sma(data, 20).map(p => p.value), color: '#e67e22' }]
+    },
+    ema: {
+        label: 'EMA 20',
+        panel: 'overlay',
+        minPoints: 20,
+        lines: data => [{ label: 'EMA 20', values: Indicators.ema(data, 20).map(p => p.value), color: '#9b59b6' }]
+    },
+    bollinger: {
+        label: 'Bollinger Bands (20, 2)',
+        panel: 'overlay',
+        minPoints: 20,
+        lines: (data) => {
+            const bands = Indicators.bollinger(data, { period: 20, multiplier: 2 });
+            return [
+                { label: 'Upper band', values: bands.map(p => p.upper), color: '#95a5a6', dashed: true },
+                { label: 'Lower band', values: bands.map(p => p.lower), color: '#95a5a6', dashed: true }
+            ];
+        }
+    },
+    rsi: {
+        label: 'RSI 14',
+        panel: 'sub',
+        minPoints: 15,
+        range: { min: 0, max: 100 },
+        lines: data => [{ label: 'RSI 14', values: Indicators.rsi(data, 14).map(p => p.value), color: '#8e44ad' }]
+    },
+    macd: {
+        label: 'MACD (12, 26, 9)',
+        panel: 'sub',
+        minPoints: 34,
+        lines: (data) => {
+            const values = Indicators.macd(data, { fast: 12, slow: 26, signal: 9 });
+            return [
+                { label: 'MACD', values: values.map(p => p.macd), color: '#2980b9' },
+                { label: 'Signal', values: values.map(p => p.signal), color: '#e67e22' },
+                { label: 'Histogram', values: values.map(p => p.histogram), color: 'rgba(149, 165, 166, 0.6)', type: 'bar' }
+            ];
+        }
+    },
+    atr: {
+        label: 'ATR 14',
+        panel: 'sub',
+        minPoints: 15,
+        lines: data => [{ label: 'ATR 14', values: Indicators.atr(data, 14).map(p => p.value), color: '#16a085' }]
+    },
+    volatility: {
+        label: 'Volatility 20d (annualized %)',
+        panel: 'sub',
+        minPoints: 21,
+        lines: data => [{ label: 'Volatility %', values: Indicators.rollingVolatility(data, { period: 20 }).map(p => p.value), color: '#c0392b' }]
+    }
+};
+
+// Reconnect delays for the live rate stream: doubled after every failure, up to the maximum
+const STREAM_RETRY_MIN_MS = 2000;
+const STREAM_RETRY_MAX_MS = 5 * 60 * 1000;
+
+// Threshold values the backtest sweep tries; every combination is backtested. HOLD/WAIT never converts, so its
+// threshold does not change the outcome and is not swept.
+const BACKTEST_SWEEP_GRID = {
+    strongBuyTrend: [0.5, 1, 1.5, 2, 3],
+    strongBuyVolatility: [1, 2, 3],
+    moderateBuyTrend: [0, 0.25, 0.5, 1],
+    moderateBuyVolatility: [2, 3, 4]
+};
+
+// Heading and card style of each recommendation signal; the wording comes from AlertRules.recommendationAdvice()
+const RECOMMENDATION_CARDS = {
+    'STRONG BUY': { heading: '🟢 STRONG BUY SIGNAL', cardClass: 'recommendation-bullish' },
+    'MODERATE BUY': { heading: '🟡 MODERATE BUY', cardClass: 'recommendation-neutral' },
+    'HOLD/WAIT': { heading: '🔴 HOLD/WAIT', cardClass: 'recommendation-bearish' },
+    'NEUTRAL': { heading: '🟡 NEUTRAL', cardClass: 'recommendation-neutral' }
+};
+
+// Attribution of history made up only of days imported from CSV (see fetchPairHistory)
+const IMPORTED_HISTORY_SOURCE = { name: 'imported', label: 'Imported CSV', simulated: false };
+
 class ExchangeRateMonitor {
     constructor() {
+        // Rates are kept as quote currency per THB; `invertQuote` only changes how they are shown
+        this.pair = CurrencyPairs.isValidPair(localStorage.getItem('selectedPair'))
+            ? localStorage.getItem('selectedPair')
+            : CurrencyPairs.DEFAULT_PAIR;
+        this.invertQuote = localStorage.getItem('invertQuote') === 'true';
+        this.currentRates = {};
+        this.watchlistTrends = {};
         this.currentRate = 0;
         this.historicalData = [];
         this.chart = null;
+        this.enabledIndicators = JSON.parse(localStorage.getItem('chartIndicators') || '[]')
+            .filter(id => CHART_INDICATORS[id]);
+        this.indicatorCharts = {};
+        
+        // 'best' follows whichever model has the lowest backtested MAPE on the displayed series
+        this.forecastModel = localStorage.getItem('forecastModel') || 'best';
+        this.forecastCache = null;
         this.alertSettings = {
+            id: null,
+            pair: CurrencyPairs.DEFAULT_PAIR,
             phoneNumber: '',
+            email: '',
+            webhookUrl: '',
+            ruleType: 'rate-above',
             threshold: 0,
-            enabled: false
+            provider: '',
+            providerAmount: null,
+            policy: { ...AlertPolicy.DEFAULT_POLICY },
+            enabled: false,
+            verified: false
         };
+        this.alertFireState = {};
         
         // API endpoints
-        this.exchangeRateAPI = 'https://api.exchangerate-api.com/v4/latest/THB';
-        this.historicalAPI = 'https://api.exchangerate-api.com/v4/history/THB';
+        this.alertServiceAPI = MonitorConfig.serviceUrl;
+        
+        // Current rate sources, aggregated by median; `currentQuotes` keeps each pair's attribution
+        this.rateSources = RateSources.createSources(MonitorConfig);
+        this.currentQuotes = {};
+        
+        // Live updates from the SMS service; while they flow the dashboard stops polling the rate sources
+        this.rateStream = null;
+        this.streamConnected = false;
+        this.streamRetryMs = 0;
+        this.streamRetryTimer = null;
+        this.lastStreamEventId = null;
+        this.serviceStatus = null;
+        
+        // While offline the service worker answers with the last rates and history it saved (see sw.js)
+        this.offlineSince = navigator.onLine ? null : (parseInt(localStorage.getItem('offlineSince'), 10) || Date.now());
+        
+        // Every fetched rate is journaled locally; the change badge compares against daily closes and those ticks
+        this.tickJournal = new TickJournal();
+        this.changeReference = RateChange.REFERENCE_POINTS[localStorage.getItem('changeReference')]
+            ? localStorage.getItem('changeReference')
+            : 'previous-close';
+        this.referenceCloses = [];
+        this.recentTicks = [];
+        this.sparkline = null;
+        
+        // Bank and money changer buy/sell sheets, compared against the mid rate
+        this.rateSheetSources = RateSheets.createSources(MonitorConfig.rateSheetSources || []);
+        this.rateSheets = null;
+        this.rateSheetError = null;
+        this.rateSheetAmount = parseFloat(localStorage.getItem('rateSheetAmount')) || 10000;
+        
+        // Historical rate providers, tried in the order set in config.js
+        this.historyProviders = HistoryProviders.createProviders(MonitorConfig);
+        this.historySource = null;
+        this.historyImportedDays = 0;
+        
+        // Daily rates imported from CSV, per pair: { points, onDuplicate, fileName, importedAt }. They are merged
+        // into every history the providers return.
+        this.importedHistory = JSON.parse(localStorage.getItem('importedHistory') || '{}');
+        this.importFile = null;
+        this.importResult = null;
+        
+        // Signal thresholds for the recommendation card and the recommendation-change alert
+        this.recommendationThresholds = {
+            ...AlertRules.DEFAULT_RECOMMENDATION_THRESHOLDS,
+            ...(MonitorConfig.recommendationThresholds || {})
+        };
+        this.dailyHistory = null;
+        this.lastSweep = [];
+        
+        // Conversions actually made, kept locally (tombstones included) and synced to the SMS service when it is up
+        this.portfolioId = localStorage.getItem('portfolioId') || this.createPortfolioId();
+        this.conversions = JSON.parse(localStorage.getItem('portfolioConversions') || '[]');
+        this.portfolioSyncedAt = null;
+        this.portfolioSyncError = null;
+        
+        // DCA plan and the dca-reminder alert that sends its reminders
+        this.dcaPlan = JSON.parse(localStorage.getItem('dcaPlan') || 'null');
+        this.dcaAlert = JSON.parse(localStorage.getItem('dcaAlert') || 'null');
+        
+        // Daily digest or weekly report subscription: a daily-digest or weekly-digest alert on the SMS service
+        this.digestAlert = JSON.parse(localStorage.getItem('digestAlert') || 'null');
         
         this.init();
     }
 
     async init() {
+        this.populatePairSelectors();
+        this.populateIndicatorToggles();
+        this.populateForecastModels();
+        this.populateBacktestForm();
+        this.populateDataForm();
+        document.getElementById('conversionDate').value = new Date().toISOString().split('T')[0];
+        document.getElementById('rateSheetAmount').value = this.rateSheetAmount;
+        this.renderPortfolio();
+        this.syncPortfolio();
         this.loadAlertSettings();
+        this.populateDcaForm();
+        this.populateDigestForm();
         this.setupEventListeners();
+        this.setOffline(!navigator.onLine);
+        this.connectRateStream();
+        this.loadNotificationHistory();
+        await this.tickJournal.open();
+        await this.loadRateSheets();
         await this.fetchCurrentRate();
+        await this.loadReferenceHistory();
         await this.fetchHistoricalData('7d');
         this.initChart();
         this.startAutoRefresh();
         this.updateTrendAnalysis();
         this.updateInvestmentRecommendation();
         this.updateMarketInsights();
+        this.renderPortfolio();
+        this.loadWatchlistTrends();
+    }
+
+    populatePairSelectors() {
+        const options = CurrencyPairs.PAIR_IDS
+            .map(pair => `<option value="${pair}">${CurrencyPairs.pairLabel(pair)}</option>`)
+            .join('');
+        
+        document.getElementById('changeReference').innerHTML = Object.entries(RateChange.REFERENCE_POINTS)
+            .map(([reference, { label }]) => `<option value="${reference}">vs ${label.toLowerCase()}</option>`)
+            .join('');
+        document.getElementById('changeReference').value = this.changeReference;
+        
+        document.getElementById('pairSelect').innerHTML = options;
+        document.getElementById('alertPair').innerHTML = options;
+        document.getElementById('pairSelect').value = this.pair;
+        document.getElementById('invertQuote').checked = this.invertQuote;
+        this.updatePairLabels();
+    }
+
+    populateForecastModels() {
+        const options = Object.entries(Forecasting.MODELS)
+            .map(([id, model]) => `<option value="${id}">${model.label}</option>`)
+            .join('');
+        
+        document.getElementById('forecastModel').innerHTML = `
+            <option value="best">Most accurate model</option>
+            ${options}
+            <option value="none">Off</option>
+        `;
+        document.getElementById('forecastModel').value = this.forecastModel;
+    }
+
+    populateIndicatorToggles() {
+        document.getElementById('indicatorToggles').innerHTML = Object.entries(CHART_INDICATORS)
+            .map(([id, indicator]) => `
+                <label class="indicator-toggle ${indicator.panel}">
+                    <input type="checkbox" value="${id}" ${this.enabledIndicators.includes(id) ? 'checked' : ''} />
+                    ${indicator.label}
+                </label>
+            `).join('');
+    }
+
+    toggleIndicator(id, enabled) {
+        this.enabledIndicators = enabled
+            ? [...this.enabledIndicators.filter(existing => existing !== id), id]
+            : this.enabledIndicators.filter(existing => existing !== id);
+        localStorage.setItem('chartIndicators', JSON.stringify(this.enabledIndicators));
+        this.updateChart();
+    }
+
+    updatePairLabels() {
+        const { quote } = CurrencyPairs.getPair(this.pair);
+        
+        document.getElementById('currentPairLabel').textContent = CurrencyPairs.pairLabel(this.pair);
+        document.getElementById('rateUnit').textContent = CurrencyPairs.rateUnit(this.pair, this.invertQuote);
+        document.getElementById('invertQuoteLabel').textContent = `Show THB per ${quote}`;
+    }
+
+    async selectPair(pair) {
+        this.pair = pair;
+        localStorage.setItem('selectedPair', pair);
+        document.getElementById('pairSelect').value = pair;
+        
+        this.currentRate = this.currentRates[pair] || 0;
+        this.updatePairLabels();
+        if (this.currentRate) this.updateCurrentRateDisplay();
+        this.updateWatchlist();
+        this.loadReferenceHistory();
+        
+        await this.fetchHistoricalData(document.querySelector('.time-btn.active').dataset.period);
+        this.updateChart();
+        this.updateTrendAnalysis();
+        this.updateInvestmentRecommendation();
+        this.updateMarketInsights();
+        this.renderPortfolio();
+        this.renderRateSheets();
+        this.renderDataSection();
+    }
+
+    setInvertQuote(inverted) {
+        this.invertQuote = inverted;
+        localStorage.setItem('invertQuote', inverted.toString());
+        
+        this.updatePairLabels();
+        if (this.currentRate) this.updateCurrentRateDisplay();
+        this.updateWatchlist();
+        this.updateChart();
+        this.updateTrendAnalysis();
+        this.updateMarketInsights();
+        this.renderPortfolio();
+        this.renderRateSheets();
+    }
+
+    // Alert thresholds are always direct rates, whichever way the dashboard is quoting
+    updateAlertThresholdLabel(pair) {
+        document.getElementById('alertThresholdUnit').textContent = CurrencyPairs.rateUnit(pair);
+    }
+
+    updateWatchlist() {
+        const watchlist = document.getElementById('watchlist');
+        
+        watchlist.innerHTML = CurrencyPairs.PAIR_IDS.map((pair) => {
+            const rate = this.currentRates[pair];
+            const trend = this.watchlistTrends[pair];
+            const trendClass = trend === undefined ? '' : trend >= 0 ? 'change-positive' : 'change-negative';
+            const trendText = trend === undefined ? '—' : `${trend >= 0 ? '+' : ''}${trend.toFixed(2)}%`;
+            
+            return `
+                <button type="button" class="watchlist-item${pair === this.pair ? ' active' : ''}" data-pair="${pair}">
+                    <span class="watchlist-pair">${CurrencyPairs.pairLabel(pair)}</span>
+                    <span class="watchlist-rate">${rate ? this.formatRate(rate, pair) : '—'}</span>
+                    <span class="watchlist-unit">${CurrencyPairs.rateUnit(pair, this.invertQuote)}</span>
+                    <span class="watchlist-trend ${trendClass}" title="THB change over 7 days">7d ${trendText}</span>
+                </button>
+            `;
+        }).join('');
+    }
+
+    // 7-day THB trend for every pair, from the same providers as the chart
+    async loadWatchlistTrends() {
+        const to = new Date();
+        const from = new Date(to.getTime() - 7 * 24 * 60 * 60 * 1000);
+        
+        await Promise.all(CurrencyPairs.PAIR_IDS.map(async (pair) => {
+            try {
+                const { data } = await HistoryProviders.fetchHistory(this.historyProviders, { from, to, pair });
+                this.watchlistTrends[pair] = Indicators.trend(data);
+            } catch (error) {
+                console.warn(`Could not load the ${CurrencyPairs.pairLabel(pair)} trend:`, error.message);
+            }
+        }));
+        
+        this.updateWatchlist();
+    }
+
+    // The selected pair's history in the displayed quoting direction
+    getDisplaySeries() {
+        if (!this.invertQuote) return this.historicalData;
+        return this.historicalData.map(point => ({ ...point, rate: 1 / point.rate }));
+    }
+
+    formatRate(rate, pair = this.pair) {
+        return CurrencyPairs.formatValue(rate, pair, this.invertQuote);
     }
 
     setupEventListeners() {
+        // Connectivity and app updates
+        window.addEventListener('offline', () => this.setOffline(true));
+        window.addEventListener('online', () => {
+            this.setOffline(false);
+            this.refreshAfterReconnect();
+        });
+
+        document.getElementById('reloadApp').addEventListener('click', () => window.location.reload());
+
+        // Currency pair and quoting direction
+        document.getElementById('pairSelect').addEventListener('change', (e) => {
+            this.selectPair(e.target.value);
+        });
+
+        document.getElementById('invertQuote').addEventListener('change', (e) => {
+            this.setInvertQuote(e.target.checked);
+        });
+
+        document.getElementById('forecastModel').addEventListener('change', (e) => {
+            this.forecastModel = e.target.value;
+            localStorage.setItem('forecastModel', e.target.value);
+            this.updateChart();
+            this.updateTrendAnalysis();
+        });
+
+        document.getElementById('indicatorToggles').addEventListener('change', (e) => {
+            this.toggleIndicator(e.target.value, e.target.checked);
+        });
+
+        document.getElementById('changeReference').addEventListener('change', (e) => {
+            this.changeReference = e.target.value;
+            localStorage.setItem('changeReference', e.target.value);
+            this.updateRateChange();
+        });
+
+        document.getElementById('watchlist').addEventListener('click', (e) => {
+            const item = e.target.closest('[data-pair]');
+            if (item) this.selectPair(item.dataset.pair);
+        });
+
+        document.getElementById('alertPair').addEventListener('change', (e) => {
+            this.updateAlertThresholdLabel(e.target.value);
+        });
+
+        document.getElementById('alertRuleType').addEventListener('change', () => {
+            this.updateAlertProviderField();
+        });
+
+        // Bank and money changer rates
+        document.getElementById('rateSheetAmount').addEventListener('input', (e) => {
+            const amount = parseFloat(e.target.value);
+            if (!(amount > 0)) return;
+            this.rateSheetAmount = amount;
+            localStorage.setItem('rateSheetAmount', amount.toString());
+            this.renderRateSheets();
+        });
+
         // Chart time period buttons
         document.querySelectorAll('.time-btn').forEach(btn => {
             btn.addEventListener('click', async (e) => {
@@ -38,84 +428,396 @@ class ExchangeRateMonitor {
                 await this.fetchHistoricalData(e.target.dataset.period);
                 this.updateChart();
                 this.updateTrendAnalysis();
+                this.renderPortfolio();
             });
         });
 
+        // Recommendation backtest
+        document.getElementById('runBacktest').addEventListener('click', () => {
+            this.runBacktest();
+        });
+
+        document.getElementById('sweepBacktest').addEventListener('click', () => {
+            this.runBacktestSweep();
+        });
+
+        document.getElementById('backtestSweep').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-sweep-index]');
+            if (!button) return;
+            this.fillBacktestForm(this.lastSweep[button.dataset.sweepIndex]);
+            this.runBacktest();
+        });
+
+        // DCA planner
+        document.getElementById('simulateDca').addEventListener('click', () => {
+            this.simulateDcaPlan();
+        });
+
+        document.getElementById('scheduleDcaReminders').addEventListener('click', () => {
+            this.scheduleDcaReminders();
+        });
+
+        document.getElementById('verifyDcaReminders').addEventListener('click', () => {
+            this.verifyDcaReminders();
+        });
+
+        document.getElementById('cancelDcaReminders').addEventListener('click', () => {
+            this.cancelDcaReminders();
+        });
+
+        // Conversion portfolio
+        document.getElementById('addConversion').addEventListener('click', () => {
+            this.addConversion();
+        });
+
+        document.getElementById('portfolioTable').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-conversion-id]');
+            if (button) this.deleteConversion(button.dataset.conversionId);
+        });
+
+        document.getElementById('syncPortfolio').addEventListener('click', () => {
+            this.syncPortfolio();
+        });
+
+        document.getElementById('linkPortfolio').addEventListener('click', () => {
+            this.linkPortfolio(document.getElementById('portfolioLinkId').value.trim());
+        });
+
+        // Export and CSV import
+        document.getElementById('exportData').addEventListener('click', () => {
+            this.exportData();
+        });
+
+        document.getElementById('importFile').addEventListener('change', (e) => {
+            this.readImportFile(e.target.files[0]);
+        });
+
+        ['importDateColumn', 'importRateColumn', 'importDateFormat', 'importDirection', 'importDuplicates'].forEach((id) => {
+            document.getElementById(id).addEventListener('change', () => this.previewImport());
+        });
+
+        document.getElementById('importData').addEventListener('click', () => {
+            this.applyImport();
+        });
+
+        document.getElementById('importStatus').addEventListener('click', (e) => {
+            if (e.target.closest('#clearImport')) this.clearImportedHistory();
+        });
+
         // Alert settings
         document.getElementById('saveAlertSettings').addEventListener('click', () => {
             this.saveAlertSettings();
         });
 
+        document.getElementById('verifyAlert').addEventListener('click', () => {
+            this.verifyAlertPhone();
+        });
+
+        document.getElementById('resendVerificationCode').addEventListener('click', () => {
+            this.resendVerificationCode();
+        });
+
+        document.getElementById('refreshNotificationHistory').addEventListener('click', () => {
+            this.loadNotificationHistory();
+        });
+
+        // Scheduled digests
+        document.getElementById('digestFrequency').addEventListener('change', (e) => {
+            document.getElementById('digestWeekdayGroup').hidden = e.target.value !== 'weekly-digest';
+        });
+
+        document.getElementById('subscribeDigest').addEventListener('click', () => {
+            this.subscribeDigest();
+        });
+
+        document.getElementById('verifyDigest').addEventListener('click', () => {
+            this.verifyDigest();
+        });
+
+        document.getElementById('cancelDigest').addEventListener('click', () => {
+            this.cancelDigest();
+        });
+
         // Load saved values
         const savedPhone = localStorage.getItem('alertPhone');
+        const savedRuleType = localStorage.getItem('alertRuleType');
         const savedThreshold = localStorage.getItem('alertThreshold');
         const savedEnabled = localStorage.getItem('alertEnabled') === 'true';
 
         if (savedPhone) document.getElementById('phoneNumber').value = savedPhone;
+        document.getElementById('alertPair').value = this.alertSettings.pair;
+        this.updateAlertThresholdLabel(this.alertSettings.pair);
+        document.getElementById('alertEmail').value = this.alertSettings.email;
+        document.getElementById('alertWebhook').value = this.alertSettings.webhookUrl;
+        if (savedRuleType) document.getElementById('alertRuleType').value = savedRuleType;
         if (savedThreshold) document.getElementById('alertThreshold').value = savedThreshold;
+        document.getElementById('alertProviderAmount').value = this.alertSettings.providerAmount || '';
+        this.updateAlertProviderField();
         document.getElementById('enableAlerts').checked = savedEnabled;
+
+        const { mode, cooldownMinutes, hysteresisPercent, maxPerDay } = this.alertSettings.policy;
+        document.getElementById('alertMode').value = mode;
+        document.getElementById('alertCooldown').value = cooldownMinutes;
+        document.getElementById('alertHysteresis').value = hysteresisPercent === null ? '' : hysteresisPercent;
+        document.getElementById('alertMaxPerDay').value = maxPerDay === null ? '' : maxPerDay;
     }
 
     async fetchCurrentRate() {
         try {
-            // Using a free exchange rate API
-            const response = await fetch('https://api.exchangerate-api.com/v4/latest/USD');
-            const data = await response.json();
-            
-            // Convert USD to THB rate to THB to USD rate
-            const usdToThb = data.rates.THB;
-            this.currentRate = 1 / usdToThb; // THB to USD
+            // Median of every configured source, with outliers dropped (see rate-sources.js)
+            const { quotes, errors } = await RateSources.fetchAggregatedRates(this.rateSources, {
+                tolerancePercent: MonitorConfig.outlierTolerancePercent
+            });
+            if (errors.length > 0) {
+                console.warn('Rate sources skipped:', errors);
+            }
             
-            this.updateCurrentRateDisplay();
-            this.checkAlerts();
+            await this.applyQuotes(quotes);
             
         } catch (error) {
             console.error('Error fetching current rate:', error);
-            // Fallback with simulated data
-            this.currentRate = 0.0275 + (Math.random() - 0.5) * 0.002;
-            this.updateCurrentRateDisplay();
+            
+            if (!this.currentRate) {
+                document.getElementById('currentRate').textContent = 'Unavailable';
+                document.getElementById('lastUpdated').textContent = 'Could not fetch the current rate. Retrying in 5 minutes.';
+            }
+        }
+        
+        this.updateDataSourceDisplay();
+    }
+
+    // Show fetched or streamed quotes everywhere the current rate appears
+    async applyQuotes(quotes) {
+        this.currentQuotes = quotes;
+        this.currentRates = RateSources.ratesOf(quotes);
+        if (!this.currentRates[this.pair]) {
+            throw new Error(`No source quoted ${CurrencyPairs.pairLabel(this.pair)}`);
+        }
+        this.currentRate = this.currentRates[this.pair];
+        await this.recordTicks(quotes);
+        
+        this.updateCurrentRateDisplay();
+        this.updateWatchlist();
+        this.updateChartWithLatestRate();
+        this.renderPortfolio();
+        this.renderRateSheets();
+        this.checkAlerts();
+    }
+
+    // Carry the current rate into the chart's last day, or start a new day, without refetching the history
+    updateChartWithLatestRate() {
+        const quote = this.currentQuotes[this.pair];
+        const last = this.historicalData[this.historicalData.length - 1];
+        if (!quote || quote.simulated || !last || (this.historySource && this.historySource.simulated)) return;
+        
+        const date = new Date(quote.timestamp).toISOString().split('T')[0];
+        if (date < last.date || (date === last.date && last.rate === quote.rate)) return;
+        
+        const point = { ...last, date, rate: quote.rate, timestamp: quote.timestamp };
+        this.historicalData = date === last.date
+            ? [...this.historicalData.slice(0, -1), point]
+            : [...this.historicalData.slice(1), point];
+        this.updateChart();
+        this.updateTrendAnalysis();
+    }
+
+    // Subscribe to the SMS service's live stream. EventSource would retry on its own at a fixed delay, so the
+    // connection is closed on error and reopened with exponential backoff; startAutoRefresh() polls meanwhile.
+    connectRateStream() {
+        clearTimeout(this.streamRetryTimer);
+        this.streamRetryTimer = null;
+        if (this.rateStream) this.rateStream.close();
+        
+        if (!MonitorConfig.rateStream || typeof EventSource === 'undefined') {
+            this.rateStream = null;
+            this.updateStreamStatus();
+            return;
+        }
+        
+        const params = new URLSearchParams();
+        const alertIds = [this.alertSettings.id, this.dcaAlert && this.dcaAlert.id].filter(Boolean);
+        if (alertIds.length > 0) params.set('alerts', alertIds.join(','));
+        if (this.lastStreamEventId) params.set('lastEventId', this.lastStreamEventId);
+        
+        const source = new EventSource(`${this.alertServiceAPI}/rates/stream${alertIds.length > 0 || this.lastStreamEventId ? `?${params}` : ''}`);
+        this.rateStream = source;
+        
+        const listen = (event, handler) => source.addEventListener(event, (e) => {
+            if (e.lastEventId) this.lastStreamEventId = e.lastEventId;
+            handler(JSON.parse(e.data));
+        });
+        
+        source.addEventListener('open', () => {
+            this.streamConnected = true;
+            this.streamRetryMs = 0;
+            this.updateStreamStatus();
+        });
+        
+        listen('rates', ({ quotes }) => this.applyStreamedQuotes(quotes));
+        listen('alert', alert => this.showStreamedAlert(alert));
+        listen('status', (status) => {
+            this.serviceStatus = status;
+            this.updateStreamStatus();
+        });
+        
+        source.addEventListener('error', () => {
+            source.close();
+            if (this.rateStream !== source) return;
+            
+            this.rateStream = null;
+            this.streamConnected = false;
+            this.streamRetryMs = Math.min(this.streamRetryMs ? this.streamRetryMs * 2 : STREAM_RETRY_MIN_MS, STREAM_RETRY_MAX_MS);
+            // Jitter keeps dashboards from reconnecting in lockstep after a service restart
+            this.streamRetryTimer = setTimeout(() => this.connectRateStream(), this.streamRetryMs * (0.8 + Math.random() * 0.4));
+            this.updateStreamStatus();
+        });
+    }
+
+    // Reconnect with the current alert IDs so their triggers are pushed to this dashboard
+    resubscribeRateStream() {
+        if (this.rateStream || this.streamRetryTimer) this.connectRateStream();
+    }
+
+    // Rates come from the stream only while it is open and the service is polling them
+    isStreamingRates() {
+        return this.streamConnected && !!this.serviceStatus && this.serviceStatus.polling;
+    }
+
+    async applyStreamedQuotes(quotes) {
+        try {
+            await this.applyQuotes(quotes);
+        } catch (error) {
+            console.warn('Streamed rates skipped:', error.message);
+        }
+        this.updateDataSourceDisplay();
+    }
+
+    showStreamedAlert(alert) {
+        this.showMessage(`🚨 ${alert.title}: ${alert.detail}`, 'warning');
+        
+        if ('Notification' in window && Notification.permission === 'granted') {
+            new Notification(alert.title, { body: alert.description });
+        }
+        this.loadNotificationHistory();
+    }
+
+    updateStreamStatus() {
+        const element = document.getElementById('streamStatus');
+        const status = this.serviceStatus;
+        
+        if (!MonitorConfig.rateStream || typeof EventSource === 'undefined') {
+            element.textContent = 'Checking the rate sources every 5 minutes.';
+            element.className = 'stream-status';
+        } else if (!this.streamConnected) {
+            const retry = this.streamRetryMs ? ` Reconnecting in about ${Math.round(this.streamRetryMs / 1000)}s.` : '';
+            element.textContent = `Live updates unavailable; checking the rate sources every 5 minutes.${retry}`;
+            element.className = 'stream-status offline';
+        } else if (status && !status.polling) {
+            element.textContent = 'Connected for alerts; the SMS service is not polling rates, so the dashboard checks the sources every 5 minutes.';
+            element.className = 'stream-status degraded';
+        } else if (status && status.state !== 'ok') {
+            element.textContent = `Live: ${status.message}`;
+            element.className = 'stream-status degraded';
+        } else {
+            element.textContent = 'Live: rates are pushed by the SMS service as they arrive.';
+            element.className = 'stream-status live';
+        }
+    }
+
+    setOffline(offline) {
+        if (offline && !this.offlineSince) {
+            this.offlineSince = Date.now();
+        } else if (!offline) {
+            this.offlineSince = null;
+        }
+        
+        // Kept across reloads so the banner still says when the connection went
+        if (this.offlineSince) {
+            localStorage.setItem('offlineSince', this.offlineSince);
+        } else {
+            localStorage.removeItem('offlineSince');
+        }
+        
+        document.getElementById('offlineBanner').hidden = !this.offlineSince;
+        if (this.offlineSince) {
+            document.getElementById('offlineSince').textContent = new Date(this.offlineSince).toLocaleString();
         }
     }
 
+    async refreshAfterReconnect() {
+        if (!this.streamConnected) this.connectRateStream();
+        this.syncPortfolio();
+        this.loadNotificationHistory();
+        await this.loadRateSheets();
+        await this.fetchCurrentRate();
+        await this.refreshHistory();
+    }
+
     async fetchHistoricalData(period) {
+        const to = new Date();
+        const from = new Date(to.getTime() - this.getPeriodDays(period) * 24 * 60 * 60 * 1000);
+        
         try {
-            // Since free APIs have limitations, we'll simulate historical data
-            // In a production environment, you'd use a paid service like Alpha Vantage or Fixer.io
-            this.historicalData = this.generateSimulatedHistoricalData(period);
+            const { data, provider, errors, imported } = await this.fetchPairHistory({ from, to });
+            if (errors.length > 0) {
+                console.warn('History providers skipped:', errors);
+            }
+            
+            this.historicalData = data;
+            this.historySource = provider;
+            this.historyImportedDays = imported;
             
         } catch (error) {
             console.error('Error fetching historical data:', error);
-            this.historicalData = this.generateSimulatedHistoricalData(period);
+            this.historicalData = [];
+            this.historySource = null;
+            this.historyImportedDays = 0;
         }
+        
+        this.updateDataSourceDisplay();
     }
 
-    generateSimulatedHistoricalData(period) {
-        const days = this.getPeriodDays(period);
-        const data = [];
-        const baseRate = 0.0275;
-        let currentRate = baseRate;
+    updateDataSourceDisplay() {
+        const quote = this.currentQuotes[this.pair];
+        const simulated = !!(quote && quote.simulated) || !!(this.historySource && this.historySource.simulated);
+        document.getElementById('simulatedDataBanner').hidden = !simulated;
+        
+        const stale = !!quote && !quote.simulated && RateSources.isStale(quote, MonitorConfig.staleAfterMinutes);
+        document.getElementById('staleDataWarning').hidden = !stale;
+        if (stale) {
+            document.getElementById('staleDataAge').textContent = new Date(quote.timestamp).toLocaleString();
+        }
         
-        const now = new Date();
+        document.getElementById('historySource').textContent = this.historySource
+            ? `Source: ${this.historySource.label}${this.historyImportedDays > 0 && this.historySource !== IMPORTED_HISTORY_SOURCE ? ` + ${this.historyImportedDays} imported days` : ''}`
+            : 'Historical data is unavailable from every configured provider.';
+    }
+
+    // History of the selected pair from the providers with its imported days merged in. Imported days take the
+    // place of simulated history, and of the providers altogether when none of them answers.
+    async fetchPairHistory({ from, to }) {
+        const stored = this.importedHistory[this.pair];
+        const fromDate = from.toISOString().split('T')[0];
+        const toDate = to.toISOString().split('T')[0];
+        const imported = stored ? stored.points.filter(point => point.date >= fromDate && point.date <= toDate) : [];
         
-        for (let i = days; i >= 0; i--) {
-            const date = new Date(now);
-            date.setDate(date.getDate() - i);
-            
-            // Simulate realistic exchange rate movements
-            const volatility = 0.001;
-            const trend = Math.sin(i / 10) * 0.0005; // Slight trending
-            const randomChange = (Math.random() - 0.5) * volatility;
-            
-            currentRate = Math.max(0.025, Math.min(0.030, currentRate + trend + randomChange));
-            
-            data.push({
-                date: date.toISOString().split('T')[0],
-                rate: parseFloat(currentRate.toFixed(6)),
-                timestamp: date.getTime()
-            });
+        let history;
+        try {
+            history = await HistoryProviders.fetchHistory(this.historyProviders, { from, to, pair: this.pair });
+        } catch (error) {
+            if (imported.length < 2) throw error;
+            history = { data: [], provider: IMPORTED_HISTORY_SOURCE, errors: error.errors || [error.message] };
+        }
+        
+        if (history.provider.simulated && imported.length >= 2) {
+            history = { ...history, data: [], provider: IMPORTED_HISTORY_SOURCE };
+        }
+        if (history.provider.simulated || imported.length === 0) {
+            return { ...history, imported: 0 };
         }
         
-        return data;
+        const data = HistoryImport.mergeHistory(history.data, imported, { onDuplicate: stored.onDuplicate });
+        return { ...history, data, imported: data.filter(point => imported.includes(point)).length };
     }
 
     getPeriodDays(period) {
@@ -130,63 +832,197 @@ class ExchangeRateMonitor {
 
     updateCurrentRateDisplay() {
         const rateElement = document.getElementById('currentRate');
-        const changeElement = document.getElementById('rateChange');
         const lastUpdatedElement = document.getElementById('lastUpdated');
         
-        rateElement.textContent = this.currentRate.toFixed(6);
+        rateElement.textContent = this.formatRate(this.currentRate);
+        this.updateRateChange();
+        this.updateSparkline();
+        
+        const quote = this.currentQuotes[this.pair];
+        lastUpdatedElement.textContent = quote
+            ? `Published: ${new Date(quote.timestamp).toLocaleString()} · Checked: ${new Date().toLocaleString()}`
+            : `Last updated: ${new Date().toLocaleString()}`;
+        document.getElementById('dataRefresh').textContent = new Date().toLocaleString();
+        this.updateRateSources(quote);
+    }
+
+    // Change against the selected reference point, in the displayed quoting direction
+    updateRateChange() {
+        const changeElement = document.getElementById('rateChange');
+        const { label } = RateChange.REFERENCE_POINTS[this.changeReference];
+        const series = RateChange.buildSeries({ closes: this.referenceCloses, ticks: this.recentTicks });
+        const reference = this.currentRate ? RateChange.referencePoint(series, this.changeReference) : null;
         
-        // Calculate change from yesterday (simulated)
-        const yesterdayRate = this.currentRate * (1 + (Math.random() - 0.5) * 0.01);
-        const change = this.currentRate - yesterdayRate;
-        const changePercent = (change / yesterdayRate) * 100;
+        if (!reference) {
+            changeElement.innerHTML = `
+                <span class="change-value" title="No ${label.toLowerCase()} rate recorded yet">--</span>
+                <span class="change-percent">--</span>
+            `;
+            return;
+        }
         
+        const { change, changePercent } = RateChange.computeChange(
+            CurrencyPairs.displayRate(this.currentRate, this.invertQuote),
+            CurrencyPairs.displayRate(reference.rate, this.invertQuote)
+        );
         const changeClass = change >= 0 ? 'change-positive' : 'change-negative';
         const changeSymbol = change >= 0 ? '+' : '';
         
         changeElement.innerHTML = `
-            <span class="change-value ${changeClass}">${changeSymbol}${change.toFixed(6)}</span>
+            <span class="change-value ${changeClass}" title="${label}: ${this.formatRate(reference.rate)} (${new Date(reference.timestamp).toLocaleString()})">${changeSymbol}${change.toFixed(CurrencyPairs.decimalsFor(this.pair, this.invertQuote))}</span>
             <span class="change-percent ${changeClass}">(${changeSymbol}${changePercent.toFixed(2)}%)</span>
         `;
+    }
+
+    // Journal every real quote; simulated rates are never stored
+    async recordTicks(quotes) {
+        const timestamp = Date.now();
         
-        lastUpdatedElement.textContent = `Last updated: ${new Date().toLocaleString()}`;
-        document.getElementById('dataRefresh').textContent = new Date().toLocaleString();
+        try {
+            for (const [pair, quote] of Object.entries(quotes)) {
+                if (quote.simulated) continue;
+                await this.tickJournal.add({ pair, rate: quote.rate, timestamp, sources: quote.sources.map(source => source.name) });
+            }
+            this.recentTicks = await this.tickJournal.range(this.pair, timestamp - 8 * RateChange.DAY_MS, timestamp);
+        } catch (error) {
+            console.error('Error journaling rate ticks:', error);
+        }
     }
 
-    initChart() {
-        const ctx = document.getElementById('rateChart').getContext('2d');
+    // Daily closes for the change reference points (back past the start of last week) and the journaled ticks
+    async loadReferenceHistory() {
+        const pair = this.pair;
+        const now = Date.now();
         
-        this.chart = new Chart(ctx, {
+        try {
+            const { data, provider } = await HistoryProviders.fetchHistory(this.historyProviders, {
+                from: new Date(now - 10 * RateChange.DAY_MS),
+                to: new Date(now),
+                pair
+            });
+            if (pair !== this.pair) return;
+            this.referenceCloses = provider.simulated ? [] : data;
+        } catch (error) {
+            console.warn('No daily closes for the rate change; using journaled ticks only:', error.message);
+            this.referenceCloses = [];
+        }
+        
+        this.recentTicks = await this.tickJournal.range(pair, now - 8 * RateChange.DAY_MS, now);
+        this.updateRateChange();
+        this.updateSparkline();
+    }
+
+    // Today's (UTC) journaled ticks under the rate card
+    updateSparkline() {
+        const todayStart = RateChange.startOfDay(Date.now());
+        const ticks = this.recentTicks.filter(tick => tick.timestamp >= todayStart);
+        const empty = ticks.length < 2;
+        
+        document.getElementById('sparklineEmpty').hidden = !empty;
+        document.getElementById('intradaySparkline').hidden = empty;
+        if (empty) return;
+        
+        const labels = ticks.map(tick => new Date(tick.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }));
+        const data = ticks.map(tick => CurrencyPairs.displayRate(tick.rate, this.invertQuote));
+        
+        if (this.sparkline) {
+            this.sparkline.data.labels = labels;
+            this.sparkline.data.datasets[0].data = data;
+            this.sparkline.update();
+            return;
+        }
+        
+        this.sparkline = new Chart(document.getElementById('intradaySparkline').getContext('2d'), {
             type: 'line',
             data: {
-                labels: this.historicalData.map(d => d.date),
+                labels,
                 datasets: [{
-                    label: 'THB to USD Rate',
-                    data: this.historicalData.map(d => d.rate),
+                    data,
                     borderColor: '#3498db',
-                    backgroundColor: 'rgba(52, 152, 219, 0.1)',
                     borderWidth: 2,
-                    fill: true,
-                    tension: 0.4,
-                    pointBackgroundColor: '#3498db',
-                    pointBorderColor: '#2980b9',
-                    pointRadius: 3,
-                    pointHoverRadius: 6
+                    pointRadius: 0,
+                    tension: 0.3
                 }]
             },
             options: {
                 responsive: true,
                 maintainAspectRatio: false,
                 plugins: {
-                    legend: {
-                        display: true,
-                        position: 'top'
-                    },
+                    legend: { display: false },
                     tooltip: {
-                        mode: 'index',
-                        intersect: false,
                         callbacks: {
-                            label: function(context) {
-                                return `Rate: ${context.parsed.y.toFixed(6)} USD per THB`;
+                            label: (context) => `${context.parsed.y.toFixed(CurrencyPairs.decimalsFor(this.pair, this.invertQuote))} ${CurrencyPairs.rateUnit(this.pair, this.invertQuote)}`
+                        }
+                    }
+                },
+                scales: {
+                    x: { display: false },
+                    y: { display: false }
+                }
+            }
+        });
+    }
+
+    // Which sources the median came from, and which were rejected as outliers
+    updateRateSources(quote) {
+        const container = document.getElementById('rateSources');
+        if (!quote) {
+            container.innerHTML = '';
+            return;
+        }
+        
+        const describe = source => `${source.label}: ${this.formatRate(source.rate)} (${new Date(source.timestamp).toLocaleString()})`;
+        const accepted = quote.sources.map(source => `<li>${describe(source)}</li>`).join('');
+        const rejected = quote.rejected.map(source =>
+            `<li class="rejected-source">${describe(source)}, ${source.deviationPercent > 0 ? '+' : ''}${source.deviationPercent}% from the median, ignored</li>`).join('');
+        
+        container.innerHTML = `
+            <p>${quote.sources.length > 1 ? `Median of ${quote.sources.length} sources` : 'Source'}:</p>
+            <ul>${accepted}${rejected}</ul>
+        `;
+    }
+
+    initChart() {
+        const ctx = document.getElementById('rateChart').getContext('2d');
+        const series = this.getDisplaySeries();
+        const forecast = this.getForecast(series);
+        
+        this.chart = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels: [...series.map(d => d.date), ...forecast.points.map(point => point.date)],
+                datasets: [{
+                    label: `${CurrencyPairs.pairLabel(this.pair)} Rate`,
+                    data: series.map(d => d.rate),
+                    borderColor: '#3498db',
+                    backgroundColor: 'rgba(52, 152, 219, 0.1)',
+                    borderWidth: 2,
+                    fill: true,
+                    tension: 0.4,
+                    pointBackgroundColor: '#3498db',
+                    pointBorderColor: '#2980b9',
+                    pointRadius: 3,
+                    pointHoverRadius: 6
+                }, ...this.getOverlayDatasets(series), ...this.getForecastDatasets(series, forecast)]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        display: true,
+                        position: 'top',
+                        labels: {
+                            filter: (item, data) => !data.datasets[item.datasetIndex].hideInLegend
+                        }
+                    },
+                    tooltip: {
+                        mode: 'index',
+                        intersect: false,
+                        callbacks: {
+                            label: (context) => {
+                                const decimals = CurrencyPairs.decimalsFor(this.pair, this.invertQuote);
+                                return `${context.dataset.label}: ${context.parsed.y.toFixed(decimals)} ${CurrencyPairs.rateUnit(this.pair, this.invertQuote)}`;
                             }
                         }
                     }
@@ -203,11 +1039,11 @@ class ExchangeRateMonitor {
                         display: true,
                         title: {
                             display: true,
-                            text: 'USD per THB'
+                            text: CurrencyPairs.rateUnit(this.pair, this.invertQuote)
                         },
                         ticks: {
-                            callback: function(value) {
-                                return value.toFixed(6);
+                            callback: (value) => {
+                                return value.toFixed(CurrencyPairs.decimalsFor(this.pair, this.invertQuote));
                             }
                         }
                     }
@@ -219,279 +1055,1540 @@ class ExchangeRateMonitor {
                 }
             }
         });
+        
+        this.updateIndicatorPanels(series);
+        this.updateForecastAccuracy(forecast);
     }
 
     updateChart() {
         if (this.chart) {
-            this.chart.data.labels = this.historicalData.map(d => d.date);
-            this.chart.data.datasets[0].data = this.historicalData.map(d => d.rate);
+            const series = this.getDisplaySeries();
+            const forecast = this.getForecast(series);
+            this.chart.data.labels = [...series.map(d => d.date), ...forecast.points.map(point => point.date)];
+            this.chart.data.datasets[0].data = series.map(d => d.rate);
+            this.chart.data.datasets[0].label = `${CurrencyPairs.pairLabel(this.pair)} Rate`;
+            this.chart.options.scales.y.title.text = CurrencyPairs.rateUnit(this.pair, this.invertQuote);
+            this.chart.data.datasets = [
+                this.chart.data.datasets[0],
+                ...this.getOverlayDatasets(series),
+                ...this.getForecastDatasets(series, forecast)
+            ];
             this.chart.update();
+            this.updateIndicatorPanels(series);
+            this.updateForecastAccuracy(forecast);
         }
     }
 
+    // Backtest every model and forecast the next 7 days with the selected one. Cached until the series changes.
+    getForecast(series) {
+        const last = series[series.length - 1];
+        const key = [this.pair, this.invertQuote, this.forecastModel, series.length, last && last.date, last && last.rate].join('|');
+        if (this.forecastCache && this.forecastCache.key === key) {
+            return this.forecastCache.forecast;
+        }
+        
+        const ranking = Forecasting.rankModels(series, { horizon: 7 });
+        const modelId = this.forecastModel === 'best'
+            ? (ranking.length > 0 ? ranking[0].model : 'linear')
+            : this.forecastModel;
+        const forecast = {
+            modelId,
+            ranking,
+            points: modelId === 'none' ? [] : Forecasting.forecast(series, modelId, { horizon: 7 })
+        };
+        
+        this.forecastCache = { key, forecast };
+        return forecast;
+    }
+
+    // Mean forecast with shaded 80% and 95% bands, starting from the last actual rate
+    getForecastDatasets(series, forecast) {
+        if (forecast.points.length === 0) return [];
+        
+        const lastRate = series[series.length - 1].rate;
+        const line = field => [
+            ...new Array(series.length - 1).fill(null),
+            lastRate,
+            ...forecast.points.map(point => point[field])
+        ];
+        const band = (field, label, fill, color) => ({
+            label,
+            data: line(field),
+            borderWidth: 0,
+            pointRadius: 0,
+            fill,
+            backgroundColor: color,
+            tension: 0.2,
+            hideInLegend: !fill
+        });
+        
+        return [
+            band('upper95', '95% interval', '+1', 'rgba(231, 76, 60, 0.08)'),
+            band('lower95', '95% interval (low)', false, 'transparent'),
+            band('upper80', '80% interval', '+1', 'rgba(231, 76, 60, 0.18)'),
+            band('lower80', '80% interval (low)', false, 'transparent'),
+            {
+                label: `Forecast (${Forecasting.MODELS[forecast.modelId].label})`,
+                data: line('mean'),
+                borderColor: '#e74c3c',
+                borderWidth: 2,
+                borderDash: [6, 4],
+                pointRadius: 0,
+                fill: false,
+                tension: 0.2
+            }
+        ];
+    }
+
+    // Rolling-origin backtest results for every model, most accurate first
+    updateForecastAccuracy(forecast) {
+        const container = document.getElementById('forecastAccuracy');
+        
+        if (forecast.ranking.length === 0) {
+            container.innerHTML = '<p>Not enough history to backtest the forecast models. Pick a longer period.</p>';
+            return;
+        }
+        
+        const decimals = CurrencyPairs.decimalsFor(this.pair, this.invertQuote);
+        const rows = forecast.ranking.map((result, index) => `
+            <tr class="${result.model === forecast.modelId ? 'selected-model' : ''}">
+                <td>${result.label}${index === 0 ? ' 🏆' : ''}</td>
+                <td>${result.mae.toFixed(decimals + 1)}</td>
+                <td>${result.mape.toFixed(2)}%</td>
+                <td>${result.coverage95.toFixed(0)}%</td>
+                <td>${result.forecasts}</td>
+            </tr>
+        `).join('');
+        
+        container.innerHTML = `
+            <table>
+                <thead>
+                    <tr><th>Model</th><th>MAE</th><th>MAPE</th><th>Inside 95% band</th><th>Forecasts</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <p>Rolling-origin backtest over this period: each model forecast up to 7 days ahead from each past day and was scored against what happened. A well-calibrated model has about 95% of rates inside its 95% band.</p>
+        `;
+    }
+
+    indicatorDataset(line) {
+        return {
+            type: line.type || 'line',
+            label: line.label,
+            data: line.values,
+            borderColor: line.color,
+            backgroundColor: line.color,
+            borderWidth: line.type === 'bar' ? 0 : 1.5,
+            borderDash: line.dashed ? [5, 5] : [],
+            fill: false,
+            pointRadius: 0,
+            tension: 0.2,
+            spanGaps: false
+        };
+    }
+
+    getOverlayDatasets(series) {
+        return this.enabledIndicators
+            .filter(id => CHART_INDICATORS[id].panel === 'overlay')
+            .flatMap(id => CHART_INDICATORS[id].lines(series).map(line => this.indicatorDataset(line)));
+    }
+
+    // One small chart per enabled sub-panel indicator, sharing the rate chart's dates
+    updateIndicatorPanels(series) {
+        const container = document.getElementById('indicatorPanels');
+        const labels = series.map(d => d.date);
+        
+        for (const [id, indicator] of Object.entries(CHART_INDICATORS)) {
+            if (indicator.panel !== 'sub') continue;
+            const enabled = this.enabledIndicators.includes(id);
+            
+            if (!enabled) {
+                if (this.indicatorCharts[id]) {
+                    this.indicatorCharts[id].destroy();
+                    delete this.indicatorCharts[id];
+                    document.getElementById(`indicatorPanel-${id}`).remove();
+                }
+                continue;
+            }
+            
+            const datasets = indicator.lines(series).map(line => this.indicatorDataset(line));
+            if (this.indicatorCharts[id]) {
+                this.indicatorCharts[id].data.labels = labels;
+                this.indicatorCharts[id].data.datasets = datasets;
+                this.indicatorCharts[id].update();
+                continue;
+            }
+            
+            const panel = document.createElement('div');
+            panel.className = 'indicator-panel';
+            panel.id = `indicatorPanel-${id}`;
+            panel.innerHTML = `<h4>${indicator.label}</h4><div class="indicator-chart"><canvas></canvas></div>`;
+            container.appendChild(panel);
+            
+            this.indicatorCharts[id] = new Chart(panel.querySelector('canvas').getContext('2d'), {
+                type: 'line',
+                data: { labels, datasets },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    plugins: {
+                        legend: { display: datasets.length > 1, position: 'top' },
+                        tooltip: { mode: 'index', intersect: false }
+                    },
+                    scales: {
+                        x: { display: false },
+                        y: { display: true, ...indicator.range }
+                    }
+                }
+            });
+        }
+        
+        const tooShort = this.enabledIndicators
+            .filter(id => series.length < CHART_INDICATORS[id].minPoints)
+            .map(id => CHART_INDICATORS[id].label);
+        document.getElementById('indicatorNote').textContent = tooShort.length > 0
+            ? `${tooShort.join(', ')} need${tooShort.length === 1 ? 's' : ''} a longer period to show.`
+            : '';
+    }
+
     updateTrendAnalysis() {
-        const data = this.historicalData;
+        const data = this.getDisplaySeries();
         if (data.length < 2) return;
 
         // 7-day trend
         const recent7Days = data.slice(-7);
-        const trend7d = this.calculateTrend(recent7Days);
+        const trend7d = Indicators.trend(recent7Days);
         this.updateTrendDisplay('trend7d', 'indicator7d', trend7d);
 
         // 30-day trend
         const recent30Days = data.slice(-Math.min(30, data.length));
-        const trend30d = this.calculateTrend(recent30Days);
+        const trend30d = Indicators.trend(recent30Days);
         this.updateTrendDisplay('trend30d', 'indicator30d', trend30d);
 
-        // Volatility
-        const volatility = this.calculateVolatility(data);
-        this.updateVolatilityDisplay(volatility);
+        // Volatility
+        const volatility = Indicators.volatility(data);
+        this.updateVolatilityDisplay(volatility);
+
+        // Projection: the selected forecast model's rate in 7 days
+        this.updateProjectionDisplay(data, this.getForecast(data));
+    }
+
+    populateBacktestForm() {
+        this.fillBacktestForm({ thresholds: this.recommendationThresholds, ...RecommendationBacktest.DEFAULT_OPTIONS });
+    }
+
+    fillBacktestForm({ thresholds, strongBuyFraction, moderateBuyFraction }) {
+        document.querySelectorAll('[data-threshold]').forEach((input) => {
+            input.value = thresholds[input.dataset.threshold];
+        });
+        document.getElementById('backtestStrongFraction').value = strongBuyFraction * 100;
+        document.getElementById('backtestModerateFraction').value = moderateBuyFraction * 100;
+    }
+
+    readBacktestForm() {
+        const thresholds = {};
+        document.querySelectorAll('[data-threshold]').forEach((input) => {
+            thresholds[input.dataset.threshold] = parseFloat(input.value);
+        });
+        
+        return {
+            thresholds,
+            budget: parseFloat(document.getElementById('backtestBudget').value),
+            strongBuyFraction: parseFloat(document.getElementById('backtestStrongFraction').value) / 100,
+            moderateBuyFraction: parseFloat(document.getElementById('backtestModerateFraction').value) / 100
+        };
+    }
+
+    // Daily history of the selected pair for the backtest and the DCA planner, kept until the pair or span changes
+    async getDailyHistory(days) {
+        const key = `${this.pair}|${days}`;
+        if (this.dailyHistory && this.dailyHistory.key === key) {
+            return this.dailyHistory;
+        }
+        
+        const to = new Date();
+        const from = new Date(to.getTime() - days * 24 * 60 * 60 * 1000);
+        const { data, provider } = await this.fetchPairHistory({ from, to });
+        if (provider.simulated) {
+            throw new Error('Only simulated history is available. A simulation on made-up rates says nothing.');
+        }
+        
+        this.dailyHistory = { key, data, provider };
+        return this.dailyHistory;
+    }
+
+    getBacktestHistory() {
+        return this.getDailyHistory(parseInt(document.getElementById('backtestPeriod').value, 10));
+    }
+
+    async runBacktest() {
+        const results = document.getElementById('backtestResults');
+        const options = this.readBacktestForm();
+        
+        const invalid = Object.values(options.thresholds).some(value => !Number.isFinite(value)) ||
+            !(options.budget > 0) ||
+            ![options.strongBuyFraction, options.moderateBuyFraction].every(fraction => fraction >= 0 && fraction <= 1);
+        if (invalid) {
+            results.innerHTML = '<p class="backtest-error">Enter a number for every threshold, a positive budget and buy sizes between 0 and 100%.</p>';
+            return;
+        }
+        
+        results.innerHTML = '<p>Running backtest...</p>';
+        
+        try {
+            const { data, provider } = await this.getBacktestHistory();
+            this.renderBacktest(RecommendationBacktest.backtest(data, options), provider);
+        } catch (error) {
+            console.error('Backtest failed:', error);
+            results.innerHTML = `<p class="backtest-error">Backtest failed: ${error.message}</p>`;
+        }
+    }
+
+    renderBacktest(result, provider) {
+        const { quote } = CurrencyPairs.getPair(this.pair);
+        const percent = value => value === null ? '—' : `${value.toFixed(1)}%`;
+        const signed = value => `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
+        
+        // Average rates are direct; formatRate shows them inverted (THB spent per unit bought) when asked to
+        const rows = Object.values(result.strategies).map(strategy => `
+            <tr>
+                <td>${strategy.label}</td>
+                <td>${this.formatRate(strategy.averageRate)}</td>
+                <td class="${strategy.vsDayOnePercent >= 0 ? 'positive' : 'negative'}">${signed(strategy.vsDayOnePercent)}</td>
+                <td>${strategy.conversions.length}${strategy.leftover > 0 ? ' + rest on last day' : ''}</td>
+                <td>${percent(strategy.hitRate)}</td>
+                <td>${percent(strategy.maxDrawdownPercent)}</td>
+            </tr>
+        `).join('');
+        const counts = Object.entries(result.signalCounts)
+            .map(([signal, count]) => `${signal} ${count}`)
+            .join(' · ');
+        
+        document.getElementById('backtestResults').innerHTML = `
+            <table class="backtest-table">
+                <thead>
+                    <tr><th>Strategy</th><th>Average rate</th><th>vs day one</th><th>Conversions</th><th>Hit rate</th><th>Max drawdown</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <p class="backtest-note">
+                ${result.from} to ${result.to} (${result.days} days, ${provider.label}). Signal days: ${counts}.
+                "vs day one" is how much more ${quote} the same THB bought. A hit is a conversion at a rate no worse
+                than ${result.options.lookaheadDays} days later. Drawdown is the largest fall in the holdings' ${quote} value
+                while THB was still waiting to be converted.
+            </p>
+        `;
+    }
+
+    async runBacktestSweep() {
+        const container = document.getElementById('backtestSweep');
+        const { budget } = this.readBacktestForm();
+        container.innerHTML = '<p>Sweeping thresholds...</p>';
+        
+        try {
+            const { data } = await this.getBacktestHistory();
+            const ranked = RecommendationBacktest.sweep(data, BACKTEST_SWEEP_GRID, {
+                ...this.readBacktestForm(),
+                budget: budget > 0 ? budget : RecommendationBacktest.DEFAULT_OPTIONS.budget
+            });
+            this.lastSweep = ranked.slice(0, 5);
+            
+            const rows = this.lastSweep.map((result, index) => `
+                <tr>
+                    <td>${result.thresholds.strongBuyTrend}% / ${result.thresholds.strongBuyVolatility}%</td>
+                    <td>${result.thresholds.moderateBuyTrend}% / ${result.thresholds.moderateBuyVolatility}%</td>
+                    <td>${this.formatRate(result.averageRate)}</td>
+                    <td>${result.vsDayOnePercent >= 0 ? '+' : ''}${result.vsDayOnePercent.toFixed(2)}%</td>
+                    <td>${result.vsMonthlyDcaPercent >= 0 ? '+' : ''}${result.vsMonthlyDcaPercent.toFixed(2)}%</td>
+                    <td>${result.hitRate === null ? '—' : `${result.hitRate.toFixed(1)}%`}</td>
+                    <td><button class="btn-secondary" data-sweep-index="${index}">Use</button></td>
+                </tr>
+            `).join('');
+            
+            container.innerHTML = `
+                <h4>Best of ${ranked.length} threshold combinations</h4>
+                <table class="backtest-table">
+                    <thead>
+                        <tr><th>Strong buy (trend / max volatility)</th><th>Moderate buy (trend / max volatility)</th><th>Average rate</th><th>vs day one</th><th>vs monthly DCA</th><th>Hit rate</th><th></th></tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+                <p class="backtest-note">Thresholds tuned on one stretch of history are likely to do worse on the next. To adopt a set, put it in <code>recommendationThresholds</code> in config.js and <code>RECOMMENDATION_THRESHOLDS</code> for the SMS service.</p>
+            `;
+        } catch (error) {
+            console.error('Backtest sweep failed:', error);
+            container.innerHTML = `<p class="backtest-error">Sweep failed: ${error.message}</p>`;
+        }
+    }
+
+    updateTrendDisplay(trendId, indicatorId, trendValue) {
+        const trendElement = document.getElementById(trendId);
+        const indicatorElement = document.getElementById(indicatorId);
+        
+        const absValue = Math.abs(trendValue);
+        const sign = trendValue >= 0 ? '+' : '';
+        
+        trendElement.textContent = `${sign}${trendValue.toFixed(2)}%`;
+        
+        if (absValue > 1) {
+            indicatorElement.textContent = trendValue > 0 ? '📈' : '📉';
+            indicatorElement.className = `trend-indicator ${trendValue > 0 ? 'trend-up' : 'trend-down'}`;
+        } else {
+            indicatorElement.textContent = '➡️';
+            indicatorElement.className = 'trend-indicator trend-neutral';
+        }
+    }
+
+    updateVolatilityDisplay(volatility) {
+        const volatilityElement = document.getElementById('volatility');
+        const indicatorElement = document.getElementById('volatilityIndicator');
+        
+        volatilityElement.textContent = `${volatility.toFixed(2)}%`;
+        
+        if (volatility > 2) {
+            indicatorElement.textContent = '⚠️';
+            indicatorElement.className = 'trend-indicator trend-down';
+        } else if (volatility > 1) {
+            indicatorElement.textContent = '⚡';
+            indicatorElement.className = 'trend-indicator trend-neutral';
+        } else {
+            indicatorElement.textContent = '✅';
+            indicatorElement.className = 'trend-indicator trend-up';
+        }
+    }
+
+    updateProjectionDisplay(data, forecast) {
+        const projectionElement = document.getElementById('projection');
+        const indicatorElement = document.getElementById('projectionIndicator');
+        const rangeElement = document.getElementById('projectionRange');
+        const target = forecast.points[forecast.points.length - 1];
+        
+        if (!target) {
+            projectionElement.textContent = '--';
+            indicatorElement.textContent = '';
+            rangeElement.textContent = forecast.modelId === 'none' ? 'Forecast is off' : 'Not enough history to forecast';
+            return;
+        }
+        
+        const lastRate = data[data.length - 1].rate;
+        const projection = (target.mean - lastRate) / lastRate * 100;
+        const sign = projection >= 0 ? '+' : '';
+        projectionElement.textContent = `${sign}${projection.toFixed(2)}%`;
+        const decimals = CurrencyPairs.decimalsFor(this.pair, this.invertQuote);
+        // Forecast values are already in the displayed quoting direction
+        rangeElement.textContent = `80% range ${target.lower80.toFixed(decimals)} – ${target.upper80.toFixed(decimals)} · ${Forecasting.MODELS[forecast.modelId].label}`;
+        
+        if (Math.abs(projection) > 1) {
+            indicatorElement.textContent = projection > 0 ? '🚀' : '⬇️';
+            indicatorElement.className = `trend-indicator ${projection > 0 ? 'trend-up' : 'trend-down'}`;
+        } else {
+            indicatorElement.textContent = '🔄';
+            indicatorElement.className = 'trend-indicator trend-neutral';
+        }
+    }
+
+    updateInvestmentRecommendation() {
+        const recommendationCard = document.getElementById('recommendationCard');
+        const recommendationContent = document.getElementById('recommendationContent');
+        
+        const data = this.historicalData;
+        if (data.length < 7) return;
+        
+        const { trend7d, volatility } = AlertRules.recommendationInputs(data);
+        
+        // Investment logic (shared with the SMS service's recommendation-change alerts, digests and the backtest)
+        const signal = AlertRules.classifyRecommendation(trend7d, volatility, this.recommendationThresholds);
+        const { summary, action, risk } = AlertRules.recommendationAdvice(signal, { trend7d, pair: this.pair });
+        const { heading, cardClass } = RECOMMENDATION_CARDS[signal];
+        const planLink = signal === 'MODERATE BUY' ? ' <a href="#dcaPlanner">Plan it with the DCA planner.</a>' : '';
+        
+        recommendationCard.className = `recommendation-card ${cardClass}`;
+        recommendationContent.innerHTML = `
+            <strong>${heading}</strong>
+            <p>${summary}</p>
+            <p><strong>Recommended Action:</strong> ${action}${planLink}</p>
+            <p><strong>Risk Level:</strong> ${risk}</p>
+        `;
+    }
+
+    updateMarketInsights() {
+        const bestOpportunities = document.getElementById('bestOpportunities');
+        const riskAssessment = document.getElementById('riskAssessment');
+        
+        const data = this.getDisplaySeries();
+        if (data.length < 30) return;
+        
+        // Find best historical opportunities
+        const rates = data.map(d => d.rate);
+        const maxRate = Math.max(...rates);
+        const minRate = Math.min(...rates);
+        const avgRate = rates.reduce((sum, rate) => sum + rate, 0) / rates.length;
+        const currentRate = CurrencyPairs.displayRate(this.currentRate, this.invertQuote);
+        const decimals = CurrencyPairs.decimalsFor(this.pair, this.invertQuote);
+        const unit = CurrencyPairs.rateUnit(this.pair, this.invertQuote);
+        
+        bestOpportunities.innerHTML = `
+            <p><strong>Historical High:</strong> ${maxRate.toFixed(decimals)} ${unit}</p>
+            <p><strong>Historical Low:</strong> ${minRate.toFixed(decimals)} ${unit}</p>
+            <p><strong>Average Rate:</strong> ${avgRate.toFixed(decimals)} ${unit}</p>
+            <p><strong>Current vs Average:</strong> ${((currentRate - avgRate) / avgRate * 100).toFixed(2)}%</p>
+            <p class="insight-tip">💡 Best opportunities typically occur when THB strengthens 2-3% above average.</p>
+        `;
+        
+        const volatility = Indicators.volatility(data);
+        const trend30d = Indicators.trend(data.slice(-30));
+        
+        let riskLevel = 'Low';
+        let riskColor = '#27ae60';
+        
+        if (volatility > 3 || Math.abs(trend30d) > 5) {
+            riskLevel = 'High';
+            riskColor = '#e74c3c';
+        } else if (volatility > 1.5 || Math.abs(trend30d) > 2) {
+            riskLevel = 'Medium';
+            riskColor = '#f39c12';
+        }
+        
+        riskAssessment.innerHTML = `
+            <p><strong>Current Risk Level:</strong> <span style="color: ${riskColor}; font-weight: bold;">${riskLevel}</span></p>
+            <p><strong>30-Day Volatility:</strong> ${volatility.toFixed(2)}%</p>
+            <p><strong>30-Day Trend:</strong> ${trend30d.toFixed(2)}%</p>
+            <p><strong>Recommendation:</strong> ${riskLevel === 'Low' ? 'Good time for larger investments' : 
+                riskLevel === 'Medium' ? 'Consider smaller, regular investments' : 'Wait for market stabilization'}</p>
+        `;
+    }
+
+    populateDcaForm() {
+        document.getElementById('dcaFrequency').innerHTML = Object.entries(DcaPlanner.FREQUENCIES)
+            .map(([id, frequency]) => `<option value="${id}">${frequency.label}</option>`)
+            .join('');
+        
+        const plan = this.dcaPlan || {
+            budgetThb: 100000,
+            frequency: 'monthly',
+            horizonMonths: 6,
+            startDate: new Date().toISOString().split('T')[0]
+        };
+        document.getElementById('dcaBudget').value = plan.budgetThb;
+        document.getElementById('dcaFrequency').value = plan.frequency;
+        document.getElementById('dcaHorizon').value = plan.horizonMonths;
+        document.getElementById('dcaStartDate').value = plan.startDate;
+        document.getElementById('dcaPhone').value = this.dcaAlert ? this.dcaAlert.phoneNumber : this.alertSettings.phoneNumber;
+        this.updateDcaReminderStatus();
+    }
+
+    readDcaForm() {
+        return {
+            budgetThb: parseFloat(document.getElementById('dcaBudget').value),
+            frequency: document.getElementById('dcaFrequency').value,
+            horizonMonths: parseInt(document.getElementById('dcaHorizon').value, 10),
+            startDate: document.getElementById('dcaStartDate').value
+        };
+    }
+
+    // Plan schedule, the same plan replayed over two years of history, and rate scenarios from today's rate
+    async simulateDcaPlan() {
+        const plan = this.readDcaForm();
+        const errors = DcaPlanner.validatePlan(plan);
+        const results = document.getElementById('dcaResults');
+        if (errors.length > 0) {
+            results.innerHTML = `<p class="backtest-error">${errors.join('. ')}.</p>`;
+            return;
+        }
+        
+        this.dcaPlan = plan;
+        localStorage.setItem('dcaPlan', JSON.stringify(plan));
+        results.innerHTML = '<p>Simulating...</p>';
+        
+        const { quote } = CurrencyPairs.getPair(this.pair);
+        const signed = value => `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
+        const scheduleRows = DcaPlanner.schedule(plan).map(conversion => `
+            <tr><td>${conversion.number}</td><td>${conversion.date}</td><td>${Math.round(conversion.amountThb).toLocaleString()} THB</td></tr>
+        `).join('');
+        
+        let historyHtml = '';
+        let scenarioRows = '';
+        try {
+            const { data, provider } = await this.getDailyHistory(730);
+            const history = DcaPlanner.simulateHistory(data, plan);
+            historyHtml = history ? `
+                <table class="backtest-table">
+                    <thead><tr><th></th><th>Worst</th><th>Median</th><th>Best</th></tr></thead>
+                    <tbody>
+                        <tr><td>DCA average rate</td><td>${this.formatRate(history.dca.worst)}</td><td>${this.formatRate(history.dca.median)}</td><td>${this.formatRate(history.dca.best)}</td></tr>
+                        <tr><td>Everything on the first day</td><td>${this.formatRate(history.lumpSum.worst)}</td><td>${this.formatRate(history.lumpSum.median)}</td><td>${this.formatRate(history.lumpSum.best)}</td></tr>
+                    </tbody>
+                </table>
+                <p class="backtest-note">The plan was replayed from each of ${history.runs} start dates in the last two years (${provider.label}).
+                    DCA bought more ${quote} than converting everything on the first day in ${history.dcaBeatLumpSumPercent.toFixed(0)}% of them
+                    (median difference ${signed(history.medianAdvantagePercent)}). DCA mostly narrows the range between the worst and best outcome.</p>
+            ` : `<p class="backtest-note">Two years of history hold no complete ${plan.horizonMonths}-month window to replay; pick a shorter horizon.</p>`;
+            
+            scenarioRows = DcaPlanner.simulateScenarios(data, plan, {
+                currentRate: this.currentRate,
+                today: new Date().toISOString().split('T')[0]
+            }).map(scenario => `
+                <tr>
+                    <td>${scenario.label}</td>
+                    <td>${this.formatRate(scenario.endRate)}</td>
+                    <td>${this.formatRate(scenario.averageRate)}</td>
+                    <td class="${scenario.advantagePercent >= 0 ? 'positive' : 'negative'}">${signed(scenario.advantagePercent)}</td>
+                </tr>
+            `).join('');
+        } catch (error) {
+            console.error('DCA simulation failed:', error);
+            historyHtml = `<p class="backtest-error">Could not load history to simulate against: ${error.message}</p>`;
+        }
+        
+        results.innerHTML = `
+            <h4>${DcaPlanner.describePlan(plan)}</h4>
+            <details class="dca-schedule">
+                <summary>Conversion schedule</summary>
+                <table class="backtest-table"><tbody>${scheduleRows}</tbody></table>
+            </details>
+            <h4>On past rates</h4>
+            ${historyHtml}
+            ${scenarioRows ? `
+                <h4>Scenarios from today's rate</h4>
+                <table class="backtest-table">
+                    <thead><tr><th>Scenario</th><th>Rate at the end</th><th>DCA average rate</th><th>vs converting everything today</th></tr></thead>
+                    <tbody>${scenarioRows}</tbody>
+                </table>
+                <p class="backtest-note">Scenario moves are one standard deviation of the last two years' daily changes, scaled to the plan's length. They are illustrations, not forecasts.</p>
+            ` : ''}
+        `;
+    }
+
+    saveDcaAlert(alert) {
+        const changed = (alert && alert.id) !== (this.dcaAlert && this.dcaAlert.id);
+        this.dcaAlert = alert;
+        if (alert) {
+            localStorage.setItem('dcaAlert', JSON.stringify(alert));
+        } else {
+            localStorage.removeItem('dcaAlert');
+        }
+        this.updateDcaReminderStatus();
+        if (changed) this.resubscribeRateStream();
+    }
+
+    // Reminders are a dca-reminder alert on the SMS service, so they go through phone verification like any alert
+    async scheduleDcaReminders() {
+        const plan = this.readDcaForm();
+        const phoneNumber = document.getElementById('dcaPhone').value.trim();
+        const errors = DcaPlanner.validatePlan(plan);
+        if (!/^\+[1-9]\d{1,14}$/.test(phoneNumber)) {
+            errors.push('Phone number must be in international format (e.g. +66812345678)');
+        }
+        if (errors.length > 0) {
+            this.showMessage(`${errors.join('. ')}.`, 'error');
+            return;
+        }
+        
+        const body = { phoneNumber, pair: this.pair, rule: { type: 'dca-reminder', ...plan }, enabled: true };
+        
+        try {
+            let response = null;
+            if (this.dcaAlert) {
+                response = await this.requestAlertService(`/alerts/${encodeURIComponent(this.dcaAlert.id)}`, 'PATCH', body);
+            }
+            if (!response || response.status === 404) {
+                response = await this.requestAlertService('/alerts', 'POST', body);
+            }
+            
+            const data = await response.json();
+            if (!data.success) {
+                throw new Error(data.details || data.error);
+            }
+            
+            this.dcaPlan = plan;
+            localStorage.setItem('dcaPlan', JSON.stringify(plan));
+            this.saveDcaAlert({ id: data.alert.id, phoneNumber, pair: this.pair, verified: data.alert.verified });
+            
+            if (data.verificationError) {
+                this.showMessage(`Could not send the verification code: ${data.verificationError}`, 'error');
+            } else {
+                this.showMessage(data.alert.verified ? 'DCA reminders updated.' : 'Enter the code we sent to activate your DCA reminders.', 'success');
+            }
+        } catch (error) {
+            this.showMessage(`Could not schedule reminders; is the SMS service running? ${error.message}`, 'error');
+        }
+    }
+
+    async verifyDcaReminders() {
+        const code = document.getElementById('dcaVerificationCode').value.trim();
+        if (!/^\d{6}$/.test(code)) {
+            this.showMessage('Enter the 6-digit code from the SMS.', 'error');
+            return;
+        }
+        
+        try {
+            const response = await this.requestAlertService(`/alerts/${encodeURIComponent(this.dcaAlert.id)}/verify`, 'POST', { code });
+            const data = await response.json();
+            if (!data.success) {
+                this.showMessage(`${data.error}${data.details ? `: ${data.details}` : ''}`, 'error');
+                return;
+            }
+            
+            this.saveDcaAlert({ ...this.dcaAlert, verified: true });
+            document.getElementById('dcaVerificationCode').value = '';
+            this.showMessage('Phone number verified. DCA reminders are active.', 'success');
+        } catch (error) {
+            this.showMessage(`Could not verify the code: ${error.message}`, 'error');
+        }
+    }
+
+    async cancelDcaReminders() {
+        if (!this.dcaAlert) return;
+        
+        try {
+            const response = await this.requestAlertService(`/alerts/${encodeURIComponent(this.dcaAlert.id)}`, 'DELETE');
+            if (!response.ok && response.status !== 404) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            this.saveDcaAlert(null);
+            this.showMessage('DCA reminders cancelled.', 'success');
+        } catch (error) {
+            this.showMessage(`Could not cancel reminders: ${error.message}`, 'error');
+        }
+    }
+
+    updateDcaReminderStatus() {
+        const status = document.getElementById('dcaReminderStatus');
+        const awaitingVerification = !!this.dcaAlert && !this.dcaAlert.verified;
+        
+        document.getElementById('dcaVerificationForm').hidden = !awaitingVerification;
+        document.getElementById('cancelDcaReminders').hidden = !this.dcaAlert;
+        
+        if (!this.dcaAlert) {
+            status.textContent = 'No reminders scheduled.';
+        } else if (awaitingVerification) {
+            status.textContent = `Waiting for verification of ${this.dcaAlert.phoneNumber}.`;
+        } else {
+            const next = this.dcaPlan && DcaPlanner.schedule(this.dcaPlan)
+                .find(conversion => conversion.date >= new Date().toISOString().split('T')[0]);
+            status.textContent = `Reminders go to ${this.dcaAlert.phoneNumber} for ${CurrencyPairs.pairLabel(this.dcaAlert.pair)}` +
+                (next ? `; next on ${next.date}.` : '; the plan is complete.');
+        }
+    }
+
+    createPortfolioId() {
+        const id = crypto.randomUUID();
+        localStorage.setItem('portfolioId', id);
+        return id;
+    }
+
+    savePortfolio() {
+        localStorage.setItem('portfolioConversions', JSON.stringify(this.conversions));
+    }
+
+    addConversion() {
+        const enteredRate = parseFloat(document.getElementById('conversionRate').value);
+        const fee = document.getElementById('conversionFee').value;
+        const note = document.getElementById('conversionNote').value.trim();
+        const conversion = {
+            id: crypto.randomUUID(),
+            pair: this.pair,
+            date: document.getElementById('conversionDate').value,
+            thbAmount: parseFloat(document.getElementById('conversionAmount').value),
+            // The rate is entered the way it is displayed; it is stored as quote currency per THB
+            rate: this.invertQuote ? 1 / enteredRate : enteredRate,
+            feeThb: fee === '' ? 0 : parseFloat(fee),
+            updatedAt: Date.now()
+        };
+        if (note) conversion.note = note;
+        
+        const errors = Portfolio.validateConversion(conversion);
+        if (errors.length > 0) {
+            this.showMessage(errors.join(' '), 'error');
+            return;
+        }
+        
+        this.conversions.push(conversion);
+        this.savePortfolio();
+        ['conversionAmount', 'conversionRate', 'conversionFee', 'conversionNote'].forEach((id) => {
+            document.getElementById(id).value = '';
+        });
+        this.renderPortfolio();
+        this.syncPortfolio();
+    }
+
+    // Deletions are kept as tombstones so the sync removes the conversion everywhere
+    deleteConversion(id) {
+        this.conversions = this.conversions.map(conversion => conversion.id === id
+            ? { id, deleted: true, updatedAt: Date.now() }
+            : conversion);
+        this.savePortfolio();
+        this.renderPortfolio();
+        this.syncPortfolio();
+    }
+
+    async syncPortfolio() {
+        try {
+            const response = await this.requestAlertService(`/portfolios/${this.portfolioId}/sync`, 'POST', {
+                conversions: this.conversions
+            });
+            const data = await response.json();
+            if (!data.success) {
+                throw new Error(data.details || data.error);
+            }
+            
+            // Keep whatever changed locally while the request was out; the next sync sends it
+            this.conversions = Portfolio.mergeConversions(data.portfolio.conversions, this.conversions);
+            this.savePortfolio();
+            this.portfolioSyncedAt = new Date();
+            this.portfolioSyncError = null;
+        } catch (error) {
+            console.warn('Portfolio sync failed; conversions are kept on this device:', error.message);
+            this.portfolioSyncError = error.message;
+        }
+        
+        this.renderPortfolio();
+    }
+
+    // Use a portfolio started on another device; this device's conversions are merged into it
+    async linkPortfolio(id) {
+        if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(id)) {
+            this.showMessage('Paste the portfolio ID shown on the other device.', 'error');
+            return;
+        }
+        
+        this.portfolioId = id;
+        localStorage.setItem('portfolioId', id);
+        document.getElementById('portfolioLinkId').value = '';
+        await this.syncPortfolio();
+        
+        if (this.portfolioSyncError) {
+            this.showMessage(`Linked, but the SMS service could not be reached: ${this.portfolioSyncError}`, 'warning');
+        } else {
+            this.showMessage('Portfolio linked. Conversions from both devices are now combined.', 'success');
+        }
+    }
+
+    // Cost basis and P&L of the selected pair, each conversion compared with the displayed period's average
+    // (the same average Market Insights shows)
+    renderPortfolio() {
+        const { quote } = CurrencyPairs.getPair(this.pair);
+        const rates = this.historicalData.map(point => point.rate);
+        const averageRate = rates.length > 0 ? rates.reduce((sum, rate) => sum + rate, 0) / rates.length : null;
+        const summary = Portfolio.summarize(this.conversions, this.pair, { currentRate: this.currentRate || null, averageRate });
+        const thb = value => value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+        const signed = (value, suffix) => `${value >= 0 ? '+' : ''}${value.toLocaleString(undefined, { maximumFractionDigits: 2 })}${suffix}`;
+        const period = document.querySelector('.time-btn.active');
+        
+        document.getElementById('conversionRateUnit').textContent = CurrencyPairs.rateUnit(this.pair, this.invertQuote);
+        document.getElementById('portfolioPairLabel').textContent = CurrencyPairs.pairLabel(this.pair);
+        document.getElementById('portfolioId').textContent = this.portfolioId;
+        document.getElementById('portfolioSyncStatus').textContent = this.portfolioSyncError
+            ? `Saved on this device only; the SMS service is unreachable (${this.portfolioSyncError}).`
+            : this.portfolioSyncedAt
+                ? `Synced with the SMS service at ${this.portfolioSyncedAt.toLocaleTimeString()}.`
+                : 'Saved on this device.';
+        
+        const summaryElement = document.getElementById('portfolioSummary');
+        if (summary.conversions.length === 0) {
+            summaryElement.innerHTML = `<p>No ${CurrencyPairs.pairLabel(this.pair)} conversions recorded yet.</p>`;
+            document.getElementById('portfolioTable').innerHTML = '';
+            return;
+        }
+        
+        const pnlClass = summary.unrealizedThb === null ? '' : summary.unrealizedThb >= 0 ? 'positive' : 'negative';
+        summaryElement.innerHTML = `
+            <div class="portfolio-stat"><span>THB converted</span><strong>${thb(summary.thbConverted)}</strong></div>
+            <div class="portfolio-stat"><span>Fees</span><strong>${thb(summary.feesThb)} THB</strong></div>
+            <div class="portfolio-stat"><span>${quote} held</span><strong>${summary.quoteHeld.toLocaleString(undefined, { maximumFractionDigits: 2 })}</strong></div>
+            <div class="portfolio-stat"><span>Average rate</span><strong>${this.formatRate(summary.averageRate)}</strong></div>
+            <div class="portfolio-stat"><span>Average incl. fees</span><strong>${this.formatRate(summary.effectiveRate)}</strong></div>
+            <div class="portfolio-stat"><span>Value today</span><strong>${summary.currentValueThb === null ? '—' : `${thb(summary.currentValueThb)} THB`}</strong></div>
+            <div class="portfolio-stat ${pnlClass}"><span>Unrealized P&amp;L</span><strong>${summary.unrealizedThb === null ? '—' : `${signed(summary.unrealizedThb, ' THB')} (${signed(summary.unrealizedPercent, '%')})`}</strong></div>
+        `;
+        
+        const rows = summary.conversions.slice().reverse().map(conversion => `
+            <tr>
+                <td>${conversion.date}</td>
+                <td>${thb(conversion.thbAmount)}</td>
+                <td>${this.formatRate(conversion.rate)}</td>
+                <td>${thb(conversion.feeThb)}</td>
+                <td>${conversion.received.toLocaleString(undefined, { maximumFractionDigits: 2 })} ${quote}</td>
+                <td class="${conversion.vsAveragePercent === null ? '' : conversion.vsAveragePercent >= 0 ? 'positive' : 'negative'}">
+                    ${conversion.vsAveragePercent === null ? '—' : signed(conversion.vsAveragePercent, '%')}
+                </td>
+                <td>${conversion.note ? conversion.note.replace(/[&<>"]/g, c => `&#${c.charCodeAt(0)};`) : ''}</td>
+                <td><button class="btn-secondary" data-conversion-id="${conversion.id}">Delete</button></td>
+            </tr>
+        `).join('');
+        
+        document.getElementById('portfolioTable').innerHTML = `
+            <table>
+                <thead>
+                    <tr><th>Date</th><th>THB</th><th>Rate</th><th>Fee (THB)</th><th>Received</th><th>vs ${period ? period.textContent.trim() : 'period'} average</th><th>Note</th><th></th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <p class="portfolio-note">"vs average" compares each rate with the average over the chart's period: positive means more ${quote} per THB than average.</p>
+        `;
+    }
+
+    async loadRateSheets() {
+        try {
+            this.rateSheets = await RateSheets.fetchRateSheets(this.rateSheetSources);
+            this.rateSheetError = null;
+            if (this.rateSheets.errors.length > 0) {
+                console.warn('Rate sheet problems:', this.rateSheets.errors);
+            }
+        } catch (error) {
+            // Keep showing the last sheets that loaded
+            console.error('Error loading rate sheets:', error);
+            this.rateSheetError = error.message;
+        }
+        
+        this.populateAlertProviders();
+        this.renderRateSheets();
+    }
+
+    // Each provider's buy/sell rates as it quotes them (THB per unit), its spread against the mid rate and what
+    // the calculator amount would buy after fees, best first
+    renderRateSheets() {
+        const { quote } = CurrencyPairs.getPair(this.pair);
+        const table = document.getElementById('rateSheetTable');
+        const escape = text => text.replace(/[&<>"]/g, c => `&#${c.charCodeAt(0)};`);
+        const amount = value => value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+        
+        document.getElementById('rateSheetPairLabel').textContent = CurrencyPairs.pairLabel(this.pair);
+        
+        if (this.rateSheetSources.length === 0) {
+            table.innerHTML = '<p>No rate sheets are configured (MonitorConfig.rateSheetSources).</p>';
+            return;
+        }
+        if (!this.rateSheets) {
+            table.innerHTML = this.rateSheetError
+                ? `<p class="rate-sheet-error">Rate sheets are unavailable: ${escape(this.rateSheetError)}</p>`
+                : '<p>Loading rate sheets...</p>';
+            return;
+        }
+        
+        const comparison = RateSheets.compareProviders(this.rateSheets, this.pair, {
+            thbAmount: this.rateSheetAmount,
+            midRate: this.currentRate || null
+        });
+        if (comparison.length === 0) {
+            table.innerHTML = `<p>None of the rate sheets quotes ${quote}.</p>`;
+        } else {
+            const percent = value => value === null || value === undefined ? '—' : `${value.toFixed(2)}%`;
+            const fresh = RateSheets.withoutStale(this.rateSheets, MonitorConfig.staleAfterMinutes).providers;
+            const rows = comparison.map(({ provider, quote: rates, conversion, vsMidPercent }, index) => {
+                // As quoted on the provider's board, e.g. per 100 JPY
+                const { buying, selling, unit = 1 } = provider.rates[quote];
+                const boardRate = value => `${value.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 4 })}${unit === 1 ? '' : ` /${unit}`}`;
+                const stale = !fresh.includes(provider);
+                const fees = [
+                    provider.fees.fixedThb ? `${amount(provider.fees.fixedThb)} THB` : '',
+                    provider.fees.percent ? `${provider.fees.percent}%` : '',
+                    provider.fees.fixedQuote ? `${amount(provider.fees.fixedQuote)} ${quote}` : ''
+                ].filter(Boolean).join(' + ') || 'None';
+                
+                return `
+                    <tr class="${index === 0 ? 'best' : ''}${stale ? ' stale' : ''}" title="Rates from ${escape(provider.source)}, ${provider.updatedAt === null ? 'with no update time' : `updated ${new Date(provider.updatedAt).toLocaleString()}`}">
+                        <td>${escape(provider.name)}${stale ? ' <span class="rate-sheet-stale">outdated</span>' : ''}</td>
+                        <td>${provider.channel === 'cash' ? 'Banknotes' : 'Transfer'}</td>
+                        <td>${boardRate(buying)}</td>
+                        <td>${boardRate(selling)}</td>
+                        <td>${percent(rates && rates.sellSpreadPercent)}</td>
+                        <td>${percent(rates && rates.spreadPercent)}</td>
+                        <td>${fees}</td>
+                        <td><strong>${amount(conversion.received)} ${quote}</strong></td>
+                        <td>${this.formatRate(conversion.effectiveRate)}</td>
+                        <td>${percent(vsMidPercent)}</td>
+                    </tr>
+                `;
+            }).join('');
+            
+            table.innerHTML = `
+                <table>
+                    <thead>
+                        <tr><th>Provider</th><th>Type</th><th>Buys ${quote}</th><th>Sells ${quote}</th><th>Markup vs mid</th><th>Buy/sell spread</th><th>Fees</th><th>You get</th><th>Effective rate</th><th>Cost vs mid</th></tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+                <p class="rate-sheet-note">
+                    Buy and sell rates are THB per ${quote}, as the providers quote them. You buy ${quote} at the selling rate.
+                    ${this.currentRate
+                        ? `At the mid-market rate of ${this.formatRate(this.currentRate)}, ${amount(this.rateSheetAmount)} THB would be ${amount(this.rateSheetAmount * this.currentRate)} ${quote}.`
+                        : 'Spreads appear once the mid-market rate has loaded.'}
+                </p>
+            `;
+        }
+        
+        const loaded = `Sheets loaded ${new Date(this.rateSheets.fetchedAt).toLocaleTimeString()} from ${this.rateSheetSources.map(source => source.name).join(', ')}.`;
+        const problems = [...this.rateSheets.errors, ...(this.rateSheetError ? [`Last reload failed: ${this.rateSheetError}`] : [])];
+        document.getElementById('rateSheetStatus').textContent = problems.length > 0
+            ? `${loaded} Skipped: ${problems.join('; ')}`
+            : loaded;
+    }
+
+    // Provider choices for provider-rate alerts; a saved provider missing from the current sheets stays selectable
+    populateDataForm() {
+        document.getElementById('exportFormat').innerHTML = Object.entries(DataExport.FORMATS)
+            .map(([format, { label }]) => `<option value="${format}">${label}</option>`)
+            .join('');
+        document.getElementById('importDateFormat').innerHTML = [
+            '<option value="auto">Detect</option>',
+            ...Object.entries(HistoryImport.DATE_FORMATS).map(([format, { label }]) => `<option value="${format}">${label}</option>`)
+        ].join('');
+        this.renderDataSection();
+    }
+
+    renderDataSection() {
+        document.getElementById('dataPairLabel').textContent = CurrencyPairs.pairLabel(this.pair);
+        document.getElementById('importDirection').innerHTML = `
+            <option value="auto">Detect</option>
+            <option value="direct">${CurrencyPairs.rateUnit(this.pair)}</option>
+            <option value="inverse">${CurrencyPairs.rateUnit(this.pair, true)}</option>
+        `;
+        this.renderImportStatus();
+        if (this.importFile) this.previewImport();
+    }
+
+    // The chart period's history and indicators are exported as shown; notifications come from the SMS service
+    async exportData() {
+        const dataset = document.getElementById('exportDataset').value;
+        const format = document.getElementById('exportFormat').value;
+        const status = document.getElementById('exportStatus');
+        
+        if (dataset === 'notifications') {
+            await this.exportNotifications(format);
+            return;
+        }
+        
+        const data = this.historicalData;
+        if (data.length === 0) {
+            status.textContent = 'No rate history is loaded to export.';
+            return;
+        }
+        
+        const from = data[0].date;
+        const to = data[data.length - 1].date;
+        const table = dataset === 'indicators'
+            ? DataExport.indicatorTable(data, this.pair, { inverted: this.invertQuote })
+            : DataExport.historyTable(data, this.pair);
+        const meta = { dataset, pair: this.pair, from, to, source: this.historySource.label };
+        if (dataset === 'indicators') meta.inverted = this.invertQuote;
+        
+        this.downloadFile(
+            DataExport.serialize(table, format, meta),
+            DataExport.fileName([this.pair, dataset, from, 'to', to], format),
+            DataExport.FORMATS[format].mimeType
+        );
+        status.textContent = `Exported ${data.length} days${this.historySource.simulated ? ' of simulated rates' : ''}.`;
+    }
+
+    async exportNotifications(format) {
+        const status = document.getElementById('exportStatus');
+        const id = this.alertSettings.id;
+        if (!id) {
+            status.textContent = 'Save an alert first; its notification history is kept by the SMS service.';
+            return;
+        }
+        
+        try {
+            const response = await this.requestAlertService(`/export/notifications?alertId=${encodeURIComponent(id)}&format=${format}`, 'GET');
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.error || `HTTP ${response.status}`);
+            }
+            
+            const today = new Date().toISOString().split('T')[0];
+            this.downloadFile(await response.blob(), DataExport.fileName(['notifications', id.slice(0, 8), today], format), DataExport.FORMATS[format].mimeType);
+            status.textContent = 'Notification history downloaded.';
+        } catch (error) {
+            console.error('Error exporting notifications:', error);
+            status.textContent = `Could not export the notification history: ${error.message}`;
+        }
+    }
+
+    downloadFile(content, fileName, mimeType) {
+        const url = URL.createObjectURL(content instanceof Blob ? content : new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    async readImportFile(file) {
+        this.importFile = null;
+        this.importResult = null;
+        document.getElementById('importDateColumn').innerHTML = '';
+        document.getElementById('importRateColumn').innerHTML = '';
+        
+        if (file) {
+            this.importFile = { name: file.name, text: await file.text() };
+        }
+        this.previewImport();
+    }
+
+    // Re-read the loaded file with the chosen options and show what importing it would do
+    previewImport() {
+        const report = document.getElementById('importReport');
+        const button = document.getElementById('importData');
+        const escape = text => String(text).replace(/[&<>"]/g, c => `&#${c.charCodeAt(0)};`);
+        
+        document.getElementById('importOptions').hidden = !this.importFile;
+        button.disabled = true;
+        this.importResult = null;
+        if (!this.importFile) {
+            report.innerHTML = '';
+            return;
+        }
+        
+        const stored = this.importedHistory[this.pair];
+        const existing = HistoryImport.mergeHistory(this.historicalData, stored ? stored.points : []);
+        let result;
+        try {
+            result = HistoryImport.importHistory(this.importFile.text, {
+                pair: this.pair,
+                dateColumn: document.getElementById('importDateColumn').value,
+                rateColumn: document.getElementById('importRateColumn').value,
+                dateFormat: document.getElementById('importDateFormat').value,
+                direction: document.getElementById('importDirection').value,
+                onDuplicate: document.getElementById('importDuplicates').value,
+                existing
+            });
+        } catch (error) {
+            document.getElementById('importOptions').hidden = true;
+            report.innerHTML = `<p class="import-error">${escape(error.message)}</p>`;
+            return;
+        }
+        
+        const { points, report: details } = result;
+        ['importDateColumn', 'importRateColumn'].forEach((id) => {
+            const select = document.getElementById(id);
+            const selected = id === 'importDateColumn' ? details.dateColumn : details.rateColumn;
+            select.innerHTML = details.header
+                .map(column => `<option value="${escape(column)}">${escape(column || '(unnamed)')}</option>`)
+                .join('');
+            if (selected !== null) select.value = selected;
+        });
+        
+        const skipped = details.skipped.slice(0, 10)
+            .map(({ line, reason }) => `<li>Line ${line}: ${escape(reason)}</li>`)
+            .join('');
+        const moreSkipped = details.skipped.length > 10 ? `<li>…and ${details.skipped.length - 10} more</li>` : '';
+        const direction = details.direction ? CurrencyPairs.rateUnit(this.pair, details.direction === 'inverse') : null;
+        
+        report.innerHTML = `
+            <p><strong>${escape(this.importFile.name)}</strong>: ${details.rows} rows</p>
+            ${points.length > 0 ? `
+                <ul class="import-summary">
+                    <li>${details.imported} days from ${details.from} to ${details.to}</li>
+                    <li>Dates read as ${escape(HistoryImport.DATE_FORMATS[details.dateFormat].label.toLowerCase())}${details.buddhistEra ? ' (Buddhist Era years)' : ''}</li>
+                    <li>Rates read as ${direction}${details.directionDetected ? ' (detected)' : ''}</li>
+                    ${details.duplicatesInFile > 0 ? `<li>${details.duplicatesInFile} repeated dates in the file</li>` : ''}
+                    <li>${details.overlapping} days already in the history${details.changed > 0 ? `, ${details.changed} with a different rate` : ''}</li>
+                </ul>
+            ` : ''}
+            ${details.errors.map(error => `<p class="import-error">${escape(error)}</p>`).join('')}
+            ${details.warnings.map(warning => `<p class="import-warning">${escape(warning)}</p>`).join('')}
+            ${details.skipped.length > 0 ? `
+                <p>${details.skipped.length} rows skipped:</p>
+                <ul class="import-skipped">${skipped}${moreSkipped}</ul>
+            ` : ''}
+        `;
+        
+        this.importResult = result;
+        button.disabled = points.length === 0;
+    }
+
+    async applyImport() {
+        if (!this.importResult || this.importResult.points.length === 0) return;
+        
+        const onDuplicate = document.getElementById('importDuplicates').value;
+        const previous = this.importedHistory[this.pair];
+        // A later import of the same dates replaces an earlier one
+        this.importedHistory[this.pair] = {
+            points: HistoryImport.mergeHistory(previous ? previous.points : [], this.importResult.points),
+            onDuplicate,
+            fileName: this.importFile.name,
+            importedAt: Date.now()
+        };
+        this.saveImportedHistory();
+        
+        this.showMessage(`Imported ${this.importResult.points.length} days of ${CurrencyPairs.pairLabel(this.pair)} rates.`, 'success');
+        this.importFile = null;
+        this.importResult = null;
+        document.getElementById('importFile').value = '';
+        this.previewImport();
+        this.renderImportStatus();
+        await this.refreshHistory();
+    }
+
+    async clearImportedHistory() {
+        delete this.importedHistory[this.pair];
+        this.saveImportedHistory();
+        this.renderImportStatus();
+        await this.refreshHistory();
+    }
+
+    saveImportedHistory() {
+        localStorage.setItem('importedHistory', JSON.stringify(this.importedHistory));
+        // The backtest and DCA planner history is fetched again with the new days
+        this.dailyHistory = null;
+    }
+
+    renderImportStatus() {
+        const status = document.getElementById('importStatus');
+        const stored = this.importedHistory[this.pair];
+        if (!stored) {
+            status.textContent = '';
+            return;
+        }
+        
+        const { points, fileName, importedAt } = stored;
+        const name = fileName.replace(/[&<>"]/g, c => `&#${c.charCodeAt(0)};`);
+        status.innerHTML = `
+            ${points.length} imported days (${points[0].date} to ${points[points.length - 1].date}), last from ${name}
+            on ${new Date(importedAt).toLocaleDateString()}.
+            <button type="button" id="clearImport" class="btn-secondary">Remove</button>
+        `;
+    }
+
+    populateAlertProviders() {
+        const providers = this.rateSheets ? this.rateSheets.providers : [];
+        const saved = this.alertSettings.provider;
+        const escape = text => text.replace(/[&<>"]/g, c => `&#${c.charCodeAt(0)};`);
+        
+        document.getElementById('alertProvider').innerHTML = [
+            ...providers.map(provider => `<option value="${provider.id}">${escape(provider.name)} (${provider.channel === 'cash' ? 'banknotes' : 'transfer'})</option>`),
+            ...(saved && !providers.some(provider => provider.id === saved) ? [`<option value="${escape(saved)}">${escape(saved)}</option>`] : [])
+        ].join('');
+        if (saved) document.getElementById('alertProvider').value = saved;
+    }
 
-        // Projection
-        const projection = this.calculateProjection(data);
-        this.updateProjectionDisplay(projection);
+    updateAlertProviderField() {
+        const isProviderRule = document.getElementById('alertRuleType').value.startsWith('provider-');
+        document.getElementById('alertProviderGroup').hidden = !isProviderRule;
     }
 
-    calculateTrend(data) {
-        if (data.length < 2) return 0;
+    async saveAlertSettings() {
+        const phoneNumber = document.getElementById('phoneNumber').value.trim();
+        const email = document.getElementById('alertEmail').value.trim();
+        const webhookUrl = document.getElementById('alertWebhook').value.trim();
+        const ruleType = document.getElementById('alertRuleType').value;
+        const pair = document.getElementById('alertPair').value;
+        const threshold = parseFloat(document.getElementById('alertThreshold').value);
+        const isProviderRule = ruleType.startsWith('provider-');
+        const provider = isProviderRule ? document.getElementById('alertProvider').value : '';
+        const providerAmount = isProviderRule ? parseFloat(document.getElementById('alertProviderAmount').value) || null : null;
+        const enabled = document.getElementById('enableAlerts').checked;
+        const policy = this.readAlertPolicyForm();
         
-        const firstRate = data[0].rate;
-        const lastRate = data[data.length - 1].rate;
-        const change = ((lastRate - firstRate) / firstRate) * 100;
+        if (enabled && (!phoneNumber || !threshold)) {
+            this.showMessage('Please enter both phone number and threshold to enable alerts.', 'error');
+            return;
+        }
         
-        return change;
-    }
-
-    calculateVolatility(data) {
-        if (data.length < 2) return 0;
+        if (phoneNumber && !/^\+[1-9]\d{1,14}$/.test(phoneNumber)) {
+            this.showMessage('Phone number must be in international format (e.g. +66812345678).', 'error');
+            return;
+        }
         
-        const rates = data.map(d => d.rate);
-        const mean = rates.reduce((sum, rate) => sum + rate, 0) / rates.length;
-        const variance = rates.reduce((sum, rate) => sum + Math.pow(rate - mean, 2), 0) / rates.length;
-        const volatility = Math.sqrt(variance) / mean * 100;
+        if (enabled && threshold <= 0) {
+            this.showMessage('Threshold must be a positive number.', 'error');
+            return;
+        }
         
-        return volatility;
-    }
-
-    calculateProjection(data) {
-        if (data.length < 5) return 0;
+        if (enabled && isProviderRule && !provider) {
+            this.showMessage('Choose the provider whose rate the alert should watch.', 'error');
+            return;
+        }
         
-        // Simple linear regression for next week projection
-        const recentData = data.slice(-14); // Use last 2 weeks
-        const n = recentData.length;
+        const policyErrors = AlertPolicy.validatePolicy(policy);
+        if (policyErrors.length > 0) {
+            this.showMessage(policyErrors.join(' '), 'error');
+            return;
+        }
         
-        let sumX = 0, sumY = 0, sumXY = 0, sumXX = 0;
+        // A changed rule starts with a freshly armed alert, as it does on the server
+        if (pair !== this.alertSettings.pair || ruleType !== this.alertSettings.ruleType || threshold !== this.alertSettings.threshold ||
+            provider !== this.alertSettings.provider || providerAmount !== this.alertSettings.providerAmount) {
+            this.saveAlertFireState({});
+        }
         
-        recentData.forEach((point, index) => {
-            sumX += index;
-            sumY += point.rate;
-            sumXY += index * point.rate;
-            sumXX += index * index;
-        });
+        this.alertSettings = { ...this.alertSettings, phoneNumber, email, webhookUrl, pair, ruleType, threshold, provider, providerAmount, policy, enabled };
         
-        const slope = (n * sumXY - sumX * sumY) / (n * sumXX - sumX * sumX);
-        const intercept = (sumY - slope * sumX) / n;
+        // Save to localStorage
+        localStorage.setItem('alertPhone', phoneNumber);
+        localStorage.setItem('alertEmail', email);
+        localStorage.setItem('alertWebhook', webhookUrl);
+        localStorage.setItem('alertPair', pair);
+        localStorage.setItem('alertRuleType', ruleType);
+        localStorage.setItem('alertThreshold', threshold.toString());
+        localStorage.setItem('alertProvider', provider);
+        localStorage.setItem('alertProviderAmount', providerAmount ? providerAmount.toString() : '');
+        localStorage.setItem('alertEnabled', enabled.toString());
+        localStorage.setItem('alertPolicy', JSON.stringify(policy));
         
-        const futureX = n + 7; // 7 days ahead
-        const projectedRate = slope * futureX + intercept;
-        const currentRate = data[data.length - 1].rate;
+        try {
+            await this.syncAlertWithServer();
+            this.showMessage('Alert settings saved successfully!', 'success');
+        } catch (error) {
+            console.error('Error saving alert to SMS service:', error);
+            this.showMessage(`Alert settings saved locally, but the SMS service could not be updated: ${error.message}`, 'warning');
+        }
         
-        return ((projectedRate - currentRate) / currentRate) * 100;
+        this.updateAlertStatus();
     }
 
-    updateTrendDisplay(trendId, indicatorId, trendValue) {
-        const trendElement = document.getElementById(trendId);
-        const indicatorElement = document.getElementById(indicatorId);
+    async syncAlertWithServer() {
+        const { id, phoneNumber, pair, policy, enabled } = this.alertSettings;
+        const rule = this.getAlertRule();
+        const channels = this.getAlertChannels();
         
-        const absValue = Math.abs(trendValue);
-        const sign = trendValue >= 0 ? '+' : '';
+        // Nothing registered yet and nothing to register
+        if (!id && !enabled) return;
         
-        trendElement.textContent = `${sign}${trendValue.toFixed(2)}%`;
+        let response = null;
+        if (id) {
+            response = await this.requestAlertService(`/alerts/${encodeURIComponent(id)}`, 'PATCH',
+                enabled ? { phoneNumber, pair, rule, policy, channels, enabled } : { enabled });
+        }
         
-        if (absValue > 1) {
-            indicatorElement.textContent = trendValue > 0 ? '📈' : '📉';
-            indicatorElement.className = `trend-indicator ${trendValue > 0 ? 'trend-up' : 'trend-down'}`;
-        } else {
-            indicatorElement.textContent = '➡️';
-            indicatorElement.className = 'trend-indicator trend-neutral';
+        // Create the alert if we never had one or the server no longer knows it
+        if (!response || response.status === 404) {
+            if (!enabled) {
+                this.setAlertId(null);
+                return;
+            }
+            response = await this.requestAlertService('/alerts', 'POST', { phoneNumber, pair, rule, policy, channels, enabled });
         }
-    }
-
-    updateVolatilityDisplay(volatility) {
-        const volatilityElement = document.getElementById('volatility');
-        const indicatorElement = document.getElementById('volatilityIndicator');
         
-        volatilityElement.textContent = `${volatility.toFixed(2)}%`;
+        const data = await response.json();
+        if (!data.success) {
+            throw new Error(data.details || data.error);
+        }
         
-        if (volatility > 2) {
-            indicatorElement.textContent = '⚠️';
-            indicatorElement.className = 'trend-indicator trend-down';
-        } else if (volatility > 1) {
-            indicatorElement.textContent = '⚡';
-            indicatorElement.className = 'trend-indicator trend-neutral';
-        } else {
-            indicatorElement.textContent = '✅';
-            indicatorElement.className = 'trend-indicator trend-up';
+        this.setAlertId(data.alert.id);
+        this.setAlertVerified(data.alert.verified);
+        
+        if (data.verificationError) {
+            this.showMessage(`Could not send the verification code: ${data.verificationError}`, 'error');
         }
     }
 
-    updateProjectionDisplay(projection) {
-        const projectionElement = document.getElementById('projection');
-        const indicatorElement = document.getElementById('projectionIndicator');
+    // The SMS code, plus the emailed code when the alert also sends email; null (with a message shown) if either is missing
+    readVerificationCodes(codeInputId, emailCodeInputId, email) {
+        const code = document.getElementById(codeInputId).value.trim();
+        const emailCode = document.getElementById(emailCodeInputId).value.trim();
         
-        const sign = projection >= 0 ? '+' : '';
-        projectionElement.textContent = `${sign}${projection.toFixed(2)}%`;
+        if (!/^\d{6}$/.test(code)) {
+            this.showMessage('Enter the 6-digit code from the SMS.', 'error');
+            return null;
+        }
+        if (email && !/^\d{6}$/.test(emailCode)) {
+            this.showMessage(`Enter the 6-digit code emailed to ${email}.`, 'error');
+            return null;
+        }
         
-        if (Math.abs(projection) > 1) {
-            indicatorElement.textContent = projection > 0 ? '🚀' : '⬇️';
-            indicatorElement.className = `trend-indicator ${projection > 0 ? 'trend-up' : 'trend-down'}`;
-        } else {
-            indicatorElement.textContent = '🔄';
-            indicatorElement.className = 'trend-indicator trend-neutral';
+        return email ? { code, emailCodes: { [email]: emailCode } } : { code };
+    }
+
+    async verifyAlertPhone() {
+        const codes = this.readVerificationCodes('verificationCode', 'emailVerificationCode', this.alertSettings.email);
+        if (!codes) return;
+        
+        try {
+            const response = await this.requestAlertService(`/alerts/${encodeURIComponent(this.alertSettings.id)}/verify`, 'POST', codes);
+            const data = await response.json();
+            
+            if (!data.success) {
+                this.showMessage(`${data.error}${data.details ? `: ${data.details}` : ''}`, 'error');
+                return;
+            }
+            
+            document.getElementById('verificationCode').value = '';
+            document.getElementById('emailVerificationCode').value = '';
+            this.setAlertVerified(data.alert.verified);
+            this.updateAlertStatus();
+            this.showMessage(data.alert.verified
+                ? 'Phone number verified. Your alert is now active!'
+                : 'Codes accepted. Enter the remaining codes to activate your alert.', data.alert.verified ? 'success' : 'warning');
+        } catch (error) {
+            console.error('Error verifying phone number:', error);
+            this.showMessage('Could not reach the SMS service to verify the code.', 'error');
         }
     }
 
-    updateInvestmentRecommendation() {
-        const recommendationCard = document.getElementById('recommendationCard');
-        const recommendationContent = document.getElementById('recommendationContent');
+    async resendVerificationCode() {
+        try {
+            const response = await this.requestAlertService(`/alerts/${encodeURIComponent(this.alertSettings.id)}/verification`, 'POST');
+            const data = await response.json();
+            
+            if (!data.success) {
+                this.showMessage(`${data.error}${data.details ? `: ${data.details}` : ''}`, 'error');
+                return;
+            }
+            
+            this.showMessage('A new verification code has been sent.', 'success');
+        } catch (error) {
+            console.error('Error requesting verification code:', error);
+            this.showMessage('Could not reach the SMS service to send a new code.', 'error');
+        }
+    }
+
+    async loadNotificationHistory() {
+        const container = document.getElementById('notificationHistory');
         
-        const data = this.historicalData;
-        if (data.length < 7) return;
+        if (!this.alertSettings.id) {
+            container.innerHTML = '<p>No notifications sent yet.</p>';
+            return;
+        }
         
-        const recent7Days = data.slice(-7);
-        const trend7d = this.calculateTrend(recent7Days);
-        const volatility = this.calculateVolatility(data);
-        const currentRate = this.currentRate;
-        
-        let recommendation = '';
-        let cardClass = '';
-        
-        // Investment logic
-        if (trend7d > 2 && volatility < 2) {
-            recommendation = `
-                <strong>🟢 STRONG BUY SIGNAL</strong>
-                <p>THB is strengthening significantly (+${trend7d.toFixed(2)}%) with low volatility. 
-                This is an excellent opportunity to convert THB to USD for investment.</p>
-                <p><strong>Recommended Action:</strong> Consider converting a significant portion of your THB holdings to USD.</p>
-                <p><strong>Risk Level:</strong> Low</p>
-            `;
-            cardClass = 'recommendation-bullish';
-        } else if (trend7d > 0.5 && volatility < 3) {
-            recommendation = `
-                <strong>🟡 MODERATE BUY</strong>
-                <p>THB is showing positive momentum (+${trend7d.toFixed(2)}%) with manageable volatility. 
-                Good opportunity for gradual USD investment.</p>
-                <p><strong>Recommended Action:</strong> Consider dollar-cost averaging into USD positions.</p>
-                <p><strong>Risk Level:</strong> Medium</p>
-            `;
-            cardClass = 'recommendation-neutral';
-        } else if (trend7d < -2) {
-            recommendation = `
-                <strong>🔴 HOLD/WAIT</strong>
-                <p>THB is weakening (${trend7d.toFixed(2)}%). Not an optimal time for USD investment. 
-                Wait for THB to strengthen before converting.</p>
-                <p><strong>Recommended Action:</strong> Hold THB and wait for better exchange rates.</p>
-                <p><strong>Risk Level:</strong> High if converting now</p>
-            `;
-            cardClass = 'recommendation-bearish';
-        } else {
-            recommendation = `
-                <strong>🟡 NEUTRAL</strong>
-                <p>THB is showing mixed signals with ${trend7d.toFixed(2)}% recent change. 
-                Market conditions are uncertain.</p>
-                <p><strong>Recommended Action:</strong> Monitor closely and consider small test conversions.</p>
-                <p><strong>Risk Level:</strong> Medium</p>
+        try {
+            const response = await this.requestAlertService(`/alerts/${encodeURIComponent(this.alertSettings.id)}/history?limit=20`, 'GET');
+            const data = await response.json();
+            // Descriptions include subscriber input such as a rate sheet provider name
+            const escape = text => String(text).replace(/[&<>"]/g, c => `&#${c.charCodeAt(0)};`);
+            
+            if (!data.success) {
+                container.innerHTML = `<p>${escape(data.error)}</p>`;
+                return;
+            }
+            
+            if (data.history.length === 0) {
+                container.innerHTML = '<p>No notifications sent yet.</p>';
+                return;
+            }
+            
+            const rows = data.history.map(entry => `
+                <tr>
+                    <td>${new Date(entry.createdAt).toLocaleString()}</td>
+                    <td>${escape(entry.channel)}</td>
+                    <td>${CurrencyPairs.formatValue(entry.rate, entry.pair)}</td>
+                    <td>${escape(entry.description)}</td>
+                    <td><span class="delivery-status ${escape(entry.status)}" title="${escape(entry.error || '')}">${escape(entry.status)}</span>${entry.attempts > 1 ? ` (${entry.attempts} attempts)` : ''}</td>
+                </tr>
+            `).join('');
+            
+            container.innerHTML = `
+                <table>
+                    <thead>
+                        <tr><th>Sent</th><th>Channel</th><th>Rate</th><th>Alert</th><th>Status</th></tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
             `;
-            cardClass = 'recommendation-neutral';
+        } catch (error) {
+            console.error('Error loading notification history:', error);
+            container.innerHTML = '<p>Could not reach the SMS service to load notification history.</p>';
         }
-        
-        recommendationCard.className = `recommendation-card ${cardClass}`;
-        recommendationContent.innerHTML = recommendation;
     }
 
-    updateMarketInsights() {
-        const bestOpportunities = document.getElementById('bestOpportunities');
-        const riskAssessment = document.getElementById('riskAssessment');
-        
-        const data = this.historicalData;
-        if (data.length < 30) return;
-        
-        // Find best historical opportunities
-        const rates = data.map(d => d.rate);
-        const maxRate = Math.max(...rates);
-        const minRate = Math.min(...rates);
-        const avgRate = rates.reduce((sum, rate) => sum + rate, 0) / rates.length;
+    setAlertVerified(verified) {
+        this.alertSettings.verified = verified;
+        localStorage.setItem('alertVerified', verified.toString());
+    }
+
+    readAlertPolicyForm() {
+        const optionalNumber = (id, parse) => {
+            const value = document.getElementById(id).value.trim();
+            return value === '' ? null : parse(value);
+        };
         
-        bestOpportunities.innerHTML = `
-            <p><strong>Historical High:</strong> ${maxRate.toFixed(6)} USD per THB</p>
-            <p><strong>Historical Low:</strong> ${minRate.toFixed(6)} USD per THB</p>
-            <p><strong>Average Rate:</strong> ${avgRate.toFixed(6)} USD per THB</p>
-            <p><strong>Current vs Average:</strong> ${((this.currentRate - avgRate) / avgRate * 100).toFixed(2)}%</p>
-            <p class="insight-tip">💡 Best opportunities typically occur when THB strengthens 2-3% above average.</p>
-        `;
+        return {
+            mode: document.getElementById('alertMode').value,
+            cooldownMinutes: parseFloat(document.getElementById('alertCooldown').value) || 0,
+            hysteresisPercent: optionalNumber('alertHysteresis', parseFloat),
+            maxPerDay: optionalNumber('alertMaxPerDay', value => parseInt(value, 10))
+        };
+    }
+
+    saveAlertFireState(fireState) {
+        this.alertFireState = fireState;
+        localStorage.setItem('alertFireState', JSON.stringify(fireState));
+    }
+
+    getAlertChannels() {
+        const { phoneNumber, email, webhookUrl } = this.alertSettings;
+        const channels = [{ type: 'sms', to: phoneNumber }];
         
-        const volatility = this.calculateVolatility(data);
-        const trend30d = this.calculateTrend(data.slice(-30));
+        if (email) channels.push({ type: 'email', to: email });
+        if (webhookUrl) channels.push({ type: 'webhook', to: webhookUrl });
         
-        let riskLevel = 'Low';
-        let riskColor = '#27ae60';
+        return channels;
+    }
+
+    getAlertRule() {
+        const { ruleType, threshold, provider, providerAmount } = this.alertSettings;
+        const rule = { type: ruleType, threshold };
         
-        if (volatility > 3 || Math.abs(trend30d) > 5) {
-            riskLevel = 'High';
-            riskColor = '#e74c3c';
-        } else if (volatility > 1.5 || Math.abs(trend30d) > 2) {
-            riskLevel = 'Medium';
-            riskColor = '#f39c12';
+        if (ruleType.startsWith('provider-')) {
+            rule.provider = provider;
+            if (providerAmount) rule.amountThb = providerAmount;
         }
-        
-        riskAssessment.innerHTML = `
-            <p><strong>Current Risk Level:</strong> <span style="color: ${riskColor}; font-weight: bold;">${riskLevel}</span></p>
-            <p><strong>30-Day Volatility:</strong> ${volatility.toFixed(2)}%</p>
-            <p><strong>30-Day Trend:</strong> ${trend30d.toFixed(2)}%</p>
-            <p><strong>Recommendation:</strong> ${riskLevel === 'Low' ? 'Good time for larger investments' : 
-                riskLevel === 'Medium' ? 'Consider smaller, regular investments' : 'Wait for market stabilization'}</p>
-        `;
+        return rule;
     }
 
-    saveAlertSettings() {
-        const phoneNumber = document.getElementById('phoneNumber').value;
-        const threshold = parseFloat(document.getElementById('alertThreshold').value);
-        const enabled = document.getElementById('enableAlerts').checked;
-        
-        if (enabled && (!phoneNumber || !threshold)) {
-            this.showMessage('Please enter both phone number and threshold to enable alerts.', 'error');
-            return;
+    requestAlertService(path, method, body) {
+        return fetch(`${this.alertServiceAPI}${path}`, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: body ? JSON.stringify(body) : undefined
+        });
+    }
+
+    setAlertId(id) {
+        const changed = id !== this.alertSettings.id;
+        this.alertSettings.id = id;
+        if (id) {
+            localStorage.setItem('alertId', id);
+        } else {
+            localStorage.removeItem('alertId');
         }
-        
-        this.alertSettings = { phoneNumber, threshold, enabled };
-        
-        // Save to localStorage
-        localStorage.setItem('alertPhone', phoneNumber);
-        localStorage.setItem('alertThreshold', threshold.toString());
-        localStorage.setItem('alertEnabled', enabled.toString());
-        
-        this.updateAlertStatus();
-        this.showMessage('Alert settings saved successfully!', 'success');
+        this.loadNotificationHistory();
+        if (changed) this.resubscribeRateStream();
     }
 
     loadAlertSettings() {
+        const id = localStorage.getItem('alertId');
         const phoneNumber = localStorage.getItem('alertPhone') || '';
+        const email = localStorage.getItem('alertEmail') || '';
+        const webhookUrl = localStorage.getItem('alertWebhook') || '';
+        const pair = localStorage.getItem('alertPair') || CurrencyPairs.DEFAULT_PAIR;
+        const ruleType = localStorage.getItem('alertRuleType') || 'rate-above';
         const threshold = parseFloat(localStorage.getItem('alertThreshold')) || 0;
+        const provider = localStorage.getItem('alertProvider') || '';
+        const providerAmount = parseFloat(localStorage.getItem('alertProviderAmount')) || null;
         const enabled = localStorage.getItem('alertEnabled') === 'true';
+        const verified = localStorage.getItem('alertVerified') === 'true';
+        const policy = AlertPolicy.normalizePolicy(JSON.parse(localStorage.getItem('alertPolicy') || 'null'));
         
-        this.alertSettings = { phoneNumber, threshold, enabled };
+        this.alertSettings = { id, phoneNumber, email, webhookUrl, pair, ruleType, threshold, provider, providerAmount, policy, enabled, verified };
+        this.alertFireState = JSON.parse(localStorage.getItem('alertFireState') || '{}');
         this.updateAlertStatus();
     }
 
     updateAlertStatus() {
         const alertStatus = document.getElementById('alertStatus');
+        const awaitingVerification = this.alertSettings.enabled && !!this.alertSettings.id && !this.alertSettings.verified;
         
-        if (this.alertSettings.enabled) {
+        document.getElementById('verificationForm').hidden = !awaitingVerification;
+        document.getElementById('emailVerificationGroup').hidden = !this.alertSettings.email;
+        
+        if (awaitingVerification) {
+            const recipients = [this.alertSettings.phoneNumber, this.alertSettings.email].filter(Boolean).join(' and ');
+            alertStatus.innerHTML = `
+                <p><strong>⏳ Waiting for Verification</strong></p>
+                <p>Enter the codes we sent to ${recipients} to activate alerts.</p>
+            `;
+            alertStatus.className = 'alert-status pending';
+        } else if (this.alertSettings.enabled) {
             alertStatus.innerHTML = `
                 <p><strong>✅ SMS Alerts Active</strong></p>
-                <p>Phone: ${this.alertSettings.phoneNumber}</p>
-                <p>Threshold: ${this.alertSettings.threshold.toFixed(6)} USD per THB</p>
-                <p>You will be notified when THB strengthens to this level.</p>
+                <p>Notify: ${this.getAlertChannels().map(channel => `${channel.type} ${channel.to}`).join(', ')}</p>
+                <p>Alert: ${AlertRules.describeRule(this.getAlertRule(), this.alertSettings.pair)}</p>
+                <p>Repeat: ${AlertPolicy.describePolicy(this.alertSettings.policy)}</p>
+                <p>You will be notified when this condition is met.</p>
             `;
             alertStatus.className = 'alert-status active';
         } else {
@@ -500,24 +2597,209 @@ class ExchangeRateMonitor {
         }
     }
 
+    populateDigestForm() {
+        const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone || 'Asia/Bangkok';
+        const timeZones = typeof Intl.supportedValuesOf === 'function'
+            ? Intl.supportedValuesOf('timeZone')
+            : ['Asia/Bangkok', 'UTC'];
+        const rule = this.digestAlert ? this.digestAlert.rule : null;
+        
+        document.getElementById('digestTimezone').innerHTML = [...new Set([timeZone, ...timeZones])]
+            .sort()
+            .map(zone => `<option value="${zone}">${zone.replace(/_/g, ' ')}</option>`)
+            .join('');
+        document.getElementById('digestWeekday').innerHTML = Digest.WEEKDAYS
+            .map(day => `<option value="${day}">${day.charAt(0).toUpperCase()}${day.slice(1)}</option>`)
+            .join('');
+        
+        document.getElementById('digestFrequency').value = rule ? rule.type : 'daily-digest';
+        document.getElementById('digestWeekday').value = rule && rule.weekday ? rule.weekday : 'monday';
+        document.getElementById('digestSendTime').value = rule ? rule.sendTime : '08:00';
+        document.getElementById('digestTimezone').value = rule ? rule.timezone : timeZone;
+        document.getElementById('digestWeekdayGroup').hidden = !rule || rule.type !== 'weekly-digest';
+        this.updateDigestStatus();
+    }
+
+    readDigestRule() {
+        const type = document.getElementById('digestFrequency').value;
+        const rule = {
+            type,
+            timezone: document.getElementById('digestTimezone').value,
+            sendTime: document.getElementById('digestSendTime').value,
+            // Rates in the digest are quoted the way the dashboard shows them
+            inverted: this.invertQuote
+        };
+        if (type === 'weekly-digest') rule.weekday = document.getElementById('digestWeekday').value;
+        return rule;
+    }
+
+    saveDigestAlert(alert) {
+        this.digestAlert = alert;
+        if (alert) {
+            localStorage.setItem('digestAlert', JSON.stringify(alert));
+        } else {
+            localStorage.removeItem('digestAlert');
+        }
+        this.updateDigestStatus();
+    }
+
+    // Digests are alerts on the SMS service, so the phone number is verified like any alert's
+    async subscribeDigest() {
+        const rule = this.readDigestRule();
+        const phoneNumber = document.getElementById('phoneNumber').value.trim();
+        const email = document.getElementById('alertEmail').value.trim();
+        const errors = AlertRules.validateRule(rule);
+        if (!/^\+[1-9]\d{1,14}$/.test(phoneNumber)) {
+            errors.push('Phone number must be in international format (e.g. +66812345678)');
+        }
+        if (errors.length > 0) {
+            this.showMessage(`${errors.join('. ')}.`, 'error');
+            return;
+        }
+        
+        const channels = [{ type: 'sms', to: phoneNumber }];
+        if (email) channels.push({ type: 'email', to: email });
+        const body = { phoneNumber, pair: this.pair, rule, channels, enabled: true };
+        
+        try {
+            let response = null;
+            if (this.digestAlert) {
+                response = await this.requestAlertService(`/alerts/${encodeURIComponent(this.digestAlert.id)}`, 'PATCH', body);
+            }
+            if (!response || response.status === 404) {
+                response = await this.requestAlertService('/alerts', 'POST', body);
+            }
+            
+            const data = await response.json();
+            if (!data.success) {
+                throw new Error(data.details || data.error);
+            }
+            
+            this.saveDigestAlert({ id: data.alert.id, phoneNumber, email, pair: this.pair, rule, verified: data.alert.verified });
+            
+            if (data.verificationError) {
+                this.showMessage(`Could not send the verification code: ${data.verificationError}`, 'error');
+            } else {
+                this.showMessage(data.alert.verified ? 'Digest updated.' : 'Enter the code we sent to start your digest.', 'success');
+            }
+        } catch (error) {
+            this.showMessage(`Could not subscribe to the digest; is the SMS service running? ${error.message}`, 'error');
+        }
+    }
+
+    async verifyDigest() {
+        const codes = this.readVerificationCodes('digestVerificationCode', 'digestEmailVerificationCode', this.digestAlert.email);
+        if (!codes) return;
+        
+        try {
+            const response = await this.requestAlertService(`/alerts/${encodeURIComponent(this.digestAlert.id)}/verify`, 'POST', codes);
+            const data = await response.json();
+            if (!data.success) {
+                this.showMessage(`${data.error}${data.details ? `: ${data.details}` : ''}`, 'error');
+                return;
+            }
+            
+            this.saveDigestAlert({ ...this.digestAlert, verified: data.alert.verified });
+            document.getElementById('digestVerificationCode').value = '';
+            document.getElementById('digestEmailVerificationCode').value = '';
+            if (!data.alert.verified) {
+                this.showMessage('Codes accepted. Enter the remaining codes to start your digest.', 'warning');
+                return;
+            }
+            this.showMessage('Verified. Your digest is scheduled.', 'success');
+        } catch (error) {
+            this.showMessage(`Could not verify the code: ${error.message}`, 'error');
+        }
+    }
+
+    async cancelDigest() {
+        if (!this.digestAlert) return;
+        
+        try {
+            const response = await this.requestAlertService(`/alerts/${encodeURIComponent(this.digestAlert.id)}`, 'DELETE');
+            if (!response.ok && response.status !== 404) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            this.saveDigestAlert(null);
+            this.showMessage('Digest cancelled.', 'success');
+        } catch (error) {
+            this.showMessage(`Could not cancel the digest: ${error.message}`, 'error');
+        }
+    }
+
+    updateDigestStatus() {
+        const status = document.getElementById('digestStatus');
+        const awaitingVerification = !!this.digestAlert && !this.digestAlert.verified;
+        
+        document.getElementById('digestVerificationForm').hidden = !awaitingVerification;
+        document.getElementById('digestEmailVerificationGroup').hidden = !this.digestAlert || !this.digestAlert.email;
+        document.getElementById('cancelDigest').hidden = !this.digestAlert;
+        document.getElementById('subscribeDigest').textContent = this.digestAlert ? 'Update Digest' : 'Subscribe';
+        
+        if (!this.digestAlert) {
+            status.textContent = 'No digest scheduled.';
+        } else if (awaitingVerification) {
+            status.textContent = `Waiting for verification of ${[this.digestAlert.phoneNumber, this.digestAlert.email].filter(Boolean).join(' and ')}.`;
+        } else {
+            const { rule, pair, phoneNumber } = this.digestAlert;
+            const frequency = rule.type === 'weekly-digest' ? 'weekly' : 'daily';
+            const next = Digest.nextSend(rule, frequency, Date.now());
+            status.textContent = `${AlertRules.describeRule(rule, pair)} to ${phoneNumber}` +
+                (next ? `; next on ${new Date(next.at).toLocaleString()}.` : '.');
+        }
+    }
+
     checkAlerts() {
-        if (!this.alertSettings.enabled || !this.alertSettings.threshold) return;
+        const { pair } = this.alertSettings;
+        const quote = this.currentQuotes[pair];
+        if (!this.alertSettings.enabled || !this.alertSettings.threshold || !quote) return;
+        
+        // The SMS service evaluates verified alerts itself and pushes their triggers over the stream
+        if (this.streamConnected && this.alertSettings.id && this.alertSettings.verified) return;
+        
+        // Never alert on a made-up or outdated rate
+        const unusable = RateSources.unusableReason(quote, MonitorConfig.staleAfterMinutes);
+        if (unusable) {
+            console.warn(`Not checking the ${CurrencyPairs.pairLabel(pair)} alert: the rate is ${unusable}`);
+            return;
+        }
+        const rate = quote.rate;
+        
+        // Same rule evaluation the SMS service uses, over the dashboard's own history when it is the alert's pair
+        const rule = this.getAlertRule();
+        const result = AlertRules.evaluateRule(rule, {
+            pair,
+            rate,
+            history: AlertRules.createSeriesHistory(pair === this.pair ? this.historicalData : []),
+            recommendationThresholds: this.recommendationThresholds,
+            rateSheets: this.rateSheets && RateSheets.withoutStale(this.rateSheets, MonitorConfig.staleAfterMinutes)
+        });
+        
+        // Honor the same re-arm policy as the server instead of re-firing on every refresh
+        const { state, shouldFire } = AlertPolicy.applyPolicy(this.alertSettings.policy, this.alertFireState, {
+            rule,
+            rate,
+            result
+        });
         
-        if (this.currentRate >= this.alertSettings.threshold) {
-            this.triggerAlert();
+        if (shouldFire) {
+            this.saveAlertFireState(AlertPolicy.recordFire(state, { rate }));
+            this.triggerAlert(rule, result, pair, rate);
+        } else {
+            this.saveAlertFireState(state);
         }
     }
 
-    triggerAlert() {
+    triggerAlert(rule, result, pair, rate) {
         // In a real implementation, this would send an SMS via a service like Twilio
         // For demo purposes, we'll show a browser notification and visual alert
         
-        this.showMessage(`🚨 ALERT: THB has strengthened to ${this.currentRate.toFixed(6)} USD per THB! Consider investing in USD now.`, 'warning');
+        this.showMessage(`🚨 ALERT: ${result.detail}`, 'warning');
         
         // Browser notification
         if ('Notification' in window && Notification.permission === 'granted') {
             new Notification('THB Investment Alert', {
-                body: `THB has reached your target rate of ${this.alertSettings.threshold.toFixed(6)} USD per THB!`,
+                body: `${AlertRules.describeRule(rule, pair)}: now ${CurrencyPairs.formatRate(rate, pair)}`,
                 icon: '💰'
             });
         }
@@ -528,7 +2810,7 @@ class ExchangeRateMonitor {
             document.querySelector('.rate-card').classList.remove('pulse');
         }, 3000);
         
-        console.log(`SMS Alert would be sent to ${this.alertSettings.phoneNumber}: THB rate ${this.currentRate.toFixed(6)} reached threshold ${this.alertSettings.threshold.toFixed(6)}`);
+        console.log(`SMS Alert would be sent to ${this.alertSettings.phoneNumber}: ${AlertRules.buildAlertMessage(rule, result, pair)}`);
     }
 
     showMessage(text, type) {
@@ -544,21 +2826,30 @@ class ExchangeRateMonitor {
     }
 
     startAutoRefresh() {
-        // Refresh current rate every 5 minutes
+        // Refresh current rate and delivery statuses every 5 minutes
+        // Streamed rates replace polling while the stream is up
         setInterval(() => {
-            this.fetchCurrentRate();
+            this.loadRateSheets().then(() => {
+                if (!this.isStreamingRates()) this.fetchCurrentRate();
+            });
+            this.loadNotificationHistory();
         }, 5 * 60 * 1000);
         
         // Refresh historical data every hour
-        setInterval(() => {
-            const activePeriod = document.querySelector('.time-btn.active').dataset.period;
-            this.fetchHistoricalData(activePeriod).then(() => {
-                this.updateChart();
-                this.updateTrendAnalysis();
-                this.updateInvestmentRecommendation();
-                this.updateMarketInsights();
-            });
-        }, 60 * 60 * 1000);
+        setInterval(() => this.refreshHistory(), 60 * 60 * 1000);
+    }
+
+    async refreshHistory() {
+        const activePeriod = document.querySelector('.time-btn.active').dataset.period;
+        this.loadWatchlistTrends();
+        this.loadReferenceHistory();
+        
+        await this.fetchHistoricalData(activePeriod);
+        this.updateChart();
+        this.updateTrendAnalysis();
+        this.updateInvestmentRecommendation();
+        this.updateMarketInsights();
+        this.renderPortfolio();
     }
 }
 
@@ -573,10 +2864,20 @@ document.addEventListener('DOMContentLoaded', () => {
     new ExchangeRateMonitor();
 });
 
-// Service Worker for offline functionality (optional)
+// Service worker: the dashboard and its last-known rates stay available offline (see sw.js)
 if ('serviceWorker' in navigator) {
     window.addEventListener('load', () => {
-        navigator.serviceWorker.register('/sw.js')
+        // A new worker taking over a page the previous one served means a new version was deployed
+        const hadController = !!navigator.serviceWorker.controller;
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (hadController) document.getElementById('updateBanner').hidden = false;
+        });
+        // The worker refreshed the cached shell after this page loaded from the previous deploy
+        navigator.serviceWorker.addEventListener('message', (event) => {
+            if (event.data && event.data.type === 'shell-updated') document.getElementById('updateBanner').hidden = false;
+        });
+        
+        navigator.serviceWorker.register('sw.js')
             .then(registration => console.log('SW registered'))
             .catch(registrationError => console.log('SW registration failed'));
     });
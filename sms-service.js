@@ -4,49 +4,533 @@
 const express = require('express');
 const cors = require('cors');
 const twilio = require('twilio');
+const { RatePoller } = require('./rate-poller');
+const RateSources = require('./rate-sources');
+const RateSheets = require('./rate-sheets');
+const { createAlertStore, generateAlertId } = require('./alert-store');
+const { createAlertsRouter, maskPhoneNumber, sendLimited } = require('./alerts-router');
+const { readJsonFile } = require('./json-file');
+const { fetchJson, fetchText } = require('./http-client');
+const { RateHistory, historyPathForPair } = require('./rate-history');
+const { createRatesRouter } = require('./rates-router');
+const { createExportsRouter } = require('./exports-router');
+const { RateStream } = require('./rate-stream');
+const { DigestScheduler } = require('./digest-scheduler');
+const { PortfolioStore } = require('./portfolio-store');
+const { createPortfoliosRouter } = require('./portfolios-router');
+const HistoryProviders = require('./history-providers');
+const { PAIR_IDS, DEFAULT_PAIR, isValidPair } = require('./currency-pairs');
+const { evaluateRule, describeRule, buildAlertMessage, messageTitleFor, isScheduledRule, parseRecommendationThresholds } = require('./alert-rules');
+const { DEFAULT_POLICY, applyPolicy, recordFire } = require('./alert-policy');
+const { createChannelsFromEnv, webhookHostsFromEnv } = require('./notification-channels');
+const { NotificationLog } = require('./notification-log');
+const { NotificationDispatcher } = require('./notification-dispatcher');
+const { createApiAuth, parseApiKeys } = require('./auth');
+const { FixedWindowLimiter, consumeAll } = require('./rate-limiter');
+const { MESSAGE_TEMPLATES, renderTemplate } = require('./message-templates');
+const { createPhoneVerifier, createLocalCodeSender, createTwilioVerifySender } = require('./phone-verification');
+const { createCommandHandler, createInboundSmsRouter } = require('./inbound-sms');
 require('dotenv').config();
 
 const app = express();
 const port = process.env.PORT || 3001;
 
+// CORS is limited to the dashboard origins listed in CORS_ORIGINS
+const corsOrigins = (process.env.CORS_ORIGINS || 'http://localhost:8080,http://127.0.0.1:8080')
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean);
+
+// Behind a reverse proxy, TRUST_PROXY (a hop count or proxy addresses) makes req.ip the client's address,
+// which the verification limits are keyed by
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+
 // Middleware
-app.use(cors());
+app.use(cors({ origin: corsOrigins }));
 app.use(express.json());
 
+// Operator endpoints (sending and checking alerts) require an API key or a signed token
+const apiKeys = parseApiKeys(process.env.API_KEYS);
+const requireApiAuth = createApiAuth({
+    apiKeys,
+    tokenSecret: process.env.API_TOKEN_SECRET || null
+});
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const limitFromEnv = (name, fallback) => {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) ? fallback : value;
+};
+
+// Limits on /api/send-alert so a leaked key cannot burn the Twilio balance
+const sendAlertLimiters = {
+    clientHourly: new FixedWindowLimiter({ name: 'client hourly limit', limit: limitFromEnv('SEND_ALERT_CLIENT_HOURLY_LIMIT', 30), windowMs: HOUR_MS }),
+    clientDaily: new FixedWindowLimiter({ name: 'client daily quota', limit: limitFromEnv('SEND_ALERT_CLIENT_DAILY_QUOTA', 200), windowMs: DAY_MS }),
+    recipientHourly: new FixedWindowLimiter({ name: 'recipient hourly limit', limit: limitFromEnv('SEND_ALERT_RECIPIENT_HOURLY_LIMIT', 3), windowMs: HOUR_MS }),
+    recipientDaily: new FixedWindowLimiter({ name: 'recipient daily quota', limit: limitFromEnv('SEND_ALERT_RECIPIENT_DAILY_QUOTA', 10), windowMs: DAY_MS })
+};
+
+// Anyone can create an alert, and each new alert texts a verification code, so codes are limited per client IP
+// and per phone number on top of the per-alert resend limits
+const verificationLimiters = {
+    clientHourly: new FixedWindowLimiter({ name: 'client hourly limit', limit: limitFromEnv('VERIFICATION_CLIENT_HOURLY_LIMIT', 10), windowMs: HOUR_MS }),
+    clientDaily: new FixedWindowLimiter({ name: 'client daily quota', limit: limitFromEnv('VERIFICATION_CLIENT_DAILY_QUOTA', 30), windowMs: DAY_MS }),
+    recipientHourly: new FixedWindowLimiter({ name: 'recipient hourly limit', limit: limitFromEnv('VERIFICATION_RECIPIENT_HOURLY_LIMIT', 3), windowMs: HOUR_MS }),
+    recipientDaily: new FixedWindowLimiter({ name: 'recipient daily quota', limit: limitFromEnv('VERIFICATION_RECIPIENT_DAILY_QUOTA', 10), windowMs: DAY_MS })
+};
+
+// Portfolio syncs are public too: every sync rewrites the store, and new portfolios take up space for good
+const portfolioLimiters = {
+    syncHourly: new FixedWindowLimiter({ name: 'client hourly sync limit', limit: limitFromEnv('PORTFOLIO_SYNC_CLIENT_HOURLY_LIMIT', 120), windowMs: HOUR_MS }),
+    createDaily: new FixedWindowLimiter({ name: 'client daily new portfolio quota', limit: limitFromEnv('PORTFOLIO_CREATE_CLIENT_DAILY_QUOTA', 10), windowMs: DAY_MS })
+};
+
+function limitSync(req, { creating }) {
+    return consumeAll([
+        { limiter: portfolioLimiters.syncHourly, key: req.ip },
+        ...(creating ? [{ limiter: portfolioLimiters.createDaily, key: req.ip }] : [])
+    ]);
+}
+
+function limitVerification(req, phoneNumber) {
+    return consumeAll([
+        { limiter: verificationLimiters.clientHourly, key: req.ip },
+        { limiter: verificationLimiters.clientDaily, key: req.ip },
+        { limiter: verificationLimiters.recipientHourly, key: phoneNumber },
+        { limiter: verificationLimiters.recipientDaily, key: phoneNumber }
+    ]);
+}
+
 // Twilio configuration
 const accountSid = process.env.TWILIO_ACCOUNT_SID;
 const authToken = process.env.TWILIO_AUTH_TOKEN;
-const twilioPhoneNumber = process.env.TWILIO_PHONE_NUMBER;
 
 let client;
 if (accountSid && authToken) {
     client = twilio(accountSid, authToken);
 }
 
-// Store active alerts (in production, use a database)
-const activeAlerts = new Map();
+// Notification channels (SMS falls back to a demo-mode mock channel when Twilio is not configured)
+const channels = createChannelsFromEnv(process.env, { twilioClient: client });
+
+// Every alert notification attempt is logged per channel; failed sends are retried with backoff
+const notificationLog = new NotificationLog({
+    filePath: process.env.NOTIFICATION_LOG_PATH || './data/notifications.json'
+});
+const dispatcher = new NotificationDispatcher({ channels, log: notificationLog });
+const RETRY_CHECK_INTERVAL_MS = 30 * 1000;
+
+// Phone verification codes go through Twilio Verify when configured, otherwise the SMS channel;
+// codes for email recipients go out on the email channel
+const verifier = createPhoneVerifier({
+    sender: client && process.env.TWILIO_VERIFY_SERVICE_SID
+        ? createTwilioVerifySender(client, process.env.TWILIO_VERIFY_SERVICE_SID)
+        : createLocalCodeSender(channels.sms),
+    emailChannel: channels.email || null
+});
+
+// Alert storage ('file' persists across restarts, 'memory' is the original Map behavior)
+const activeAlerts = createAlertStore({
+    type: process.env.ALERT_STORE || 'file',
+    filePath: process.env.ALERT_STORE_PATH || './data/alerts.json'
+});
+
+// Conversion portfolios synced from dashboards
+const portfolioStore = new PortfolioStore({
+    filePath: process.env.PORTFOLIO_STORE_PATH || './data/portfolios.json'
+});
+
+// Rate history per currency pair, used by rules that look back over time (percent moves, moving averages, volatility)
+const rateHistories = Object.fromEntries(PAIR_IDS.map(pair => [pair, new RateHistory({
+    filePath: historyPathForPair(process.env.RATE_HISTORY_PATH || './data/rate-history.json', pair)
+})]));
+
+// Outbound requests of the rate sources, history providers and rate sheets go through http-client with a timeout,
+// not the global fetch that Node versions before 18 lack
+const HTTP_TIMEOUT_MS = 15 * 1000;
+const serverHttp = {
+    getJson: url => fetchJson(url, HTTP_TIMEOUT_MS),
+    getText: url => fetchText(url, HTTP_TIMEOUT_MS)
+};
+
+// Days the service was not running are backfilled at startup from daily providers (e.g. frankfurter, csv)
+const backfillDays = limitFromEnv('RATE_HISTORY_BACKFILL_DAYS', 365);
+const backfillProviders = (process.env.RATE_HISTORY_BACKFILL_PROVIDERS || 'frankfurter')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+
+async function backfillRateHistory() {
+    const to = new Date();
+    const from = new Date(to.getTime() - backfillDays * DAY_MS);
+    const providers = HistoryProviders.createProviders({
+        historyProviders: backfillProviders,
+        frankfurterUrl: process.env.FRANKFURTER_URL,
+        exchangeRateApiKey: process.env.EXCHANGE_RATE_API_KEY,
+        historyCsvUrl: process.env.RATE_HISTORY_CSV_URL,
+        http: serverHttp
+    });
+
+    for (const pair of PAIR_IDS) {
+        try {
+            const { data, provider } = await HistoryProviders.fetchHistory(providers, { from, to, pair });
+            const added = rateHistories[pair].importDaily(data);
+            console.log(`Backfilled ${added} day(s) of ${pair} rate history from ${provider.label}`);
+        } catch (error) {
+            console.error(`Error backfilling ${pair} rate history:`, error.message);
+        }
+    }
+}
+
+// Rate poller configuration
+const pollerEnabled = process.env.RATE_POLLER_ENABLED !== 'false';
+const pollIntervalMinutes = parseFloat(process.env.RATE_POLL_INTERVAL_MINUTES) || 5;
+
+// Current rates are the median of several sources; alerts never fire on a quote older than this.
+// The free sources publish once a day, hence the 25-hour default.
+const rateStaleAfterMinutes = parseFloat(process.env.RATE_STALE_AFTER_MINUTES) || 1500;
+
+// Overrides for the recommendation-change rule's signal thresholds, e.g. "strongBuyTrend=2.5,holdTrend=-1.5"
+const recommendationThresholds = parseRecommendationThresholds(process.env.RECOMMENDATION_THRESHOLDS);
+
+// Bank and money changer rate sheets for provider-rate alerts: URLs or local JSON files, e.g. ./rate-sheets.json.
+// They are reloaded with every rate poll; a failed reload keeps the last sheets.
+async function loadRateSheet(source) {
+    if (/^https?:\/\//.test(source)) return serverHttp.getJson(source);
+
+    const document = readJsonFile(source);
+    if (!document) throw new Error('file not found');
+    return document;
+}
+
+const rateSheetSources = RateSheets.createSources(
+    (process.env.RATE_SHEET_SOURCES || '').split(',').map(source => source.trim()).filter(Boolean),
+    { load: loadRateSheet }
+);
+let rateSheets = null;
+
+async function refreshRateSheets() {
+    if (rateSheetSources.length === 0) return;
+
+    try {
+        rateSheets = await RateSheets.fetchRateSheets(rateSheetSources);
+        for (const error of rateSheets.errors) {
+            console.warn('Rate sheet problem:', error);
+        }
+    } catch (error) {
+        console.error('Error loading rate sheets:', error.message);
+    }
+}
+
+// Live updates for dashboards (GET /api/rates/stream)
+const rateStream = new RateStream({ maxClients: limitFromEnv('RATE_STREAM_MAX_CLIENTS', 200) });
+
+const ratePoller = new RatePoller({
+    sources: RateSources.createSources({
+        rateSources: process.env.RATE_SOURCES ? process.env.RATE_SOURCES.split(',').map(name => name.trim()).filter(Boolean) : undefined,
+        exchangeRateApiUrl: process.env.RATE_SOURCE_URL,
+        openErApiUrl: process.env.OPEN_ER_API_URL,
+        frankfurterUrl: process.env.FRANKFURTER_URL,
+        http: serverHttp
+    }),
+    tolerancePercent: parseFloat(process.env.RATE_OUTLIER_TOLERANCE_PERCENT) || RateSources.DEFAULT_TOLERANCE_PERCENT,
+    intervalMs: pollIntervalMinutes * 60 * 1000,
+    onRates: async (rates, quotes) => {
+        for (const [pair, rate] of Object.entries(rates)) {
+            rateHistories[pair].record(rate);
+        }
+        rateStream.publishRates(quotes);
+        rateStream.publishStatus(serviceStatus());
+        await refreshRateSheets();
+        const { triggeredAlerts } = await evaluateAlerts(quotes);
+        if (triggeredAlerts.length > 0) {
+            console.log(`Rate poll triggered ${triggeredAlerts.length} alert(s) (${triggeredAlerts.map(alert => alert.pair).join(', ')})`);
+        }
+    },
+    onError: () => {
+        rateStream.publishStatus(serviceStatus());
+    }
+});
+
+// Daily digests and weekly reports go out at each subscriber's send time, built from the poller's latest quotes
+const digestScheduler = new DigestScheduler({
+    store: activeAlerts,
+    histories: rateHistories,
+    getQuotes: () => ratePoller.lastQuotes,
+    dispatcher,
+    staleAfterMinutes: rateStaleAfterMinutes,
+    recommendationThresholds
+});
+
+// The state of the service's own rate feed, as dashboards are told it: 'ok', 'degraded' (stale pairs),
+// 'down' (the last poll failed), 'starting' (no poll has finished yet) or 'idle' (polling is disabled).
+// Dashboards only rely on streamed rates while `polling` is true.
+function serviceStatus() {
+    const stalePairs = Object.keys(ratePoller.lastQuotes)
+        .filter(pair => RateSources.isStale(ratePoller.lastQuotes[pair], rateStaleAfterMinutes));
+    const status = { state: 'ok', polling: pollerEnabled, message: 'Rates are live', stalePairs, lastSuccessAt: ratePoller.lastSuccessAt };
+
+    if (!pollerEnabled) {
+        return { ...status, state: 'idle', message: 'The service is not polling rates' };
+    }
+    if (ratePoller.lastError) {
+        return { ...status, state: 'down', message: `Rate sources are failing: ${ratePoller.lastError.message}` };
+    }
+    if (!ratePoller.lastSuccessAt) {
+        return { ...status, state: 'starting', message: 'Waiting for the first rates' };
+    }
+    if (stalePairs.length > 0) {
+        return { ...status, state: 'degraded', message: `Rates are stale for ${stalePairs.join(', ')}` };
+    }
+    return status;
+}
+
+// Evaluate every active alert's rule against its pair's quote ({ 'THB-USD': { rate, timestamp, simulated }, ... })
+// and notify the alert's channels when its re-arm policy allows. Alerts on pairs missing from `quotes` are left
+// alone, and so are alerts whose quote is stale or simulated; those pairs are returned in `skipped`.
+// Alerts are updated in place and the store is written once per check, not once per alert.
+async function evaluateAlerts(quotes) {
+    const triggeredAlerts = [];
+    const skipped = {};
+    
+    for (const alert of activeAlerts.values()) {
+        if (!alert.enabled || alert.verification.status !== 'verified') continue;
+        
+        // Digests are sent on their schedule by the digest scheduler
+        if (isScheduledRule(alert.rule)) continue;
+        
+        const quote = quotes[alert.pair];
+        if (!quote) continue;
+        
+        const unusable = RateSources.unusableReason(quote, rateStaleAfterMinutes);
+        if (unusable) {
+            skipped[alert.pair] = unusable;
+            continue;
+        }
+        
+        const currentRate = quote.rate;
+        
+        const result = evaluateRule(alert.rule, {
+            pair: alert.pair,
+            rate: currentRate,
+            history: rateHistories[alert.pair],
+            state: alert.ruleState,
+            recommendationThresholds,
+            // Bank sheets publish about as often as the mid-rate sources, so the same staleness limit applies
+            rateSheets: rateSheets && RateSheets.withoutStale(rateSheets, rateStaleAfterMinutes)
+        });
+        
+        // Rules that react to changes remember what they saw last time. The state of a triggered result is only
+        // kept once a channel accepted the notification, so a suppressed or undelivered one (e.g. a DCA reminder)
+        // triggers again on the next poll instead of being marked as sent
+        if (result.state && !result.triggered) {
+            alert.ruleState = result.state;
+        }
+        
+        const { state, shouldFire } = applyPolicy(alert.policy, alert.fireState, {
+            rule: alert.rule,
+            rate: currentRate,
+            result
+        });
+        alert.fireState = state;
+        
+        if (!shouldFire) continue;
+        
+        // Trigger alert
+        const description = describeRule(alert.rule, alert.pair);
+        const records = await dispatcher.dispatch({
+            alert,
+            rate: currentRate,
+            message: {
+                subject: messageTitleFor(alert.rule),
+                text: buildAlertMessage(alert.rule, result, alert.pair),
+                data: { alertId: alert.id, pair: alert.pair, rule: alert.rule, description, rate: currentRate }
+            }
+        });
+        const deliveries = records.map(record => ({
+            type: record.channel,
+            status: record.status,
+            id: record.messageSid || null,
+            demo: !!record.demo,
+            error: record.error || undefined
+        }));
+        
+        // The alert counts as fired if at least one channel accepted it or will retry; otherwise it would
+        // fire again on the next poll while the retries are still pending
+        if (records.some(record => record.status !== 'failed')) {
+            alert.fireState = recordFire(alert.fireState, { rate: currentRate });
+            if (result.state) alert.ruleState = result.state;
+            
+            rateStream.publishAlert(alert.id, {
+                pair: alert.pair,
+                title: messageTitleFor(alert.rule),
+                detail: result.detail,
+                description,
+                rate: currentRate,
+                triggeredAt: alert.fireState.triggeredAt
+            });
+            
+            triggeredAlerts.push({
+                id: alert.id,
+                phoneNumber: alert.phoneNumber,
+                pair: alert.pair,
+                rule: alert.rule,
+                description,
+                currentRate: currentRate,
+                deliveries
+            });
+            
+            console.log('Alert triggered for:', alert.phoneNumber);
+        } else {
+            console.error('Alert could not be delivered on any channel:', alert.id);
+        }
+    }
+    activeAlerts.save();
+
+    for (const [pair, reason] of Object.entries(skipped)) {
+        console.warn(`Not evaluating ${pair} alerts: the rate is ${reason}`);
+    }
+
+    return {
+        triggeredAlerts,
+        skipped: Object.entries(skipped).map(([pair, reason]) => ({ pair, reason }))
+    };
+}
+
+// Alert resources
+app.use('/api/alerts', createAlertsRouter({
+    store: activeAlerts,
+    verifier,
+    notificationLog,
+    requireAuth: requireApiAuth,
+    webhookHosts: webhookHostsFromEnv(process.env),
+    limitVerification
+}));
+
+// Recorded rate history as OHLC bars and the live stream (public, read-only)
+app.use('/api/rates', createRatesRouter({
+    histories: rateHistories,
+    stream: rateStream,
+    snapshot: () => [
+        ...(Object.keys(ratePoller.lastQuotes).length > 0
+            ? [{ event: 'rates', data: { quotes: ratePoller.lastQuotes, at: ratePoller.lastSuccessAt } }]
+            : []),
+        { event: 'status', data: serviceStatus() }
+    ]
+}));
 
-// SMS Alert endpoint
-app.post('/api/send-alert', async (req, res) => {
+// CSV, JSON and XLSX downloads of the rate history, indicators and notification history
+app.use('/api/export', createExportsRouter({
+    histories: rateHistories,
+    store: activeAlerts,
+    notificationLog,
+    requireAuth: requireApiAuth
+}));
+
+// Conversion portfolios, addressed by the random ID each dashboard generates
+app.use('/api/portfolios', createPortfoliosRouter({
+    store: portfolioStore,
+    maxPortfolios: limitFromEnv('PORTFOLIO_MAX_COUNT', 1000),
+    limitSync
+}));
+
+// Inbound SMS commands and delivery status callbacks (Twilio webhooks, signature-checked)
+app.use('/api/sms', createInboundSmsRouter({
+    authToken,
+    publicBaseUrl: process.env.PUBLIC_BASE_URL,
+    handleCommand: createCommandHandler({
+        store: activeAlerts,
+        histories: rateHistories,
+        getRates: () => ratePoller.lastRates
+    }),
+    handleStatus: status => dispatcher.applyStatusCallback(status)
+}));
+
+// SMS Alert endpoint: sends a server-side template filled from the service's own rate data
+app.post('/api/send-alert', requireApiAuth, async (req, res) => {
     try {
-        const { phoneNumber, message, rate, threshold } = req.body;
+        const { phoneNumber, template, threshold, pair = DEFAULT_PAIR } = req.body;
         
-        if (!phoneNumber || !message) {
+        if (!phoneNumber || !template) {
             return res.status(400).json({ 
                 success: false, 
-                error: 'Phone number and message are required' 
+                error: 'Phone number and template are required' 
             });
         }
 
-        // Check if Twilio is configured
-        if (!client) {
-            console.log('SMS Alert (Demo Mode):', {
-                to: phoneNumber,
-                message: message,
-                rate: rate,
-                threshold: threshold
+        if (req.body.message !== undefined) {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'Free-form messages are not accepted',
+                details: 'Choose a template: rate-update, threshold-reached or test'
             });
-            
+        }
+
+        if (!/^\+[1-9]\d{1,14}$/.test(phoneNumber)) {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'Phone number must be in E.164 format (e.g. +66812345678)' 
+            });
+        }
+
+        if (!isValidPair(pair)) {
+            return res.status(400).json({ 
+                success: false, 
+                error: `Pair must be one of ${PAIR_IDS.join(', ')}` 
+            });
+        }
+
+        // Rate templates cannot be filled until the poller has fetched a rate
+        const rate = ratePoller.lastRates[pair];
+        if (MESSAGE_TEMPLATES[template] && MESSAGE_TEMPLATES[template].requiresRate && rate === undefined) {
+            return res.status(503).json({ 
+                success: false, 
+                error: 'Current rate is not available yet' 
+            });
+        }
+
+        let message;
+        try {
+            message = renderTemplate(template, {
+                pair,
+                rate,
+                threshold
+            });
+        } catch (templateError) {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'Invalid template',
+                details: templateError.message
+            });
+        }
+
+        const limited = consumeAll([
+            { limiter: sendAlertLimiters.clientHourly, key: req.clientId },
+            { limiter: sendAlertLimiters.clientDaily, key: req.clientId },
+            { limiter: sendAlertLimiters.recipientHourly, key: phoneNumber },
+            { limiter: sendAlertLimiters.recipientDaily, key: phoneNumber }
+        ]);
+
+        if (limited) {
+            res.set('Retry-After', Math.ceil((limited.resetAt - Date.now()) / 1000).toString());
+            return res.status(429).json({ 
+                success: false, 
+                error: 'Too many alerts',
+                details: `The ${limited.name} of ${limited.limit} has been reached; retry after ${new Date(limited.resetAt).toISOString()}`
+            });
+        }
+
+        const { id } = await channels.sms.send({
+            to: phoneNumber,
+            text: message,
+            data: { template, pair, rate, clientId: req.clientId }
+        });
+
+        // Demo mode: the mock SMS channel only logged the message
+        if (channels.sms.mock) {
             return res.json({ 
                 success: true, 
                 message: 'Alert logged (Demo mode - Twilio not configured)',
@@ -54,19 +538,12 @@ app.post('/api/send-alert', async (req, res) => {
             });
         }
 
-        // Send SMS via Twilio
-        const smsMessage = await client.messages.create({
-            body: message,
-            from: twilioPhoneNumber,
-            to: phoneNumber
-        });
-
-        console.log('SMS sent successfully:', smsMessage.sid);
+        console.log('SMS sent successfully:', id);
         
         res.json({ 
             success: true, 
             message: 'SMS alert sent successfully',
-            messageSid: smsMessage.sid
+            messageSid: id
         });
 
     } catch (error) {
@@ -79,8 +556,8 @@ app.post('/api/send-alert', async (req, res) => {
     }
 });
 
-// Register alert endpoint
-app.post('/api/register-alert', (req, res) => {
+// Register alert endpoint (deprecated: use /api/alerts)
+app.post('/api/register-alert', async (req, res) => {
     try {
         const { phoneNumber, threshold, enabled } = req.body;
         
@@ -91,25 +568,60 @@ app.post('/api/register-alert', (req, res) => {
             });
         }
 
-        const alertId = `${phoneNumber}_${threshold}`;
+        // Legacy endpoint: alerts are matched by phone number and threshold
+        const existing = activeAlerts.values().find(alert =>
+            alert.phoneNumber === phoneNumber &&
+            alert.rule.type === 'rate-above' &&
+            alert.rule.threshold === threshold);
+        
+        let pendingAlert = null;
         
         if (enabled) {
-            activeAlerts.set(alertId, {
-                phoneNumber,
-                threshold,
-                createdAt: new Date(),
-                triggered: false
-            });
+            if (!existing) {
+                const limited = limitVerification(req, phoneNumber);
+                if (limited) {
+                    return sendLimited(res, limited, 'Too many verification codes');
+                }
+
+                const now = new Date();
+                const alert = {
+                    id: generateAlertId(),
+                    phoneNumber,
+                    pair: DEFAULT_PAIR,
+                    rule: { type: 'rate-above', threshold },
+                    policy: { ...DEFAULT_POLICY },
+                    channels: [{ type: 'sms', to: phoneNumber }],
+                    enabled: true,
+                    verification: {},
+                    fireState: {},
+                    createdAt: now,
+                    updatedAt: now
+                };
+                
+                // Like /api/alerts, the alert stays inactive until the phone number is verified
+                try {
+                    await verifier.start(alert);
+                } catch (verificationError) {
+                    console.error('Error starting phone verification:', verificationError.message);
+                    alert.verification = { status: 'unverified' };
+                }
+                activeAlerts.set(alert.id, alert);
+                pendingAlert = alert;
+            }
             
             console.log('Alert registered:', { phoneNumber, threshold });
         } else {
-            activeAlerts.delete(alertId);
+            if (existing) activeAlerts.delete(existing.id);
             console.log('Alert removed:', { phoneNumber, threshold });
         }
 
         res.json({ 
             success: true, 
-            message: enabled ? 'Alert registered successfully' : 'Alert removed successfully',
+            message: pendingAlert
+                ? `Alert registered; verify the phone number with POST /api/alerts/${pendingAlert.id}/verify`
+                : enabled ? 'Alert registered successfully' : 'Alert removed successfully',
+            // Only the caller who created the alert learns its ID; matching someone's number must not reveal it
+            alertId: pendingAlert ? pendingAlert.id : null,
             activeAlerts: activeAlerts.size
         });
 
@@ -123,55 +635,43 @@ app.post('/api/register-alert', (req, res) => {
     }
 });
 
-// Check and trigger alerts endpoint
-app.post('/api/check-alerts', async (req, res) => {
+// Check and trigger alerts endpoint: { currentRate, pair } for one pair (default THB-USD) or { rates: { pair: rate } }
+app.post('/api/check-alerts', requireApiAuth, async (req, res) => {
     try {
-        const { currentRate } = req.body;
+        const { currentRate, pair = DEFAULT_PAIR } = req.body;
+        const rates = req.body.rates || (currentRate ? { [pair]: currentRate } : null);
         
-        if (!currentRate) {
+        if (!rates) {
             return res.status(400).json({ 
                 success: false, 
                 error: 'Current rate is required' 
             });
         }
 
-        const triggeredAlerts = [];
-        
-        for (const [alertId, alert] of activeAlerts.entries()) {
-            if (!alert.triggered && currentRate >= alert.threshold) {
-                // Trigger alert
-                const message = `🚨 THB Investment Alert: THB has strengthened to ${currentRate.toFixed(6)} USD per THB, reaching your target threshold of ${alert.threshold.toFixed(6)}. Consider investing in USD now!`;
-                
-                try {
-                    if (client) {
-                        await client.messages.create({
-                            body: message,
-                            from: twilioPhoneNumber,
-                            to: alert.phoneNumber
-                        });
-                    }
-                    
-                    alert.triggered = true;
-                    alert.triggeredAt = new Date();
-                    
-                    triggeredAlerts.push({
-                        phoneNumber: alert.phoneNumber,
-                        threshold: alert.threshold,
-                        currentRate: currentRate
-                    });
-                    
-                    console.log('Alert triggered for:', alert.phoneNumber);
-                    
-                } catch (smsError) {
-                    console.error('Error sending alert SMS:', smsError);
-                }
-            }
+        const invalidRates = typeof rates !== 'object' || Array.isArray(rates) ||
+            Object.entries(rates).some(([ratePair, rate]) => !isValidPair(ratePair) || typeof rate !== 'number' || !(rate > 0));
+        if (invalidRates) {
+            return res.status(400).json({ 
+                success: false, 
+                error: 'Invalid rates',
+                details: `Rates must be positive numbers for pairs among ${PAIR_IDS.join(', ')}`
+            });
         }
 
+        // Rates posted by an operator are taken as fresh, real quotes
+        const quotes = {};
+        for (const [ratePair, rate] of Object.entries(rates)) {
+            quotes[ratePair] = { rate, timestamp: Date.now(), simulated: false, sources: [{ name: 'api', label: 'POST /api/check-alerts', rate }] };
+        }
+
+        await refreshRateSheets();
+        const { triggeredAlerts, skipped } = await evaluateAlerts(quotes);
+
         res.json({ 
             success: true, 
             triggeredAlerts: triggeredAlerts.length,
-            alerts: triggeredAlerts
+            alerts: triggeredAlerts,
+            skipped
         });
 
     } catch (error) {
@@ -184,13 +684,13 @@ app.post('/api/check-alerts', async (req, res) => {
     }
 });
 
-// Reset triggered alerts (for testing)
-app.post('/api/reset-alerts', (req, res) => {
+// Reset every triggered alert at once (for testing; use POST /api/alerts/:id/reset for a single alert)
+app.post('/api/reset-alerts', requireApiAuth, (req, res) => {
     try {
         for (const alert of activeAlerts.values()) {
-            alert.triggered = false;
-            delete alert.triggeredAt;
+            alert.fireState = {};
         }
+        activeAlerts.save();
         
         res.json({ 
             success: true, 
@@ -208,15 +708,19 @@ app.post('/api/reset-alerts', (req, res) => {
     }
 });
 
-// Get active alerts status
+// Get active alerts status (public: no alert IDs, which grant access to an alert)
 app.get('/api/alerts-status', (req, res) => {
     try {
         const alerts = Array.from(activeAlerts.values()).map(alert => ({
-            phoneNumber: alert.phoneNumber.replace(/(\d{3})\d{4}(\d{4})/, '$1****$2'), // Mask phone number
-            threshold: alert.threshold,
-            triggered: alert.triggered,
+            phoneNumber: maskPhoneNumber(alert.phoneNumber),
+            pair: alert.pair,
+            rule: alert.rule,
+            description: describeRule(alert.rule, alert.pair),
+            enabled: alert.enabled,
+            verified: alert.verification.status === 'verified',
+            triggered: !!alert.fireState.triggered,
             createdAt: alert.createdAt,
-            triggeredAt: alert.triggeredAt
+            triggeredAt: alert.fireState.triggeredAt
         }));
         
         res.json({ 
@@ -243,12 +747,36 @@ app.get('/api/health', (req, res) => {
         message: 'SMS service is running',
         timestamp: new Date().toISOString(),
         twilioConfigured: !!client,
-        activeAlerts: activeAlerts.size
+        activeAlerts: activeAlerts.size,
+        channels: Object.values(channels).map(channel => ({ type: channel.type, demo: !!channel.mock })),
+        ratePoller: {
+            ...ratePoller.getStatus(),
+            staleAfterMinutes: rateStaleAfterMinutes,
+            stalePairs: Object.keys(ratePoller.lastQuotes).filter(pair => RateSources.isStale(ratePoller.lastQuotes[pair], rateStaleAfterMinutes))
+        },
+        rateStream: {
+            clients: rateStream.size
+        },
+        digests: digestScheduler.getStatus(),
+        rateSheets: {
+            sources: rateSheetSources.map(source => source.name),
+            providers: rateSheets ? rateSheets.providers.map(provider => provider.id) : [],
+            fetchedAt: rateSheets ? new Date(rateSheets.fetchedAt).toISOString() : null,
+            errors: rateSheets ? rateSheets.errors : []
+        }
     });
 });
 
 // Error handling middleware
 app.use((error, req, res, next) => {
+    if (error.type === 'entity.parse.failed') {
+        return res.status(400).json({ 
+            success: false, 
+            error: 'Request body must be valid JSON',
+            details: error.message
+        });
+    }
+
     console.error('Unhandled error:', error);
     res.status(500).json({ 
         success: false, 
@@ -258,17 +786,55 @@ app.use((error, req, res, next) => {
 });
 
 // Start server
-app.listen(port, () => {
-    console.log(`SMS Alert Service running on port ${port}`);
-    console.log(`Twilio configured: ${!!client}`);
-    
-    if (!client) {
-        console.log('⚠️  Twilio not configured. SMS alerts will run in demo mode.');
-        console.log('To enable SMS alerts, set these environment variables:');
-        console.log('- TWILIO_ACCOUNT_SID');
-        console.log('- TWILIO_AUTH_TOKEN');
-        console.log('- TWILIO_PHONE_NUMBER');
+if (require.main === module) {
+    app.listen(port, () => {
+        console.log(`SMS Alert Service running on port ${port}`);
+        console.log(`Twilio configured: ${!!client}`);
+        
+        if (!client) {
+            console.log('⚠️  Twilio not configured. SMS alerts will run in demo mode.');
+            console.log('To enable SMS alerts, set these environment variables:');
+            console.log('- TWILIO_ACCOUNT_SID');
+            console.log('- TWILIO_AUTH_TOKEN');
+            console.log('- TWILIO_PHONE_NUMBER');
+        }
+
+        if (apiKeys.size === 0 && !process.env.API_TOKEN_SECRET) {
+            console.log('⚠️  No API_KEYS or API_TOKEN_SECRET set. /api/send-alert, /api/check-alerts, /api/reset-alerts and the alert listing will reject every request.');
+        }
+
+        if (pollerEnabled) {
+            if (backfillDays > 0 && backfillProviders.length > 0) {
+                backfillRateHistory().catch(error => {
+                    console.error('Error backfilling rate history:', error.message);
+                });
+            }
+
+            ratePoller.start();
+            console.log(`Rate poller checking ${ratePoller.sources.map(source => source.name).join(', ')} every ${pollIntervalMinutes} minute(s)`);
+        }
+
+        digestScheduler.start();
+
+        setInterval(() => {
+            dispatcher.processRetries().catch(error => {
+                console.error('Error retrying notifications:', error);
+            });
+        }, RETRY_CHECK_INTERVAL_MS);
+    });
+
+    // The notification log writes in batches; write what is still pending on the way out
+    process.on('exit', () => notificationLog.flush());
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+        process.once(signal, () => process.exit(0));
     }
-});
+}
 
 module.exports = app;
+module.exports.evaluateAlerts = evaluateAlerts;
+module.exports.ratePoller = ratePoller;
+module.exports.rateHistories = rateHistories;
+module.exports.rateStream = rateStream;
+module.exports.digestScheduler = digestScheduler;
+module.exports.channels = channels;
+module.exports.dispatcher = dispatcher;
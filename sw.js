@@ -0,0 +1,186 @@
+// Service Worker for THB to USD Exchange Rate Monitor
+// Precaches the app shell (pages, scripts, styles, icons and vendored libraries) so the dashboard loads offline,
+// and keeps the latest response of every rate and history request so it can show the last-known data.
+// Deploys need no version bump: every page load refetches the shell, and when any file changed the whole set is
+// replaced at once and open dashboards are told to reload, so a page never mixes files from two deploys.
+
+const CACHE_PREFIX = 'thb-monitor-';
+const SHELL_CACHE = `${CACHE_PREFIX}shell`;
+// Saved rates outlive deploys; change this name only when the cache keys below change
+const DATA_CACHE = `${CACHE_PREFIX}data-v1`;
+const MAX_DATA_ENTRIES = 200;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'styles.css',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    'icons/apple-touch-icon.png',
+    'vendor/chart.umd.min.js',
+    'config.js',
+    'currency-pairs.js',
+    'rate-sources.js',
+    'rate-change.js',
+    'tick-journal.js',
+    'history-providers.js',
+    'indicators.js',
+    'forecasting.js',
+    'dca-planner.js',
+    'rate-sheets.js',
+    'digest.js',
+    'alert-rules.js',
+    'recommendation-backtest.js',
+    'portfolio.js',
+    'data-export.js',
+    'history-import.js',
+    'alert-policy.js',
+    'script.js'
+];
+
+// Rate and history requests, answered from the network when possible and from the last response otherwise:
+// current rates (…/latest), the SMS service's history, Frankfurter date ranges, ExchangeRate-API daily history,
+// and rate sheets or CSV histories
+const DATA_PATTERNS = [
+    /\/latest(\/|\?|$)/,
+    /\/rates\/history\?/,
+    /\/\d{4}-\d{2}-\d{2}\.\.\d{4}-\d{2}-\d{2}(\?|$)/,
+    /\/history\/[A-Z]{3}\/\d{4}\/\d{1,2}\/\d{1,2}$/,
+    /\.(json|csv)(\?|$)/
+];
+
+function rangeDays(from, to) {
+    return Math.round((new Date(to) - new Date(from)) / DAY_MS);
+}
+
+// History requests name a date range that moves every day. Their key keeps only its length, so offline the
+// latest response for the same pair and period answers whatever today's range is.
+function cacheKey(request) {
+    const url = new URL(request.url);
+
+    if (url.pathname.endsWith('/rates/history')) {
+        const days = rangeDays(url.searchParams.get('from'), url.searchParams.get('to'));
+        url.searchParams.delete('from');
+        url.searchParams.delete('to');
+        url.searchParams.set('days', days);
+    }
+    url.pathname = url.pathname.replace(/(\d{4}-\d{2}-\d{2})\.\.(\d{4}-\d{2}-\d{2})/, (range, from, to) => `${rangeDays(from, to)}d`);
+
+    return url.toString();
+}
+
+async function trimCache(cache, maxEntries) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+}
+
+async function networkFirst(request) {
+    const cache = await caches.open(DATA_CACHE);
+    const key = cacheKey(request);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            // Re-adding moves the key to the end, so trimming drops the least recently fetched responses
+            await cache.delete(key);
+            await cache.put(key, response.clone());
+            await trimCache(cache, MAX_DATA_ENTRIES);
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(key);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+// Shell files come from the precache; anything else goes to the network, and pages fall back to the dashboard
+async function shellFirst(request) {
+    const cached = await caches.match(request, { cacheName: SHELL_CACHE, ignoreSearch: true });
+    if (cached) return cached;
+
+    try {
+        return await fetch(request);
+    } catch (error) {
+        if (request.mode === 'navigate') {
+            const page = await caches.match('index.html', { cacheName: SHELL_CACHE });
+            if (page) return page;
+        }
+        throw error;
+    }
+}
+
+async function differs(cached, fresh) {
+    if (!cached) return true;
+    const [before, after] = await Promise.all([cached.arrayBuffer(), fresh.clone().arrayBuffer()]);
+    if (before.byteLength !== after.byteLength) return true;
+    const beforeBytes = new Uint8Array(before);
+    const afterBytes = new Uint8Array(after);
+    return beforeBytes.some((byte, index) => byte !== afterBytes[index]);
+}
+
+// Refetch every shell file, and only once all of them arrived replace the precache if any changed
+async function refreshShell() {
+    const cache = await caches.open(SHELL_CACHE);
+    const fresh = await Promise.all(SHELL_FILES.map(async (file) => {
+        // no-cache revalidates with the server, so an unchanged file costs a 304
+        const response = await fetch(new Request(file, { cache: 'no-cache' }));
+        if (!response.ok) throw new Error(`${file} responded with HTTP ${response.status}`);
+        return { file, response };
+    }));
+
+    const changed = await Promise.all(fresh.map(async ({ file, response }) => differs(await cache.match(file), response)));
+    if (!changed.includes(true)) return;
+
+    await Promise.all(fresh.map(({ file, response }) => cache.put(file, response)));
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage({ type: 'shell-updated' }));
+}
+
+let refreshing = null;
+
+function refreshShellOnce() {
+    if (!refreshing) {
+        // Offline or mid-deploy: keep the current shell and try again on the next page load
+        refreshing = refreshShell()
+            .catch(error => console.log('Shell refresh failed:', error.message))
+            .then(() => { refreshing = null; });
+    }
+    return refreshing;
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            // Bypass the HTTP cache so a new worker never precaches stale files
+            .then(cache => cache.addAll(SHELL_FILES.map(file => new Request(file, { cache: 'reload' }))))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith(CACHE_PREFIX) && name !== SHELL_CACHE && name !== DATA_CACHE)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    // Writes and the live rate stream always go straight to the network
+    if (request.method !== 'GET' || (request.headers.get('Accept') || '').includes('text/event-stream')) return;
+
+    const url = new URL(request.url);
+    if (DATA_PATTERNS.some(pattern => pattern.test(url.pathname + url.search))) {
+        event.respondWith(networkFirst(request));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(shellFirst(request));
+        if (request.mode === 'navigate') event.waitUntil(refreshShellOnce());
+    }
+});
@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { DigestScheduler } = require('../digest-scheduler');
+const { createAlertStore } = require('../alert-store');
+const { createMockChannel } = require('../notification-channels');
+const { NotificationDispatcher } = require('../notification-dispatcher');
+const { NotificationLog } = require('../notification-log');
+const { RateHistory } = require('../rate-history');
+const { PAIR_IDS } = require('../currency-pairs');
+
+const PHONE = '+66812345678';
+const MINUTE_MS = 60 * 1000;
+
+// A clock the test moves by hand; the scheduler's interval only records its callback
+function createFakeClock(start) {
+    const clock = {
+        time: new Date(start).getTime(),
+        timers: [],
+        now: () => clock.time,
+        setInterval: (callback, ms) => {
+            const timer = { callback, ms };
+            clock.timers.push(timer);
+            return timer;
+        },
+        clearInterval: (timer) => {
+            clock.timers = clock.timers.filter(other => other !== timer);
+        },
+        set(time) {
+            clock.time = new Date(time).getTime();
+        }
+    };
+    return clock;
+}
+
+// A verified daily digest at 08:00 Bangkok time (01:00 UTC) over 30 days of THB/USD history
+function setUp({ start, channels = { sms: createMockChannel('sms') } }) {
+    const clock = createFakeClock(start);
+    const store = createAlertStore({ type: 'memory' });
+    store.set('digest-1', {
+        id: 'digest-1',
+        phoneNumber: PHONE,
+        pair: 'THB-USD',
+        rule: { type: 'daily-digest', timezone: 'Asia/Bangkok', sendTime: '08:00' },
+        policy: { mode: 'recurring', cooldownMinutes: 0 },
+        channels: [{ type: 'sms', to: PHONE }],
+        enabled: true,
+        verification: { status: 'verified' },
+        fireState: {},
+        createdAt: new Date('2026-01-01T00:00:00Z')
+    });
+
+    const histories = Object.fromEntries(PAIR_IDS.map(pair => [pair, new RateHistory()]));
+    const firstDay = Date.UTC(2026, 2, 1);
+    histories['THB-USD'].importDaily(Array.from({ length: 30 }, (value, index) => ({
+        date: new Date(firstDay + index * 24 * 60 * MINUTE_MS).toISOString().split('T')[0],
+        rate: 0.028 + index * 0.00001
+    })));
+
+    const scheduler = new DigestScheduler({
+        store,
+        histories,
+        // The quote is always fresh as of the fake clock
+        getQuotes: () => ({ 'THB-USD': { rate: 0.0284, timestamp: clock.now(), simulated: false } }),
+        dispatcher: new NotificationDispatcher({ channels, log: new NotificationLog() }),
+        staleAfterMinutes: 30,
+        clock
+    });
+
+    return { clock, store, scheduler, channels };
+}
+
+test('start() schedules ticks on the injected clock and stop() clears them', () => {
+    const { clock, scheduler } = setUp({ start: '2026-03-31T00:00:00Z' });
+
+    scheduler.start();
+    assert.strictEqual(clock.timers.length, 1);
+    assert.strictEqual(clock.timers[0].ms, 60 * 1000);
+
+    scheduler.stop();
+    assert.strictEqual(clock.timers.length, 0);
+});
+
+test('sends the digest once at the local send time', async () => {
+    const { clock, store, scheduler, channels } = setUp({ start: '2026-03-31T00:59:00Z' });
+
+    assert.deepStrictEqual(await scheduler.tick(), []);
+    assert.strictEqual(channels.sms.sent.length, 0);
+
+    clock.set('2026-03-31T01:00:00Z');
+    const sent = await scheduler.tick();
+    assert.strictEqual(sent.length, 1);
+    assert.strictEqual(sent[0].slot, '2026-03-31');
+    assert.strictEqual(channels.sms.sent.length, 1);
+    assert.strictEqual(channels.sms.sent[0].to, PHONE);
+    assert.ok(channels.sms.sent[0].html.length > 0);
+    assert.strictEqual(store.get('digest-1').ruleState.lastSlot, '2026-03-31');
+
+    clock.set(clock.now() + MINUTE_MS);
+    assert.deepStrictEqual(await scheduler.tick(), []);
+    assert.strictEqual(channels.sms.sent.length, 1);
+
+    clock.set('2026-04-01T01:00:00Z');
+    assert.strictEqual((await scheduler.tick()).length, 1);
+    assert.strictEqual(channels.sms.sent.length, 2);
+});
+
+test('skips a send time that passed more than the send window ago', async () => {
+    const { scheduler, channels } = setUp({ start: '2026-03-31T03:01:00Z' });
+
+    assert.deepStrictEqual(await scheduler.tick(), []);
+    assert.strictEqual(channels.sms.sent.length, 0);
+});
+
+test('retries on the next tick when no channel accepted the digest', async () => {
+    // No SMS channel is configured, so the only delivery fails
+    const channels = {};
+    const { clock, store, scheduler } = setUp({ start: '2026-03-31T01:00:00Z', channels });
+
+    const failed = await scheduler.tick();
+    assert.strictEqual(failed.length, 1);
+    assert.deepStrictEqual(failed[0].records.map(record => record.status), ['failed']);
+    assert.strictEqual(store.get('digest-1').ruleState, undefined);
+
+    channels.sms = createMockChannel('sms');
+    clock.set(clock.now() + MINUTE_MS);
+    const retried = await scheduler.tick();
+    assert.deepStrictEqual(retried[0].records.map(record => record.status), ['sent']);
+    assert.strictEqual(channels.sms.sent.length, 1);
+    assert.strictEqual(store.get('digest-1').ruleState.lastSlot, '2026-03-31');
+});
@@ -0,0 +1,153 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const express = require('express');
+const twilio = require('twilio');
+const { createCommandHandler, createInboundSmsRouter, HELP_TEXT } = require('../inbound-sms');
+const { createAlertStore } = require('../alert-store');
+const { RateHistory } = require('../rate-history');
+const { PAIR_IDS } = require('../currency-pairs');
+
+const AUTH_TOKEN = 'test-auth-token';
+const SUBSCRIBER = '+66812345678';
+const CHANNEL_RECIPIENT = '+66887654321';
+
+function createAlert(id, overrides = {}) {
+    return {
+        id,
+        phoneNumber: SUBSCRIBER,
+        pair: 'THB-USD',
+        rule: { type: 'rate-above', threshold: 0.03 },
+        policy: { mode: 'one-shot' },
+        channels: [{ type: 'sms', to: SUBSCRIBER }],
+        enabled: true,
+        verification: { status: 'verified' },
+        fireState: {},
+        createdAt: new Date('2026-01-01T00:00:00Z'),
+        ...overrides
+    };
+}
+
+// Start the inbound router on a free port with one threshold alert for SUBSCRIBER, texted on to CHANNEL_RECIPIENT
+// too, and one alert of another number
+async function startServer() {
+    const store = createAlertStore({ type: 'memory' });
+    store.set('alert-1', createAlert('alert-1', {
+        channels: [{ type: 'sms', to: SUBSCRIBER }, { type: 'sms', to: CHANNEL_RECIPIENT }]
+    }));
+    store.set('alert-2', createAlert('alert-2', { phoneNumber: '+66811111111', channels: [{ type: 'sms', to: '+66811111111' }] }));
+
+    const histories = Object.fromEntries(PAIR_IDS.map(pair => [pair, new RateHistory()]));
+    const statuses = [];
+    const app = express();
+    app.use('/api/sms', createInboundSmsRouter({
+        authToken: AUTH_TOKEN,
+        handleCommand: createCommandHandler({ store, histories, getRates: () => ({ 'THB-USD': 0.0281 }) }),
+        handleStatus: status => statuses.push(status)
+    }));
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    return { store, statuses, server, baseUrl: `http://127.0.0.1:${server.address().port}` };
+}
+
+// POST a form-encoded Twilio webhook, signed for the exact URL unless a signature is given
+function postTwilio(url, params, { signature = twilio.getExpectedTwilioSignature(AUTH_TOKEN, url, params) } = {}) {
+    const body = new URLSearchParams(params).toString();
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded', 'Content-Length': Buffer.byteLength(body) };
+    if (signature) headers['X-Twilio-Signature'] = signature;
+
+    return new Promise((resolve, reject) => {
+        const request = http.request(url, { method: 'POST', headers }, (response) => {
+            let text = '';
+            response.setEncoding('utf8');
+            response.on('data', chunk => { text += chunk; });
+            response.on('end', () => resolve({ status: response.statusCode, type: response.headers['content-type'], text }));
+        });
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+function sms(from, text) {
+    return { MessageSid: 'SM00000000000000000000000000000001', From: from, To: '+15005550006', Body: text };
+}
+
+test('inbound SMS', async (t) => {
+    const { store, statuses, server, baseUrl } = await startServer();
+    const inboundUrl = `${baseUrl}/api/sms/inbound`;
+
+    try {
+        await t.test('rejects requests without a signature', async () => {
+            const response = await postTwilio(inboundUrl, sms(SUBSCRIBER, 'STOP'), { signature: null });
+            assert.strictEqual(response.status, 403);
+            assert.strictEqual(store.get('alert-1').enabled, true);
+        });
+
+        await t.test('rejects requests signed with another token', async () => {
+            const params = sms(SUBSCRIBER, 'STOP');
+            const signature = twilio.getExpectedTwilioSignature('another-token', inboundUrl, params);
+
+            const response = await postTwilio(inboundUrl, params, { signature });
+            assert.strictEqual(response.status, 403);
+        });
+
+        await t.test('rejects a signature for different parameters', async () => {
+            const signature = twilio.getExpectedTwilioSignature(AUTH_TOKEN, inboundUrl, sms(SUBSCRIBER, 'STATUS'));
+
+            const response = await postTwilio(inboundUrl, sms(SUBSCRIBER, 'STOP'), { signature });
+            assert.strictEqual(response.status, 403);
+        });
+
+        await t.test('answers with TwiML', async () => {
+            const response = await postTwilio(inboundUrl, sms(SUBSCRIBER, 'HELLO'));
+
+            assert.strictEqual(response.status, 200);
+            assert.match(response.type, /^text\/xml/);
+            assert.match(response.text, /^<\?xml version="1\.0" encoding="UTF-8"\?><Response><Message>.*<\/Message><\/Response>$/);
+            assert.ok(response.text.includes(HELP_TEXT.slice(0, 30)));
+        });
+
+        await t.test('STATUS lists the sender\'s alerts only', async () => {
+            const response = await postTwilio(inboundUrl, sms(SUBSCRIBER, 'status'));
+
+            assert.match(response.text, /Your THB alerts:\n1\. .*\(active\)/);
+            assert.ok(!response.text.includes('2.'));
+        });
+
+        await t.test('RATE gives the current rate', async () => {
+            const response = await postTwilio(inboundUrl, sms(SUBSCRIBER, 'RATE USD'));
+            assert.match(response.text, /THB\/USD: 1 THB = 0\.028100 USD \(35\.59 THB per USD\)\. 7-day trend: not enough history yet\./);
+        });
+
+        await t.test('SET moves the threshold', async () => {
+            const response = await postTwilio(inboundUrl, sms(SUBSCRIBER, 'SET 0.0285'));
+
+            assert.match(response.text, /Updated:/);
+            assert.strictEqual(store.get('alert-1').rule.threshold, 0.0285);
+            assert.strictEqual(store.get('alert-2').rule.threshold, 0.03);
+        });
+
+        await t.test('STOP and START from an SMS channel recipient pause and resume the alert', async () => {
+            const stopped = await postTwilio(inboundUrl, sms(CHANNEL_RECIPIENT, 'STOP'));
+            assert.match(stopped.text, /unsubscribed from 1 THB alert\./);
+            assert.strictEqual(store.get('alert-1').enabled, false);
+            assert.strictEqual(store.get('alert-2').enabled, true);
+
+            const started = await postTwilio(inboundUrl, sms(CHANNEL_RECIPIENT, 'START'));
+            assert.match(started.text, /Resubscribed: 1 THB alert active again/);
+            assert.strictEqual(store.get('alert-1').enabled, true);
+        });
+
+        await t.test('passes signed status callbacks on', async () => {
+            const params = { MessageSid: 'SM00000000000000000000000000000002', MessageStatus: 'delivered' };
+
+            const response = await postTwilio(`${baseUrl}/api/sms/status`, params);
+            assert.strictEqual(response.status, 204);
+            assert.deepStrictEqual(statuses.map(status => ({ ...status })), [params]);
+        });
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+});
@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createChannelsFromEnv, createMockChannel, createWebhookChannel } = require('../notification-channels');
+const { NotificationDispatcher } = require('../notification-dispatcher');
+const { NotificationLog } = require('../notification-log');
+const { startSmtpStandIn, startWebhookStandIn } = require('../notification-stand-ins');
+
+const PHONE = '+66812345678';
+const EMAIL = 'subscriber@example.com';
+
+function verifiedAlert(channels, overrides = {}) {
+    return {
+        id: 'alert-1',
+        phoneNumber: PHONE,
+        pair: 'THB-USD',
+        rule: { type: 'rate-above', threshold: 0.03 },
+        channels,
+        enabled: true,
+        verification: { status: 'verified', verifiedAt: '2026-01-01T00:00:00.000Z', emails: [EMAIL] },
+        fireState: {},
+        ...overrides
+    };
+}
+
+const MESSAGE = { subject: 'THB Rate Alert', text: 'THB/USD reached 0.0301', data: { alertId: 'alert-1' } };
+
+test('mock channel records each message and resets between cases', async () => {
+    const sms = createMockChannel('sms');
+
+    const first = await sms.send({ to: PHONE, text: 'one' });
+    const second = await sms.send({ to: PHONE, text: 'two' });
+
+    assert.notStrictEqual(first.id, second.id);
+    assert.deepStrictEqual(sms.sent.map(message => message.text), ['one', 'two']);
+    assert.strictEqual(sms.sent[0].to, PHONE);
+
+    sms.reset();
+    assert.strictEqual(sms.sent.length, 0);
+});
+
+test('NOTIFICATION_MODE=mock replaces every channel with a mock', () => {
+    const channels = createChannelsFromEnv({ NOTIFICATION_MODE: 'mock' });
+
+    for (const channel of Object.values(channels)) {
+        assert.strictEqual(channel.mock, true);
+    }
+    assert.ok(channels.email && channels.webhook);
+});
+
+test('dispatcher sends to the mock channel and logs the attempt', async () => {
+    const channels = createChannelsFromEnv({ NOTIFICATION_MODE: 'mock' });
+    const dispatcher = new NotificationDispatcher({ channels, log: new NotificationLog() });
+
+    const records = await dispatcher.dispatch({ alert: verifiedAlert([{ type: 'sms', to: PHONE }]), rate: 0.0301, message: MESSAGE });
+
+    assert.strictEqual(records.length, 1);
+    assert.strictEqual(records[0].status, 'sent');
+    assert.strictEqual(records[0].demo, true);
+    assert.deepStrictEqual(channels.sms.sent.map(({ to, text }) => ({ to, text })), [{ to: PHONE, text: MESSAGE.text }]);
+});
+
+test('dispatcher never sends to recipients that were not verified', async () => {
+    const channels = createChannelsFromEnv({ NOTIFICATION_MODE: 'mock' });
+    const dispatcher = new NotificationDispatcher({ channels, log: new NotificationLog() });
+    const alert = verifiedAlert([
+        { type: 'sms', to: '+66899999999' },
+        { type: 'email', to: 'someone-else@example.com' }
+    ]);
+
+    const records = await dispatcher.dispatch({ alert, rate: 0.0301, message: MESSAGE });
+
+    assert.deepStrictEqual(records.map(record => record.status), ['failed', 'failed']);
+    assert.strictEqual(channels.sms.sent.length, 0);
+    assert.strictEqual(channels.email.sent.length, 0);
+});
+
+test('email and webhook channels deliver to local stand-ins', async () => {
+    const smtp = await startSmtpStandIn();
+    const webhook = await startWebhookStandIn();
+
+    const channels = createChannelsFromEnv({
+        SMTP_HOST: smtp.host,
+        SMTP_PORT: String(smtp.port),
+        ALERT_EMAIL_FROM: 'alerts@example.com',
+        WEBHOOK_ALLOWED_HOSTS: webhook.host
+    });
+    const dispatcher = new NotificationDispatcher({ channels, log: new NotificationLog() });
+    const alert = verifiedAlert([
+        { type: 'email', to: EMAIL },
+        { type: 'webhook', to: `${webhook.url}/hooks/alerts` }
+    ]);
+
+    let records;
+    try {
+        records = await dispatcher.dispatch({ alert, rate: 0.0301, message: MESSAGE });
+    } finally {
+        await Promise.all([smtp.close(), webhook.close()]);
+    }
+
+    assert.deepStrictEqual(records.map(record => record.status), ['sent', 'sent']);
+
+    assert.strictEqual(smtp.messages.length, 1);
+    assert.strictEqual(smtp.messages[0].from, 'alerts@example.com');
+    assert.deepStrictEqual(smtp.messages[0].to, [EMAIL]);
+    assert.match(smtp.messages[0].data, /^Subject: THB Rate Alert\r$/m);
+    assert.ok(smtp.messages[0].data.includes(MESSAGE.text));
+
+    assert.strictEqual(webhook.requests.length, 1);
+    assert.strictEqual(webhook.requests[0].method, 'POST');
+    assert.strictEqual(webhook.requests[0].path, '/hooks/alerts');
+    assert.deepStrictEqual(webhook.requests[0].body, { text: MESSAGE.text, subject: MESSAGE.subject, data: MESSAGE.data });
+});
+
+test('webhook channel refuses hosts outside the allowlist', async () => {
+    const webhook = await startWebhookStandIn();
+    const channel = createWebhookChannel({ allowedHosts: ['hooks.slack.com'] });
+
+    try {
+        await assert.rejects(channel.send({ to: webhook.url, text: 'hi' }), /Webhook host must be one of hooks\.slack\.com/);
+    } finally {
+        await webhook.close();
+    }
+    assert.strictEqual(webhook.requests.length, 0);
+});
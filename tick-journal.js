@@ -0,0 +1,105 @@
+// Tick Journal for THB to USD Exchange Rate Monitor
+// Keeps every rate the dashboard fetches in IndexedDB so the day's change and intraday view work without the
+// SMS service. Falls back to memory (lost on reload) when IndexedDB is unavailable, e.g. in some private windows.
+// Ticks are { pair, rate, timestamp, sources }.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.TickJournal = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    const DB_VERSION = 1;
+    const STORE = 'ticks';
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    function promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    class TickJournal {
+        constructor({ dbName = 'thb-exchange-rate-monitor', retentionDays = 8 } = {}) {
+            this.dbName = dbName;
+            this.retentionMs = retentionDays * DAY_MS;
+            this.db = null;
+            this.memory = [];
+        }
+
+        async open() {
+            if (typeof indexedDB === 'undefined') {
+                console.warn('IndexedDB is not available; rate ticks are kept in memory only');
+                return;
+            }
+
+            try {
+                const request = indexedDB.open(this.dbName, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(STORE, { autoIncrement: true });
+                    store.createIndex('pairTime', ['pair', 'timestamp']);
+                    store.createIndex('timestamp', 'timestamp');
+                };
+                this.db = await promisify(request);
+                await this.prune();
+            } catch (error) {
+                console.warn('Could not open the rate tick journal; ticks are kept in memory only:', error);
+                this.db = null;
+            }
+        }
+
+        async add(tick) {
+            if (!this.db) {
+                this.memory.push(tick);
+                return;
+            }
+
+            const transaction = this.db.transaction(STORE, 'readwrite');
+            transaction.objectStore(STORE).add(tick);
+            await new Promise((resolve, reject) => {
+                transaction.oncomplete = resolve;
+                transaction.onerror = () => reject(transaction.error);
+            });
+        }
+
+        // A pair's ticks between two timestamps (inclusive), oldest first
+        async range(pair, from, to) {
+            if (!this.db) {
+                return this.memory
+                    .filter(tick => tick.pair === pair && tick.timestamp >= from && tick.timestamp <= to)
+                    .sort((a, b) => a.timestamp - b.timestamp);
+            }
+
+            const index = this.db.transaction(STORE, 'readonly').objectStore(STORE).index('pairTime');
+            return promisify(index.getAll(IDBKeyRange.bound([pair, from], [pair, to])));
+        }
+
+        // Drop ticks older than the retention window
+        async prune(now = Date.now()) {
+            const cutoff = now - this.retentionMs;
+
+            if (!this.db) {
+                this.memory = this.memory.filter(tick => tick.timestamp >= cutoff);
+                return;
+            }
+
+            const transaction = this.db.transaction(STORE, 'readwrite');
+            const request = transaction.objectStore(STORE).index('timestamp').openCursor(IDBKeyRange.upperBound(cutoff, true));
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    cursor.delete();
+                    cursor.continue();
+                }
+            };
+            await new Promise((resolve, reject) => {
+                transaction.oncomplete = resolve;
+                transaction.onerror = () => reject(transaction.error);
+            });
+        }
+    }
+
+    return TickJournal;
+}));